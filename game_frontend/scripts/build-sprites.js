@@ -0,0 +1,298 @@
+//
+// build-sprites.js - Generates the built-in sprite sheets in src/assets/sprites/.
+//
+// Each sheet is a PNG strip plus Aseprite-style JSON ("Array" frames with
+// durations, animation clips as meta.frameTags), so hand-drawn sheets exported
+// from Aseprite can replace them without code changes. Frames are drawn here as
+// character grids: one character per pixel, "." transparent, letters index the
+// sheet's palette. Overlays are stamped on top of a base grid.
+//
+// Run with `node scripts/build-sprites.js` after editing the art below.
+//
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUT_DIR = path.join(__dirname, '..', 'src', 'assets', 'sprites');
+const FRAME = 16;
+
+// --- Grids ---
+
+function blank() {
+  return Array.from({ length: FRAME }, () => '.'.repeat(FRAME).split(''));
+}
+
+// Stamp `rows` onto `grid` with its top-left at (ox, oy); "." leaves pixels alone
+function stamp(grid, rows, ox = 0, oy = 0) {
+  rows.forEach((row, y) => {
+    [...row].forEach((ch, x) => {
+      const gx = x + ox;
+      const gy = y + oy;
+      if (ch === '.' || gx < 0 || gy < 0 || gx >= FRAME || gy >= FRAME) return;
+      grid[gy][gx] = ch === '_' ? '.' : ch;
+    });
+  });
+  return grid;
+}
+
+function frame(...layers) {
+  const grid = blank();
+  for (let [rows, ox, oy] of layers) stamp(grid, rows, ox, oy);
+  return grid;
+}
+
+function recolor(grid, from, to) {
+  return grid.map(row => row.map(ch => (ch === from ? to : ch)));
+}
+
+// --- Player (hitbox 12x14, drawn bottom-centred in a 16x16 frame), facing right ---
+
+const PLAYER_PALETTE = {
+  o: '#5a3a00', y: '#ffd700', Y: '#fff27a', d: '#d9a400', w: '#ffffff', e: '#222222',
+  r: '#e74c3c', b: '#7a4a1a', c: '#28d6fa', C: '#bff4ff', l: '#ffffffaa', R: '#ff6b5b'
+};
+
+const BODY = [
+  '......oooooo....',
+  '.....oyyyyyyo...',
+  '....oyYyyyyyyo..',
+  '....oyYyyyyweo..',
+  '....oyyyyyyyeo..',
+  '....oyyyyyyyyo..',
+  '...rrrrrrrrrro..',
+  '..r.oyyyyyyyo...',
+  '....oyyyyyyyo...',
+  '....odyyyyydo...',
+  '.....oooooooo...'
+]; // rows 2..12
+
+const SCARF_FLYING = ['.rr.', 'r...'];
+
+const LEGS = {
+  stand: ['.....bb...bb....', '.....bb...bb....', '....bbb..bbb....'],
+  run1: ['......bb.bb.....', '.....bb...bb....', '....bb.....bbb..'],
+  run2: ['.......bbb......', '.......bb.......', '......bbbb......'],
+  run3: ['......bb.bb.....', '......bb..bb....', '....bbb....bb...'],
+  tuck: ['.....bbbbbb.....', '......b..b......', '________________'],
+  dangle: ['.....bb..bb.....', '....bb....bb....', '...bb......bb...'],
+  wall: ['.....bb...bbb...', '.....bb....bb...', '....bbb.........']
+};
+
+const GLIDER = [
+  ['...cCCCCCCCCc...', '..c.o......o.c..'],
+  ['..cCCCCCCCCCCc..', '.c..o......o..c.']
+];
+const SPEED_LINES = [
+  ['ll..', '....', '.ll.', '....', '....', '....', 'll..'],
+  ['.ll.', '....', 'll..', '....', '....', '....', '.ll.']
+];
+const X_EYES = ['.e.e', '..ey', '.e.e']; // over the eye: cols 9..12, rows 4..6
+const WALL_HAND = ['oo', 'yo'];
+
+const body = (dy = 0, dx = 0) => [BODY, dx, 2 + dy];
+const legs = name => [LEGS[name], 0, 13];
+
+const PLAYER_CLIPS = [
+  ['idle', 400, [frame(body(), legs('stand')), frame(body(1), legs('stand'))]],
+  ['run', 100, [
+    frame(body(), legs('run1')), frame(body(1), legs('run2')),
+    frame(body(), legs('run3')), frame(body(1), legs('run2'))
+  ]],
+  ['jump', 100, [frame(body(), [SCARF_FLYING, 0, 8], legs('tuck'))]],
+  ['fall', 100, [frame(body(), [SCARF_FLYING, 0, 7], legs('dangle'))]],
+  ['wall-slide', 100, [frame(body(), [WALL_HAND, 13, 7], legs('wall'))]],
+  ['glide', 150, GLIDER.map(g => frame(body(), [g, 0, 0], [SCARF_FLYING, 0, 8], legs('dangle')))],
+  ['dash', 60, SPEED_LINES.map(l => frame(body(0, 1), [l, 0, 4], [SCARF_FLYING, 0, 8], legs('tuck')))],
+  ['hurt', 120, [
+    frame(body(), [X_EYES, 9, 4], legs('dangle')),
+    recolor(frame(body(), [X_EYES, 9, 4], legs('dangle')), 'y', 'R')
+  ]]
+];
+
+// --- Enemies, facing right, drawn bottom-centred on their hitboxes ---
+
+const ENEMY_PALETTE = {
+  k: '#2a1a12', w: '#ffffff', e: '#222222',
+  g: '#f47350', G: '#b4442c', W: '#ffc2ae', // walker slime
+  h: '#53b0ef', H: '#2f78b0', v: '#d8f1ff', // hopper
+  p: '#b359fe', P: '#7a2fc0', // chaser
+  t: '#ff951d', T: '#c46a0c', Y: '#ffd29a', m: '#555b66', f: '#ffed33' // turret ("projectile")
+};
+
+const SLIME = [
+  '......kkkk......',
+  '....kkggggkk....',
+  '...kgggggggWk...',
+  '..kgggggggggGk..',
+  '..kggwegggweGk..',
+  '.kgggeeggggeeGk.',
+  '.kgggggggggggGk.',
+  '.kggggggggggGGk.',
+  '.kGggggggggGGGk.',
+  '.kGGGGGGGGGGGGk.',
+  '..kkkkkkkkkkkk..'
+]; // rows 5..15
+const SLIME_SQUASH_BASE = ['kkkkkkkkkkkkkkkk'];
+
+const HOPPER_BODY = [
+  '...kk....kk.....',
+  '..kwek..kwek....',
+  '..kwek..kwek....',
+  '..khhhkkhhhhk...',
+  '.khhhhhhhhhhk...',
+  '.khhhhhhhhhhhk..',
+  '.kheeeeeeehhhk..',
+  '.khhhhhhhhhhhk..',
+  '.khvvvvvvvvhHk..',
+  '..khvvvvvvhHk...'
+]; // rows 3..12
+const HOPPER_SIT = ['.kkhHk..khHkk...', 'khhhk....khhhk..', 'kkkkk....kkkkk..'];
+const HOPPER_LEAP = ['...khk....khk...', '..khk......khk..', '.kk..........kk.'];
+
+const GHOST = [
+  '......kkkk......',
+  '....kkppppkk....',
+  '...kppppppppk...',
+  '..kppwwppwwppk..',
+  '..kppwewpwewpk..',
+  '.kppppppppppppk.',
+  '.kpppppppppppPk.',
+  '.kppppppppppPPk.',
+  '.kpppppppppPPPk.',
+  '.kppppppppPPPPk.'
+]; // rows 4..13
+const GHOST_HEM = [
+  ['.kpPkpPkpPkpPkk.', '.kk.kk.kk.kk.k..'],
+  ['.kkpPkpPkpPkpPk.', '..k.kk.kk.kk.kk.']
+];
+const ANGRY_BROWS = ['..kkk..kkk', '...kwe.kwe'];
+
+const TURRET = [
+  '....kkkkkk......',
+  '...kttttttk.....',
+  '..kttYttttTk....',
+  '.kttttttttTTk...',
+  '.kttwettttTTkkkk',
+  '.kttwettttTTmmmk',
+  '.kttttttttTTmmmk',
+  '.kttttttttTTkkkk',
+  '.kTtttttttTTk...',
+  '..kTTttttTTk....',
+  '...kkkkkkkk.....',
+  '....kmmmmk......',
+  '...kmmmmmmk.....',
+  '..kkkkkkkkkk....'
+]; // rows 2..15
+const MUZZLE_GLOW = [['f', 'f'], ['.f', 'ff', 'ff', '.f']];
+
+const ENEMY_CLIPS = [
+  ['walker-move', 180, [
+    frame([SLIME, 0, 5]),
+    frame([SLIME.slice(0, 9), 0, 6], [SLIME_SQUASH_BASE, 0, 15])
+  ]],
+  ['hopper-idle', 200, [frame([HOPPER_BODY, 0, 3], [HOPPER_SIT, 0, 13])]],
+  ['hopper-jump', 200, [frame([HOPPER_BODY, 0, 2], [HOPPER_LEAP, 0, 12])]],
+  ['chaser-idle', 220, GHOST_HEM.map(hem => frame([GHOST, 0, 4], [hem, 0, 14]))],
+  ['chaser-chase', 120, GHOST_HEM.map(hem => frame([GHOST, 0, 4], [ANGRY_BROWS, 3, 6], [hem, 0, 14]))],
+  ['projectile-idle', 200, [frame([TURRET, 0, 2])]],
+  ['projectile-charge', 100, MUZZLE_GLOW.map((glow, i) => frame([TURRET, 0, 2], [glow, 14 + (1 - i), i ? 6 : 7]))]
+];
+
+// --- PNG + Aseprite JSON output ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePNG(width, height, rgba) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 4 + 1)] = 0; // no filter
+    rgba.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function parseColor(hex) {
+  const v = hex.slice(1);
+  return [0, 2, 4, 6].map(i => (i < v.length ? parseInt(v.slice(i, i + 2), 16) : 255));
+}
+
+function writeSheet(name, palette, clips) {
+  const grids = clips.flatMap(([, , frames]) => frames);
+  const width = grids.length * FRAME;
+  const rgba = Buffer.alloc(width * FRAME * 4);
+  grids.forEach((grid, i) => {
+    grid.forEach((row, y) => row.forEach((ch, x) => {
+      if (ch === '.') return;
+      if (!palette[ch]) throw new Error(`${name}: no palette colour for "${ch}"`);
+      const offset = (y * width + i * FRAME + x) * 4;
+      parseColor(palette[ch]).forEach((c, k) => { rgba[offset + k] = c; });
+    }));
+  });
+
+  const frames = [];
+  const frameTags = [];
+  for (let [tag, duration, tagFrames] of clips) {
+    frameTags.push({ name: tag, from: frames.length, to: frames.length + tagFrames.length - 1, direction: 'forward' });
+    for (let i = 0; i < tagFrames.length; i++) {
+      const x = frames.length * FRAME;
+      frames.push({
+        filename: `${name} ${frames.length}.aseprite`,
+        frame: { x, y: 0, w: FRAME, h: FRAME },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: FRAME, h: FRAME },
+        sourceSize: { w: FRAME, h: FRAME },
+        duration
+      });
+    }
+  }
+  const json = {
+    frames,
+    meta: {
+      app: 'scripts/build-sprites.js',
+      version: '1.0',
+      image: `${name}.png`,
+      format: 'RGBA8888',
+      size: { w: width, h: FRAME },
+      scale: '1',
+      frameTags
+    }
+  };
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUT_DIR, `${name}.png`), encodePNG(width, FRAME, rgba));
+  fs.writeFileSync(path.join(OUT_DIR, `${name}.json`), JSON.stringify(json, null, 1) + '\n');
+  console.log(`${name}: ${frames.length} frames, ${frameTags.length} clips`);
+}
+
+writeSheet('player', PLAYER_PALETTE, PLAYER_CLIPS);
+writeSheet('enemies', ENEMY_PALETTE, ENEMY_CLIPS);
@@ -0,0 +1,75 @@
+//
+// mock-leaderboard-server.js - In-memory score server implementing the API that
+// createHttpLeaderboard (src/utils/leaderboards.js) talks to.
+//
+//   GET  /boards/:board?limit=N   -> { entries }
+//   POST /boards/:board           { initials, value } -> { rank, entry }
+//
+// Run it with `node scripts/mock-leaderboard-server.js` (PORT, default 4010) and
+// start the app with REACT_APP_LEADERBOARD_URL=http://localhost:4010. Jest uses
+// createMockLeaderboardServer() to test the HTTP store end to end.
+//
+
+const http = require('http');
+
+const HIGH_SCORE_BOARD = 'highscores';
+
+function createMockLeaderboardServer() {
+  const boards = new Map();
+  let nextId = 1;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = /^\/boards\/([^/]+)$/.exec(url.pathname);
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    if (!match) return send(res, 404, { error: 'Unknown board' });
+    const board = decodeURIComponent(match[1]);
+    const entries = boards.get(board) || [];
+
+    if (req.method === 'GET') {
+      const limit = Number(url.searchParams.get('limit')) || 10;
+      return send(res, 200, { entries: entries.slice(0, limit) });
+    }
+    if (req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        let data;
+        try {
+          data = JSON.parse(body);
+        } catch (e) {
+          return send(res, 400, { error: 'Body must be JSON' });
+        }
+        const initials = String(data.initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        if (!initials || typeof data.value !== 'number' || !(data.value >= 0)) {
+          return send(res, 400, { error: 'initials and a non-negative value are required' });
+        }
+        const entry = { id: String(nextId++), initials, value: data.value, date: Date.now() };
+        const dir = board === HIGH_SCORE_BOARD ? -1 : 1;
+        const sorted = [...entries, entry].sort((a, b) => (a.value - b.value) * dir || a.date - b.date);
+        boards.set(board, sorted);
+        return send(res, 201, { rank: sorted.indexOf(entry) + 1, entry });
+      });
+      return undefined;
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+  });
+}
+
+module.exports = { createMockLeaderboardServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4010;
+  createMockLeaderboardServer().listen(port, () => {
+    console.log(`Mock leaderboard server on http://localhost:${port}`);
+  });
+}
@@ -1,38 +1,113 @@
 // PUBLIC_INTERFACE
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 
 // Main scaffolding imports
 import GameLayout from './components/GameLayout';
 import MainMenu from './components/MainMenu';
+import LoadingScreen from './components/LoadingScreen';
 import LevelSelect from './components/LevelSelect';
 import HUD from './components/HUD';
 import SettingsOverlay from './components/SettingsOverlay';
 import AchievementsOverlay from './components/AchievementsOverlay';
 import LeaderboardsOverlay from './components/LeaderboardsOverlay';
+import SaveSlotsOverlay from './components/SaveSlotsOverlay';
+import LevelEditor from './components/LevelEditor';
+import { SettingsProvider, useSettings } from './components/SettingsContext';
+import useGamepadMenuNavigation from './components/useGamepadMenuNavigation';
 import GameEngine from './engine/GameEngine';
+import AudioEngine from './engine/AudioEngine';
+import GameEventBus from './engine/GameEvents';
+import LEVELS from './engine/levels';
+import { recordLevelResult } from './utils/progress';
+import { trackStats } from './utils/stats';
+import AchievementTracker from './utils/achievements';
+import AchievementToasts from './components/AchievementToasts';
+import HighScoreEntry from './components/HighScoreEntry';
+import LevelResults from './components/LevelResults';
+import ReplayViewer from './components/ReplayViewer';
+import GhostRaceToggle from './components/GhostRaceToggle';
+import { createDefaultLeaderboard } from './utils/leaderboards';
+import { createGhostStore } from './utils/ghosts';
+import { createBlankLevel } from './utils/levelEditing';
+import {
+  SaveManager,
+  createLocalStorageAdapter,
+  createNewSave,
+  downloadSaveFile
+} from './utils/saveSystem';
 // Imports above may rely on enhanced visuals in ./engine/VisualEffects and rich pixel-art backgrounds.
 
+// Save slots live in localStorage; one manager for the whole app
+const saveManager = new SaveManager(createLocalStorageAdapter());
+// Web Audio output shared by every game session (unlocked by the first click/key press)
+const audio = new AudioEngine();
+// Everything that happens in a game is published here (see engine/GameEvents)
+const gameEvents = new GameEventBus();
+const achievements = new AchievementTracker();
+// Local high scores, or the score server named by REACT_APP_LEADERBOARD_URL
+const leaderboard = createDefaultLeaderboard();
+// Best-run ghost per level (not kept for play-tests)
+const ghosts = createGhostStore();
+
+// Menu gamepad navigation, rendered inside SettingsProvider so it follows the player's stick deadzone
+function GamepadMenuNavigation({ enabled, onBack }) {
+  const { settings } = useSettings();
+  useGamepadMenuNavigation({ enabled, onBack, deadzone: settings.padDeadzone });
+  return null;
+}
+
 function App() {
   const [theme, setTheme] = useState('light');
   const [overlay, setOverlay] = useState(null); // null, overlay name, or game overlays
-  const [screen, setScreen] = useState('menu'); // 'menu', 'levelselect', 'game'
+  const [screen, setScreen] = useState('loading'); // 'loading', 'menu', 'levelselect', 'game', 'editor', 'playtest'
+  const isPlaying = screen === 'game' || screen === 'playtest';
 
-  // Persistent, top-level game state for score, lives, collectibles
+  // Where the current run starts (a new game, or a continued save); the HUD then
+  // follows the game through gameEvents
   const [score, setScore] = useState(0);
   const [lives, setLives] = useState(3);
-  const [gems, setGems] = useState(0);
-  const [maxGems, setMaxGems] = useState(0);
   const [currentLevel, setCurrentLevel] = useState(0);
 
+  // Save slots: level unlocks/best results and the run to continue, persisted between sessions
+  const [activeSlot, setActiveSlot] = useState(() => saveManager.getLastSlot());
+  const [slots, setSlots] = useState(() => saveManager.listSlots());
+  const [saveMessage, setSaveMessage] = useState("");
+  const activeSave = slots[activeSlot];
+  const progress = activeSave ? activeSave.progress : { levels: {} };
+
   // Overlay mode for game stages: 'gameover', 'nextlevel', etc
   const [gameFlowOverlay, setGameFlowOverlay] = useState(null);
   const [gameOverlayMessage, setGameOverlayMessage] = useState("");
+  // levelCompleted event shown on the results screen
+  const [levelResult, setLevelResult] = useState(null);
+  // Recording of the attempt that just ended (levelCompleted/gameOver), and whether it's being watched
+  const [lastReplay, setLastReplay] = useState(null);
+  const [watchingReplay, setWatchingReplay] = useState(false);
+  // Finished run offered to the leaderboards ({score, levelTimes}); null while playing
+  const [leaderboardRun, setLeaderboardRun] = useState(null);
+  // Clear times of the levels completed in this run
+  const runLevelTimesRef = useRef([]);
+  // The run is the active slot's (Continue or New Game in a slot), so its score, lives and
+  // level are autosaved; replaying a level from level select only records the level result
+  const savedRunRef = useRef(false);
+  // In-game pause menu is open (reported by GameEngine)
+  const [gamePaused, setGamePaused] = useState(false);
+
+  // Level editor draft; kept here so it survives play-testing
+  const [editorLevel, setEditorLevel] = useState(createBlankLevel);
+  const [playtestRun, setPlaytestRun] = useState(0);
 
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
   }, [theme]);
 
+  // Sound effects, lifetime stats and achievements follow the game event bus
+  useEffect(() => {
+    const offs = [audio.attach(), audio.subscribe(gameEvents), trackStats(gameEvents), achievements.subscribe(gameEvents)];
+    return () => offs.forEach(off => off());
+  }, []);
+
   // PUBLIC_INTERFACE
   const toggleTheme = () => {
     setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
@@ -40,152 +115,325 @@ function App() {
 
   // PUBLIC_INTERFACE
   // Navigation/progression handlers
-  const handleStartGame = () => {
+  const handleStartGame = (startLevel = 0, { score: startScore = 0, lives: startLives = 3, savedRun = false } = {}) => {
     // reset persistent fields on new game
-    setScore(0);
-    setLives(3);
-    setGems(0);
-    setMaxGems(0);
-    setCurrentLevel(0);
+    savedRunRef.current = savedRun;
+    setScore(startScore);
+    setLives(startLives);
+    setCurrentLevel(startLevel);
     setGameFlowOverlay(null);
     setGameOverlayMessage("");
+    setLeaderboardRun(null);
+    setLevelResult(null);
+    setLastReplay(null);
+    setWatchingReplay(false);
+    runLevelTimesRef.current = [];
+    setOverlay(null);
     setScreen('game');
   };
 
+  // Save slot handlers
+  const refreshSlots = () => setSlots(saveManager.listSlots());
+
+  const handleContinue = (slot = activeSlot) => {
+    const save = saveManager.load(slot);
+    if (!save) return;
+    setActiveSlot(slot);
+    handleStartGame(Math.min(save.level, LEVELS.length - 1), { score: save.score, lives: save.lives, savedRun: true });
+  };
+
+  const handleNewGameInSlot = slot => {
+    saveManager.save(slot, createNewSave());
+    setActiveSlot(slot);
+    refreshSlots();
+    handleStartGame(0, { savedRun: true });
+  };
+
+  // A new game takes the active slot when it's empty; otherwise the player picks the slot to overwrite
+  const handleMenuNewGame = () => {
+    if (!activeSave) {
+      handleNewGameInSlot(activeSlot);
+      return;
+    }
+    setSaveMessage("Choose a slot for the new game");
+    showOverlay('saves');
+  };
+
+  const handleDeleteSlot = slot => {
+    saveManager.delete(slot);
+    refreshSlots();
+  };
+
+  const handleExportSlot = slot => {
+    const json = saveManager.exportSlot(slot);
+    if (json) downloadSaveFile(json, `nimble-quest-slot${slot + 1}.json`);
+  };
+
+  const handleImportSlot = (slot, json) => {
+    try {
+      saveManager.importSlot(slot, json);
+      setActiveSlot(slot);
+      setSaveMessage(`Imported into slot ${slot + 1}`);
+    } catch (e) {
+      setSaveMessage(e.message);
+    }
+    refreshSlots();
+  };
+
+  const handleSelectLevel = levelIndex => {
+    handleStartGame(levelIndex);
+  };
+
   const handleShowLevelSelect = () => {
     setScreen('levelselect');
   };
 
+  // Play-testing returns to the editor rather than the main menu
   const handleReturnToMenu = () => {
-    setScreen('menu');
+    setScreen(screen === 'playtest' ? 'editor' : 'menu');
     setGameFlowOverlay(null);
+    setLeaderboardRun(null);
+    setWatchingReplay(false);
+    setGamePaused(false);
+  };
+
+  // Editor drafts can be built to be trivial, so play-tests don't count towards achievements
+  useEffect(() => {
+    achievements.enabled = screen !== 'playtest';
+  }, [screen]);
+
+  // Stable, so the LoadingScreen's preload effect runs only once
+  const handleAssetsLoaded = useCallback(() => setScreen('menu'), []);
+
+  const handleShowEditor = () => {
+    setScreen('editor');
+  };
+
+  const handlePlayTest = level => {
+    setEditorLevel(level);
+    handleStartGame(0);
+    setPlaytestRun(n => n + 1);
+    setScreen('playtest');
   };
 
   const showOverlay = o => setOverlay(o);
   const closeOverlay = () => setOverlay(null);
 
-  // These are called by GameEngine to update state/hud values
-  const handleGameStateUpdate = ({score: nextScore, lives: nextLives, gems: nextGems, maxGems: nextMaxGems, level: nextLevel}) => {
-    setScore(nextScore);
-    setLives(nextLives);
-    setGems(nextGems);
-    setMaxGems(nextMaxGems);
-    setCurrentLevel(nextLevel);
+  // Record best time/gems and unlock the next level in the active slot; the run's score and
+  // lives are autosaved only when it is the slot's own run. The Continue point never moves back.
+  const saveLevelResult = ({ level, time, gems: levelGems, stars, score: runScore, lives: runLives }) => {
+    const base = saveManager.load(activeSlot) || createNewSave();
+    const run = savedRunRef.current ? { score: runScore, lives: runLives } : {};
+    saveManager.save(activeSlot, {
+      ...base,
+      ...run,
+      level: Math.max(base.level, Math.min(level + 1, LEVELS.length - 1)),
+      progress: recordLevelResult(base.progress, level, { time, gems: levelGems, stars })
+    });
+    refreshSlots();
   };
 
-  // Triggered by GameEngine events
-  const handleGameOver = () => {
+  // Game events: flow overlays and autosave (a play-test runs only the editor draft and saves nothing)
+  const handleGameOver = ev => {
     setGameFlowOverlay('gameover');
     setGameOverlayMessage("Game Over");
+    setLastReplay(ev.replay);
+    if (screen !== 'playtest') setLeaderboardRun({ score: ev.score, levelTimes: runLevelTimesRef.current });
   };
 
-  const handleNextLevel = ({levelName}) => {
-    setGameFlowOverlay('nextlevel');
-    setGameOverlayMessage(`Level Complete! ${levelName ? 'Next: ' + levelName : ''}`);
-    // Automatically clear overlay after a short moment (if desired)
+  const handleLevelCompleted = ev => {
+    if (screen !== 'playtest') {
+      saveLevelResult(ev);
+      runLevelTimesRef.current = [...runLevelTimesRef.current, { level: ev.level, time: ev.time }];
+    }
+    setLevelResult(ev);
+    setLastReplay(ev.replay);
+    if (ev.nextLevel != null) {
+      setGameFlowOverlay('nextlevel');
+      setGameOverlayMessage("Level Complete!");
+    } else {
+      setGameFlowOverlay('allcomplete');
+      setGameOverlayMessage("All Levels Complete!\nCongratulations!");
+      if (screen !== 'playtest') setLeaderboardRun({ score: ev.score, levelTimes: runLevelTimesRef.current });
+    }
   };
 
+  // Subscribed once; always calls the latest handlers (they read current screen/slot)
+  const gameEventHandlersRef = useRef(null);
+  gameEventHandlersRef.current = { gameOver: handleGameOver, levelCompleted: handleLevelCompleted };
+  useEffect(() => gameEvents.onMany({
+    gameOver: ev => gameEventHandlersRef.current.gameOver(ev),
+    levelCompleted: ev => gameEventHandlersRef.current.levelCompleted(ev)
+  }), []);
+
   const handleResumeAfterOverlay = () => {
     setGameFlowOverlay(null);
+    setWatchingReplay(false);
   };
 
-  // Allow GameEngine to request a return to menu when all levels complete, etc.
-  const handleAllLevelsComplete = () => {
-    setGameFlowOverlay('allcomplete');
-    setGameOverlayMessage("All Levels Complete!\nCongratulations!");
+  // Gamepad drives menus/overlays whenever gameplay isn't taking input
+  const menuPadEnabled = !isPlaying || !!overlay || !!gameFlowOverlay || gamePaused;
+  const handleMenuPadBack = () => {
+    if (overlay) closeOverlay();
+    else if (screen === 'levelselect') handleReturnToMenu();
   };
 
-  // Props to pass to GameEngine
+  // Props to pass to GameEngine (a play-test runs only the editor draft)
   const gameEngineProps = {
-    onGameStateUpdate: handleGameStateUpdate,
-    onGameOver: handleGameOver,
-    onNextLevel: handleNextLevel,
-    onAllLevelsComplete: handleAllLevelsComplete,
+    events: gameEvents,
     lives,
     score,
-    gems,
-    maxGems,
     level: currentLevel,
     gameFlowOverlay,
     onDismissOverlay: handleResumeAfterOverlay,
+    onShowSettings: () => showOverlay('settings'),
+    onQuit: handleReturnToMenu,
+    menuOpen: !!overlay,
+    onPauseChange: setGamePaused,
+    audio,
+    ...(screen === 'playtest' ? {
+      levels: [editorLevel],
+      level: 0
+    } : { ghosts })
   };
 
   return (
-    <div className="App">
-      <button
-        className="theme-toggle"
-        onClick={toggleTheme}
-        aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
-      >
-        {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
-      </button>
-      <GameLayout screen={screen}>
-        {screen === 'menu' && (
-          <MainMenu
-            onStartGame={handleStartGame}
-            onShowSettings={() => showOverlay('settings')}
-            onShowAchievements={() => showOverlay('achievements')}
-            onShowLeaderboards={() => showOverlay('leaderboards')}
-            onShowLevelSelect={handleShowLevelSelect}
-          />
-        )}
-        {screen === 'levelselect' && (
-          <LevelSelect
-            onBack={handleReturnToMenu}
-            // Future: add onSelectLevel
-          />
-        )}
-        {screen === 'game' && (
-          <>
-            <HUD score={score} lives={lives} gems={gems} maxGems={maxGems} />
-            <GameEngine {...gameEngineProps} />
-            {/* Overlays for game over, next level, etc. */}
-            {gameFlowOverlay && (
-              <div className="overlay" style={{
-                position: "fixed", top: "50%", left: "50%",
-                transform: "translate(-50%,-50%)",
-                minWidth: 280, minHeight: 100, zIndex: 50,
-                background: 'var(--px-window, #222d)',
-                border: '4px solid var(--px-hud-border, #8cf)',
-                boxShadow: '0 0 20px #3339',
-                display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
-                fontFamily: "'Press Start 2P',monospace",
-                color: '#ffd700',
-                textAlign: "center",
-                fontSize: 22,
-                padding: "30px 18px",
-              }}>
-                <div style={{marginBottom:16}}>{gameOverlayMessage}</div>
-                <button
-                  className="px-btn"
-                  style={{marginTop:18, fontSize:"1rem"}}
-                  autoFocus
-                  tabIndex={0}
-                  onClick={
-                    gameFlowOverlay === 'gameover' ? handleReturnToMenu
-                    : handleResumeAfterOverlay
-                  }
-                >
-                  {gameFlowOverlay === 'gameover'
-                    ? 'Return to Menu'
-                    : (gameFlowOverlay === "allcomplete" ? '🎉 Menu' : 'Continue')}
+    <SettingsProvider>
+      <GamepadMenuNavigation enabled={menuPadEnabled} onBack={handleMenuPadBack} />
+      <div className="App">
+        <button
+          className="theme-toggle"
+          onClick={toggleTheme}
+          aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+        >
+          {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
+        </button>
+        <GameLayout screen={screen}>
+          {screen === 'loading' && <LoadingScreen onDone={handleAssetsLoaded} />}
+          {screen === 'menu' && (
+            <MainMenu
+              onStartGame={handleMenuNewGame}
+              onContinue={() => handleContinue()}
+              canContinue={!!activeSave}
+              onShowSaveSlots={() => { setSaveMessage(""); showOverlay('saves'); }}
+              onShowSettings={() => showOverlay('settings')}
+              onShowAchievements={() => showOverlay('achievements')}
+              onShowLeaderboards={() => showOverlay('leaderboards')}
+              onShowLevelSelect={handleShowLevelSelect}
+              onShowEditor={handleShowEditor}
+            />
+          )}
+          {screen === 'editor' && (
+            <LevelEditor
+              level={editorLevel}
+              onChange={setEditorLevel}
+              levels={LEVELS}
+              onPlayTest={handlePlayTest}
+              onBack={handleReturnToMenu}
+            />
+          )}
+          {screen === 'levelselect' && (
+            <LevelSelect
+              levels={LEVELS}
+              progress={progress}
+              onSelectLevel={handleSelectLevel}
+              onBack={handleReturnToMenu}
+            />
+          )}
+          {isPlaying && (
+            <>
+              <HUD events={gameEvents} score={score} lives={lives} />
+              <GameEngine key={screen === 'playtest' ? `playtest-${playtestRun}` : 'game'} {...gameEngineProps} />
+              {screen === 'playtest' && (
+                <button className="px-btn" style={{ marginTop: 8, fontSize: ".7rem" }} onClick={handleReturnToMenu}>
+                  ◀ Back to Editor
                 </button>
-              </div>
-            )}
-          </>
-        )}
-        {/* Overlay Stubs: Show only when overlay state is set */}
-        {overlay === 'settings' && (
-          <SettingsOverlay onClose={closeOverlay} />
-        )}
-        {overlay === 'achievements' && (
-          <AchievementsOverlay onClose={closeOverlay} />
-        )}
-        {overlay === 'leaderboards' && (
-          <LeaderboardsOverlay onClose={closeOverlay} />
-        )}
-      </GameLayout>
-    </div>
+              )}
+              {/* Overlays for game over, next level, etc. */}
+              {gameFlowOverlay && (
+                <div className="overlay" style={{
+                  position: "fixed", top: "50%", left: "50%",
+                  transform: "translate(-50%,-50%)",
+                  minWidth: 280, minHeight: 100, zIndex: 50,
+                  background: 'var(--px-window, #222d)',
+                  border: '4px solid var(--px-hud-border, #8cf)',
+                  boxShadow: '0 0 20px #3339',
+                  display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
+                  fontFamily: "'Press Start 2P',monospace",
+                  color: '#ffd700',
+                  textAlign: "center",
+                  fontSize: 22,
+                  padding: "30px 18px",
+                }}>
+                  <div style={{marginBottom:16}}>{gameOverlayMessage}</div>
+                  {levelResult && (gameFlowOverlay === 'nextlevel' || gameFlowOverlay === 'allcomplete') && (
+                    <LevelResults result={levelResult} />
+                  )}
+                  {leaderboardRun && (gameFlowOverlay === 'gameover' || gameFlowOverlay === 'allcomplete') && (
+                    <HighScoreEntry store={leaderboard} run={leaderboardRun} levels={LEVELS} />
+                  )}
+                  {gameFlowOverlay === 'nextlevel' && <GhostRaceToggle style={{ marginTop: 12 }} />}
+                  {lastReplay && (
+                    <button className="px-btn" style={{marginTop:12, fontSize:".7rem"}} onClick={() => setWatchingReplay(true)}>
+                      ▶ Watch replay
+                    </button>
+                  )}
+                  <button
+                    className="px-btn"
+                    style={{marginTop:18, fontSize:"1rem"}}
+                    autoFocus
+                    tabIndex={0}
+                    onClick={
+                      gameFlowOverlay === 'gameover' || (screen === 'playtest' && gameFlowOverlay === 'allcomplete')
+                        ? handleReturnToMenu
+                        : handleResumeAfterOverlay
+                    }
+                  >
+                    {gameFlowOverlay === 'gameover'
+                      ? (screen === 'playtest' ? 'Back to Editor' : 'Return to Menu')
+                      : (gameFlowOverlay === "allcomplete"
+                        ? (screen === 'playtest' ? '🎉 Editor' : '🎉 Menu')
+                        : `Continue ▶ ${LEVELS[levelResult?.nextLevel]?.name ?? ''}`)}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+          {isPlaying && watchingReplay && lastReplay && (
+            <ReplayViewer
+              level={screen === 'playtest' ? editorLevel : LEVELS[lastReplay.level]}
+              replay={lastReplay}
+              onClose={() => setWatchingReplay(false)}
+            />
+          )}
+          {/* Overlay Stubs: Show only when overlay state is set */}
+          {overlay === 'settings' && (
+            <SettingsOverlay onClose={closeOverlay} />
+          )}
+          {overlay === 'achievements' && (
+            <AchievementsOverlay achievements={achievements.list()} onClose={closeOverlay} />
+          )}
+          {overlay === 'leaderboards' && (
+            <LeaderboardsOverlay store={leaderboard} levels={LEVELS} onClose={closeOverlay} />
+          )}
+          {overlay === 'saves' && (
+            <SaveSlotsOverlay
+              slots={slots}
+              activeSlot={activeSlot}
+              levels={LEVELS}
+              message={saveMessage}
+              onContinue={handleContinue}
+              onNewGame={handleNewGameInSlot}
+              onDelete={handleDeleteSlot}
+              onExport={handleExportSlot}
+              onImport={handleImportSlot}
+              onClose={closeOverlay}
+            />
+          )}
+        </GameLayout>
+        <AchievementToasts tracker={achievements} />
+      </div>
+    </SettingsProvider>
   );
 }
 
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+
+const TOAST_DURATION = 3500; // ms on screen
+const MAX_TOASTS = 3;
+
+// PUBLIC_INTERFACE
+/**
+ * AchievementToasts - Pops up a short notification whenever an achievement unlocks.
+ * Toasts stack in the top-right corner and disappear on their own.
+ * @param {AchievementTracker} tracker - source of unlocks (utils/achievements)
+ */
+const AchievementToasts = ({ tracker }) => {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => {
+    if (!tracker) return undefined;
+    const timers = new Set();
+    const off = tracker.onUnlock(achievement => {
+      const key = `${achievement.id}-${Date.now()}`;
+      setToasts(list => [...list, { key, achievement }].slice(-MAX_TOASTS));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setToasts(list => list.filter(t => t.key !== key));
+      }, TOAST_DURATION);
+      timers.add(timer);
+    });
+    return () => {
+      off();
+      timers.forEach(clearTimeout);
+    };
+  }, [tracker]);
+
+  if (!toasts.length) return null;
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      style={{
+        position: "fixed",
+        top: 14,
+        right: 14,
+        zIndex: 80,
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+        pointerEvents: "none"
+      }}
+    >
+      {toasts.map(({ key, achievement }) => (
+        <div
+          key={key}
+          className="achievement-toast"
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 10,
+            minWidth: 220,
+            background: "var(--px-window, #181824)",
+            border: "3px solid #ffd700",
+            boxShadow: "0 4px 0 var(--px-ui-shadow)",
+            padding: "8px 12px",
+            fontFamily: "'Press Start 2P',monospace",
+            textAlign: "left"
+          }}
+        >
+          <span role="img" aria-hidden="true" style={{ fontSize: "1.4rem" }}>{achievement.icon}</span>
+          <div>
+            <div style={{ fontSize: ".5rem", color: "#ffd700", marginBottom: 4 }}>Achievement unlocked!</div>
+            <div style={{ fontSize: ".62rem", color: "var(--px-title)" }}>{achievement.name}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AchievementToasts;
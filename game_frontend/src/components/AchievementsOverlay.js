@@ -1,85 +1,138 @@
 import React from 'react';
 
+// Seconds-based goals show one decimal, counts are whole numbers
+function formatProgress(value, unit) {
+  return unit === 's' ? value.toFixed(1) : Math.floor(value);
+}
+
 // PUBLIC_INTERFACE
 /**
  * AchievementsOverlay - Robust, clean retro overlay for achievements/unlocks.
  * Pixel-art retro design, centered overlay that fits all containers.
+ * Locked entries show a progress bar, unlocked ones their unlock date.
+ * @param {Array} achievements - AchievementTracker.list() (utils/achievements)
  * @param {function} onClose - called when user closes overlay
  */
-const AchievementsOverlay = ({ onClose }) => (
-  <div
-    className="overlay achievements-overlay"
-    style={{
-      position: "fixed",
-      top: "50%",
-      left: "50%",
-      transform: "translate(-50%,-50%)",
-      width: "min(380px, 96vw)",
-      minHeight: 156,
-      zIndex: 52,
-      background: "var(--px-window, #181824)",
-      border: "4px solid var(--px-hud-border)",
-      boxShadow: "0 0 0 8px var(--px-shadow), 0 8px 0 var(--px-ui-shadow)",
-      borderRadius: 0,
-      padding: "27px 24px 20px",
-      display: "flex",
-      flexDirection: "column",
-      alignItems: "center",
-      fontFamily: "'Press Start 2P',monospace",
-      color: "var(--px-title)",
-      textAlign: "center"
-    }}
-    role="dialog"
-    aria-modal="true"
-    aria-label="Achievements"
-  >
-    <h2
+const AchievementsOverlay = ({ achievements = [], onClose }) => {
+  const unlockedCount = achievements.filter(a => a.unlockedAt != null).length;
+  return (
+    <div
+      className="overlay achievements-overlay"
       style={{
+        position: "fixed",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%,-50%)",
+        width: "min(380px, 96vw)",
+        minHeight: 156,
+        zIndex: 52,
+        background: "var(--px-window, #181824)",
+        border: "4px solid var(--px-hud-border)",
+        boxShadow: "0 0 0 8px var(--px-shadow), 0 8px 0 var(--px-ui-shadow)",
+        borderRadius: 0,
+        padding: "27px 24px 20px",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        fontFamily: "'Press Start 2P',monospace",
         color: "var(--px-title)",
-        fontSize: "1.35rem",
-        textShadow: "3px 3px var(--px-block-border),0 0 7px #fffd",
-        marginBottom: 22,
-        letterSpacing: 1.3
+        textAlign: "center"
       }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Achievements"
     >
-      Achievements
-    </h2>
-    <div style={{
-      width: "97%",
-      minHeight: 70,
-      background: "rgba(38,41,60,0.78)",
-      border: "2px solid var(--px-border)",
-      borderRadius: 0,
-      boxShadow: "0 2px 0 var(--px-shadow)",
-      color: "var(--px-text-main)",
-      fontFamily: "monospace",
-      fontWeight: 400,
-      fontSize: ".62rem",
-      textAlign: "center",
-      marginBottom: 18,
-      padding: "11px 11px 13px"
-    }}>
-      <span style={{color: "#ffd700"}}>🎯</span>
-      <div style={{paddingTop:2, color:"var(--px-text-main, #fffadf)"}}>
-        Unlock achievements as you collect gems, finish levels, and discover secrets!<br /><br/>
-        <i>Sample: "Gem Collector", "First Victory", "Secret Finder" (UI only, not hooked up)</i>
+      <h2
+        style={{
+          color: "var(--px-title)",
+          fontSize: "1.35rem",
+          textShadow: "3px 3px var(--px-block-border),0 0 7px #fffd",
+          marginBottom: 22,
+          letterSpacing: 1.3
+        }}
+      >
+        Achievements
+      </h2>
+      <div style={{ fontSize: ".55rem", marginTop: -10, marginBottom: 14, color: "var(--px-text-secondary)" }}>
+        {unlockedCount} / {achievements.length} unlocked
       </div>
+      <ul
+        style={{
+          width: "97%",
+          maxHeight: "55vh",
+          overflowY: "auto",
+          listStyle: "none",
+          margin: "0 0 18px",
+          padding: 0,
+          textAlign: "left"
+        }}
+      >
+        {achievements.map(a => {
+          const done = a.unlockedAt != null;
+          return (
+            <li
+              key={a.id}
+              style={{
+                display: "flex",
+                gap: 10,
+                alignItems: "center",
+                background: "rgba(38,41,60,0.78)",
+                border: `2px solid ${done ? "#ffd700" : "var(--px-border)"}`,
+                boxShadow: "0 2px 0 var(--px-shadow)",
+                padding: "8px 10px",
+                marginBottom: 8,
+                opacity: done ? 1 : 0.75
+              }}
+            >
+              <span role="img" aria-hidden="true" style={{ fontSize: "1.3rem", filter: done ? "none" : "grayscale(1)" }}>
+                {a.icon}
+              </span>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: ".6rem", color: done ? "#ffd700" : "var(--px-title)" }}>{a.name}</div>
+                <div style={{ fontFamily: "monospace", fontSize: ".62rem", color: "var(--px-text-main, #fffadf)", margin: "3px 0 5px" }}>
+                  {a.description}
+                </div>
+                {done ? (
+                  <div style={{ fontFamily: "monospace", fontSize: ".58rem", color: "#2ecc71" }}>
+                    Unlocked {new Date(a.unlockedAt).toLocaleDateString()}
+                  </div>
+                ) : (
+                  <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                    <div
+                      role="progressbar"
+                      aria-valuemin={0}
+                      aria-valuemax={a.goal}
+                      aria-valuenow={a.progress}
+                      style={{ flex: 1, height: 6, background: "#0006", border: "1px solid var(--px-border)" }}
+                    >
+                      <div style={{ width: `${(a.progress / a.goal) * 100}%`, height: "100%", background: "#28d6fa" }} />
+                    </div>
+                    <span style={{ fontFamily: "monospace", fontSize: ".58rem" }}>
+                      {formatProgress(a.progress, a.unit)}/{a.goal}{a.unit || ''}
+                    </span>
+                  </div>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        className="px-btn"
+        style={{
+          marginTop: 8,
+          fontSize: ".97rem",
+          background: "var(--px-button)",
+          color: "var(--px-title)"
+        }}
+        tabIndex={0}
+        autoFocus
+        onClick={onClose}
+      >
+        Close
+      </button>
     </div>
-    <button
-      className="px-btn"
-      style={{
-        marginTop: 8,
-        fontSize: ".97rem",
-        background: "var(--px-button)",
-        color: "var(--px-title)"
-      }}
-      tabIndex={0}
-      autoFocus
-      onClick={onClose}
-    >
-      Close
-    </button>
-  </div>
-);
+  );
+};
 
 export default AchievementsOverlay;
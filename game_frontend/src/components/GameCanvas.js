@@ -1,10 +1,18 @@
 import React, { useRef, useEffect, useImperativeHandle, forwardRef } from 'react';
+import { VisualEffects } from '../engine/VisualEffects';
+import CRTPipeline from '../engine/CRTPipeline';
+
+// The WebGL CRT output renders at the displayed size, up to 2 device pixels per CSS pixel
+const MAX_CRT_PIXEL_RATIO = 2;
 
 /**
  * GameCanvas
  * A reusable React-wrapper for the game's HTML5 canvas.
  * Handles physical pixel scaling for crisp pixel-art (uses imageRendering: "pixelated").
  * Forwards imperative methods for engine use (draw, getContext, etc).
+ * present(crt) post-processes the finished frame: through the WebGL CRTPipeline onto a
+ * second, display-resolution canvas that replaces the 2D one on screen where supported,
+ * otherwise with the canvas2d CRT pass (VisualEffects.applyCRTPass).
  * 
  * Props:
  *   width, height: Logical canvas size in pixels.
@@ -17,13 +25,52 @@ import React, { useRef, useEffect, useImperativeHandle, forwardRef } from 'react
 // PUBLIC_INTERFACE
 const GameCanvas = forwardRef(({ width, height, scale = 2, onCanvasReady }, ref) => {
   const canvasRef = useRef(null);
+  const crtCanvasRef = useRef(null);
+  const pipelineRef = useRef(null); // CRTPipeline once created; false if WebGL isn't usable
+  const outputRef = useRef('2d'); // which canvas is on screen: '2d' or 'webgl'
+
+  const showOutput = mode => {
+    if (outputRef.current === mode) return;
+    outputRef.current = mode;
+    canvasRef.current.style.display = mode === 'webgl' ? 'none' : '';
+    crtCanvasRef.current.style.display = mode === 'webgl' ? '' : 'none';
+  };
+
+  const getPipeline = () => {
+    if (pipelineRef.current === null) {
+      try {
+        pipelineRef.current = CRTPipeline.isSupported() ? new CRTPipeline(crtCanvasRef.current, width, height) : false;
+      } catch (e) {
+        pipelineRef.current = false;
+      }
+    }
+    return pipelineRef.current;
+  };
 
   // Expose imperative API for engine/parent components
   useImperativeHandle(ref, () => ({
     getContext: (mode = '2d') =>
       canvasRef.current ? canvasRef.current.getContext(mode) : null,
-    getCanvas: () => canvasRef.current
-  }), []);
+    // The canvas currently on screen
+    getCanvas: () => (outputRef.current === 'webgl' ? crtCanvasRef.current : canvasRef.current),
+    /**
+     * Show the frame drawn into the 2D context with the CRT effect applied.
+     * @param {object|null} crt - getCRTOptions() (utils/settings); null shows the frame as drawn
+     */
+    present: crt => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      const pipeline = crt && crt.renderer !== 'canvas' && getPipeline();
+      // render() declines while the WebGL context is lost; the 2D pass covers until it returns
+      if (pipeline && pipeline.render(canvas, crt)) {
+        showOutput('webgl');
+        return;
+      }
+      if (crt) VisualEffects.applyCRTPass(canvas, crt);
+      showOutput('2d');
+    }
+    // eslint-disable-next-line
+  }), [width, height]);
 
   // Physical size/scale
   useEffect(() => {
@@ -36,24 +83,46 @@ const GameCanvas = forwardRef(({ width, height, scale = 2, onCanvasReady }, ref)
     canvas.style.height = `${height * scale}px`;
     canvas.style.background = '#181824'; // Placeholder dark background.
     canvas.style.imageRendering = 'pixelated';
+    // The CRT output has real curvature and a shadow mask, so it renders at display resolution
+    const crtCanvas = crtCanvasRef.current;
+    const ratio = Math.min(MAX_CRT_PIXEL_RATIO, window.devicePixelRatio || 1);
+    crtCanvas.width = Math.round(width * scale * ratio);
+    crtCanvas.height = Math.round(height * scale * ratio);
+    crtCanvas.style.width = canvas.style.width;
+    crtCanvas.style.height = canvas.style.height;
     if (onCanvasReady) onCanvasReady(canvas);
   }, [width, height, scale, onCanvasReady]);
 
+  // Free the WebGL resources with the canvas
+  useEffect(() => () => {
+    if (pipelineRef.current) pipelineRef.current.dispose();
+    pipelineRef.current = null;
+  }, []);
+
   return (
-    <canvas
-      ref={canvasRef}
-      className="pixel-canvas"
-      tabIndex={0} // Allows keyboard focus if needed later
-      width={width}
-      height={height}
-      aria-label="Pixel game canvas"
-      style={{
-        outline: "none",
-        imageRendering: "pixelated",
-        MozImageRendering: "pixelated",
-        msInterpolationMode: "nearest-neighbor"
-      }}
-    />
+    <>
+      <canvas
+        ref={canvasRef}
+        className="pixel-canvas"
+        tabIndex={0} // Allows keyboard focus if needed later
+        width={width}
+        height={height}
+        aria-label="Pixel game canvas"
+        style={{
+          outline: "none",
+          imageRendering: "pixelated",
+          MozImageRendering: "pixelated",
+          msInterpolationMode: "nearest-neighbor"
+        }}
+      />
+      <canvas
+        ref={crtCanvasRef}
+        className="pixel-canvas"
+        tabIndex={0}
+        aria-label="Pixel game canvas"
+        style={{ outline: "none", display: "none" }}
+      />
+    </>
   );
 });
 
@@ -0,0 +1,25 @@
+import React from 'react';
+import { useSettings } from './SettingsContext';
+
+// PUBLIC_INTERFACE
+/**
+ * GhostRaceToggle - Switches the ghostRacing setting: whether levels that have been
+ * finished before are raced against the best run's ghost. Shown wherever a level is
+ * about to start (level select, the results screen before Continue).
+ * @param {object} [style] - extra button styles
+ */
+const GhostRaceToggle = ({ style }) => {
+  const { settings, updateSettings } = useSettings();
+  return (
+    <button
+      className="px-btn"
+      style={{ fontSize: ".62rem", ...style }}
+      aria-pressed={settings.ghostRacing}
+      onClick={() => updateSettings({ ghostRacing: !settings.ghostRacing })}
+    >
+      👻 Race best-run ghost: {settings.ghostRacing ? "On" : "Off"}
+    </button>
+  );
+};
+
+export default GhostRaceToggle;
@@ -1,36 +1,97 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { formatTime } from '../utils';
+
+// Which HUD values each game event carries (see engine/GameEvents)
+const HUD_FIELDS = {
+  levelStarted: ev => ({
+    score: ev.score, lives: ev.lives, gems: ev.gems ?? 0, maxGems: ev.maxGems, time: 0, par: ev.par, ghostDelta: null
+  }),
+  levelTimer: ev => ({ time: ev.time, par: ev.par, ghostDelta: ev.ghostDelta ?? null }),
+  gemCollected: ev => ({ score: ev.score, gems: ev.gems, maxGems: ev.maxGems }),
+  playerDefeated: ev => ({ lives: ev.lives }),
+  levelCompleted: ev => ({ score: ev.score, lives: ev.lives })
+};
+
+// Ghost race delta: "-1.2" ahead, "+0.4" behind
+function formatDelta(d) {
+  return `${d < 0 ? '-' : '+'}${Math.abs(d).toFixed(1)}`;
+}
 
 // PUBLIC_INTERFACE
 /**
- * HUD - Heads-Up Display for score, lives, gems, etc.
+ * HUD - Heads-Up Display for score, lives, gems and the level clock (red once past par),
+ * with the time ahead of/behind the personal-best ghost while racing one.
+ * Follows the game on its event bus; the props are the values shown until the first event.
  *
  * Props:
+ *   - events {GameEventBus} (engine/GameEvents)
  *   - score {number}
  *   - lives {number}
  *   - gems {number}
  *   - maxGems {number}
  */
-const HUD = ({ score = 0, lives = 3, gems = 0, maxGems = 0 }) => (
-  <div className="hud" role="region" aria-label="game hud">
-    <span className="hud-label" style={{ color: "#ffd700", textShadow: "2px 2px #ffb700" }}>
-      SCORE
-      <span className="hud-value" style={{ color: "#2ecc71", marginLeft: 10 }}>
-        {String(score).padStart(6, "0")}
+const HUD = ({ events, score: initialScore = 0, lives: initialLives = 3, gems: initialGems = 0, maxGems: initialMaxGems = 0 }) => {
+  const [{ score, lives, gems, maxGems, time, par, ghostDelta }, setValues] = useState({
+    score: initialScore,
+    lives: initialLives,
+    gems: initialGems,
+    maxGems: initialMaxGems,
+    time: 0,
+    par: null,
+    ghostDelta: null
+  });
+  const overPar = par != null && time > par;
+
+  useEffect(() => {
+    if (!events) return undefined;
+    const handlers = {};
+    for (let [type, pick] of Object.entries(HUD_FIELDS)) {
+      handlers[type] = ev => setValues(v => ({ ...v, ...pick(ev) }));
+    }
+    return events.onMany(handlers);
+  }, [events]);
+
+  return (
+    <div className="hud" role="region" aria-label="game hud">
+      <span className="hud-label" style={{ color: "#ffd700", textShadow: "2px 2px #ffb700" }}>
+        SCORE
+        <span className="hud-value" style={{ color: "#2ecc71", marginLeft: 10 }}>
+          {String(score).padStart(6, "0")}
+        </span>
+      </span>
+      <span className="hud-label" style={{ color: "#f36d58", textShadow: "2px 2px #ff705d" }}>
+        LIVES
+        <span className="hud-value" style={{ color: "#fff", marginLeft: 10, textShadow: "1px 1px #222" }}>
+          ×{lives}
+        </span>
       </span>
-    </span>
-    <span className="hud-label" style={{ color: "#f36d58", textShadow: "2px 2px #ff705d" }}>
-      LIVES
-      <span className="hud-value" style={{ color: "#fff", marginLeft: 10, textShadow: "1px 1px #222" }}>
-        ×{lives}
+      <span className="hud-label" style={{ color: "#28d6fa", textShadow: "2px 2px #85eaff" }}>
+        GEMS
+        <span className="hud-value" style={{ color: "#ffd6a3", marginLeft: 10 }}>
+          {gems}{typeof maxGems === "number" && maxGems > 0 ? `/${maxGems}` : ""}
+        </span>
       </span>
-    </span>
-    <span className="hud-label" style={{ color: "#28d6fa", textShadow: "2px 2px #85eaff" }}>
-      GEMS
-      <span className="hud-value" style={{ color: "#ffd6a3", marginLeft: 10 }}>
-        {gems}{typeof maxGems === "number" && maxGems > 0 ? `/${maxGems}` : ""}
+      <span className="hud-label" style={{ color: "#c9a6ff", textShadow: "2px 2px #8e6bd6" }}>
+        TIME
+        <span className="hud-value" style={{ color: overPar ? "#f36d58" : "#fff", marginLeft: 10, textShadow: "1px 1px #222" }}>
+          {formatTime(time)}
+        </span>
+        {par != null && (
+          <span style={{ color: "var(--px-text-secondary, #ccc)", marginLeft: 6, fontSize: "0.7em" }}>
+            PAR {formatTime(par)}
+          </span>
+        )}
+        {ghostDelta != null && (
+          <span
+            aria-label={ghostDelta <= 0 ? "ahead of ghost" : "behind ghost"}
+            style={{ color: ghostDelta <= 0 ? "#2ecc71" : "#f36d58", marginLeft: 6, fontSize: "0.7em" }}
+          >
+            👻{formatDelta(ghostDelta)}
+          </span>
+        )}
       </span>
-    </span>
-  </div>
-);
+    </div>
+  );
+};
 
 export default HUD;
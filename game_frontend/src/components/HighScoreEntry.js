@@ -0,0 +1,157 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { findQualifyingBoards, submitScores, HIGH_SCORE_BOARD } from '../utils/leaderboards';
+import { formatTime } from '../utils';
+
+const CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+const slotButtonStyle = { fontSize: ".6rem", padding: "2px 8px", minWidth: 0 };
+
+function cycle(ch, step) {
+  const i = CHARSET.indexOf(ch);
+  return CHARSET[(i + step + CHARSET.length) % CHARSET.length];
+}
+
+/**
+ * Arcade-style three-letter entry: ▲/▼ (or arrow keys / typing) change the
+ * selected letter, ←/→ move between letters, Enter or OK submits.
+ */
+function InitialsEntry({ onSubmit, disabled }) {
+  const [letters, setLetters] = useState(['A', 'A', 'A']);
+  const [pos, setPos] = useState(0);
+  const groupRef = useRef(null);
+
+  // Take focus from the overlay's button so typing goes straight into the slots
+  useEffect(() => { groupRef.current?.focus(); }, []);
+
+  const setLetter = (i, ch) => setLetters(prev => prev.map((c, j) => (j === i ? ch : c)));
+
+  const handleKeyDown = e => {
+    if (disabled) return;
+    const key = e.key.toUpperCase();
+    if (key.length === 1 && CHARSET.includes(key)) {
+      setLetter(pos, key);
+      setPos(p => Math.min(2, p + 1));
+    } else if (e.key === 'ArrowUp') setLetter(pos, cycle(letters[pos], 1));
+    else if (e.key === 'ArrowDown') setLetter(pos, cycle(letters[pos], -1));
+    else if (e.key === 'ArrowLeft' || e.key === 'Backspace') setPos(p => Math.max(0, p - 1));
+    else if (e.key === 'ArrowRight') setPos(p => Math.min(2, p + 1));
+    else if (e.key === 'Enter') onSubmit(letters.join(''));
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  return (
+    <div
+      ref={groupRef}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      role="group"
+      aria-label="Enter your initials"
+      style={{ display: "flex", alignItems: "center", gap: 8, outline: "none" }}
+    >
+      {letters.map((ch, i) => (
+        <div key={i} style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 4 }}>
+          <button className="px-btn" style={slotButtonStyle} disabled={disabled}
+            aria-label={`Letter ${i + 1} up`}
+            onClick={() => { setPos(i); setLetter(i, cycle(ch, 1)); }}>▲</button>
+          <span
+            onClick={() => setPos(i)}
+            style={{
+              fontSize: 26,
+              width: 34,
+              padding: "4px 0",
+              color: "var(--px-title)",
+              borderBottom: `4px solid ${i === pos ? '#ffd700' : 'var(--px-border)'}`
+            }}
+          >
+            {ch}
+          </span>
+          <button className="px-btn" style={slotButtonStyle} disabled={disabled}
+            aria-label={`Letter ${i + 1} down`}
+            onClick={() => { setPos(i); setLetter(i, cycle(ch, -1)); }}>▼</button>
+        </div>
+      ))}
+      <button className="px-btn" style={{ fontSize: ".8rem", marginLeft: 6 }} disabled={disabled}
+        onClick={() => onSubmit(letters.join(''))}>
+        OK
+      </button>
+    </div>
+  );
+}
+
+function describeBoard(result, levels) {
+  return result.board === HIGH_SCORE_BOARD
+    ? `Score ${result.value}`
+    : `${levels[Number(result.board.split('-')[1])]?.name ?? 'Level'} ${formatTime(result.value)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * HighScoreEntry - Shown on the game over / all-complete overlay. Checks which
+ * leaderboards the finished run made (score table and per-level best times)
+ * and, if any, asks for initials and submits them to all of those boards.
+ * Renders nothing when the run didn't place anywhere.
+ * @param {object} store - LeaderboardStore (utils/leaderboards)
+ * @param {{score: number, levelTimes: Array<{level: number, time: number}>}} run
+ * @param {Array} levels - level list, for naming time boards
+ */
+const HighScoreEntry = ({ store, run, levels = [] }) => {
+  // 'checking' -> 'entry' -> 'submitting' -> 'done', or 'none' / 'error'
+  const [phase, setPhase] = useState('checking');
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    findQualifyingBoards(store, run).then(
+      found => {
+        if (cancelled) return;
+        setResults(found);
+        setPhase(found.length ? 'entry' : 'none');
+      },
+      err => {
+        if (cancelled) return;
+        setError(err.message);
+        setPhase('error');
+      }
+    );
+    return () => { cancelled = true; };
+  }, [store, run]);
+
+  const handleSubmit = async initials => {
+    setPhase('submitting');
+    try {
+      setResults(await submitScores(store, initials, results));
+      setPhase('done');
+    } catch (err) {
+      setError(err.message);
+      setPhase('error');
+    }
+  };
+
+  if (phase === 'checking' || phase === 'none') return null;
+  return (
+    <div style={{ fontSize: ".6rem", color: "var(--px-text-main, #fffadf)", marginTop: 4, lineHeight: 1.7 }}>
+      {phase === 'error' && <div role="alert" style={{ color: "#f87" }}>Leaderboard: {error}</div>}
+      {(phase === 'entry' || phase === 'submitting') && (
+        <>
+          <div style={{ color: "#ffd700", marginBottom: 6 }}>New record! Enter your initials</div>
+          <div style={{ marginBottom: 10 }}>
+            {results.map(r => <div key={r.board}>{describeBoard(r, levels)}</div>)}
+          </div>
+          <div style={{ display: "flex", justifyContent: "center" }}>
+            <InitialsEntry onSubmit={handleSubmit} disabled={phase === 'submitting'} />
+          </div>
+        </>
+      )}
+      {phase === 'done' && results.map(r => (
+        <div key={r.board}>
+          <span style={{ color: "#ffd700" }}>#{r.rank}</span> {describeBoard(r, levels)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default HighScoreEntry;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ACTIONS,
+  BINDING_SLOTS,
+  DEFAULT_BINDINGS,
+  bindKey,
+  findConflicts,
+  keyLabel
+} from '../engine/InputBindings';
+
+const slotStyle = {
+  margin: "0 0 0 4px",
+  padding: "3px 5px",
+  minWidth: 44,
+  fontSize: ".5rem",
+  boxShadow: "2px 2px var(--px-ui-shadow)"
+};
+
+// PUBLIC_INTERFACE
+/**
+ * KeyBindingsEditor - Rebinding table for the Settings overlay.
+ * Click a slot, then press a key to bind it (Esc cancels, Backspace/Delete clears).
+ * Keys bound to several actions are flagged as conflicts.
+ * @param {object} bindings - { [action]: string[] } (engine/InputBindings.js)
+ * @param {function} onChange - called with the new bindings
+ */
+const KeyBindingsEditor = ({ bindings, onChange }) => {
+  const [capturing, setCapturing] = useState(null); // { action, slot } or null
+
+  useEffect(() => {
+    if (!capturing) return undefined;
+    function handleKeyDown(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setCapturing(null);
+        return;
+      }
+      const key = e.key === 'Backspace' || e.key === 'Delete' ? null : e.key;
+      onChange(bindKey(bindings, capturing.action, capturing.slot, key));
+      setCapturing(null);
+    }
+    // Capture phase, so the game and menus never see the key being bound
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [capturing, bindings, onChange]);
+
+  const conflicts = findConflicts(bindings);
+  const conflictKeys = conflicts.map(c => c.key);
+
+  return (
+    <div style={{ width: "100%" }}>
+      {ACTIONS.map(({ id, label }) => (
+        <div
+          key={id}
+          style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "4px 0" }}
+        >
+          <span>{label}</span>
+          <span>
+            {Array.from({ length: BINDING_SLOTS }, (_, slot) => {
+              const key = bindings[id]?.[slot];
+              const isCapturing = capturing && capturing.action === id && capturing.slot === slot;
+              const conflicted = key && conflictKeys.includes(key);
+              return (
+                <button
+                  key={slot}
+                  className="px-btn"
+                  style={{
+                    ...slotStyle,
+                    borderColor: conflicted ? "#f36d58" : undefined,
+                    color: conflicted ? "#f36d58" : undefined
+                  }}
+                  aria-label={`${label} key ${slot + 1}: ${isCapturing ? "press a key" : keyLabel(key)}`}
+                  onClick={() => setCapturing({ action: id, slot })}
+                >
+                  {isCapturing ? "…" : keyLabel(key)}
+                </button>
+              );
+            })}
+          </span>
+        </div>
+      ))}
+      {capturing && (
+        <div style={{ color: "var(--px-title)", margin: "6px 0" }}>
+          Press a key (Esc cancels, Backspace clears)
+        </div>
+      )}
+      {conflicts.length > 0 && (
+        <div role="alert" style={{ color: "#f36d58", margin: "6px 0" }}>
+          {conflicts.map(c => `${keyLabel(c.key)}: ${c.actions.join(" + ")}`).join("; ")}
+        </div>
+      )}
+      <button
+        className="px-btn"
+        style={{ fontSize: ".5rem", padding: "4px 10px", marginTop: 6 }}
+        onClick={() => { setCapturing(null); onChange(DEFAULT_BINDINGS); }}
+      >
+        Reset controls
+      </button>
+    </div>
+  );
+};
+
+export default KeyBindingsEditor;
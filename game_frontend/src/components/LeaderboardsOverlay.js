@@ -1,84 +1,174 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { HIGH_SCORE_BOARD, TOP_COUNT, levelTimeBoard, loadOwnEntryIds } from '../utils/leaderboards';
+import { formatTime } from '../utils';
+
+// Entries fetched past the top ten, so the player's best rank shows even when it's lower
+const OWN_RANK_DEPTH = 50;
+
+const tabStyle = active => ({
+  fontSize: ".58rem",
+  padding: "5px 9px",
+  background: active ? "var(--px-button)" : "transparent",
+  color: active ? "var(--px-title)" : "var(--px-text-secondary)"
+});
 
 // PUBLIC_INTERFACE
 /**
  * LeaderboardsOverlay - Robust, clean retro overlay for leaderboards.
  * Pixel-art retro appearance, perfect fit, visually polished.
+ * Two tables: whole-run high scores and best clear times per level (◀ ▶ picks
+ * the level). Entries submitted from this browser are highlighted, and the
+ * player's best one is listed with its rank even when it's outside the top ten.
+ * @param {object} store - LeaderboardStore (utils/leaderboards)
+ * @param {Array} levels - level list, for the best-times selector
  * @param {function} onClose - called on close
  */
-const LeaderboardsOverlay = ({ onClose }) => (
-  <div
-    className="overlay leaderboards-overlay"
-    style={{
-      position: "fixed",
-      top: "50%",
-      left: "50%",
-      transform: "translate(-50%,-50%)",
-      width: "min(400px, 99vw)",
-      minHeight: 170,
-      zIndex: 52,
-      background: "var(--px-window, #181824fc)",
-      border: "4px solid var(--px-hud-border)",
-      boxShadow: "0 0 0 8px var(--px-shadow),0 8px 0 var(--px-ui-shadow)",
-      borderRadius: 0,
-      padding: "26px 16px 17px",
-      display: "flex",
-      flexDirection: "column",
-      alignItems: "center",
-      fontFamily: "'Press Start 2P',monospace",
-      color: "var(--px-title)",
-      textAlign: "center"
-    }}
-    role="dialog"
-    aria-modal="true"
-    aria-label="Leaderboards"
-  >
-    <h2
+const LeaderboardsOverlay = ({ store, levels = [], onClose }) => {
+  const [tab, setTab] = useState('scores'); // 'scores' | 'times'
+  const [levelIdx, setLevelIdx] = useState(0);
+  const [state, setState] = useState({ loading: true, entries: [], error: "" });
+  const [ownIds] = useState(() => new Set(loadOwnEntryIds()));
+  const board = tab === 'scores' ? HIGH_SCORE_BOARD : levelTimeBoard(levelIdx);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(s => ({ ...s, loading: true, error: "" }));
+    store.getTop(board, OWN_RANK_DEPTH).then(
+      entries => { if (!cancelled) setState({ loading: false, entries, error: "" }); },
+      err => { if (!cancelled) setState({ loading: false, entries: [], error: err.message }); }
+    );
+    return () => { cancelled = true; };
+  }, [store, board]);
+
+  const ownBest = state.entries.findIndex(e => ownIds.has(e.id));
+  // Top entries, plus the player's best one (and its rank) if it's below them
+  const rows = state.entries.slice(0, TOP_COUNT).map((entry, i) => ({ entry, rank: i + 1 }));
+  if (ownBest >= TOP_COUNT) rows.push({ entry: state.entries[ownBest], rank: ownBest + 1, gap: true });
+
+  const stepLevel = step => setLevelIdx(i => (i + step + levels.length) % levels.length);
+
+  return (
+    <div
+      className="overlay leaderboards-overlay"
       style={{
+        position: "fixed",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%,-50%)",
+        width: "min(400px, 99vw)",
+        minHeight: 170,
+        zIndex: 52,
+        background: "var(--px-window, #181824fc)",
+        border: "4px solid var(--px-hud-border)",
+        boxShadow: "0 0 0 8px var(--px-shadow),0 8px 0 var(--px-ui-shadow)",
+        borderRadius: 0,
+        padding: "26px 16px 17px",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        fontFamily: "'Press Start 2P',monospace",
         color: "var(--px-title)",
-        fontSize: "1.18rem",
-        textShadow: "2px 2px var(--px-block-border),0 0 6px #fffd",
-        marginBottom: 21,
-        letterSpacing: 1.3
+        textAlign: "center"
       }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Leaderboards"
     >
-      Leaderboards
-    </h2>
-    <div style={{
-      width: "97%",
-      minHeight: 80,
-      background: "rgba(38,41,60,0.78)",
-      border: "2px solid var(--px-border)",
-      borderRadius: 0,
-      boxShadow: "0 1px 0 var(--px-shadow)",
-      color: "var(--px-text-main)",
-      fontFamily: "monospace",
-      fontSize: ".62rem",
-      textAlign: "center",
-      marginBottom: 18,
-      padding: "9px 13px 13px"
-    }}>
-      <span style={{ color: "#ffd700"}}>🏆 </span>
-      <div style={{paddingTop:3, color:"var(--px-text-main, #fffadf)"}}>
-        <b>High Scores Coming Soon!</b>
-        <br/>The top five players will be displayed here when connected to the score server.
+      <h2
+        style={{
+          color: "var(--px-title)",
+          fontSize: "1.18rem",
+          textShadow: "2px 2px var(--px-block-border),0 0 6px #fffd",
+          marginBottom: 16,
+          letterSpacing: 1.3
+        }}
+      >
+        Leaderboards
+      </h2>
+      <div role="tablist" style={{ display: "flex", gap: 6, marginBottom: 10 }}>
+        <button className="px-btn" role="tab" aria-selected={tab === 'scores'}
+          style={tabStyle(tab === 'scores')} onClick={() => setTab('scores')}>
+          High Scores
+        </button>
+        <button className="px-btn" role="tab" aria-selected={tab === 'times'}
+          style={tabStyle(tab === 'times')} onClick={() => setTab('times')}>
+          Best Times
+        </button>
+      </div>
+      {tab === 'times' && levels.length > 0 && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10, fontSize: ".58rem" }}>
+          <button className="px-btn" style={{ fontSize: ".58rem", padding: "3px 7px" }}
+            aria-label="Previous level" onClick={() => stepLevel(-1)}>◀</button>
+          <span style={{ minWidth: 150 }}>{levelIdx + 1}. {levels[levelIdx]?.name}</span>
+          <button className="px-btn" style={{ fontSize: ".58rem", padding: "3px 7px" }}
+            aria-label="Next level" onClick={() => stepLevel(1)}>▶</button>
+        </div>
+      )}
+      <div style={{
+        width: "97%",
+        minHeight: 80,
+        background: "rgba(38,41,60,0.78)",
+        border: "2px solid var(--px-border)",
+        borderRadius: 0,
+        boxShadow: "0 1px 0 var(--px-shadow)",
+        color: "var(--px-text-main)",
+        fontFamily: "monospace",
+        fontSize: ".72rem",
+        marginBottom: 18,
+        padding: "9px 13px 13px"
+      }}>
+        {state.loading && <div style={{ paddingTop: 24 }}>Loading…</div>}
+        {!state.loading && state.error && (
+          <div role="alert" style={{ paddingTop: 18, color: "#f87" }}>{state.error}</div>
+        )}
+        {!state.loading && !state.error && state.entries.length === 0 && (
+          <div style={{ paddingTop: 18 }}>
+            <span style={{ color: "#ffd700" }}>🏆 </span>No entries yet. Be the first!
+          </div>
+        )}
+        {!state.loading && !state.error && state.entries.length > 0 && (
+          <ol style={{ listStyle: "none", margin: 0, padding: 0 }}>
+            {rows.map(({ entry, rank, gap }) => {
+              const own = ownIds.has(entry.id);
+              return (
+                <li
+                  key={entry.id}
+                  style={{
+                    borderTop: gap ? "2px dashed var(--px-border)" : undefined,
+                    marginTop: gap ? 4 : undefined,
+                    display: "flex",
+                    justifyContent: "space-between",
+                    padding: "3px 6px",
+                    color: own ? "#ffd700" : undefined,
+                    background: own ? "rgba(255,215,0,0.12)" : undefined,
+                    fontWeight: own ? "bold" : undefined
+                  }}
+                >
+                  <span style={{ width: 32, textAlign: "left" }}>#{rank}</span>
+                  <span style={{ flex: 1, textAlign: "left" }}>{entry.initials}{own ? ' ◀ you' : ''}</span>
+                  <span>{tab === 'scores' ? entry.value : formatTime(entry.value)}</span>
+                </li>
+              );
+            })}
+          </ol>
+        )}
       </div>
+      <button
+        className="px-btn"
+        style={{
+          marginTop: 6,
+          fontSize: ".91rem",
+          background: "var(--px-button)",
+          color: "var(--px-title)"
+        }}
+        tabIndex={0}
+        autoFocus
+        onClick={onClose}
+      >
+        Close
+      </button>
     </div>
-    <button
-      className="px-btn"
-      style={{
-        marginTop: 6,
-        fontSize: ".91rem",
-        background: "var(--px-button)",
-        color: "var(--px-title)"
-      }}
-      tabIndex={0}
-      autoFocus
-      onClick={onClose}
-    >
-      Close
-    </button>
-  </div>
-);
+  );
+};
 
 export default LeaderboardsOverlay;
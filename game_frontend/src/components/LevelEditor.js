@@ -0,0 +1,559 @@
+import React, { useEffect, useRef, useState } from 'react';
+import GameCanvas from './GameCanvas';
+import { useSettings } from './SettingsContext';
+import { drawBackground, drawLevel } from '../engine/LevelRenderer';
+import { createEnemyInstance, getEnemyTypes } from '../engine/Enemy';
+import { validateLevel } from '../engine/levelValidator';
+import { MUSIC_TRACKS } from '../engine/sounds';
+import { BACKGROUND_THEMES } from '../engine/backgrounds';
+import { DEFAULT_SPAWN } from '../engine/levelGeometry';
+import {
+  ENEMY_PARAMS,
+  addEntity,
+  cloneLevel,
+  createBlankLevel,
+  exportLevelJSON,
+  getEntity,
+  getEntityRect,
+  hitTest,
+  importLevelJSON,
+  moveEntity,
+  removeEntity,
+  updateEntity
+} from '../utils/levelEditing';
+import { downloadSaveFile } from '../utils/saveSystem';
+
+const VIEW_WIDTH = 320;
+const VIEW_HEIGHT = 180;
+const GRID = 4;
+const HANDLE = 5;
+
+const TOOLS = [
+  { id: 'select', label: 'Select' },
+  { id: 'platform', label: 'Platform' },
+  { id: 'gem', label: 'Gem' },
+  { id: 'checkpoint', label: 'Checkpoint' },
+  { id: 'spawn', label: 'Spawn' },
+  { id: 'exit', label: 'Exit' },
+  { id: 'enemy', label: 'Enemy' },
+  { id: 'erase', label: 'Erase' }
+];
+
+const smallBtn = {
+  margin: "0 4px 4px 0",
+  padding: "4px 7px",
+  fontSize: ".5rem",
+  boxShadow: "2px 2px var(--px-ui-shadow)"
+};
+
+const fieldStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 6,
+  margin: "4px 0",
+  fontSize: ".5rem"
+};
+
+const inputStyle = {
+  width: 86,
+  fontFamily: "inherit",
+  fontSize: ".5rem",
+  background: "var(--px-bg, #181824)",
+  color: "var(--px-title)",
+  border: "2px solid var(--px-hud-border)",
+  padding: "2px 4px"
+};
+
+const panelStyle = {
+  flex: "1 1 220px",
+  textAlign: "left",
+  background: "var(--px-window, #181824)",
+  border: "3px solid var(--px-hud-border)",
+  padding: "8px 10px"
+};
+
+// Labelled numeric input; ignores partial input such as "-"
+const NumberField = ({ label, value, onChange, step = 1 }) => (
+  <label style={fieldStyle}>
+    <span>{label}</span>
+    <input
+      type="number"
+      step={step}
+      value={value ?? ''}
+      onChange={e => {
+        const v = parseFloat(e.target.value);
+        if (!Number.isNaN(v)) onChange(v);
+      }}
+      style={inputStyle}
+    />
+  </label>
+);
+
+const TextField = ({ label, value, onChange, type = "text" }) => (
+  <label style={fieldStyle}>
+    <span>{label}</span>
+    <input
+      type={type}
+      value={value ?? ''}
+      onChange={e => onChange(e.target.value)}
+      style={{ ...inputStyle, width: type === "color" ? 40 : 150 }}
+    />
+  </label>
+);
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
+// Snapshot-shaped data so the editor can reuse the game's level renderer
+function editorSnapshot(level) {
+  return {
+    gems: level.gems.map(g => ({ ...g, collected: false })),
+    checkpoints: (level.checkpoints || []).map(c => ({ ...c, reached: false })),
+    enemies: level.enemies.map(e => {
+      const inst = createEnemyInstance({ ...e });
+      return { type: e.type, x: e.x, y: e.y, w: inst.w, h: inst.h, dir: inst.dir, prevX: e.x, prevY: e.y };
+    }),
+    projectiles: []
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * LevelEditor - Screen for building levels without touching levels.js.
+ * Place and resize platforms, drop gems/checkpoints/enemies, move the spawn and exit, tune enemy parameters and
+ * level meta, play-test instantly and export JSON matching the Level typedef.
+ * Validation problems (engine/levelValidator) are listed live under the panels.
+ * Drag on empty space (Select tool) or use the sliders to scroll wide levels;
+ * Delete removes the selection and arrow keys nudge it.
+ * @param {object} level - Level being edited (controlled)
+ * @param {function} onChange - called with the edited level
+ * @param {Array} levels - Built-in levels offered as starting points
+ * @param {function} onPlayTest - (level) play the current draft
+ * @param {function} onBack - return to the main menu
+ */
+const LevelEditor = ({ level, onChange, levels = [], onPlayTest, onBack }) => {
+  const { settings } = useSettings();
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const dragRef = useRef(null);
+  const [tool, setTool] = useState('select');
+  const [enemyType, setEnemyType] = useState('walker');
+  const [selection, setSelection] = useState(null);
+  const [snapToGrid, setSnapToGrid] = useState(true);
+  const [cam, setCam] = useState({ x: 0, y: 0 });
+  const [preview, setPreview] = useState(null); // platform being dragged out
+  const [message, setMessage] = useState('');
+
+  const width = level.width ?? VIEW_WIDTH;
+  const height = level.height ?? VIEW_HEIGHT;
+  const maxCamX = Math.max(0, width - VIEW_WIDTH);
+  const maxCamY = Math.max(0, height - VIEW_HEIGHT);
+  const view = { x: clamp(cam.x, 0, maxCamX), y: clamp(cam.y, 0, maxCamY), w: VIEW_WIDTH, h: VIEW_HEIGHT };
+  const selRect = getEntityRect(level, selection);
+  const problems = validateLevel(level);
+  const hasErrors = problems.some(p => p.severity === 'error');
+
+  // --- Rendering: redrawn whenever the draft, selection or view changes ---
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext();
+    if (!ctx) return;
+    drawBackground(ctx, level, view);
+    ctx.save();
+    ctx.translate(-view.x, -view.y);
+
+    // Placement grid (16px)
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = Math.floor(view.x / 16) * 16; x <= view.x + VIEW_WIDTH; x += 16) {
+      ctx.moveTo(x + 0.5, view.y); ctx.lineTo(x + 0.5, view.y + VIEW_HEIGHT);
+    }
+    for (let y = Math.floor(view.y / 16) * 16; y <= view.y + VIEW_HEIGHT; y += 16) {
+      ctx.moveTo(view.x, y + 0.5); ctx.lineTo(view.x + VIEW_WIDTH, y + 0.5);
+    }
+    ctx.stroke();
+
+    drawLevel(ctx, level, editorSnapshot(level), 1, false, view);
+
+    // Walker patrol ranges
+    ctx.strokeStyle = '#f47350';
+    ctx.setLineDash([3, 2]);
+    level.enemies.forEach(e => {
+      if (e.type !== 'walker' || e.patrolMin == null || e.patrolMax == null) return;
+      ctx.strokeRect(e.patrolMin, e.y - 3, e.patrolMax - e.patrolMin + 14, 1);
+    });
+
+    // Player spawn
+    const spawn = level.spawn ?? DEFAULT_SPAWN;
+    ctx.strokeStyle = '#ffd700';
+    ctx.strokeRect(spawn.x, spawn.y, 12, 14);
+
+    // Level bounds, selection and drag preview
+    ctx.strokeStyle = '#fff880';
+    ctx.setLineDash([]);
+    ctx.strokeRect(0.5, 0.5, width - 1, height - 1);
+    if (selRect) {
+      ctx.strokeStyle = '#28d6fa';
+      ctx.setLineDash([2, 2]);
+      ctx.strokeRect(selRect.x - 1, selRect.y - 1, selRect.w + 2, selRect.h + 2);
+      if (selection.kind === 'platform' || selection.kind === 'exit') {
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#28d6fa';
+        ctx.fillRect(selRect.x + selRect.w - HANDLE + 1, selRect.y + selRect.h - HANDLE + 1, HANDLE, HANDLE);
+      }
+    }
+    if (preview) {
+      ctx.setLineDash([2, 2]);
+      ctx.strokeStyle = '#fff';
+      ctx.strokeRect(preview.x, preview.y, preview.w, preview.h);
+    }
+    ctx.restore();
+  });
+
+  // --- Keyboard: Delete removes, arrows nudge (Shift: 16px) ---
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || !selection) return;
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        onChange(removeEntity(level, selection));
+        setSelection(null);
+        return;
+      }
+      const step = e.shiftKey ? 16 : 1;
+      const delta = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] }[e.key];
+      if (delta) {
+        e.preventDefault();
+        onChange(moveEntity(level, selection, delta[0], delta[1]));
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [level, selection, onChange]);
+
+  // --- Pointer editing on the canvas ---
+  const snap = v => (snapToGrid ? Math.round(v / GRID) * GRID : Math.round(v));
+  const toWorld = e => {
+    const rect = canvasRef.current.getCanvas().getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * VIEW_WIDTH) / rect.width + view.x,
+      y: ((e.clientY - rect.top) * VIEW_HEIGHT) / rect.height + view.y,
+      scale: rect.width / VIEW_WIDTH
+    };
+  };
+
+  const place = (kind, p, opts) => {
+    const result = addEntity(level, kind, p.x, p.y, opts);
+    onChange(result.level);
+    setSelection(result.selection);
+  };
+
+  const handlePointerDown = e => {
+    if (e.button !== undefined && e.button !== 0) return;
+    const p = toWorld(e);
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (tool === 'select') {
+      const onHandle = selRect && (selection.kind === 'platform' || selection.kind === 'exit') &&
+        p.x >= selRect.x + selRect.w - HANDLE && p.x <= selRect.x + selRect.w + 1 &&
+        p.y >= selRect.y + selRect.h - HANDLE && p.y <= selRect.y + selRect.h + 1;
+      if (onHandle) {
+        dragRef.current = { mode: 'resize', sel: selection };
+        return;
+      }
+      const hit = hitTest(level, p.x, p.y);
+      setSelection(hit);
+      dragRef.current = hit
+        ? { mode: 'move', sel: hit, last: { x: snap(p.x), y: snap(p.y) } }
+        : { mode: 'pan', startX: e.clientX, startY: e.clientY, cam0: { ...view }, scale: p.scale };
+    } else if (tool === 'platform') {
+      dragRef.current = { mode: 'create', x0: snap(p.x), y0: snap(p.y) };
+      setPreview({ x: snap(p.x), y: snap(p.y), w: 0, h: 0 });
+    } else if (tool === 'gem') {
+      place('gem', { x: snap(p.x), y: snap(p.y) });
+    } else if (tool === 'checkpoint') {
+      place('checkpoint', { x: snap(p.x - 5), y: snap(p.y - 12) });
+    } else if (tool === 'spawn') {
+      place('spawn', { x: snap(p.x - 6), y: snap(p.y - 7) });
+    } else if (tool === 'exit') {
+      place('exit', { x: snap(p.x - level.exit.w / 2), y: snap(p.y - level.exit.h / 2) });
+    } else if (tool === 'enemy') {
+      place('enemy', { x: snap(p.x - 7), y: snap(p.y - 6) }, { type: enemyType });
+    } else if (tool === 'erase') {
+      const hit = hitTest(level, p.x, p.y);
+      if (hit) {
+        onChange(removeEntity(level, hit));
+        setSelection(null);
+      }
+    }
+  };
+
+  const handlePointerMove = e => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const p = toWorld(e);
+    if (drag.mode === 'move') {
+      const q = { x: snap(p.x), y: snap(p.y) };
+      if (q.x !== drag.last.x || q.y !== drag.last.y) {
+        onChange(moveEntity(level, drag.sel, q.x - drag.last.x, q.y - drag.last.y));
+        drag.last = q;
+      }
+    } else if (drag.mode === 'resize') {
+      const r = getEntityRect(level, drag.sel);
+      onChange(updateEntity(level, drag.sel, {
+        w: Math.max(GRID, snap(p.x) - r.x),
+        h: Math.max(GRID, snap(p.y) - r.y)
+      }));
+    } else if (drag.mode === 'create') {
+      const x1 = snap(p.x), y1 = snap(p.y);
+      setPreview({
+        x: Math.min(drag.x0, x1),
+        y: Math.min(drag.y0, y1),
+        w: Math.abs(x1 - drag.x0),
+        h: Math.abs(y1 - drag.y0)
+      });
+    } else if (drag.mode === 'pan') {
+      setCam({
+        x: clamp(drag.cam0.x - (e.clientX - drag.startX) / drag.scale, 0, maxCamX),
+        y: clamp(drag.cam0.y - (e.clientY - drag.startY) / drag.scale, 0, maxCamY)
+      });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && drag.mode === 'create' && preview) {
+      if (preview.w >= GRID && preview.h >= GRID) place('platform', preview, preview);
+      setPreview(null);
+    }
+  };
+
+  // --- Files ---
+  const handleExport = () => {
+    const slug = (level.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadSaveFile(exportLevelJSON(level), `${slug || 'level'}.json`);
+  };
+
+  const handleFile = async e => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange(importLevelJSON(await file.text()));
+      setSelection(null);
+      setCam({ x: 0, y: 0 });
+      setMessage(`Loaded ${file.name}`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const startFrom = value => {
+    onChange(value === 'blank' ? createBlankLevel() : cloneLevel(levels[Number(value)]));
+    setSelection(null);
+    setCam({ x: 0, y: 0 });
+    setMessage('');
+  };
+
+  const setMeta = patch => onChange({ ...level, ...patch });
+  const setSel = patch => onChange(updateEntity(level, selection, patch));
+  const selItem = getEntity(level, selection);
+
+  return (
+    <div
+      className="level-editor"
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        fontFamily: "'Press Start 2P',monospace",
+        color: "var(--px-title)",
+        maxWidth: "98vw",
+        padding: "12px 0"
+      }}
+    >
+      <h2 style={{ fontSize: "1rem", margin: "0 0 10px", letterSpacing: 1 }}>Level Editor</h2>
+
+      <div style={{ marginBottom: 6 }}>
+        {TOOLS.map(t => (
+          <button
+            key={t.id}
+            className="px-btn"
+            style={{ ...smallBtn, background: tool === t.id ? "var(--px-button-hover)" : undefined }}
+            aria-pressed={tool === t.id}
+            onClick={() => setTool(t.id)}
+          >
+            {t.label}
+          </button>
+        ))}
+        {tool === 'enemy' && (
+          <select
+            value={enemyType}
+            onChange={e => setEnemyType(e.target.value)}
+            style={{ ...inputStyle, width: "auto" }}
+            aria-label="Enemy type"
+          >
+            {getEnemyTypes().map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        )}
+      </div>
+
+      <div
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{ touchAction: "none", cursor: tool === 'select' ? "default" : "crosshair", lineHeight: 0 }}
+      >
+        <GameCanvas ref={canvasRef} width={VIEW_WIDTH} height={VIEW_HEIGHT} scale={settings.pixelScale} />
+      </div>
+
+      {(maxCamX > 0 || maxCamY > 0) && (
+        <div style={{ ...fieldStyle, width: "min(640px, 96vw)" }}>
+          {maxCamX > 0 && (
+            <input
+              type="range" min={0} max={maxCamX} value={view.x}
+              onChange={e => setCam(c => ({ ...c, x: Number(e.target.value) }))}
+              aria-label="Scroll horizontally" style={{ flex: 1 }}
+            />
+          )}
+          {maxCamY > 0 && (
+            <input
+              type="range" min={0} max={maxCamY} value={view.y}
+              onChange={e => setCam(c => ({ ...c, y: Number(e.target.value) }))}
+              aria-label="Scroll vertically" style={{ width: 90 }}
+            />
+          )}
+        </div>
+      )}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginTop: 10, width: "min(640px, 96vw)" }}>
+        <div style={panelStyle}>
+          <div style={{ fontSize: ".6rem", marginBottom: 6 }}>Level</div>
+          <TextField label="Name" value={level.name} onChange={name => setMeta({ name })} />
+          <TextField label="Objective" value={level.objective} onChange={objective => setMeta({ objective })} />
+          <TextField label="Background" type="color" value={level.bgColor || '#9ad0ec'} onChange={bgColor => setMeta({ bgColor })} />
+          <label style={fieldStyle}>
+            <span>Scenery</span>
+            <select
+              value={level.background?.theme || ''}
+              onChange={e => setMeta({ background: e.target.value ? { ...level.background, theme: e.target.value } : undefined })}
+              style={inputStyle}
+            >
+              <option value="">(background colour)</option>
+              {Object.keys(BACKGROUND_THEMES).map(key => <option key={key} value={key}>{key}</option>)}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            <span>Music</span>
+            <select value={level.music || ''} onChange={e => setMeta({ music: e.target.value || null })} style={inputStyle}>
+              <option value="">(none)</option>
+              {Object.keys(MUSIC_TRACKS).map(key => <option key={key} value={key}>{key}</option>)}
+            </select>
+          </label>
+          <NumberField label="Par (s)" step={0.5} value={level.par} onChange={par => setMeta({ par: Math.max(0.5, par) })} />
+          <NumberField label="Width" step={16} value={width} onChange={w => setMeta({ width: Math.max(VIEW_WIDTH, w) })} />
+          <NumberField label="Height" step={16} value={height} onChange={h => setMeta({ height: Math.max(VIEW_HEIGHT, h) })} />
+          <label style={fieldStyle}>
+            <span>Snap to {GRID}px grid</span>
+            <input type="checkbox" checked={snapToGrid} onChange={e => setSnapToGrid(e.target.checked)} />
+          </label>
+          {level.tilemap && (
+            <div style={{ ...fieldStyle, color: "var(--px-text-secondary)" }}>
+              Tiles come from the Tiled map and can't be edited here.
+            </div>
+          )}
+        </div>
+
+        <div style={panelStyle}>
+          <div style={{ fontSize: ".6rem", marginBottom: 6 }}>
+            {selection ? `${selection.kind}${selection.kind === 'enemy' ? `: ${selItem.type}` : ''}` : 'Nothing selected'}
+          </div>
+          {selItem && (
+            <>
+              <NumberField label="X" value={selItem.x} onChange={x => setSel({ x })} />
+              <NumberField label="Y" value={selItem.y} onChange={y => setSel({ y })} />
+              {(selection.kind === 'platform' || selection.kind === 'exit') && (
+                <>
+                  <NumberField label="Width" value={selItem.w} onChange={w => setSel({ w: Math.max(GRID, w) })} />
+                  <NumberField label="Height" value={selItem.h} onChange={h => setSel({ h: Math.max(GRID, h) })} />
+                </>
+              )}
+              {selection.kind === 'enemy' && (ENEMY_PARAMS[selItem.type]?.params ?? []).map(param => (
+                <NumberField
+                  key={param}
+                  label={param}
+                  step={/Cooldown|cooldown/.test(param) ? 0.1 : 1}
+                  value={selItem[param]}
+                  onChange={v => setSel({ [param]: v })}
+                />
+              ))}
+              {selection.kind !== 'exit' && selection.kind !== 'spawn' && (
+                <button
+                  className="px-btn"
+                  style={smallBtn}
+                  onClick={() => { onChange(removeEntity(level, selection)); setSelection(null); }}
+                >
+                  Delete
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {problems.length > 0 && (
+        <ul
+          role="alert"
+          style={{ ...panelStyle, flex: "none", width: "min(640px, 96vw)", margin: "10px 0 0", listStyle: "none", fontSize: ".5rem", boxSizing: "border-box" }}
+        >
+          {problems.map((p, i) => (
+            <li key={i} style={{ color: p.severity === 'error' ? "#f36d58" : "#ffd700", margin: "3px 0" }}>
+              {p.severity === 'error' ? '✖' : '⚠'} {p.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ marginTop: 12 }}>
+        <button
+          className="px-btn"
+          style={{ ...smallBtn, fontSize: ".7rem" }}
+          onClick={() => onPlayTest(level)}
+          disabled={hasErrors}
+          title={hasErrors ? "Fix the errors listed above to play-test" : undefined}
+        >
+          ▶ Play-test
+        </button>
+        <button className="px-btn" style={smallBtn} onClick={handleExport}>Export JSON</button>
+        <button className="px-btn" style={smallBtn} onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+          Import JSON
+        </button>
+        <select
+          value=""
+          onChange={e => startFrom(e.target.value)}
+          style={{ ...inputStyle, width: "auto", marginRight: 4 }}
+          aria-label="Start from"
+        >
+          <option value="" disabled>Start from…</option>
+          <option value="blank">Blank level</option>
+          {levels.map((l, i) => <option key={i} value={i}>{l.name}</option>)}
+        </select>
+        <button className="px-btn" style={smallBtn} onClick={onBack}>◀ Menu</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={handleFile}
+        />
+      </div>
+      {message && <div role="status" style={{ fontSize: ".5rem", marginTop: 6 }}>{message}</div>}
+    </div>
+  );
+};
+
+export default LevelEditor;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { formatTime } from '../utils';
+import { MEDALS } from '../utils/scoring';
+
+const rowStyle = { display: "flex", justifyContent: "space-between", gap: 24, padding: "2px 0" };
+
+// PUBLIC_INTERFACE
+/**
+ * LevelResults - End-of-level breakdown shown on the game-flow overlay between levels:
+ * time against par (and the raced ghost), gems, deaths, the bonuses added to the score and the
+ * star/medal rating.
+ * @param {object} result - the levelCompleted game event (engine/GameEvents)
+ */
+const LevelResults = ({ result }) => {
+  const medal = MEDALS[result.stars];
+  const underPar = result.par != null && result.time <= result.par;
+  return (
+    <div style={{ width: "min(320px, 86vw)", fontSize: ".62rem", lineHeight: 1.6, color: "var(--px-text-main, #fffadf)" }}>
+      <div
+        aria-label={`${result.stars} of 3 stars`}
+        style={{ fontSize: 28, color: "#ffd700", letterSpacing: 6, marginBottom: 4 }}
+      >
+        {'★'.repeat(result.stars)}
+        <span style={{ color: "#6d6d7d" }}>{'★'.repeat(3 - result.stars)}</span>
+      </div>
+      {medal && <div style={{ color: "#ffd700", marginBottom: 12 }}>{medal.icon} {medal.name} medal</div>}
+      <div style={rowStyle}>
+        <span>Time</span>
+        <span style={{ color: underPar ? "#2ecc71" : undefined }}>
+          {formatTime(result.time)}{result.par != null && ` / par ${formatTime(result.par)}`}
+        </span>
+      </div>
+      {result.ghostTime != null && (
+        <div style={rowStyle}>
+          <span>Ghost</span>
+          <span style={{ color: result.newGhost ? "#2ecc71" : "#f36d58" }}>
+            {formatTime(result.ghostTime)}{result.newGhost ? " · new best!" : ""}
+          </span>
+        </div>
+      )}
+      <div style={rowStyle}><span>Gems</span><span>{result.gems}/{result.maxGems}</span></div>
+      <div style={rowStyle}><span>Deaths</span><span>{result.deaths}</span></div>
+      <div style={{ ...rowStyle, borderTop: "2px solid var(--px-border)", marginTop: 6, paddingTop: 6 }}>
+        <span>Level bonus</span><span>+{result.completionBonus}</span>
+      </div>
+      <div style={rowStyle}><span>Time bonus</span><span>+{result.timeBonus}</span></div>
+      <div style={{ ...rowStyle, color: "#2ecc71" }}><span>Score</span><span>{String(result.score).padStart(6, "0")}</span></div>
+    </div>
+  );
+};
+
+export default LevelResults;
@@ -1,12 +1,20 @@
 import React from 'react';
+import { isLevelUnlocked } from '../utils/progress';
+import { formatTime } from '../utils';
+import GhostRaceToggle from './GhostRaceToggle';
 
 // PUBLIC_INTERFACE
 /**
  * LevelSelect - Robust, modern-retro overlay for choosing game levels.
- * Visually polished, pixel-art fitting, clean, and easily extensible.
+ * Shows every level with its objective, best gems and best time; levels stay
+ * locked (greyed out) until the previous one has been beaten. Ghost racing can be
+ * switched on or off before picking a level.
+ * @param {Array} levels - Level definitions (engine/levels.js)
+ * @param {object} progress - Saved progress (utils/progress.js)
+ * @param {function} onSelectLevel - called with the chosen level index
  * @param {function} onBack - called when returning to menu
  */
-const LevelSelect = ({ onBack }) => (
+const LevelSelect = ({ levels = [], progress = { levels: {} }, onSelectLevel, onBack }) => (
   <div
     className="level-select"
     style={{
@@ -14,7 +22,7 @@ const LevelSelect = ({ onBack }) => (
       top: "50%",
       left: "50%",
       transform: "translate(-50%,-50%)",
-      width: "min(370px, 98vw)",
+      width: "min(460px, 98vw)",
       minHeight: 150,
       zIndex: 47,
       background: "var(--px-window, #181824)",
@@ -44,26 +52,58 @@ const LevelSelect = ({ onBack }) => (
     >
       Level Select
     </h2>
-    <div style={{
-      width: "96%",
-      minHeight: 50,
-      background: "rgba(38,41,60,0.8)",
-      border: "2px solid var(--px-border)",
-      borderRadius: 0,
-      boxShadow: "0 1px 0 var(--px-shadow)",
-      color: "var(--px-text-main)",
-      fontFamily: "monospace",
-      fontSize: ".6rem",
-      textAlign: "center",
-      marginBottom: 16,
-      padding: "8px 8px 10px"
-    }}>
-      <span style={{ color: "#ffd700" }}>🗺️</span>
-      <div style={{ paddingTop: 1, color: "var(--px-text-main, #fffadf)" }}>
-        Level select coming soon! Choose your own path across worlds in the full game.<br />
-        <i>Sample: "1-1 The Garden", "1-2 Overgrown Ruins", "1-3 Old Walls"…</i>
-      </div>
+    <div
+      style={{
+        width: "100%",
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fill, minmax(130px, 1fr))",
+        gap: 10,
+        marginBottom: 16
+      }}
+    >
+      {levels.map((lvl, idx) => {
+        const unlocked = isLevelUnlocked(progress, idx);
+        const result = progress.levels[idx];
+        return (
+          <button
+            key={lvl.name}
+            className="px-btn level-card"
+            disabled={!unlocked}
+            onClick={() => unlocked && onSelectLevel && onSelectLevel(idx)}
+            aria-label={unlocked ? `Play ${lvl.name}` : `${lvl.name} (locked)`}
+            style={{
+              margin: 0,
+              padding: "8px 6px",
+              minHeight: 112,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+              justifyContent: "space-between",
+              background: unlocked ? "rgba(38,41,60,0.8)" : "rgba(24,24,36,0.9)",
+              color: unlocked ? "var(--px-text-main, #fffadf)" : "#6d6d7d",
+              border: `2px solid ${result?.completed ? "var(--px-accent2)" : "var(--px-border)"}`,
+              filter: unlocked ? "none" : "grayscale(1)",
+              opacity: unlocked ? 1 : 0.55,
+              cursor: unlocked ? "pointer" : "not-allowed",
+              fontSize: ".55rem",
+              lineHeight: 1.5
+            }}
+          >
+            <span style={{ color: unlocked ? "var(--px-title)" : "inherit", fontSize: ".62rem" }}>
+              {unlocked ? "" : "🔒 "}{lvl.name}
+            </span>
+            <span style={{ fontFamily: "monospace", fontSize: ".62rem", margin: "4px 0" }}>
+              {lvl.objective}
+            </span>
+            <span style={{ fontFamily: "monospace", fontSize: ".62rem", color: "var(--px-text-secondary)" }}>
+              💎 {result ? result.bestGems : 0}/{lvl.gems.length} ⏱ {formatTime(result?.bestTime)}
+              {result?.bestStars ? ` ${'★'.repeat(result.bestStars)}${'☆'.repeat(3 - result.bestStars)}` : ''}
+            </span>
+          </button>
+        );
+      })}
     </div>
+    <GhostRaceToggle style={{ margin: "0 0 10px" }} />
     <button
       className="px-btn"
       style={{
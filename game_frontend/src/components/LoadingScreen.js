@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import { preloadAssets } from '../engine/assets';
+
+const SEGMENTS = 20;
+
+// PUBLIC_INTERFACE
+/**
+ * LoadingScreen - Shown before the main menu while the asset manifest preloads
+ * (engine/assets), with a segmented progress bar. Finishes on its own when every
+ * asset loaded; if some fell back to placeholders it lists them and waits for
+ * Continue, so a missing file is noticed rather than silently drawn as a checkerboard.
+ * @param {function} onDone - called once the game can start
+ * @param {function} [load] - preloader (onProgress) => Promise<{errors}>; defaults to preloadAssets
+ */
+const LoadingScreen = ({ onDone, load = preloadAssets }) => {
+  const [progress, setProgress] = useState({ loaded: 0, total: 1, key: '' });
+  const [errors, setErrors] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    load(p => { if (active) setProgress(p); }).then(result => {
+      if (!active) return;
+      if (result.errors.length) setErrors(result.errors);
+      else onDone();
+    });
+    return () => { active = false; };
+  }, [load, onDone]);
+
+  const filled = Math.round((progress.loaded / Math.max(progress.total, 1)) * SEGMENTS);
+  return (
+    <div className="loading-screen" style={{ textAlign: 'center', fontFamily: "'Press Start 2P',monospace" }}>
+      <h1 className="px-title px-shadow-text" style={{ marginBottom: 28, marginTop: 8 }}>
+        Nimble Quest
+      </h1>
+      <div
+        role="progressbar"
+        aria-label="Loading assets"
+        aria-valuemin={0}
+        aria-valuemax={progress.total}
+        aria-valuenow={progress.loaded}
+        style={{
+          display: 'flex',
+          gap: 2,
+          width: 244,
+          margin: '0 auto',
+          padding: 4,
+          background: 'var(--px-hud-bg)',
+          border: '4px solid var(--px-hud-border)',
+          boxShadow: '0 4px 0 var(--px-ui-shadow)'
+        }}
+      >
+        {Array.from({ length: SEGMENTS }, (_, i) => (
+          <div
+            key={i}
+            style={{ flex: 1, height: 14, background: i < filled ? 'var(--px-accent2)' : 'var(--px-shadow)' }}
+          />
+        ))}
+      </div>
+      <div style={{ marginTop: 14, fontSize: '.62rem', color: 'var(--px-text-secondary)', minHeight: '1em' }}>
+        {errors ? 'Loaded with problems' : `Loading ${progress.loaded}/${progress.total} ${progress.key}`}
+      </div>
+      {errors && (
+        <div style={{ marginTop: 16, fontSize: '.55rem', color: '#e74c3c' }}>
+          <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 14px', lineHeight: 1.8 }}>
+            {errors.map(e => <li key={e.key}>{e.key}: {e.message}</li>)}
+          </ul>
+          <button className="px-btn" onClick={onDone} autoFocus>
+            Continue ▶
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoadingScreen;
@@ -11,13 +11,21 @@ import React from 'react';
  * - onShowAchievements: function() -> called to show achievements overlay
  * - onShowLeaderboards: function() -> called to show leaderboards overlay
  * - onShowLevelSelect: function() -> called to go to level select
+ * - onContinue: function() -> called to resume the active save slot
+ * - onShowSaveSlots: function() -> called to show the save slot picker
+ * - canContinue: boolean -> whether the active slot has a save to continue
+ * - onShowEditor: function() -> called to open the level editor
  */
 const MainMenu = ({
   onStartGame,
+  onContinue,
+  onShowSaveSlots,
+  canContinue = false,
   onShowSettings,
   onShowAchievements,
   onShowLeaderboards,
-  onShowLevelSelect
+  onShowLevelSelect,
+  onShowEditor
 }) => (
   <div className="main-menu" style={{ textAlign: 'center' }}>
     <h1 className="px-title px-shadow-text" style={{ marginBottom: 36, marginTop: 8 }}>
@@ -33,13 +41,29 @@ const MainMenu = ({
         background: 'var(--px-button)',
         color: 'var(--px-title)'
       }}
-      onClick={onStartGame}
+      onClick={canContinue ? onContinue : onStartGame}
       autoFocus
       tabIndex={0}
     >
-      ▶ Start Game
+      {canContinue ? '▶ Continue' : '▶ Start Game'}
     </button>
     <div style={{ marginTop: 24 }}>
+      {canContinue && (
+        <button
+          className="px-btn"
+          style={{ width: 170, marginBottom: 12 }}
+          onClick={onStartGame}
+        >
+          New Game
+        </button>
+      )}
+      <button
+        className="px-btn"
+        style={{ width: 170, marginBottom: 12 }}
+        onClick={onShowSaveSlots}
+      >
+        Save Slots
+      </button>
       <button
         className="px-btn"
         style={{ width: 170, marginBottom: 12 }}
@@ -47,6 +71,13 @@ const MainMenu = ({
       >
         Select Level
       </button>
+      <button
+        className="px-btn"
+        style={{ width: 170, marginBottom: 12 }}
+        onClick={onShowEditor}
+      >
+        Level Editor
+      </button>
       <button
         className="px-btn"
         style={{ width: 170, marginBottom: 12 }}
@@ -0,0 +1,64 @@
+import React from 'react';
+
+const buttonStyle = {
+  width: 200,
+  marginBottom: 10,
+  fontSize: ".8rem"
+};
+
+// PUBLIC_INTERFACE
+/**
+ * PauseMenu - In-game pause panel drawn over the (dimmed) canvas.
+ * @param {function} onResume - continue playing
+ * @param {function} onRestart - restart the current level
+ * @param {function} onSettings - open the settings overlay
+ * @param {function} onQuit - quit to the main menu
+ */
+const PauseMenu = ({ onResume, onRestart, onSettings, onQuit }) => (
+  <div
+    className="overlay pause-menu"
+    style={{
+      position: "absolute",
+      top: "50%",
+      left: "50%",
+      transform: "translate(-50%,-50%)",
+      minWidth: 260,
+      zIndex: 40,
+      display: "flex",
+      flexDirection: "column",
+      alignItems: "center",
+      margin: 0,
+      padding: "20px 18px 12px",
+      textAlign: "center"
+    }}
+    role="dialog"
+    aria-modal="true"
+    aria-label="Paused"
+  >
+    <h2
+      style={{
+        color: "var(--px-title)",
+        fontSize: "1.2rem",
+        textShadow: "2px 2px var(--px-block-border),0 0 5px #fffd",
+        marginBottom: 16,
+        letterSpacing: 1.1
+      }}
+    >
+      Paused
+    </h2>
+    <button className="px-btn" style={buttonStyle} autoFocus onClick={onResume}>
+      ▶ Resume
+    </button>
+    <button className="px-btn" style={buttonStyle} onClick={onRestart}>
+      Restart Level
+    </button>
+    <button className="px-btn" style={buttonStyle} onClick={onSettings}>
+      Settings
+    </button>
+    <button className="px-btn" style={buttonStyle} onClick={onQuit}>
+      Quit to Menu
+    </button>
+  </div>
+);
+
+export default PauseMenu;
@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from 'react';
+import GameCanvas from './GameCanvas';
+import { ReplayPlayer, serializeReplay } from '../engine/replay';
+import { TICK_RATE } from '../engine/Simulation';
+import { cameraView, drawBackground, drawLevel, drawPlayer } from '../engine/LevelRenderer';
+import { downloadSaveFile } from '../utils/saveSystem';
+import { formatTime } from '../utils';
+
+const GAME_WIDTH = 320;
+const GAME_HEIGHT = 180;
+const SPEEDS = [1, 2, 4];
+
+// PUBLIC_INTERFACE
+/**
+ * ReplayViewer - Plays a recorded level attempt back on its own canvas, with
+ * restart, playback speed and "export to file" controls.
+ * @param {import('../engine/levels').Level} level - the level the replay was recorded on
+ * @param {object} replay - ReplayRecorder.finish() output (engine/replay)
+ * @param {function} onClose
+ */
+const ReplayViewer = ({ level, replay, onClose }) => {
+  const canvasRef = useRef();
+  const playerRef = useRef(null);
+  const speedRef = useRef(1);
+  const [speed, setSpeed] = useState(1);
+  // Playback clock in tenths of a second, as displayed; React skips the re-render while it's unchanged
+  const [tenths, setTenths] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    try {
+      playerRef.current = new ReplayPlayer(level, replay);
+    } catch (e) {
+      setError(e.message);
+      return undefined;
+    }
+    let running = true;
+    let lastTime = performance.now();
+    function frame(now) {
+      if (!running) return;
+      const player = playerRef.current;
+      const frameDt = (now - lastTime) / 1000;
+      player.advance(frameDt, speedRef.current);
+      player.sim.player.animate(frameDt * speedRef.current);
+      lastTime = now;
+      setTenths(Math.floor((player.cursor * 10) / TICK_RATE));
+
+      const ctx = canvasRef.current?.getContext();
+      if (ctx) {
+        const snap = player.sim.snapshot();
+        const alpha = player.alpha;
+        const view = cameraView(snap, alpha);
+        drawBackground(ctx, level, view, snap.time);
+        ctx.save();
+        ctx.translate(-view.x, -view.y);
+        drawLevel(ctx, level, snap, alpha, snap.status === 'complete', view);
+        drawPlayer(ctx, player.sim.player, snap, alpha);
+        ctx.restore();
+        if (snap.status === 'defeated') {
+          ctx.fillStyle = "#e74c3c66";
+          ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        }
+      }
+      requestAnimationFrame(frame);
+    }
+    requestAnimationFrame(frame);
+    return () => { running = false; };
+  }, [level, replay]);
+
+  const cycleSpeed = () => {
+    const next = SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length];
+    speedRef.current = next;
+    setSpeed(next);
+  };
+
+  const handleExport = () => {
+    const slug = (replay.levelName || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadSaveFile(serializeReplay(replay), `nimble-quest-replay-${slug}.json`);
+  };
+
+  return (
+    <div
+      className="overlay replay-viewer"
+      style={{
+        position: "fixed",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%,-50%)",
+        zIndex: 55,
+        background: "var(--px-window, #181824)",
+        border: "4px solid var(--px-hud-border)",
+        boxShadow: "0 0 0 8px var(--px-shadow), 0 8px 0 var(--px-ui-shadow)",
+        padding: "18px 18px 14px",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: 10,
+        fontFamily: "'Press Start 2P',monospace",
+        color: "var(--px-title)",
+        fontSize: ".62rem"
+      }}
+    >
+      <div style={{ fontSize: ".8rem" }}>Replay · {replay.levelName}</div>
+      {error ? (
+        <div style={{ color: "#e74c3c", maxWidth: 320 }}>{error}</div>
+      ) : (
+        <>
+          <GameCanvas ref={canvasRef} width={GAME_WIDTH} height={GAME_HEIGHT} scale={2} />
+          <div aria-live="off">
+            {formatTime(tenths / 10)} / {formatTime(replay.ticks / TICK_RATE)}
+            {replay.outcome === 'defeated' && ' · defeated'}
+          </div>
+        </>
+      )}
+      <div style={{ display: "flex", gap: 8 }}>
+        {!error && (
+          <>
+            <button className="px-btn" onClick={() => playerRef.current?.restart()}>⟲ Restart</button>
+            <button className="px-btn" onClick={cycleSpeed} aria-label="Playback speed">{speed}x</button>
+          </>
+        )}
+        <button className="px-btn" onClick={handleExport}>Export</button>
+        <button className="px-btn" onClick={onClose} autoFocus>Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
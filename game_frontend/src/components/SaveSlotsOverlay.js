@@ -0,0 +1,217 @@
+import React, { useRef, useState } from 'react';
+import { formatTime } from '../utils';
+
+const slotBtnStyle = {
+  margin: "0 4px 0 0",
+  padding: "4px 7px",
+  fontSize: ".5rem",
+  boxShadow: "2px 2px var(--px-ui-shadow)"
+};
+
+// Questions asked before an action destroys a slot's save
+const CONFIRM_PROMPTS = {
+  new: 'Start over? This save will be lost.',
+  import: 'Replace this save with a file?',
+  erase: 'Erase this save for good?'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * SaveSlotsOverlay - Retro slot picker for the save system.
+ * Each slot shows its level/score/last played date and can be continued,
+ * restarted, erased, exported to a JSON file or overwritten by an imported file.
+ * Restarting, erasing or importing over an existing save asks for confirmation first.
+ * @param {Array<object|null>} slots - Save data per slot (null = empty)
+ * @param {number} activeSlot - Currently selected slot index
+ * @param {Array} levels - Level definitions (for names)
+ * @param {string} [message] - Status/error line (e.g. failed import)
+ * @param {function} onContinue - (slot) load and continue a slot
+ * @param {function} onNewGame - (slot) start a new game in a slot (overwrites it)
+ * @param {function} onDelete - (slot) erase a slot
+ * @param {function} onExport - (slot) download a slot as JSON
+ * @param {function} onImport - (slot, jsonText) replace a slot with an exported save
+ * @param {function} onClose - called when user closes overlay
+ */
+const SaveSlotsOverlay = ({
+  slots = [],
+  activeSlot = 0,
+  levels = [],
+  message,
+  onContinue,
+  onNewGame,
+  onDelete,
+  onExport,
+  onImport,
+  onClose
+}) => {
+  const fileInputRef = useRef(null);
+  const importSlotRef = useRef(0);
+  // { slot, action } awaiting Yes/No; null when no question is open
+  const [pending, setPending] = useState(null);
+
+  const pickImportFile = slot => {
+    importSlotRef.current = slot;
+    if (fileInputRef.current) fileInputRef.current.click();
+  };
+
+  const runAction = (slot, action) => {
+    setPending(null);
+    if (action === 'new' && onNewGame) onNewGame(slot);
+    if (action === 'import') pickImportFile(slot);
+    if (action === 'erase' && onDelete) onDelete(slot);
+  };
+
+  // Empty slots have nothing to lose; a save asks first
+  const requestAction = (slot, action) => {
+    if (slots[slot]) setPending({ slot, action });
+    else runAction(slot, action);
+  };
+
+  const handleFile = async e => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file || !onImport) return;
+    onImport(importSlotRef.current, await file.text());
+  };
+
+  return (
+    <div
+      className="overlay save-slots-overlay"
+      style={{
+        position: "fixed",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%,-50%)",
+        width: "min(440px, 98vw)",
+        minHeight: 150,
+        zIndex: 52,
+        background: "var(--px-window, #181824fa)",
+        border: "4px solid var(--px-hud-border)",
+        boxShadow: "0 0 0 7px var(--px-shadow),0 7px 0 var(--px-ui-shadow)",
+        borderRadius: 0,
+        padding: "24px 15px 15px",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        fontFamily: "'Press Start 2P',monospace",
+        color: "var(--px-title)",
+        textAlign: "center"
+      }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Save Slots"
+    >
+      <h2
+        style={{
+          color: "var(--px-title)",
+          fontSize: "1.1rem",
+          textShadow: "2px 2px var(--px-block-border),0 0 5px #fffd",
+          marginBottom: 15,
+          letterSpacing: 1.1
+        }}
+      >
+        Save Slots
+      </h2>
+      {slots.map((save, slot) => {
+        const beaten = save ? Object.values(save.progress.levels).filter(l => l.completed).length : 0;
+        const totalTime = save
+          ? Object.values(save.progress.levels).reduce((t, l) => t + (l.bestTime || 0), 0)
+          : null;
+        return (
+          <div
+            key={slot}
+            style={{
+              width: "95%",
+              background: "rgba(38,41,60,0.78)",
+              border: `2px solid ${slot === activeSlot ? "var(--px-accent2)" : "var(--px-border)"}`,
+              boxShadow: "0 1px 0 var(--px-shadow)",
+              color: "var(--px-text-main)",
+              fontSize: ".55rem",
+              textAlign: "left",
+              marginBottom: 10,
+              padding: "8px 9px"
+            }}
+          >
+            <div style={{ color: "var(--px-title)", marginBottom: 6 }}>
+              Slot {slot + 1}{slot === activeSlot ? " ★" : ""}
+            </div>
+            {save ? (
+              <div style={{ fontFamily: "monospace", fontSize: ".68rem", lineHeight: 1.5, marginBottom: 6 }}>
+                {levels[save.level]?.name ?? `Level ${save.level + 1}`} · Score {String(save.score).padStart(6, "0")} · ×{save.lives}
+                <br />
+                Cleared {beaten}/{levels.length} · Best total {formatTime(totalTime)} · {new Date(save.updatedAt).toLocaleString()}
+              </div>
+            ) : (
+              <div style={{ fontFamily: "monospace", fontSize: ".68rem", marginBottom: 6, color: "var(--px-text-secondary)" }}>
+                — Empty —
+              </div>
+            )}
+            {pending && pending.slot === slot ? (
+              <div role="alertdialog" aria-label={CONFIRM_PROMPTS[pending.action]}>
+                <div style={{ color: "#f36d58", marginBottom: 6 }}>{CONFIRM_PROMPTS[pending.action]}</div>
+                <button className="px-btn" style={slotBtnStyle} onClick={() => runAction(slot, pending.action)}>
+                  Yes
+                </button>
+                <button className="px-btn" style={slotBtnStyle} autoFocus onClick={() => setPending(null)}>
+                  No
+                </button>
+              </div>
+            ) : (
+              <div>
+                {save && (
+                  <button className="px-btn" style={slotBtnStyle} onClick={() => onContinue && onContinue(slot)}>
+                    Continue
+                  </button>
+                )}
+                <button className="px-btn" style={slotBtnStyle} onClick={() => requestAction(slot, 'new')}>
+                  New
+                </button>
+                {save && (
+                  <button className="px-btn" style={slotBtnStyle} onClick={() => onExport && onExport(slot)}>
+                    Export
+                  </button>
+                )}
+                <button className="px-btn" style={slotBtnStyle} onClick={() => requestAction(slot, 'import')}>
+                  Import
+                </button>
+                {save && (
+                  <button className="px-btn" style={slotBtnStyle} onClick={() => requestAction(slot, 'erase')}>
+                    Erase
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {message && (
+        <div role="status" style={{ fontFamily: "monospace", fontSize: ".7rem", color: "#f36d58", marginBottom: 8 }}>
+          {message}
+        </div>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        style={{ display: "none" }}
+        onChange={handleFile}
+      />
+      <button
+        className="px-btn"
+        style={{
+          marginTop: 4,
+          fontSize: ".92rem",
+          background: "var(--px-button)",
+          color: "var(--px-title)"
+        }}
+        tabIndex={0}
+        autoFocus
+        onClick={onClose}
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default SaveSlotsOverlay;
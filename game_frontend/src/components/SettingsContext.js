@@ -0,0 +1,47 @@
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, sanitizeSettings } from '../utils/settings';
+
+const SettingsContext = createContext({
+  settings: DEFAULT_SETTINGS,
+  updateSettings: () => {},
+  resetSettings: () => {}
+});
+
+// PUBLIC_INTERFACE
+/**
+ * SettingsProvider - Holds the player's options, persists every change to localStorage
+ * and shares them with the overlay and the running GameEngine.
+ * @param {React.ReactNode} children
+ */
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const updateSettings = useCallback(patch => {
+    setSettings(prev => {
+      const next = sanitizeSettings({ ...prev, ...patch });
+      saveSettings(next);
+      return next;
+    });
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    saveSettings(DEFAULT_SETTINGS);
+    setSettings({ ...DEFAULT_SETTINGS });
+  }, []);
+
+  return (
+    <SettingsContext.Provider value={{ settings, updateSettings, resetSettings }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * useSettings - { settings, updateSettings(patch), resetSettings() }
+ */
+export function useSettings() {
+  return useContext(SettingsContext);
+}
+
+export default SettingsContext;
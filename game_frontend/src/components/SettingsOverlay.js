@@ -1,84 +1,217 @@
 import React from 'react';
+import { useSettings } from './SettingsContext';
+import KeyBindingsEditor from './KeyBindingsEditor';
+import { CRT_RENDERERS, PIXEL_SCALES, TOUCH_CONTROL_MODES } from '../utils/settings';
+import { VisualEffects } from '../engine/VisualEffects';
+import CRTPipeline from '../engine/CRTPipeline';
+
+const CRT_RENDERER_LABELS = { auto: 'WebGL shader', canvas: 'Canvas (simple)' };
+
+const rowStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 8,
+  margin: "7px 0"
+};
+
+const controlStyle = { width: "52%", accentColor: "var(--px-title)" };
+
+// Labelled 0..max slider shown as a percentage
+const SliderRow = ({ label, value, onChange, max = 1 }) => (
+  <label style={rowStyle}>
+    <span>{label} {Math.round(value * 100)}%</span>
+    <input
+      type="range"
+      min={0}
+      max={max}
+      step={0.05}
+      value={value}
+      onChange={e => onChange(parseFloat(e.target.value))}
+      style={controlStyle}
+    />
+  </label>
+);
 
 // PUBLIC_INTERFACE
 /**
  * SettingsOverlay - Clean, robust retro overlay for player options.
- * Adopts pixel-art modern-retro look, perfect content fit, visual polish.
+ * Volumes, CRT strength and shader parameters, palette filter, pixel scale,
+ * debug overlay and key bindings; every change is persisted and applied live
+ * through SettingsContext.
  * @param {function} onClose - called when user closes overlay
  */
-const SettingsOverlay = ({ onClose }) => (
-  <div
-    className="overlay settings-overlay"
-    style={{
-      position: "fixed",
-      top: "50%",
-      left: "50%",
-      transform: "translate(-50%,-50%)",
-      width: "min(360px, 98vw)",
-      minHeight: 150,
-      zIndex: 52,
-      background: "var(--px-window, #181824fa)",
-      border: "4px solid var(--px-hud-border)",
-      boxShadow: "0 0 0 7px var(--px-shadow),0 7px 0 var(--px-ui-shadow)",
-      borderRadius: 0,
-      padding: "26px 15px 15px",
-      display: "flex",
-      flexDirection: "column",
-      alignItems: "center",
-      fontFamily: "'Press Start 2P',monospace",
-      color: "var(--px-title)",
-      textAlign: "center"
-    }}
-    role="dialog"
-    aria-modal="true"
-    aria-label="Settings"
-  >
-    <h2
+const SettingsOverlay = ({ onClose }) => {
+  const { settings, updateSettings, resetSettings } = useSettings();
+  return (
+    <div
+      className="overlay settings-overlay"
       style={{
+        position: "fixed",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%,-50%)",
+        width: "min(360px, 98vw)",
+        minHeight: 150,
+        zIndex: 52,
+        background: "var(--px-window, #181824fa)",
+        border: "4px solid var(--px-hud-border)",
+        boxShadow: "0 0 0 7px var(--px-shadow),0 7px 0 var(--px-ui-shadow)",
+        borderRadius: 0,
+        padding: "26px 15px 15px",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        fontFamily: "'Press Start 2P',monospace",
         color: "var(--px-title)",
-        fontSize: "1.1rem",
-        textShadow: "2px 2px var(--px-block-border),0 0 5px #fffd",
-        marginBottom: 17,
-        letterSpacing: 1.1
+        textAlign: "center"
       }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Settings"
     >
-      Settings
-    </h2>
-    <div style={{
-      width: "95%",
-      minHeight: 60,
-      background: "rgba(38,41,60,0.78)",
-      border: "2px solid var(--px-border)",
-      borderRadius: 0,
-      boxShadow: "0 1px 0 var(--px-shadow)",
-      color: "var(--px-text-main)",
-      fontFamily: "monospace",
-      fontSize: ".67rem",
-      textAlign: "center",
-      marginBottom: 12,
-      padding: "6px 9px 12px"
-    }}>
-      <span style={{ color: "#ffd700"}}>⚙️</span>
-      <div style={{ paddingTop: 2, color: "var(--px-text-main, #fffadf)" }}>
-        Settings coming soon! <br />
-        You’ll be able to customize sound, controls, and other preferences here for your pixel-platform adventure.
+      <h2
+        style={{
+          color: "var(--px-title)",
+          fontSize: "1.1rem",
+          textShadow: "2px 2px var(--px-block-border),0 0 5px #fffd",
+          marginBottom: 17,
+          letterSpacing: 1.1
+        }}
+      >
+        Settings
+      </h2>
+      <div style={{
+        width: "95%",
+        minHeight: 60,
+        background: "rgba(38,41,60,0.78)",
+        border: "2px solid var(--px-border)",
+        borderRadius: 0,
+        boxShadow: "0 1px 0 var(--px-shadow)",
+        color: "var(--px-text-main)",
+        fontFamily: "monospace",
+        fontSize: ".67rem",
+        textAlign: "left",
+        marginBottom: 12,
+        padding: "6px 9px 8px"
+      }}>
+        <SliderRow label="Master" value={settings.masterVolume} onChange={v => updateSettings({ masterVolume: v })} />
+        <SliderRow label="Music" value={settings.musicVolume} onChange={v => updateSettings({ musicVolume: v })} />
+        <SliderRow label="SFX" value={settings.sfxVolume} onChange={v => updateSettings({ sfxVolume: v })} />
+        <SliderRow label="CRT" value={settings.crtIntensity} onChange={v => updateSettings({ crtIntensity: v })} />
+        {settings.crtIntensity > 0 && (
+          <>
+            <label style={rowStyle}>
+              <span>CRT renderer</span>
+              <select
+                value={settings.crtRenderer}
+                onChange={e => updateSettings({ crtRenderer: e.target.value })}
+                style={controlStyle}
+              >
+                {CRT_RENDERERS.map(key => <option key={key} value={key}>{CRT_RENDERER_LABELS[key]}</option>)}
+              </select>
+            </label>
+            {settings.crtRenderer === 'auto' && !CRTPipeline.isSupported() && (
+              <div style={{ color: "var(--px-text-secondary)", fontSize: ".55rem" }}>
+                WebGL is unavailable here; the canvas effect is used instead.
+              </div>
+            )}
+            <SliderRow label="Curvature" value={settings.crtCurvature} onChange={v => updateSettings({ crtCurvature: v })} />
+            <SliderRow label="Scanlines" value={settings.crtScanlines} onChange={v => updateSettings({ crtScanlines: v })} />
+            <SliderRow label="Bloom" value={settings.crtBloom} onChange={v => updateSettings({ crtBloom: v })} />
+            {settings.crtRenderer === 'auto' && (
+              <>
+                <SliderRow label="Shadow mask" value={settings.crtShadowMask} onChange={v => updateSettings({ crtShadowMask: v })} />
+                <SliderRow label="Colour fringe" value={settings.crtAberration} onChange={v => updateSettings({ crtAberration: v })} />
+              </>
+            )}
+          </>
+        )}
+        <label style={rowStyle}>
+          <span>Palette</span>
+          <select
+            value={settings.palette}
+            onChange={e => updateSettings({ palette: e.target.value })}
+            style={controlStyle}
+          >
+            <option value="none">Original</option>
+            {Object.keys(VisualEffects.palettes).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={rowStyle}>
+          <span>Pixel scale</span>
+          <select
+            value={settings.pixelScale}
+            onChange={e => updateSettings({ pixelScale: parseInt(e.target.value, 10) })}
+            style={controlStyle}
+          >
+            {PIXEL_SCALES.map(n => <option key={n} value={n}>{n}×</option>)}
+          </select>
+        </label>
+        <label style={rowStyle}>
+          <span>Debug overlay</span>
+          <input
+            type="checkbox"
+            checked={settings.debugOverlay}
+            onChange={e => updateSettings({ debugOverlay: e.target.checked })}
+          />
+        </label>
       </div>
+      <div style={{
+        width: "95%",
+        background: "rgba(38,41,60,0.78)",
+        border: "2px solid var(--px-border)",
+        borderRadius: 0,
+        boxShadow: "0 1px 0 var(--px-shadow)",
+        color: "var(--px-text-main)",
+        fontFamily: "monospace",
+        fontSize: ".67rem",
+        textAlign: "left",
+        marginBottom: 12,
+        padding: "6px 9px 8px"
+      }}>
+        <div style={{ color: "var(--px-title)", marginBottom: 4 }}>Controls</div>
+        <KeyBindingsEditor
+          bindings={settings.bindings}
+          onChange={bindings => updateSettings({ bindings })}
+        />
+        <label style={rowStyle}>
+          <span>Touch buttons</span>
+          <select
+            value={settings.touchControls}
+            onChange={e => updateSettings({ touchControls: e.target.value })}
+            style={controlStyle}
+          >
+            {TOUCH_CONTROL_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+        </label>
+        <SliderRow label="Stick deadzone" value={settings.padDeadzone} max={0.9} onChange={v => updateSettings({ padDeadzone: v })} />
+      </div>
+      <button
+        className="px-btn"
+        style={{ fontSize: ".6rem", padding: "5px 12px" }}
+        onClick={resetSettings}
+      >
+        Reset to defaults
+      </button>
+      <button
+        className="px-btn"
+        style={{
+          marginTop: 8,
+          fontSize: ".92rem",
+          background: "var(--px-button)",
+          color: "var(--px-title)"
+        }}
+        tabIndex={0}
+        autoFocus
+        onClick={onClose}
+      >
+        Close
+      </button>
     </div>
-    <button
-      className="px-btn"
-      style={{
-        marginTop: 8,
-        fontSize: ".92rem",
-        background: "var(--px-button)",
-        color: "var(--px-title)"
-      }}
-      tabIndex={0}
-      autoFocus
-      onClick={onClose}
-    >
-      Close
-    </button>
-  </div>
-);
+  );
+};
 
 export default SettingsOverlay;
@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const COARSE_QUERY = '(pointer: coarse)';
+
+// PUBLIC_INTERFACE
+/**
+ * useCoarsePointer - true while the primary pointer is a finger (phones/tablets).
+ * Tracks changes, e.g. a tablet docked to a keyboard/trackpad.
+ */
+export function useCoarsePointer() {
+  const getMatch = () =>
+    typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+      ? window.matchMedia(COARSE_QUERY).matches
+      : false;
+  const [coarse, setCoarse] = useState(getMatch);
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return undefined;
+    const mq = window.matchMedia(COARSE_QUERY);
+    const onChange = e => setCoarse(e.matches);
+    if (mq.addEventListener) mq.addEventListener('change', onChange);
+    else if (mq.addListener) mq.addListener(onChange);
+    return () => {
+      if (mq.removeEventListener) mq.removeEventListener('change', onChange);
+      else if (mq.removeListener) mq.removeListener(onChange);
+    };
+  }, []);
+  return coarse;
+}
+
+// Writes a held/released action into the shared control state (same semantics as the keyboard)
+function setAction(controls, action, down) {
+  if (action === 'jump' || action === 'dash') {
+    // Edge flag is cleared by the engine once a tick consumed it, so quick taps aren't lost
+    if (down && !controls[action]) controls[action + 'Pressed'] = true;
+    controls[action] = down;
+  } else {
+    controls[action] = down;
+  }
+}
+
+// One on-screen action button; several fingers may hold it at once
+const ActionButton = ({ controlsRef, action, label }) => {
+  const pointers = useRef(new Set());
+  const [pressed, setPressed] = useState(false);
+
+  const down = e => {
+    e.preventDefault();
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    if (pointers.current.size === 0) {
+      setAction(controlsRef.current, action, true);
+      setPressed(true);
+    }
+    pointers.current.add(e.pointerId);
+  };
+  const up = e => {
+    if (!pointers.current.delete(e.pointerId)) return;
+    if (pointers.current.size === 0) {
+      setAction(controlsRef.current, action, false);
+      setPressed(false);
+    }
+  };
+
+  return (
+    <button
+      className={`px-btn touch-btn${pressed ? ' is-pressed' : ''}`}
+      aria-label={label}
+      onPointerDown={down}
+      onPointerUp={up}
+      onPointerCancel={up}
+      onContextMenu={e => e.preventDefault()}
+    >
+      {label}
+    </button>
+  );
+};
+
+// Left/right pad: fingers may slide across the centre without lifting. Its directions go
+// to touchLeft/touchRight, which the engine ORs with the keyboard's left/right, so lifting
+// a finger never cancels a key that is still held.
+const DPad = ({ controlsRef }) => {
+  const pointers = useRef(new Map()); // pointerId -> -1 | 1
+  const [dir, setDir] = useState(0);
+
+  const sync = () => {
+    const dirs = Array.from(pointers.current.values());
+    const c = controlsRef.current;
+    c.touchLeft = dirs.includes(-1);
+    c.touchRight = dirs.includes(1);
+    setDir(c.touchLeft && !c.touchRight ? -1 : c.touchRight && !c.touchLeft ? 1 : 0);
+  };
+  const track = e => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    pointers.current.set(e.pointerId, e.clientX < rect.left + rect.width / 2 ? -1 : 1);
+    sync();
+  };
+  const down = e => {
+    e.preventDefault();
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    track(e);
+  };
+  const move = e => {
+    if (pointers.current.has(e.pointerId)) track(e);
+  };
+  const up = e => {
+    if (pointers.current.delete(e.pointerId)) sync();
+  };
+
+  return (
+    <div
+      className="touch-dpad"
+      role="group"
+      aria-label="Move"
+      onPointerDown={down}
+      onPointerMove={move}
+      onPointerUp={up}
+      onPointerCancel={up}
+      onContextMenu={e => e.preventDefault()}
+    >
+      <span className={`px-btn touch-btn${dir === -1 ? ' is-pressed' : ''}`} aria-hidden="true">◀</span>
+      <span className={`px-btn touch-btn${dir === 1 ? ' is-pressed' : ''}`} aria-hidden="true">▶</span>
+    </div>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * TouchControls - On-screen d-pad plus jump/dash/glide buttons for phones.
+ * Uses pointer events (multi-touch) and writes into the engine's controlsRef:
+ * the buttons like the keyboard, the d-pad into its own touchLeft/touchRight. Layout switches between an overlay on the canvas
+ * (landscape) and a bar under it (portrait) via CSS.
+ * @param {object} controlsRef - GameEngine control state ref
+ * @param {'auto'|'on'|'off'} [mode] - 'auto' shows them only for coarse pointers
+ * @param {function} [onPause] - shows a pause button when given
+ */
+const TouchControls = ({ controlsRef, mode = 'auto', onPause }) => {
+  const coarse = useCoarsePointer();
+  if (mode === 'off' || (mode === 'auto' && !coarse)) return null;
+
+  return (
+    <div className="touch-controls">
+      <DPad controlsRef={controlsRef} />
+      <div className="touch-actions">
+        {onPause && (
+          <button className="px-btn touch-btn touch-pause" aria-label="Pause" onClick={onPause}>
+            II
+          </button>
+        )}
+        <ActionButton controlsRef={controlsRef} action="glide" label="Glide" />
+        <ActionButton controlsRef={controlsRef} action="dash" label="Dash" />
+        <ActionButton controlsRef={controlsRef} action="jump" label="Jump" />
+      </div>
+    </div>
+  );
+};
+
+export default TouchControls;
@@ -0,0 +1,70 @@
+import { useEffect, useRef } from 'react';
+import GamepadInput from '../engine/GamepadInput';
+
+const FOCUSABLE = 'button:not([disabled]), select, input, [tabindex]:not([tabindex="-1"])';
+// Held direction auto-repeat (seconds)
+const REPEAT_DELAY = 0.4;
+const REPEAT_INTERVAL = 0.15;
+
+function moveFocus(step) {
+  // Prefer the topmost dialog so focus never wanders behind an overlay
+  const dialogs = document.querySelectorAll('[role="dialog"]');
+  const scope = dialogs.length ? dialogs[dialogs.length - 1] : document;
+  const items = Array.from(scope.querySelectorAll(FOCUSABLE)).filter(el => el.offsetParent !== null || el === document.activeElement);
+  if (!items.length) return;
+  const idx = items.indexOf(document.activeElement);
+  const next = idx === -1 ? 0 : (idx + step + items.length) % items.length;
+  items[next].focus();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * useGamepadMenuNavigation - Lets menus and overlays be driven with a gamepad.
+ * D-pad/left stick moves focus between controls (with auto-repeat), A clicks the
+ * focused control and B calls onBack.
+ * @param {object} opts
+ * @param {boolean} opts.enabled - poll only while menus are on screen
+ * @param {function} [opts.onBack] - B button handler
+ * @param {number} [opts.deadzone] - left stick deadzone
+ */
+export default function useGamepadMenuNavigation({ enabled, onBack, deadzone }) {
+  const onBackRef = useRef(onBack);
+  onBackRef.current = onBack;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const pad = new GamepadInput({ deadzone });
+    let frameHandle = null;
+    let lastTime = performance.now();
+    let heldDir = 0;
+    let repeatTimer = 0;
+
+    // Swallow buttons already held when the menu appeared (e.g. A that closed an overlay)
+    pad.poll();
+
+    function frame(now) {
+      const dt = (now - lastTime) / 1000;
+      lastTime = now;
+      const state = pad.poll();
+      const dir = (state.up || state.left) ? -1 : (state.down || state.right) ? 1 : 0;
+      if (dir !== heldDir) {
+        heldDir = dir;
+        repeatTimer = REPEAT_DELAY;
+        if (dir) moveFocus(dir);
+      } else if (dir) {
+        repeatTimer -= dt;
+        if (repeatTimer <= 0) {
+          repeatTimer = REPEAT_INTERVAL;
+          moveFocus(dir);
+        }
+      }
+      if (state.confirmPressed && document.activeElement && document.activeElement !== document.body) {
+        document.activeElement.click();
+      }
+      if (state.backPressed && onBackRef.current) onBackRef.current();
+      frameHandle = requestAnimationFrame(frame);
+    }
+    frameHandle = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(frameHandle);
+  }, [enabled, deadzone]);
+}
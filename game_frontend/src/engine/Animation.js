@@ -0,0 +1,94 @@
+//
+// Animation.js - Animation state machine: which clip an entity shows, and for how long.
+//
+// The entity reports the state its physics says it is in (e.g. Player.pose) every
+// update; the machine restarts the clip's clock whenever that state changes, and
+// resolves the state to a clip that the sprite sheet actually has, via fallbacks
+// (a sheet without "wall-slide" shows "fall", then "idle"). Terminal states (hurt)
+// hold until reset().
+//
+
+// PUBLIC_INTERFACE
+/**
+ * @typedef {Object} AnimationConfig
+ * @property {Object<string, {clip?: string, loop?: boolean, fallback?: string}>} states
+ *   - per state: clip name in the sheet (defaults to the state name), whether it loops
+ *     (default true; false holds the last frame) and the state to use when the sheet lacks it
+ * @property {string[]} [terminal] - states that, once entered, ignore further requests
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * The sheet clip (and looping) to show for a state, following fallbacks.
+ * @param {import('./SpriteAtlas').SpriteAtlas} atlas
+ * @param {AnimationConfig} config
+ * @param {string} state
+ * @returns {{clip: string, loop: boolean}|null} null when nothing in the chain exists
+ */
+export function resolveClip(atlas, config, state) {
+  const seen = new Set();
+  for (let s = state; s && !seen.has(s); s = config.states[s]?.fallback) {
+    seen.add(s);
+    const def = config.states[s] || {};
+    const clip = def.clip ?? s;
+    if (atlas.hasClip(clip)) return { clip, loop: def.loop ?? true };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Draw an entity in a state without a per-entity machine (time supplied by the caller).
+ * @param {import('./SpriteAtlas').SpriteAtlas|null} atlas - null while the sheet is loading
+ * @returns {boolean} false when nothing was drawn (sheet not loaded, or no clip for the state)
+ */
+export function drawAnimation(ctx, atlas, config, state, time, box, { flip = false } = {}) {
+  if (!atlas) return false;
+  const resolved = resolveClip(atlas, config, state);
+  return !!resolved && atlas.draw(ctx, resolved.clip, time, box, { flip, loop: resolved.loop });
+}
+
+// PUBLIC_INTERFACE
+export class AnimationStateMachine {
+  /**
+   * @param {AnimationConfig} config
+   * @param {string} [initial] - starting state
+   */
+  constructor(config, initial = 'idle') {
+    this.config = config;
+    this.state = initial;
+    this.time = 0; // seconds in the current state
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Advance the clip clock and switch to the requested state (restarting its clip) if it changed.
+   * @param {number} dt - seconds
+   * @param {string} [requested] - the entity's current state; omitted keeps the current one
+   */
+  update(dt, requested = this.state) {
+    const locked = (this.config.terminal || []).includes(this.state);
+    if (requested !== this.state && !locked) {
+      this.state = requested;
+      this.time = 0;
+    } else {
+      this.time += dt;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /** Jump straight to a state (also leaves terminal ones). */
+  reset(state = 'idle') {
+    this.state = state;
+    this.time = 0;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Draw the current state's clip bottom-centred on a box.
+   * @returns {boolean} false when nothing was drawn (the caller's fallback)
+   */
+  draw(ctx, atlas, box, opts) {
+    return drawAnimation(ctx, atlas, this.config, this.state, this.time, box, opts);
+  }
+}
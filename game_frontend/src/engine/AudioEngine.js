@@ -0,0 +1,364 @@
+//
+// AudioEngine.js - Web Audio output: master/music/SFX buses, synthesized SFX and
+// looping per-level music.
+//
+// Every sound is generated from the data in ./sounds. An SFX can be swapped for a
+// recorded sample by listing it in the asset manifest as "sfx.<name>" (./assets);
+// samples are decoded once audio is unlocked, and the synthesized recipe plays
+// whenever there is no sample (none listed, still decoding, or failed to load).
+// Gameplay code never plays sounds itself: subscribe() listens on the game event
+// bus (./GameEvents) and handleEvent() picks the effect (see sfxForEvent).
+//
+// Browsers only allow audio after a user gesture, so the AudioContext is created
+// on the first key/pointer/touch event after attach(); music requested before
+// then starts as soon as the context exists. Without Web Audio (Jest, very old
+// browsers) every method is a no-op.
+//
+
+import { SFX, DRUMS, MUSIC_TRACKS, noteFrequency, parsePattern } from './sounds';
+import { audioAssetKeys, getAsset } from './assets';
+
+const CROSSFADE_TIME = 1.2; // seconds, between two levels' music
+const HIDE_FADE_TIME = 0.15; // seconds, muting when the tab is hidden
+const VOLUME_FADE_TIME = 0.05; // seconds, slider changes (avoids zipper noise)
+// Music is scheduled slightly ahead on the audio clock, topped up by a timer
+const SCHEDULE_AHEAD = 0.12;
+const SCHEDULER_INTERVAL_MS = 25;
+
+const LEAD = { wave: 'square', gain: 0.1, length: 0.8 };
+const BASS = { wave: 'triangle', gain: 0.26, length: 0.95 };
+
+const EVENT_SFX = {
+  gemCollected: 'gem',
+  checkpointReached: 'checkpoint',
+  playerDefeated: 'defeat',
+  levelCompleted: 'levelComplete',
+  dash: 'dash',
+  glide: 'glide',
+  projectileFired: 'shoot'
+};
+const JUMP_SFX = { ground: 'jump', air: 'multiJump', wall: 'wallJump' };
+
+// PUBLIC_INTERFACE
+/**
+ * Name of the SFX (a key of SFX in ./sounds) a game event should play, or null.
+ * @param {{type: string}} ev
+ */
+export function sfxForEvent(ev) {
+  if (ev.type === 'jump') return JUMP_SFX[ev.kind] ?? null;
+  return EVENT_SFX[ev.type] ?? null;
+}
+
+function getAudioContextClass() {
+  if (typeof window === 'undefined') return null;
+  return window.AudioContext || window.webkitAudioContext || null;
+}
+
+// One second of white noise, shared by every noise tone
+function createNoiseBuffer(ctx) {
+  const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+// One playing music track with its own gain node, so two can overlap during a crossfade
+class MusicVoice {
+  constructor(engine, track) {
+    const ctx = engine.ctx;
+    this.engine = engine;
+    this.channels = {
+      lead: parsePattern(track.lead),
+      bass: parsePattern(track.bass),
+      drums: parsePattern(track.drums)
+    };
+    this.length = Math.max(...Object.values(this.channels).map(c => c.length));
+    this.stepTime = 60 / track.bpm / 2; // eighth notes
+    this.step = 0;
+    this.nextTime = ctx.currentTime + 0.05;
+
+    this.output = ctx.createGain();
+    this.output.gain.value = 0;
+    this.output.connect(engine.buses.music);
+
+    this.timer = setInterval(() => this.schedule(), SCHEDULER_INTERVAL_MS);
+    this.schedule();
+  }
+
+  schedule() {
+    const { ctx } = this.engine;
+    // After a stall, skip ahead instead of playing the missed notes all at once
+    if (this.nextTime < ctx.currentTime - 0.1) this.nextTime = ctx.currentTime;
+    while (this.nextTime < ctx.currentTime + SCHEDULE_AHEAD) {
+      this.playStep(this.step, this.nextTime);
+      this.nextTime += this.stepTime;
+      this.step = (this.step + 1) % this.length;
+    }
+  }
+
+  playStep(step, time) {
+    const { lead, bass, drums } = this.channels;
+    for (let [note, voice] of [[lead[step], LEAD], [bass[step], BASS]]) {
+      const freq = note && noteFrequency(note);
+      if (freq) {
+        this.engine.playTone(
+          { wave: voice.wave, freq, dur: this.stepTime * voice.length, gain: voice.gain },
+          time,
+          this.output
+        );
+      }
+    }
+    const drum = DRUMS[drums[step]];
+    if (drum) this.engine.playTone(drum, time, this.output);
+  }
+
+  fadeTo(value, duration) {
+    const { ctx } = this.engine;
+    const gain = this.output.gain;
+    gain.cancelScheduledValues(ctx.currentTime);
+    gain.setValueAtTime(gain.value, ctx.currentTime);
+    gain.linearRampToValueAtTime(value, ctx.currentTime + duration);
+  }
+
+  // Fade out, then stop scheduling and release the node
+  stop(duration) {
+    this.fadeTo(0, duration);
+    setTimeout(() => {
+      clearInterval(this.timer);
+      this.output.disconnect();
+    }, duration * 1000 + 50);
+  }
+}
+
+// PUBLIC_INTERFACE
+export class AudioEngine {
+  constructor() {
+    this.ctx = null;
+    this.buses = null; // { master, music, sfx } GainNodes, once unlocked
+    this.noiseBuffer = null;
+    this.volumes = { master: 1, music: 1, sfx: 1 };
+    this.hidden = false;
+    this.samples = new Map(); // asset key -> decoded AudioBuffer, or null while decoding/failed
+    this.musicKey = null; // requested track, even while still locked
+    this.music = null; // MusicVoice currently fading in/playing
+    this._suspendTimer = null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Listen for the first user gesture (to unlock audio) and for tab visibility
+   * changes (to mute while hidden).
+   * @returns {function} detach
+   */
+  attach(win = window, doc = document) {
+    const unlock = () => this.unlock();
+    const onVisibility = () => this.setHidden(doc.hidden);
+    const gestures = ['pointerdown', 'keydown', 'touchstart'];
+    gestures.forEach(type => win.addEventListener(type, unlock, true));
+    doc.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      gestures.forEach(type => win.removeEventListener(type, unlock, true));
+      doc.removeEventListener('visibilitychange', onVisibility);
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Create the AudioContext and buses (or resume a suspended context).
+   * Must run inside a user gesture the first time.
+   */
+  unlock() {
+    if (this.ctx) {
+      if (this.ctx.state === 'suspended' && !this.hidden) this.ctx.resume();
+      return;
+    }
+    const AudioContextClass = getAudioContextClass();
+    if (!AudioContextClass) return;
+    const ctx = new AudioContextClass();
+    this.ctx = ctx;
+    const master = ctx.createGain();
+    master.connect(ctx.destination);
+    const music = ctx.createGain();
+    music.connect(master);
+    const sfx = ctx.createGain();
+    sfx.connect(master);
+    this.buses = { master, music, sfx };
+    this.noiseBuffer = createNoiseBuffer(ctx);
+    audioAssetKeys().forEach(key => this._sample(key));
+    this._applyVolumes(VOLUME_FADE_TIME);
+    if (this.musicKey) this._startMusic(this.musicKey);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Bus levels (0..1); accepts the settings object directly.
+   * @param {{masterVolume?: number, musicVolume?: number, sfxVolume?: number}} volumes
+   */
+  setVolumes({ masterVolume, musicVolume, sfxVolume }) {
+    this.volumes = {
+      master: masterVolume ?? this.volumes.master,
+      music: musicVolume ?? this.volumes.music,
+      sfx: sfxVolume ?? this.volumes.sfx
+    };
+    this._applyVolumes(VOLUME_FADE_TIME);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Mute (and suspend the context, saving CPU) while the tab is hidden.
+   */
+  setHidden(hidden) {
+    this.hidden = hidden;
+    if (!this.ctx) return;
+    clearTimeout(this._suspendTimer);
+    this._applyVolumes(HIDE_FADE_TIME);
+    if (hidden) {
+      this._suspendTimer = setTimeout(() => this.ctx.suspend(), HIDE_FADE_TIME * 1000 + 20);
+    } else {
+      this.ctx.resume();
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Play a named effect on the SFX bus: its "sfx.<name>" sample if one is loaded,
+   * otherwise its recipe from SFX (./sounds).
+   */
+  playSfx(name) {
+    if (!this.ctx || this.hidden) return;
+    const now = this.ctx.currentTime;
+    const sample = this._sample(`sfx.${name}`);
+    if (sample) {
+      const source = this.ctx.createBufferSource();
+      source.buffer = sample;
+      source.connect(this.buses.sfx);
+      source.start(now);
+      return;
+    }
+    const recipe = SFX[name];
+    if (!recipe) return;
+    for (let tone of recipe) this.playTone(tone, now, this.buses.sfx);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Play the effect for a game event, if it has one.
+   * @param {{type: string}} ev
+   */
+  handleEvent(ev) {
+    const name = sfxForEvent(ev);
+    if (name) this.playSfx(name);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Play effects for everything published on a GameEventBus.
+   * @param {import('./GameEvents').GameEventBus} bus
+   * @returns {function} unsubscribe
+   */
+  subscribe(bus) {
+    return bus.onAny(ev => this.handleEvent(ev));
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Crossfade to a track from MUSIC_TRACKS (./sounds); null or an unknown key fades to silence.
+   * Requesting the track that is already playing does nothing, so it carries on across restarts.
+   */
+  playMusic(key) {
+    const next = key || null;
+    if (next === this.musicKey) return;
+    this.musicKey = next;
+    if (this.ctx) this._startMusic(next);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Schedule one tone (see ./sounds for the format) at `time` into `destination`.
+   */
+  playTone(tone, time, destination) {
+    const ctx = this.ctx;
+    const start = time + (tone.start ?? 0);
+    const end = start + tone.dur;
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(tone.gain ?? 0.3, start);
+    env.gain.exponentialRampToValueAtTime(0.001, end);
+    env.connect(destination);
+
+    let source;
+    if (tone.noise) {
+      source = ctx.createBufferSource();
+      source.buffer = this.noiseBuffer;
+    } else {
+      source = ctx.createOscillator();
+      source.type = tone.wave ?? 'square';
+      source.frequency.setValueAtTime(tone.freq, start);
+      if (tone.to) source.frequency.exponentialRampToValueAtTime(tone.to, end);
+    }
+    if (tone.highpass) {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'highpass';
+      filter.frequency.value = tone.highpass;
+      source.connect(filter);
+      filter.connect(env);
+    } else {
+      source.connect(env);
+    }
+    source.start(start);
+    source.stop(end + 0.02);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Stop the music and close the AudioContext.
+   */
+  dispose() {
+    clearTimeout(this._suspendTimer);
+    if (this.music) this.music.stop(0);
+    this.music = null;
+    if (this.ctx) this.ctx.close();
+    this.ctx = null;
+    this.buses = null;
+    this.samples.clear();
+  }
+
+  // Decoded sample for an audio asset key; starts decoding on first request
+  _sample(key) {
+    if (this.samples.has(key)) return this.samples.get(key);
+    const bytes = getAsset(key);
+    if (!(bytes instanceof ArrayBuffer)) return null;
+    this.samples.set(key, null);
+    // decodeAudioData detaches the buffer it is given, so the cached bytes stay intact
+    this.ctx.decodeAudioData(bytes.slice(0))
+      .then(buffer => this.samples.set(key, buffer))
+      .catch(() => {});
+    return null;
+  }
+
+  _startMusic(key) {
+    if (this.music) this.music.stop(CROSSFADE_TIME);
+    this.music = null;
+    const track = MUSIC_TRACKS[key];
+    if (!track) return;
+    this.music = new MusicVoice(this, track);
+    this.music.fadeTo(1, CROSSFADE_TIME);
+  }
+
+  _applyVolumes(fade) {
+    if (!this.buses) return;
+    const now = this.ctx.currentTime;
+    const levels = {
+      master: this.hidden ? 0 : this.volumes.master,
+      music: this.volumes.music,
+      sfx: this.volumes.sfx
+    };
+    for (let [name, value] of Object.entries(levels)) {
+      const gain = this.buses[name].gain;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(value, now + fade);
+    }
+  }
+}
+
+export default AudioEngine;
@@ -0,0 +1,46 @@
+import AudioEngine, { sfxForEvent } from './AudioEngine';
+import { SFX, MUSIC_TRACKS, noteFrequency, parsePattern } from './sounds';
+
+test('gameplay events map to existing sound effects', () => {
+  const events = [
+    { type: 'jump', kind: 'ground' },
+    { type: 'jump', kind: 'air' },
+    { type: 'jump', kind: 'wall' },
+    { type: 'dash' },
+    { type: 'glide' },
+    { type: 'gemCollected' },
+    { type: 'playerDefeated' },
+    { type: 'levelCompleted' },
+    { type: 'projectileFired' }
+  ];
+  const names = events.map(sfxForEvent);
+  expect(names).toEqual(['jump', 'multiJump', 'wallJump', 'dash', 'glide', 'gem', 'defeat', 'levelComplete', 'shoot']);
+  names.forEach(name => expect(SFX[name]).toBeDefined());
+  expect(sfxForEvent({ type: 'levelStarted' })).toBeNull();
+});
+
+test('music tracks have equal-length channels of valid notes and drums', () => {
+  expect(noteFrequency('A4')).toBeCloseTo(440);
+  expect(noteFrequency('A5')).toBeCloseTo(880);
+  expect(noteFrequency('C#4')).toBeCloseTo(noteFrequency('Db4'));
+  for (let [key, track] of Object.entries(MUSIC_TRACKS)) {
+    const lead = parsePattern(track.lead);
+    const bass = parsePattern(track.bass);
+    const drums = parsePattern(track.drums);
+    expect({ key, bass: bass.length, drums: drums.length }).toEqual({ key, bass: lead.length, drums: lead.length });
+    lead.concat(bass).filter(Boolean).forEach(n => expect(noteFrequency(n)).not.toBeNull());
+    drums.filter(Boolean).forEach(d => expect('ksh').toContain(d));
+  }
+});
+
+test('without Web Audio every call is a harmless no-op', () => {
+  const audio = new AudioEngine();
+  audio.unlock();
+  audio.setVolumes({ masterVolume: 0.5 });
+  audio.playMusic('garden');
+  audio.handleEvent({ type: 'gemCollected' });
+  audio.setHidden(true);
+  expect(audio.ctx).toBeNull();
+  expect(audio.musicKey).toBe('garden');
+  audio.dispose();
+});
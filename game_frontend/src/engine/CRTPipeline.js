@@ -0,0 +1,306 @@
+//
+// CRTPipeline.js - WebGL CRT post-processing: the finished 320x180 frame in, a
+// curved, glowing picture tube out.
+//
+// The game still draws every frame with canvas2d; GameCanvas uploads that canvas
+// as a texture and this pipeline renders it onto a second, WebGL canvas at display
+// resolution in four passes:
+//
+//   1. bright pass  - pixels above a brightness threshold, at half resolution
+//   2. blur X       - separable 9-tap gaussian
+//   3. blur Y
+//   4. composite    - barrel curvature, chromatic aberration, scanlines, an
+//                     aperture-grille shadow mask, the blurred glow added on top
+//                     (real bloom) and a vignette
+//
+// Options are the same object the canvas2d pass takes (getCRTOptions in
+// utils/settings), so the settings drive both. Where WebGL is missing (see
+// isSupported) or the context is lost, callers fall back to
+// VisualEffects.applyCRTPass on the 2D canvas.
+//
+
+const VERTEX_SHADER = `
+attribute vec2 aPos;
+varying vec2 vUv;
+void main() {
+  vUv = aPos * 0.5 + 0.5;
+  gl_Position = vec4(aPos, 0.0, 1.0);
+}`;
+
+const BRIGHT_SHADER = `
+precision mediump float;
+uniform sampler2D uFrame;
+uniform float uThreshold;
+varying vec2 vUv;
+void main() {
+  vec3 c = texture2D(uFrame, vUv).rgb;
+  float luma = dot(c, vec3(0.299, 0.587, 0.114));
+  gl_FragColor = vec4(c * smoothstep(uThreshold, 1.0, luma), 1.0);
+}`;
+
+// Gaussian weights folded into 5 linearly filtered taps
+const BLUR_SHADER = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec2 uStep;
+varying vec2 vUv;
+void main() {
+  vec3 s = texture2D(uTex, vUv).rgb * 0.2270270270;
+  s += (texture2D(uTex, vUv + uStep * 1.3846153846).rgb + texture2D(uTex, vUv - uStep * 1.3846153846).rgb) * 0.3162162162;
+  s += (texture2D(uTex, vUv + uStep * 3.2307692308).rgb + texture2D(uTex, vUv - uStep * 3.2307692308).rgb) * 0.0702702703;
+  gl_FragColor = vec4(s, 1.0);
+}`;
+
+const COMPOSITE_SHADER = `
+precision mediump float;
+uniform sampler2D uFrame;
+uniform sampler2D uBloom;
+uniform vec2 uSourceSize;
+uniform float uCurvature;
+uniform float uAberration;
+uniform float uScanlines;
+uniform float uMask;
+uniform float uBloomAmount;
+uniform float uVignette;
+varying vec2 vUv;
+
+vec2 barrel(vec2 uv) {
+  vec2 c = uv * 2.0 - 1.0;
+  c *= 1.0 + uCurvature * dot(c, c);
+  return c * 0.5 + 0.5;
+}
+
+void main() {
+  vec2 uv = barrel(vUv);
+  if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+  // Red and blue drift apart towards the edges of the tube (uAberration source pixels at the corners)
+  vec2 split = (uv - 0.5) * 2.0 * uAberration / uSourceSize;
+  vec3 col = vec3(
+    texture2D(uFrame, uv + split).r,
+    texture2D(uFrame, uv).g,
+    texture2D(uFrame, uv - split).b
+  );
+  col += texture2D(uBloom, uv).rgb * uBloomAmount;
+
+  // Dark gaps between the source rows
+  float scan = sin(fract(uv.y * uSourceSize.y) * 3.14159265);
+  col *= 1.0 - uScanlines * (1.0 - scan * scan);
+
+  // Aperture grille: each output column lets one primary through at full strength
+  float m = mod(floor(gl_FragCoord.x), 3.0);
+  vec3 mask = vec3(1.0 - uMask);
+  if (m < 0.5) mask.r = 1.0; else if (m < 1.5) mask.g = 1.0; else mask.b = 1.0;
+  col *= mask * (1.0 + uMask * 0.6);
+
+  vec2 d = uv - 0.5;
+  col *= 1.0 - uVignette * dot(d, d) * 2.5;
+  gl_FragColor = vec4(col, 1.0);
+}`;
+
+// The canvas2d pass blends its glow at low alpha; additive GL bloom needs more gain for a similar look
+const BLOOM_GAIN = 6;
+const BLOOM_THRESHOLD = 0.55;
+
+let supported = null;
+
+function getGL(canvas) {
+  const opts = { alpha: false, antialias: false, preserveDrawingBuffer: false };
+  return canvas.getContext('webgl', opts) || canvas.getContext('experimental-webgl', opts);
+}
+
+function compile(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`CRT shader failed to compile: ${log}`);
+  }
+  return shader;
+}
+
+function createProgram(gl, fragmentSource, uniforms) {
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, fragmentSource));
+  gl.bindAttribLocation(program, 0, 'aPos');
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`CRT shader failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  const locations = {};
+  for (let name of uniforms) locations[name] = gl.getUniformLocation(program, name);
+  return { program, locations };
+}
+
+function createTexture(gl, filter, width, height) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  if (width) gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  return tex;
+}
+
+// Render target: a texture plus the framebuffer drawing into it
+function createTarget(gl, width, height) {
+  const texture = createTexture(gl, gl.LINEAR, width, height);
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  return { texture, framebuffer, width, height };
+}
+
+// PUBLIC_INTERFACE
+export class CRTPipeline {
+  // PUBLIC_INTERFACE
+  /**
+   * Whether this browser can run the pipeline (checked once: WebGL context plus
+   * a test compile of the composite shader).
+   * @returns {boolean}
+   */
+  static isSupported() {
+    if (supported === null) {
+      supported = false;
+      try {
+        if (typeof document !== 'undefined' && typeof window !== 'undefined' && window.WebGLRenderingContext) {
+          const gl = getGL(document.createElement('canvas'));
+          if (gl) {
+            compile(gl, gl.FRAGMENT_SHADER, COMPOSITE_SHADER);
+            supported = true;
+            const lose = gl.getExtension('WEBGL_lose_context');
+            if (lose) lose.loseContext();
+          }
+        }
+      } catch (e) {
+        supported = false;
+      }
+    }
+    return supported;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas - output canvas (its width/height are the render resolution)
+   * @param {number} sourceWidth - size of the frames that will be passed to render()
+   * @param {number} sourceHeight
+   * @throws {Error} if WebGL or the shaders are unavailable
+   */
+  constructor(canvas, sourceWidth, sourceHeight) {
+    this.canvas = canvas;
+    this.sourceWidth = sourceWidth;
+    this.sourceHeight = sourceHeight;
+    this.lost = false;
+    this._onLost = e => {
+      e.preventDefault(); // lets the browser restore the context later
+      this.lost = true;
+    };
+    this._onRestored = () => {
+      this._init();
+      this.lost = false;
+    };
+    canvas.addEventListener('webglcontextlost', this._onLost);
+    canvas.addEventListener('webglcontextrestored', this._onRestored);
+    this.gl = getGL(canvas);
+    if (!this.gl) throw new Error('WebGL is not available');
+    this._init();
+  }
+
+  // (Re)create every GL resource; also runs after a lost context is restored
+  _init() {
+    const gl = this.gl;
+    const halfW = Math.ceil(this.sourceWidth / 2);
+    const halfH = Math.ceil(this.sourceHeight / 2);
+    this.programs = {
+      bright: createProgram(gl, BRIGHT_SHADER, ['uFrame', 'uThreshold']),
+      blur: createProgram(gl, BLUR_SHADER, ['uTex', 'uStep']),
+      composite: createProgram(gl, COMPOSITE_SHADER, [
+        'uFrame', 'uBloom', 'uSourceSize', 'uCurvature', 'uAberration', 'uScanlines', 'uMask', 'uBloomAmount', 'uVignette'
+      ])
+    };
+    // Point sampling keeps the pixel art crisp; the glow targets filter linearly
+    this.frame = createTexture(gl, gl.NEAREST);
+    this.targets = [createTarget(gl, halfW, halfH), createTarget(gl, halfW, halfH)];
+
+    // One triangle covering the screen
+    this.quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+  }
+
+  _pass(name, target, textures, setUniforms) {
+    const gl = this.gl;
+    const { program, locations } = this.programs[name];
+    gl.useProgram(program);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+    gl.viewport(0, 0, target ? target.width : this.canvas.width, target ? target.height : this.canvas.height);
+    textures.forEach(([uniform, texture], unit) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.uniform1i(locations[uniform], unit);
+    });
+    setUniforms(gl, locations);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Post-process one frame onto the output canvas.
+   * @param {HTMLCanvasElement} source - the finished 2D frame (sourceWidth x sourceHeight)
+   * @param {object} options - getCRTOptions() output: { strength, scanlineOpacity, bloom,
+   *   curvature, aberration, shadowMask }
+   * @returns {boolean} false if nothing was drawn (context lost): use the canvas2d pass instead
+   */
+  render(source, options) {
+    const gl = this.gl;
+    if (this.lost || gl.isContextLost()) return false;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.frame);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+    const [a, b] = this.targets;
+    const bloom = (options.bloom ?? 0) * BLOOM_GAIN;
+    if (bloom > 0) {
+      this._pass('bright', a, [['uFrame', this.frame]], (gl, u) => gl.uniform1f(u.uThreshold, BLOOM_THRESHOLD));
+      this._pass('blur', b, [['uTex', a.texture]], (gl, u) => gl.uniform2f(u.uStep, 1 / a.width, 0));
+      this._pass('blur', a, [['uTex', b.texture]], (gl, u) => gl.uniform2f(u.uStep, 0, 1 / a.height));
+    }
+    this._pass('composite', null, [['uFrame', this.frame], ['uBloom', a.texture]], (gl, u) => {
+      gl.uniform2f(u.uSourceSize, this.sourceWidth, this.sourceHeight);
+      gl.uniform1f(u.uCurvature, options.curvature ?? 0);
+      gl.uniform1f(u.uAberration, options.aberration ?? 0);
+      gl.uniform1f(u.uScanlines, options.scanlineOpacity ?? 0);
+      gl.uniform1f(u.uMask, options.shadowMask ?? 0);
+      gl.uniform1f(u.uBloomAmount, bloom);
+      gl.uniform1f(u.uVignette, options.strength ?? 0);
+    });
+    return true;
+  }
+
+  // PUBLIC_INTERFACE
+  /** Free the GL resources and stop listening for context loss. */
+  dispose() {
+    const gl = this.gl;
+    this.canvas.removeEventListener('webglcontextlost', this._onLost);
+    this.canvas.removeEventListener('webglcontextrestored', this._onRestored);
+    if (gl.isContextLost()) return;
+    Object.values(this.programs).forEach(({ program }) => gl.deleteProgram(program));
+    this.targets.forEach(t => {
+      gl.deleteFramebuffer(t.framebuffer);
+      gl.deleteTexture(t.texture);
+    });
+    gl.deleteTexture(this.frame);
+    gl.deleteBuffer(this.quad);
+  }
+}
+
+export default CRTPipeline;
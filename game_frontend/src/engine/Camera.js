@@ -0,0 +1,113 @@
+//
+// Camera.js - Side-scrolling camera for levels larger than the 320x180 screen.
+//
+// The camera follows a target (the player) with:
+//   - a deadzone: the target may move inside a central window without scrolling
+//   - look-ahead: the view eases ahead in the direction the target is moving
+//   - clamping: the view never shows anything outside the level bounds
+//
+// It is updated once per Simulation tick, so scrolling is deterministic and
+// interpolates between ticks like every other moving thing.
+//
+
+const VIEW_WIDTH = 320;
+const VIEW_HEIGHT = 180;
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
+// Moves `pos` (the view's left/top edge) so `focus` stays inside the deadzone window
+function applyDeadzone(pos, focus, viewSize, deadzone) {
+  const lo = pos + (viewSize - deadzone) / 2;
+  const hi = lo + deadzone;
+  if (focus < lo) return pos - (lo - focus);
+  if (focus > hi) return pos + (focus - hi);
+  return pos;
+}
+
+// PUBLIC_INTERFACE
+export class Camera {
+  /**
+   * @param {object} [opts] - { viewWidth, viewHeight, worldWidth, worldHeight,
+   *   deadzoneWidth, deadzoneHeight, lookAhead, lookAheadSpeed }
+   *   - view*: visible area (320x180)
+   *   - world*: level bounds (default: one screen)
+   *   - deadzone*: window the target moves in freely (48x40)
+   *   - lookAhead: max horizontal lead in the direction of travel (40px),
+   *     eased in/out at lookAheadSpeed (2.5 per second)
+   */
+  constructor(opts = {}) {
+    this.viewWidth = opts.viewWidth ?? VIEW_WIDTH;
+    this.viewHeight = opts.viewHeight ?? VIEW_HEIGHT;
+    this.worldWidth = opts.worldWidth ?? this.viewWidth;
+    this.worldHeight = opts.worldHeight ?? this.viewHeight;
+    this.deadzoneWidth = opts.deadzoneWidth ?? 48;
+    this.deadzoneHeight = opts.deadzoneHeight ?? 40;
+    this.lookAhead = opts.lookAhead ?? 40;
+    this.lookAheadSpeed = opts.lookAheadSpeed ?? 2.5;
+    this.x = 0;
+    this.y = 0;
+    this.lead = 0;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Centre the view on the target immediately (level start, respawn).
+   * @param {{x:number, y:number, w?:number, h?:number}} target
+   */
+  snapTo(target) {
+    this.lead = 0;
+    this.x = target.x + (target.w ?? 0) / 2 - this.viewWidth / 2;
+    this.y = target.y + (target.h ?? 0) / 2 - this.viewHeight / 2;
+    this._clamp();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Advance the camera by one step towards the target.
+   * @param {{x:number, y:number, w?:number, h?:number, vx?:number}} target
+   * @param {number} dt - seconds
+   */
+  follow(target, dt) {
+    const goal = Math.sign(target.vx ?? 0) * this.lookAhead;
+    const maxDelta = this.lookAhead * this.lookAheadSpeed * dt;
+    this.lead += clamp(goal - this.lead, -maxDelta, maxDelta);
+
+    const focusX = target.x + (target.w ?? 0) / 2 + this.lead;
+    const focusY = target.y + (target.h ?? 0) / 2;
+    this.x = applyDeadzone(this.x, focusX, this.viewWidth, this.deadzoneWidth);
+    this.y = applyDeadzone(this.y, focusY, this.viewHeight, this.deadzoneHeight);
+    this._clamp();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Visible rectangle in world coordinates.
+   * @returns {{x:number, y:number, w:number, h:number}}
+   */
+  getView() {
+    return { x: this.x, y: this.y, w: this.viewWidth, h: this.viewHeight };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * True if the rectangle is on screen (or within `margin` pixels of it).
+   */
+  isVisible(x, y, w, h, margin = 0) {
+    return (
+      x + w > this.x - margin &&
+      x < this.x + this.viewWidth + margin &&
+      y + h > this.y - margin &&
+      y < this.y + this.viewHeight + margin
+    );
+  }
+
+  // Levels smaller than the view stay pinned to the top-left corner
+  _clamp() {
+    this.x = clamp(this.x, 0, Math.max(0, this.worldWidth - this.viewWidth));
+    this.y = clamp(this.y, 0, Math.max(0, this.worldHeight - this.viewHeight));
+  }
+}
+
+export default Camera;
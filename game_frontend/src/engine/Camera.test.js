@@ -0,0 +1,36 @@
+import Camera from './Camera';
+
+const target = (x, y, vx = 0) => ({ x, y, w: 12, h: 14, vx });
+
+test('target moving inside the deadzone does not scroll the view', () => {
+  const cam = new Camera({ worldWidth: 1000, worldHeight: 180, lookAhead: 0 });
+  cam.snapTo(target(400, 100));
+  const startX = cam.x;
+  cam.follow(target(410, 100), 1 / 120);
+  expect(cam.x).toBe(startX);
+  cam.follow(target(480, 100), 1 / 120);
+  expect(cam.x).toBeGreaterThan(startX);
+});
+
+test('view is clamped to the level bounds', () => {
+  const cam = new Camera({ worldWidth: 800, worldHeight: 240 });
+  cam.snapTo(target(0, 0));
+  expect(cam.getView()).toEqual({ x: 0, y: 0, w: 320, h: 180 });
+  cam.snapTo(target(790, 230));
+  expect(cam.getView()).toEqual({ x: 480, y: 60, w: 320, h: 180 });
+
+  // One-screen levels never scroll
+  const small = new Camera();
+  small.snapTo(target(300, 170));
+  expect([small.x, small.y]).toEqual([0, 0]);
+});
+
+test('look-ahead eases the view towards the direction of travel', () => {
+  const cam = new Camera({ worldWidth: 2000, worldHeight: 180, deadzoneWidth: 0, lookAhead: 40 });
+  cam.snapTo(target(1000, 100));
+  for (let i = 0; i < 240; i++) cam.follow(target(1000, 100, 90), 1 / 120);
+  expect(cam.lead).toBe(40);
+  expect(cam.x + cam.viewWidth / 2).toBeCloseTo(1000 + 6 + 40);
+  expect(cam.isVisible(1000 + 6 + 40 + 150, 100, 10, 10)).toBe(true);
+  expect(cam.isVisible(1000 - 160, 100, 10, 10)).toBe(false);
+});
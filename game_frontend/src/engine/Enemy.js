@@ -4,11 +4,30 @@
 //
 
 /**
- * Enemy class for simple patrol (walker) "slime" enemies.
- * Support for future: chaser, hopper, projectile
- * Handles autonomous AI state and update per-tick.
+ * Every enemy class implements:
+ *   - update(dt, world): advance its AI by one tick
+ *   - getHitbox(): {x, y, w, h} used for collision with the player
+ *   - harmful: true if touching its body defeats the player
+ *   - pose (optional): animation state for its sprite clips (./sprites), default 'idle'
+ *
+ * `world` is provided by the Simulation each tick:
+ *   { player, platforms, width, height, random(), spawnProjectile(p) }
+ * Any randomness in an AI must come from world.random() (the Simulation's
+ * seeded generator), never Math.random, or replays will drift.
+ *
+ * New enemy types are added with registerEnemyType(type, Class); the
+ * engine never needs to know about them.
  */
 
+const GAME_WIDTH = 320;
+const GAME_HEIGHT = 180;
+// Seconds before a shot that a Turret shows its charge pose
+const TURRET_CHARGE_TIME = 0.4;
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
 // PUBLIC_INTERFACE
 export class WalkerSlime {
   /**
@@ -19,57 +38,280 @@ export class WalkerSlime {
     this.x = opts.x ?? 0;
     this.y = opts.y ?? 0;
     this.type = "walker";
+    this.w = 14;
+    this.h = 12;
+    this.harmful = true;
     this.dir = opts.dir ?? 1; // 1: right, -1: left
     this.patrolMin = opts.patrolMin ?? 0;
-    this.patrolMax = opts.patrolMax ?? 320 - 14; // Assume 14px wide sprite
+    this.patrolMax = opts.patrolMax ?? null; // null: right edge of the level
     this.speed = opts.speed ?? 36;
-    // For future: state
+  }
+
+  // PUBLIC_INTERFACE
+  get pose() {
+    return 'move';
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Update the slime's patrol movement for this frame.
+   * Update the slime's patrol movement for this tick.
    * @param {number} dt - Delta time in seconds
+   * @param {object} [world] - { width }
    */
-  update(dt) {
+  update(dt, world) {
+    const patrolMax = this.patrolMax ?? (world?.width ?? GAME_WIDTH) - this.w;
     this.x += this.dir * this.speed * dt;
     // Clamp x to patrol range
     if (this.x < this.patrolMin) {
       this.x = this.patrolMin;
       this.dir = 1;
-    } else if (this.x > this.patrolMax) {
-      this.x = this.patrolMax;
+    } else if (this.x > patrolMax) {
+      this.x = patrolMax;
       this.dir = -1;
     }
   }
+
+  // PUBLIC_INTERFACE
+  getHitbox() {
+    return { x: this.x, y: this.y, w: this.w, h: this.h };
+  }
 }
 
-//
-// (Stub for future AI: Hopper, Chaser, Projectile)
-//
+// PUBLIC_INTERFACE
+export class Hopper {
+  /**
+   * Frog-like enemy: waits on the ground, then leaps and reverses direction.
+   * With jumpJitter set (off by default), each wait is jumpCooldown give or take up to
+   * that many seconds, drawn from world.random.
+   * @param {object} opts { x, y, dir, jumpVy, jumpCooldown, jumpJitter, jumpTimer }
+   */
+  constructor(opts = {}) {
+    this.x = opts.x ?? 0;
+    this.y = opts.y ?? 0;
+    this.type = "hopper";
+    this.w = 12;
+    this.h = 13;
+    this.harmful = true;
+    this.dir = opts.dir ?? 1;
+    this.vy = 0;
+    this.onGround = false;
+    this.jumpVy = opts.jumpVy ?? -110;
+    this.jumpCooldown = opts.jumpCooldown ?? 1.3;
+    this.jumpJitter = opts.jumpJitter ?? 0;
+    this.jumpTimer = opts.jumpTimer ?? 0;
+    this.airSpeed = opts.airSpeed ?? 44;
+  }
 
+  // PUBLIC_INTERFACE
+  get pose() {
+    return this.onGround ? 'idle' : 'jump';
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Gravity, landing on platforms (from above only) and timed jumps.
+   * @param {number} dt - Delta time in seconds
+   * @param {object} world - { platforms, width, height, random }
+   */
+  update(dt, world) {
+    const maxX = (world?.width ?? GAME_WIDTH) - this.w;
+    const floorY = (world?.height ?? GAME_HEIGHT) - 20;
+    this.jumpTimer -= dt;
+    if (!this.onGround) this.vy += 440 * dt;
+    let nextY = this.y + this.vy * dt;
+    let grounded = false;
+    for (let pl of world?.platforms ?? []) {
+      if (
+        this.x + this.w - 1 > pl.x &&
+        this.x < pl.x + pl.w &&
+        nextY + this.h > pl.y &&
+        this.y + this.h - 3 < pl.y &&
+        nextY + this.h <= pl.y + pl.h
+      ) {
+        grounded = true;
+        nextY = pl.y - this.h;
+        this.vy = 0;
+        break;
+      }
+    }
+    // World ground (bottom edge)
+    if (nextY + this.h > floorY) {
+      grounded = true;
+      nextY = floorY - this.h;
+      this.vy = 0;
+    }
+    this.onGround = grounded;
+    this.y = nextY;
+
+    // When grounded and timer expired, jump and reverse direction
+    if (this.onGround && this.jumpTimer <= 0) {
+      this.vy = this.jumpVy;
+      this.dir *= -1;
+      const jitter = this.jumpJitter && world?.random ? (world.random() * 2 - 1) * this.jumpJitter : 0;
+      this.jumpTimer = Math.max(0.1, this.jumpCooldown + jitter);
+      this.x = clamp(this.x + this.dir * 12, 0, maxX);
+    } else if (!this.onGround) {
+      this.x = clamp(this.x + this.dir * this.airSpeed * dt, 0, maxX);
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  getHitbox() {
+    return { x: this.x, y: this.y, w: this.w, h: this.h };
+  }
+}
+
+// PUBLIC_INTERFACE
+export class Chaser {
+  /**
+   * Pursues the player horizontally while they are within range and on a similar height.
+   * @param {object} opts { x, y, speed, activeRange }
+   */
+  constructor(opts = {}) {
+    this.x = opts.x ?? 0;
+    this.y = opts.y ?? 0;
+    this.type = "chaser";
+    this.w = 14;
+    this.h = 12;
+    this.harmful = true;
+    this.dir = opts.dir ?? 1;
+    this.speed = opts.speed ?? 52;
+    this.activeRange = opts.activeRange ?? 90;
+    this.verticalRange = opts.verticalRange ?? 30;
+    this.chasing = false;
+  }
+
+  // PUBLIC_INTERFACE
+  get pose() {
+    return this.chasing ? 'chase' : 'idle';
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * @param {number} dt - Delta time in seconds
+   * @param {object} world - { player, width }
+   */
+  update(dt, world) {
+    const player = world?.player;
+    if (!player) return;
+    const dx = player.x - this.x;
+    const dy = Math.abs(player.y - this.y);
+    this.chasing = Math.abs(dx) < this.activeRange && dy < this.verticalRange;
+    if (this.chasing) {
+      if (dx !== 0) this.dir = Math.sign(dx);
+      this.x += Math.sign(dx) * this.speed * dt;
+      this.x = clamp(this.x, 0, (world.width ?? GAME_WIDTH) - this.w);
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  getHitbox() {
+    return { x: this.x, y: this.y, w: this.w, h: this.h };
+  }
+}
+
+// PUBLIC_INTERFACE
+export class Turret {
+  /**
+   * Stationary projectile thrower (level type "projectile"): fires a bolt in `dir` every `cooldown` seconds.
+   * Its body is harmless; only the projectiles hurt.
+   * @param {object} opts { x, y, dir, cooldown, t, projectileSpeed }
+   */
+  constructor(opts = {}) {
+    this.x = opts.x ?? 0;
+    this.y = opts.y ?? 0;
+    this.type = "projectile";
+    this.w = 14;
+    this.h = 14;
+    this.harmful = false;
+    this.dir = opts.dir ?? 1;
+    this.cooldown = Math.max(0.1, opts.cooldown ?? 2.5); // a zero cooldown would fire every tick
+    this.t = opts.t ?? 0;
+    this.projectileSpeed = opts.projectileSpeed ?? 110;
+  }
+
+  // PUBLIC_INTERFACE
+  /** 'charge' just before each shot, so the sprite can telegraph it. */
+  get pose() {
+    return this.t >= this.cooldown - TURRET_CHARGE_TIME ? 'charge' : 'idle';
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * @param {number} dt - Delta time in seconds
+   * @param {object} world - { spawnProjectile }
+   */
+  update(dt, world) {
+    this.t += dt;
+    if (this.t >= this.cooldown) {
+      if (world?.spawnProjectile) {
+        world.spawnProjectile({
+          x: this.x + 7,
+          y: this.y + 10,
+          vx: this.dir * this.projectileSpeed,
+          vy: 0,
+          t: 0
+        });
+      }
+      this.t = 0;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  getHitbox() {
+    return { x: this.x, y: this.y, w: this.w, h: this.h };
+  }
+}
+
+// Registry: level `type` string -> enemy class
+const ENEMY_TYPES = {
+  walker: WalkerSlime,
+  hopper: Hopper,
+  chaser: Chaser,
+  projectile: Turret
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Register (or replace) the class used for a level enemy `type`.
+ * @param {string} type - Value of `type` in level enemy entries
+ * @param {Function} EnemyClass - Class implementing update(dt, world) and getHitbox()
+ */
+export function registerEnemyType(type, EnemyClass) {
+  ENEMY_TYPES[type] = EnemyClass;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * List of enemy type keys currently registered.
+ * @returns {string[]}
+ */
+export function getEnemyTypes() {
+  return Object.keys(ENEMY_TYPES);
+}
+
+// PUBLIC_INTERFACE
 /**
  * Factory for creating the appropriate AI object for a given enemy type
  * @param {object} data - Enemy object from level definition
  */
 export function createEnemyInstance(data) {
-  if (data.type === "walker") return new WalkerSlime(data);
-  // TODO: support for hopper, chaser etc.
-  return { ...data };
+  const EnemyClass = ENEMY_TYPES[data.type];
+  if (!EnemyClass) {
+    throw new Error(`Unknown enemy type "${data.type}"`);
+  }
+  return new EnemyClass(data);
 }
 
 // PUBLIC_INTERFACE
 /**
- * Top-level tick update for all enemies in a level (to be called from GameEngine).
+ * Top-level tick update for all enemies in a level (called from the Simulation).
  * @param {Array<object>} enemiesState - Array of live enemy objects
  * @param {number} dt - Delta time per tick (seconds)
- * Modifies the objects in-place if they have an update() method.
+ * @param {object} world - Shared world context passed to each enemy's update()
  */
-export function updateEnemies(enemiesState, dt) {
+export function updateEnemies(enemiesState, dt, world) {
   for (let enemy of enemiesState) {
-    if (typeof enemy.update === "function") {
-      enemy.update(dt);
-    }
-    // else: legacy format, state mutation happens elsewhere
+    enemy.update(dt, world);
   }
 }
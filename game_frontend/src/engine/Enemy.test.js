@@ -0,0 +1,98 @@
+import { WalkerSlime, Hopper, Chaser, Turret, createEnemyInstance, registerEnemyType, updateEnemies } from './Enemy';
+
+const world = (extra = {}) => ({
+  player: { x: 0, y: 0 },
+  platforms: [{ x: 0, y: 160, w: 320, h: 20 }],
+  width: 320,
+  height: 180,
+  spawnProjectile: () => {},
+  ...extra
+});
+
+test('createEnemyInstance maps level types to AI classes', () => {
+  expect(createEnemyInstance({ type: 'walker' })).toBeInstanceOf(WalkerSlime);
+  expect(createEnemyInstance({ type: 'hopper' })).toBeInstanceOf(Hopper);
+  expect(createEnemyInstance({ type: 'chaser' })).toBeInstanceOf(Chaser);
+  expect(createEnemyInstance({ type: 'projectile' })).toBeInstanceOf(Turret);
+  expect(() => createEnemyInstance({ type: 'dragon' })).toThrow(/Unknown enemy type/);
+});
+
+test('walkers move exactly speed * dt per update', () => {
+  const walker = createEnemyInstance({ type: 'walker', x: 100, y: 0, dir: 1, patrolMin: 0, patrolMax: 300, speed: 40 });
+  updateEnemies([walker], 0.5, world());
+  expect(walker.x).toBe(120);
+});
+
+test('chaser only pursues a player in range', () => {
+  const chaser = new Chaser({ x: 100, y: 100, speed: 50, activeRange: 60 });
+  chaser.update(0.1, world({ player: { x: 140, y: 100 } }));
+  expect(chaser.x).toBe(105);
+  chaser.update(0.1, world({ player: { x: 300, y: 100 } }));
+  expect(chaser.x).toBe(105);
+});
+
+test('a turret with no cooldown still waits between shots', () => {
+  const shots = [];
+  const turret = new Turret({ cooldown: 0 });
+  for (let i = 0; i < 120; i++) turret.update(1 / 120, world({ spawnProjectile: p => shots.push(p) }));
+  expect(shots.length).toBeLessThanOrEqual(10);
+});
+
+test('turret fires through the world context when its cooldown elapses', () => {
+  const shots = [];
+  const turret = new Turret({ x: 10, y: 10, dir: -1, cooldown: 1 });
+  turret.update(0.6, world({ spawnProjectile: p => shots.push(p) }));
+  turret.update(0.6, world({ spawnProjectile: p => shots.push(p) }));
+  expect(shots).toHaveLength(1);
+  expect(shots[0].vx).toBeLessThan(0);
+  expect(turret.harmful).toBe(false);
+});
+
+test('hopper lands on platforms and jumps when its timer runs out', () => {
+  const hopper = new Hopper({ x: 50, y: 147, dir: 1, jumpTimer: 0.5, jumpVy: -100 });
+  hopper.update(1 / 120, world());
+  expect(hopper.onGround).toBe(true);
+  expect(hopper.y).toBe(147);
+  let ticks = 1;
+  while (hopper.vy >= 0 && ticks < 240) {
+    hopper.update(1 / 120, world());
+    ticks++;
+  }
+  expect(ticks).toBeGreaterThanOrEqual(60);
+  expect(ticks).toBeLessThanOrEqual(61);
+  expect(hopper.vy).toBe(-100);
+  expect(hopper.dir).toBe(-1);
+});
+
+test('hopper waits are jittered by the world\'s seeded random generator', () => {
+  const waitAfterJump = random => {
+    const hopper = new Hopper({ x: 50, y: 147, jumpTimer: 0, jumpCooldown: 1, jumpJitter: 0.5 });
+    hopper.update(1 / 120, world({ random }));
+    return hopper.jumpTimer;
+  };
+  expect(waitAfterJump(() => 0)).toBe(0.5);
+  expect(waitAfterJump(() => 0.5)).toBe(1);
+  expect(waitAfterJump(() => 0.999)).toBeCloseTo(1.499);
+
+  // Without jumpJitter a hopper keeps its fixed rhythm and draws nothing
+  const random = jest.fn(() => 0);
+  const steady = new Hopper({ x: 50, y: 147, jumpTimer: 0, jumpCooldown: 1 });
+  steady.update(1 / 120, world({ random }));
+  expect(steady.jumpTimer).toBe(1);
+  expect(random).not.toHaveBeenCalled();
+});
+
+test('configured zero values are kept rather than replaced by defaults', () => {
+  expect(new Hopper({ jumpVy: 0 }).jumpVy).toBe(0);
+  expect(new Hopper({}).jumpVy).toBe(-110);
+});
+
+test('registerEnemyType adds new enemies without engine changes', () => {
+  class Spike {
+    constructor(opts) { Object.assign(this, { type: 'spike', w: 8, h: 8, harmful: true }, opts); }
+    update() {}
+    getHitbox() { return { x: this.x, y: this.y, w: this.w, h: this.h }; }
+  }
+  registerEnemyType('spike', Spike);
+  expect(createEnemyInstance({ type: 'spike', x: 1, y: 2 }).getHitbox()).toEqual({ x: 1, y: 2, w: 8, h: 8 });
+});
@@ -1,166 +1,162 @@
 import React, { useRef, useEffect, useState } from 'react';
 import GameCanvas from '../components/GameCanvas';
-import Player from './Player';
-import * as Physics from './Physics';
+import TouchControls from '../components/TouchControls';
+import PauseMenu from '../components/PauseMenu';
 import LEVELS from './levels';
-import { createEnemyInstance, updateEnemies } from './Enemy';
-import { VisualEffects, ParallaxBackground } from './VisualEffects';
+import Simulation from './Simulation';
+import { ReplayRecorder } from './replay';
+import { randomSeed } from './random';
+import { GhostRecorder, ghostDelta, ghostPose } from './ghost';
+import { cameraView, drawBackground, drawLevel, drawPlayer } from './LevelRenderer';
+import { VisualEffects } from './VisualEffects';
+import { useSettings } from '../components/SettingsContext';
+import { getCRTOptions } from '../utils/settings';
+import { getActionsForKey, keyLabel } from './InputBindings';
+import GamepadInput from './GamepadInput';
+import { scoreLevelResult } from '../utils/scoring';
 
 /**
- * GameEngine - Main orchestrator for multi-level loop, rendering, and simulation.
- * 
+ * GameEngine - Main orchestrator for multi-level loop and rendering.
+ * Gameplay itself runs in the fixed-timestep Simulation (./Simulation); this
+ * component feeds it input, reacts to its events and draws interpolated snapshots.
+ *
  * Expands to support:
  *  - Multiple levels (level data/array)
  *  - Per-level platform/entity rendering
  *  - Goal checking: collect all gems, reach exit
  *  - Level transition UI (next level prompt, win, restart, etc.)
- *  - Sample enemies stub (walker/hopper to wire in future)
+ *  - A level clock, par times and end-of-level bonuses/star rating (../utils/scoring)
+ *  - Checkpoints: after a defeat the level restarts from the last one reached
+ *  - Every attempt is recorded (./replay) and the replay published when it ends
+ *  - Ghost racing: the fastest run of each level is stored and drawn as a ghost
+ *  - Enemies via the Enemy.js class registry (walker, hopper, chaser, projectile)
+ *  - Levels wider/taller than the screen, scrolled by the simulation's Camera
+ *  - Gameplay events published on a GameEventBus for the UI, audio and stats
+ *  - Each level's `music` played through the AudioEngine
  */
 
 const GAME_WIDTH = 320;
 const GAME_HEIGHT = 180;
-const PIXEL_SCALE = 2;
-
-const COLORS = {
-  fallbackSky: '#9ad0ec',
-  ground: '#3e4e3e',
-  block: '#66e67e',
-  exit: '#ef5bc2'
-};
-
-// Load parallax background layers (stub: replace with real images as needed)
-const backgroundAssets = [];
-let loadedBGImgs = [];
-
-// Example: You may later place rich backgrounds in src/assets/img/bg_*.png
-function loadParallaxBGImages() {
-  // Preload up to three layers for parallax, real assets should be added here
-  if (!backgroundAssets.length) {
-    ['bg_layer0', 'bg_layer1', 'bg_layer2'].forEach((base, idx) => {
-      const img = new window.Image();
-      // For now, fallback to color stripes or gradients. Replace with pixel-art .pngs to upgrade.
-      img.src = '';
-      if (!img.src) {
-        // Fallback: draw a gradient to canvas, then export as image
-        const c = document.createElement('canvas');
-        c.width = 800; c.height = 180;
-        const ctx = c.getContext('2d');
-        const g = ctx.createLinearGradient(0, 0, 0, 180);
-        if (idx === 0) {
-          g.addColorStop(0, '#1e242c'); g.addColorStop(1, '#7cada5');
-        } else if (idx === 1) {
-          g.addColorStop(0, 'rgba(38,137,179,0.83)'); g.addColorStop(1, 'rgba(221,210,172,0.14)');
-        } else {
-          g.addColorStop(0, 'rgba(215, 226, 255, .14)'); g.addColorStop(1, '#18182400');
-        }
-        ctx.fillStyle = g;
-        ctx.fillRect(0, 0, 800, 180);
-        img.src = c.toDataURL();
-      }
-      backgroundAssets.push({ img, speed: 0.12 + 0.13 * idx, repeat: 'x' });
-    });
-    loadedBGImgs = backgroundAssets;
-  }
-}
-
-function clamp(val, min, max) {
-  return Math.max(min, Math.min(max, val));
-}
-
-// --- Visual enhancement state (setup once and on level change) ---
-let parallaxBG = null;
-function getOrInitParallaxBG(width, height) {
-  if (!loadedBGImgs.length) loadParallaxBGImages();
-  if (!parallaxBG) {
-    parallaxBG = new ParallaxBackground(loadedBGImgs, width, height);
-  }
-  return parallaxBG;
-}
-
-// Keyboard mapping: Simple acrobatics/arrow/wasd
-const KEYMAP = {
-  left: ['ArrowLeft', 'a', 'A'],
-  right: ['ArrowRight', 'd', 'D'],
-  jump: [' ', 'Spacebar', 'w', 'W', 'ArrowUp'],
-  dash: ['Shift', 'ShiftLeft', 'ShiftRight'],
-  glide: ['z', 'Z'] // Use Z as the gliding key (can be changed)
-};
-
-function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh) {
-  return (
-    ax < bx + bw &&
-    ax + aw > bx &&
-    ay < by + bh &&
-    ay + ah > by
-  );
-}
 
 /**
- * GameEngine - Main orchestrator for multi-level loop, rendering, and simulation.
+ * GameEngine - Main orchestrator for multi-level loop and rendering.
  * Props:
- *   - lives, score, gems, maxGems, level: Top-level persistent values (display only)
- *   - onGameStateUpdate({score, lives, gems, maxGems, level}): callback when any state value changes
- *   - onGameOver(), onNextLevel({levelName}), onAllLevelsComplete()
- *   - gameFlowOverlay: parent-controlled overlay for game over/level complete, disables gameplay if set
+ *   - lives, score, level: where the run starts (read on mount)
+ *   - levels: level list to play (defaults to LEVELS; the editor passes its draft for play-testing)
+ *   - events: GameEventBus (./GameEvents) on which progress is published - level starts,
+ *     gems, defeats, completions, game over and player/enemy actions, with payloads.
+ *     levelCompleted and gameOver carry the attempt's replay.
+ *   - gameFlowOverlay: parent-controlled overlay for game over/level complete, disables gameplay if set.
+ *     After a level is completed the game waits for the parent to clear it (the results
+ *     screen's Continue) before moving to the next level.
  *   - onDismissOverlay: handler to clear overlay
+ *   - onShowSettings(), onQuit(): pause menu actions (open Settings, quit to the main menu)
+ *   - menuOpen: an app overlay (e.g. Settings) is on top; gameplay input is ignored and time stays frozen
+ *   - onPauseChange(paused): notified when the pause menu opens/closes
+ *   - audio: shared AudioEngine (./AudioEngine) for volumes and level music; optional
+ *   - ghosts: ghost store (utils/ghosts) for personal-best runs; without it nothing is raced
+ *     or kept (play-tests). Racing is switched by the ghostRacing setting.
  */
 const GameEngine = ({
   lives = 3,
   score = 0,
-  gems = 0,
-  maxGems = 0,
   level = 0,
-  onGameStateUpdate,
-  onGameOver,
-  onNextLevel,
-  onAllLevelsComplete,
+  levels = LEVELS,
+  events,
   gameFlowOverlay,
-  onDismissOverlay
+  onDismissOverlay,
+  onShowSettings,
+  onQuit,
+  menuOpen = false,
+  onPauseChange,
+  audio,
+  ghosts
 }) => {
   const canvasRef = useRef();
+  // Player options (pixel scale, CRT, palette, debug) are read live by the render loop
+  const { settings } = useSettings();
+  const settingsRef = useRef(settings);
+  useEffect(() => { settingsRef.current = settings; }, [settings]);
+  const { masterVolume, musicVolume, sfxVolume } = settings;
+  useEffect(() => {
+    if (audio) audio.setVolumes({ masterVolume, musicVolume, sfxVolume });
+  }, [audio, masterVolume, musicVolume, sfxVolume]);
+
   const [levelIdx, setLevelIdx] = useState(level || 0);
+  // Bumped to restart the current level (after defeat or via "Restart Level"); 0 on a new level
+  const [attempt, setAttempt] = useState(0);
   const [levelState, setLevelState] = useState({
     gems: [],
     completed: false,
     transitioning: false,
     message: ''
   });
-  const [forceRerender, setForceRerender] = useState(0); // used to trigger UI rerender on some state changes
-
-  // Player state: persists for lives/score
-  const playerRef = useRef(new Player({ x: 16, y: 120 }));
 
-  // Top-level persistent counters per run
-  const [pLives, setPLives] = useState(lives);
-  const [pScore, setPScore] = useState(score);
-  const [pGems, setPGems] = useState(gems);
-  const [pMaxGems, setPMaxGems] = useState(maxGems);
-
-  // On level change: reset local state, set maxGems, but keep persistent values
+  // Fixed-timestep world for the current level attempt
+  const simRef = useRef(null);
+  // Where the next attempt resumes (Simulation.respawnState() at the last defeat); null = level start
+  const checkpointRef = useRef(null);
+  // Records the current attempt's inputs (fresh seed per attempt)
+  const recorderRef = useRef(null);
+  // The run's path for ghost racing (kept across checkpoint respawns) and the ghost being raced
+  const ghostRecorderRef = useRef(null);
+  const ghostRef = useRef(null);
+
+  // Run counters, owned here and published with every event. A ref rather than
+  // state: the render loop's handlers always see (and update) the current values.
+  // gems and deaths count for the current level only.
+  const runRef = useRef(null);
+  if (!runRef.current) runRef.current = { score, lives, gems: 0, deaths: 0 };
+
+  // On level change or restart: build a fresh simulation (from the checkpoint, if any),
+  // keep the run's score and lives
   useEffect(() => {
-    if (LEVELS[levelIdx]) {
-      const gemCopies = LEVELS[levelIdx].gems.map(g => ({ ...g, collected: false }));
-      setLevelState({
-        gems: gemCopies,
-        completed: false,
-        transitioning: false,
-        message: ''
-      });
-      setPMaxGems(LEVELS[levelIdx].gems.length);
-      // Reset player
-      playerRef.current = new Player({ x: 16, y: 120 });
+    const cur = levels[levelIdx];
+    if (!cur) return;
+    const checkpoint = checkpointRef.current;
+    const seed = randomSeed();
+    recorderRef.current = new ReplayRecorder({ level: levelIdx, levelName: cur.name, seed, checkpoint });
+    if (!checkpoint || !ghostRecorderRef.current) {
+      ghostRecorderRef.current = new GhostRecorder({ level: levelIdx, levelName: cur.name });
     }
-    // Report to top-level that level index changed (with persisted counters)
-    if (onGameStateUpdate)
-      onGameStateUpdate({
-        score: pScore,
-        lives: pLives,
-        gems: 0,
-        maxGems: LEVELS[levelIdx]?.gems.length ?? 0,
-        level: levelIdx
+    ghostRef.current = ghosts && settingsRef.current.ghostRacing ? ghosts.get(levelIdx, cur.name) : null;
+    simRef.current = new Simulation(cur, {
+      checkpoint,
+      seed,
+      recorder: recorderRef.current,
+      ghostRecorder: ghostRecorderRef.current
+    });
+    const snap = simRef.current.snapshot();
+    setLevelState({
+      gems: snap.gems,
+      completed: false,
+      transitioning: false,
+      message: ''
+    });
+    const run = runRef.current;
+    run.gems = snap.gemsCollected;
+    if (events) {
+      events.emit('levelStarted', {
+        level: levelIdx,
+        name: cur.name,
+        attempt,
+        checkpoint: checkpoint ? checkpoint.index : null,
+        score: run.score,
+        lives: run.lives,
+        gems: run.gems,
+        maxGems: cur.gems.length,
+        par: cur.par ?? null,
+        ghostTime: ghostRef.current ? ghostRef.current.time : null
       });
+    }
     // eslint-disable-next-line
-  }, [levelIdx]);
+  }, [levelIdx, attempt]);
+
+  // Level music (crossfades on level change; a restart keeps the same track going)
+  useEffect(() => {
+    if (audio) audio.playMusic(levels[levelIdx]?.music);
+  }, [audio, levels, levelIdx]);
+  useEffect(() => () => { if (audio) audio.playMusic(null); }, [audio]);
 
   // Controls
   const controlsRef = useRef({
@@ -170,476 +166,237 @@ const GameEngine = ({
     jumpPressed: false,
     dash: false,
     dashPressed: false,
-    glide: false // <--- New state for gliding
+    glide: false, // <--- New state for gliding
+    // The touch d-pad's own directions, merged with left/right when the inputs are read
+    touchLeft: false,
+    touchRight: false
   });
 
-  // Keyboard listeners setup/teardown
+  // Gamepad source, polled by the render loop (d-pad/left stick + face buttons)
+  const gamepadRef = useRef(null);
+  if (!gamepadRef.current) gamepadRef.current = new GamepadInput();
+
+  // Keyboard handler is registered once; it always calls the latest restart/pause logic
+  const restartRef = useRef(null);
+  const togglePauseRef = useRef(null);
+
+  // Pause: the loop keeps drawing but stops advancing the simulation
+  const [paused, setPaused] = useState(false);
+  const pausedRef = useRef(false);
+  const menuOpenRef = useRef(menuOpen);
+  useEffect(() => { menuOpenRef.current = menuOpen; }, [menuOpen]);
+
+  // Keyboard listeners setup/teardown; keys are resolved through the player's bindings
   useEffect(() => {
     function handleKeyDown(e) {
-      if (KEYMAP.left.includes(e.key)) controlsRef.current.left = true;
-      if (KEYMAP.right.includes(e.key)) controlsRef.current.right = true;
-      if (KEYMAP.jump.includes(e.key)) {
-        if (!controlsRef.current.jump) controlsRef.current.jumpPressed = true;
-        controlsRef.current.jump = true;
-      }
-      if (KEYMAP.dash.includes(e.key)) {
-        if (!controlsRef.current.dash) controlsRef.current.dashPressed = true;
-        controlsRef.current.dash = true;
-      }
-      if (KEYMAP.glide.includes(e.key)) {
-        controlsRef.current.glide = true;
+      if (menuOpenRef.current) return;
+      const controls = controlsRef.current;
+      for (let action of getActionsForKey(settingsRef.current.bindings, e.key)) {
+        if (action === 'pause') {
+          if (!e.repeat) togglePauseRef.current();
+        } else if (pausedRef.current) {
+          continue;
+        } else if (action === 'jump' || action === 'dash') {
+          if (!controls[action]) controls[action + 'Pressed'] = true;
+          controls[action] = true;
+        } else if (action === 'left' || action === 'right' || action === 'glide') {
+          controls[action] = true;
+        } else if (action === 'restart' && !e.repeat) {
+          restartRef.current();
+        }
       }
     }
     function handleKeyUp(e) {
-      if (KEYMAP.left.includes(e.key)) controlsRef.current.left = false;
-      if (KEYMAP.right.includes(e.key)) controlsRef.current.right = false;
-      if (KEYMAP.jump.includes(e.key)) {
-        controlsRef.current.jump = false;
-        controlsRef.current.jumpPressed = false;
-      }
-      if (KEYMAP.dash.includes(e.key)) {
-        controlsRef.current.dash = false;
-        controlsRef.current.dashPressed = false;
-      }
-      if (KEYMAP.glide.includes(e.key)) {
-        controlsRef.current.glide = false;
+      const controls = controlsRef.current;
+      for (let action of getActionsForKey(settingsRef.current.bindings, e.key)) {
+        if (action === 'jump' || action === 'dash') {
+          controls[action] = false;
+          controls[action + 'Pressed'] = false;
+        } else if (action === 'left' || action === 'right' || action === 'glide') {
+          controls[action] = false;
+        }
       }
     }
+    // Losing focus (alt-tab, switching browser tabs) pauses, so the player never returns mid-fall
+    function handleBlur() {
+      if (!pausedRef.current) togglePauseRef.current();
+    }
+    function handleVisibilityChange() {
+      if (document.hidden) handleBlur();
+    }
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
   }, []);
 
-  // Checks for gem collection and exit, and returns relevant event triggers.
-  function processLevelLogic(player, curLevel, gemsArr, setGems, onLevelComplete, updateCount) {
-    let foundGem = false;
-
-    // --- Accurate collectible (gem) AABB collision using player.overlapsRect ---
-    gemsArr.forEach((gem) => {
-      if (!gem.collected && player.overlapsRect(gem.x - 6, gem.y - 6, 12, 12)) {
-        gem.collected = true;
-        foundGem = true;
-        setGems(gemsArr.slice());
-        setForceRerender(n => n + 1);
-        setPGems(prev => {
-          const newVal = prev + 1;
-          if (onGameStateUpdate)
-            onGameStateUpdate({ score: pScore, lives: pLives, gems: newVal, maxGems: pMaxGems, level: levelIdx });
-          return newVal;
-        });
-        setPScore(prevS => {
-          const nextS = prevS + 250;
-          if (onGameStateUpdate)
-            onGameStateUpdate({ score: nextS, lives: pLives, gems: pGems + 1, maxGems: pMaxGems, level: levelIdx });
-          return nextS;
-        });
-      }
-    });
-
-    // --- Exit completion if all gems collected and player overlaps exit ---
-    if (gemsArr.every(g => g.collected)) {
-      if (
-        player.overlapsRect(curLevel.exit.x, curLevel.exit.y, curLevel.exit.w, curLevel.exit.h)
-      ) {
-        onLevelComplete();
-      }
-    }
-  }
-
-  // Draws platforms, exit, gems, etc. for the level
-  function drawLevel(ctx, curLevel, gems, completed, enemyState, projectiles) {
-    // ---- NEW: draw multi-layer parallax or static background ----
-    if (!parallaxBG) parallaxBG = getOrInitParallaxBG(GAME_WIDTH, GAME_HEIGHT);
-    if (parallaxBG && typeof parallaxBG.draw === "function") {
-      // Optionally, scrollX could be hooked to player.x for side-scrolling
-      const scrollDX = 0; // For now: 0, for world1, later tie to camera
-      parallaxBG.draw(ctx, scrollDX);
-    } else {
-      ctx.fillStyle = curLevel.bgColor || COLORS.fallbackSky;
-      ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-    }
-
-    // Draw platforms
-    curLevel.platforms.forEach(pl => {
-      ctx.fillStyle = '#88bc7f';
-      ctx.fillRect(pl.x, pl.y, pl.w, pl.h);
-      ctx.strokeStyle = '#fff880';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(pl.x, pl.y, pl.w, pl.h);
-    });
-
-    // Draw exit
-    ctx.fillStyle = completed ? '#cd7bff' : COLORS.exit;
-    ctx.fillRect(curLevel.exit.x, curLevel.exit.y, curLevel.exit.w, curLevel.exit.h);
-    ctx.strokeStyle = '#fffd';
-    ctx.strokeRect(curLevel.exit.x, curLevel.exit.y, curLevel.exit.w, curLevel.exit.h);
-
-    // Draw gems
-    gems.forEach(gem => {
-      ctx.save();
-      ctx.globalAlpha = gem.collected ? 0.20 : 1.0;
-      ctx.fillStyle = gem.collected ? '#ddc97b' : '#ffd700';
-      ctx.beginPath();
-      ctx.arc(gem.x, gem.y, 6, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.strokeStyle = '#fff880';
-      ctx.lineWidth = 1;
-      ctx.stroke();
-      ctx.restore();
-    });
-
-    // Draw enemies
-    // Enemies should have per-type animation and visuals
-    // cache loaded image outside loop
-    if (!ctx._modernSlimeImg) {
-      ctx._modernSlimeImg = new window.Image();
-      ctx._modernSlimeImg.src = require("../assets/img/slime_modern.png");
-      ctx._modernSlimeImgLoaded = false;
-      ctx._modernSlimeImg.onload = () => { ctx._modernSlimeImgLoaded = true; };
-    }
-    enemyState.forEach(en => {
-      ctx.save();
-      if (en.type === "walker") {
-        // Modern pixel-art slime
-        if (ctx._modernSlimeImg && ctx._modernSlimeImg.complete && ctx._modernSlimeImg.naturalWidth > 0) {
-          ctx.drawImage(ctx._modernSlimeImg, en.x, en.y, 14, 12);
-        } else {
-          // fallback: colored rectangle while image loads
-          ctx.fillStyle = "#f47350";
-          ctx.fillRect(en.x, en.y, 14, 12);
-        }
-      } else if (en.type === "hopper") {
-        ctx.fillStyle = "#53b0ef";
-        ctx.fillRect(en.x, en.y, 12, 13);
-        // simple frog eyes
-        ctx.fillStyle = "#fff";
-        ctx.fillRect(en.x+2, en.y+2, 2, 2);
-        ctx.fillRect(en.x+8, en.y+2, 2, 2);
-        ctx.strokeStyle = "#fff";
-        ctx.strokeRect(en.x, en.y, 12, 13);
-      } else if (en.type === "chaser") {
-        ctx.fillStyle = "#b359fe";
-        ctx.fillRect(en.x, en.y, 14, 12);
-        ctx.fillStyle = "#222";
-        ctx.fillRect(en.x+6, en.y+4, 2, 2); // single pixel nose, "ghost"
-        ctx.strokeStyle = "#fff";
-        ctx.strokeRect(en.x, en.y, 14, 12);
-      } else if (en.type === "projectile") {
-        ctx.fillStyle = "#ff951d";
-        ctx.beginPath();
-        ctx.arc(en.x+7, en.y+7, 7, 0, 2*Math.PI); // round thrower
-        ctx.fill();
-        ctx.strokeStyle = "#fff";
-        ctx.stroke();
-      }
-      ctx.restore();
-    });
-
-    // Projectiles (round bullets, fireballs)
-    projectiles.forEach(proj => {
-      ctx.save();
-      ctx.fillStyle = "#ffed33";
-      ctx.beginPath();
-      ctx.arc(proj.x, proj.y, 4, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.strokeStyle = "#c88e25";
-      ctx.lineWidth = 1;
-      ctx.stroke();
-      ctx.restore();
-    });
-  }
-
-  // --- ENEMY LOGIC/RENDER STATE ---
-  // Expanded enemies system: walker (patrol), chaser (AI pursue), hopper (jumping), projectile-shooter
-  const [enemiesState, setEnemiesState] = useState([]);
-  // Projectiles from projectile-throwers
-  const [projectiles, setProjectiles] = useState([]);
-
-  // Initialize enemy state per-level, with proper state for each enemy type
-  useEffect(() => {
-    if (!LEVELS[levelIdx]) return;
-    // Instantiate autonomous AI per enemy (use new Enemy.js logic where possible)
-    setEnemiesState(
-      LEVELS[levelIdx].enemies.map(e => {
-        // Use new AI classes for walker (slime)
-        return createEnemyInstance({ ...e });
-      })
-    );
-    setProjectiles([]);
-  }, [levelIdx]);
-
-  // Main game/animation loop -- all logic for AI, player, collisions, rendering
+  // Main render loop: feeds input to the simulation, handles its events, draws interpolated state
   useEffect(() => {
     let running = true;
     let lastTime = performance.now();
     let defeatTimeoutHandle = null;
-    let defeatFlash = false;
+    let lastTimerTenths = -1;
+
+    const emit = (type, payload) => {
+      if (events) events.emit(type, { level: levelIdx, ...payload });
+    };
+
+    function handleGemCollected(ev, snap) {
+      const run = runRef.current;
+      run.gems += 1;
+      run.score += 250;
+      setLevelState(ls => ({ ...ls, gems: snap.gems }));
+      emit('gemCollected', {
+        index: ev.index, x: ev.x, y: ev.y,
+        gems: run.gems, maxGems: snap.gemsTotal, score: run.score
+      });
+    }
 
-    function defeatPlayer() {
+    function handleDefeat(ev) {
       if (defeatTimeoutHandle) return;
-      defeatFlash = true;
+      const run = runRef.current;
       setLevelState(ls => ({
         ...ls,
         transitioning: true,
-        message: pLives > 1
+        message: run.lives > 1
           ? "Defeated! Life lost..."
           : "Defeated! Final life..."
       }));
-      setPLives(l => {
-        const nextLives = Math.max(0, l - 1);
-        if (onGameStateUpdate)
-          onGameStateUpdate({ score: pScore, lives: nextLives, gems: pGems, maxGems: pMaxGems, level: levelIdx });
-        return nextLives;
-      });
+      run.lives = Math.max(0, run.lives - 1);
+      run.deaths += 1;
+      checkpointRef.current = simRef.current.respawnState();
+      const replay = recorderRef.current.finish('defeated');
+      emit('playerDefeated', { cause: ev.cause, lives: run.lives });
       defeatTimeoutHandle = setTimeout(() => {
         // End game if out of lives, else replay level
-        if (pLives - 1 <= 0) {
-          if (onGameOver) onGameOver();
+        if (run.lives <= 0) {
+          emit('gameOver', { score: run.score, replay });
         } else {
-          // --- Restart level: Construct a fresh Player instance to restore jump/dash state ---
-          playerRef.current = new Player({ x: 16, y: 120 });
-          setLevelIdx(idx => idx); // triggers useEffect; also resets levelState, etc.
-          setPScore(prevS => prevS); // score persists
-          setPGems(0); // reset collected for level
+          setAttempt(a => a + 1); // fresh simulation for the same level, from the last checkpoint
         }
       }, 1700);
     }
 
-    function frame() {
+    function handleLevelComplete(ev, snap) {
+      const run = runRef.current;
+      const cur = levels[levelIdx];
+      const hasNext = levelIdx + 1 < levels.length;
+      const result = {
+        time: ev.time,
+        par: cur.par ?? null,
+        gems: snap.gemsCollected,
+        maxGems: snap.gemsTotal,
+        deaths: run.deaths
+      };
+      const rating = scoreLevelResult(result);
+      run.score += rating.completionBonus + rating.timeBonus;
+      run.deaths = 0;
+      checkpointRef.current = null;
+      const newGhost = ghosts ? ghosts.offer(ghostRecorderRef.current.finish(ev.time)) : false;
+      ghostRecorderRef.current = null;
+      setLevelState(ls => ({ ...ls, completed: true, transitioning: true, message: 'Level Complete!' }));
+      // The parent shows the results; the next level starts once it clears gameFlowOverlay
+      emit('levelCompleted', {
+        name: cur.name,
+        ...result,
+        ...rating,
+        score: run.score,
+        lives: run.lives,
+        nextLevel: hasNext ? levelIdx + 1 : null,
+        replay: recorderRef.current.finish('complete'),
+        ghostTime: ghostRef.current ? ghostRef.current.time : null,
+        newGhost
+      });
+    }
+
+    function frame(now) {
       if (!running) return;
-      if (!LEVELS[levelIdx]) return;
-      if (levelState.transitioning) return;
+      const sim = simRef.current;
+      const curLevel = levels[levelIdx];
+      if (!sim || !curLevel) return;
 
-      const now = performance.now();
-      let dt = (now - lastTime) / 1000;
+      const frameDt = (now - lastTime) / 1000;
       lastTime = now;
-      dt = clamp(dt, 0, 0.045);
 
-      const curLevel = LEVELS[levelIdx];
+      // --- INPUT: gamepad is polled per frame and merged with the keyboard and touch state ---
       const controls = controlsRef.current;
-      const player = playerRef.current;
-
-      // --- ENEMY AI UPDATE & PROJECTILES ---
-      // Deep-clone for stateful update
-      let newEnemies = enemiesState.map(en => {
-        // If using new AI class, keep as is. If plain object, clone.
-        if (typeof en.update === "function") {
-          return en;
-        } else {
-          return { ...en };
-        }
-      });
-      let newProjectiles = projectiles.map(p => ({ ...p }));
-
-      // Add: autonomous enemy movement (slime AI)
-      updateEnemies(newEnemies, dt);
-
-      for (let en of newEnemies) {
-        // PATROLLER/WALKER: Moves back and forth horizontally between patrolMin/patrolMax
-        if (en.type === "walker") {
-          en.x += en.dir * (en.speed ?? 36) * dt;
-          en.x = clamp(en.x, en.patrolMin ?? 0, en.patrolMax ?? GAME_WIDTH - 14);
-          if ((en.dir === 1 && en.x >= (en.patrolMax ?? GAME_WIDTH - 14)) ||
-              (en.dir === -1 && en.x <= (en.patrolMin ?? 0))) en.dir *= -1;
-        }
-        // HOPPER (JUMPING ENEMY): Jump when timer runs out, changes direction, simple platform ground logic
-        else if (en.type === "hopper") {
-          // Timer ticks down
-          en.jumpTimer -= dt;
-          // Basic gravity if in air
-          if (!en.vy) en.vy = 0;
-          if (!en.onGround) en.vy += 440 * dt;
-          let nextY = en.y + en.vy * dt;
-          let grounded = false;
-          // Platform/platforms collision only below (landing)
-          for (let pl of curLevel.platforms) {
-            if (
-              en.x + 11 > pl.x &&
-              en.x < pl.x + pl.w &&
-              nextY + 13 > pl.y &&
-              en.y+10 < pl.y &&
-              nextY + 13 <= pl.y + pl.h
-            ) {
-              grounded = true;
-              nextY = pl.y - 13;
-              en.vy = 0;
-              break;
-            }
-          }
-          // World ground (bottom edge)
-          if (nextY + 13 > GAME_HEIGHT - 20) {
-            grounded = true;
-            nextY = GAME_HEIGHT - 20 - 13;
-            en.vy = 0;
-          }
-          en.onGround = grounded;
-          en.y = nextY;
-
-          // When grounded and timer expired, jump and reverse direction
-          if (en.onGround && en.jumpTimer <= 0) {
-            en.vy = en.jumpVy || -110;
-            en.dir *= -1;
-            en.jumpTimer = en.jumpCooldown || 1.3;
-            en.x += en.dir * 12;
-            en.x = clamp(en.x, 0, GAME_WIDTH-12);
-          } else if (!en.onGround) {
-            en.x += en.dir * 44 * dt;
-            en.x = clamp(en.x, 0, GAME_WIDTH-12);
-          }
-        }
-        // CHASER (PURSUER): Moves toward player if within horizontal range + similar vertical level
-        else if (en.type === "chaser") {
-          let dx = player.x - en.x;
-          let dy = Math.abs(player.y - en.y);
-          if (Math.abs(dx) < (en.activeRange ?? 90) && dy < 30) {
-            en.x += Math.sign(dx) * (en.speed ?? 52) * dt;
-            en.x = clamp(en.x, 0, GAME_WIDTH-14);
-          }
-        }
-        // PROJECTILE-SHOOTING ENEMY: Fires projectiles at intervals in its dir
-        else if (en.type === "projectile") {
-          en.t = en.t ? en.t + dt : dt;
-          if (!en.cooldown) en.cooldown = 2.5;
-          if (en.t >= en.cooldown) {
-            newProjectiles.push({
-              x: en.x+7,
-              y: en.y+10,
-              vx: (en.dir??1) * 110,
-              vy: 0,
-              t: 0
-            });
-            en.t = 0;
-          }
-        }
-      }
-
-      // Move projectiles, remove out-of-bounds
-      for (let i = 0; i < newProjectiles.length; ++i) {
-        let p = newProjectiles[i];
-        p.x += p.vx * dt;
-        p.y += (p.vy ?? 0) * dt;
+      const pad = gamepadRef.current;
+      pad.deadzone = settingsRef.current.padDeadzone;
+      const padState = pad.poll();
+      // Frozen while paused or behind an app overlay: no ticks run, and since lastTime
+      // keeps moving the first frame after resuming sees a normal dt (no spike)
+      const frozen = pausedRef.current || menuOpenRef.current;
+      if (!menuOpenRef.current) {
+        if (padState.pausePressed || (pausedRef.current && padState.backPressed)) togglePauseRef.current();
       }
-      newProjectiles = newProjectiles.filter(p => p.x > -10 && p.x < GAME_WIDTH+10);
-
-      setEnemiesState(newEnemies);
-      setProjectiles(newProjectiles);
-
-      // PLAYER UPDATE (including platform collision)
-      // Update player using improved flush-ground/platform logic. Pass platform list for physics utility.
-      player.update(
-        dt,
-        {
-          left: controls.left,
-          right: controls.right,
+      if (!frozen) {
+        if (padState.jumpPressed) controls.jumpPressed = true;
+        if (padState.dashPressed) controls.dashPressed = true;
+        if (padState.restartPressed) restartRef.current();
+        const inputs = {
+          left: controls.left || controls.touchLeft || padState.left,
+          right: controls.right || controls.touchRight || padState.right,
           jumpPressed: controls.jumpPressed,
           dashPressed: controls.dashPressed,
-          glide: controls.glide // Pass current gliding state
-        },
-        // Custom collision tester — allow pixel-perfect AABB resolution
-        (x, y, w, h) => {
-          // Classic: check if player-box overlaps with any level platform
-          for (let pl of curLevel.platforms) {
-            if (
-              x < pl.x + pl.w &&
-              x + w > pl.x &&
-              y < pl.y + pl.h &&
-              y + h > pl.y
-            ) {
-              // For debugging, highlight which platform was touched
-              player._debugLastCollidePlatform = pl;
-              return true;
-            }
-          }
-          player._debugLastCollidePlatform = null;
-          return false;
+          glide: controls.glide || padState.glide
+        };
+
+        // --- SIMULATION: fixed ticks, edges consumed only once a tick actually ran ---
+        const steps = sim.advance(frameDt, inputs);
+        if (steps > 0) {
+          controls.jumpPressed = false;
+          controls.dashPressed = false;
         }
-      );
-      controlsRef.current.jumpPressed = false;
-      controlsRef.current.dashPressed = false;
-
-      // Level logic (gems, exit, etc.)
-      processLevelLogic(
-        player,
-        curLevel,
-        levelState.gems,
-        (newGems) => setLevelState(ls => ({ ...ls, gems: newGems })),
-        () => {
-          // Level complete, score bonus
-          setPScore(prevS => {
-            const nextS = prevS + 1000;
-            if (onGameStateUpdate)
-              onGameStateUpdate({ score: nextS, lives: pLives, gems: pGems, maxGems: pMaxGems, level: levelIdx });
-            return nextS;
-          });
-          setLevelState(ls => ({ ...ls, completed: true, transitioning: true, message: 'Level Complete!' }));
-          if (onNextLevel && levelIdx + 1 < LEVELS.length) {
-            onNextLevel({ levelName: LEVELS[levelIdx + 1].name });
-          } else if (onAllLevelsComplete && levelIdx + 1 >= LEVELS.length) {
-            onAllLevelsComplete();
-          }
-          // Delay actual transition, overlay is handled externally
-          setTimeout(() => {
-            if (levelIdx + 1 < LEVELS.length) {
-              setPLives(l => l); // carry lives
-              setLevelIdx(levelIdx + 1);
-              setPGems(0); // new level, reset gems
-            }
-          }, 1900);
-        },
-        setForceRerender
-      );
-
-      // --- FALLING OFF MAP = DEATH ---
-      // Detect if player has fallen too far below level; trigger defeat if so.
-      const FALL_DEATH_Y = GAME_HEIGHT + 32;
-      if (!levelState.completed && !levelState.transitioning && player.y > FALL_DEATH_Y) {
-        defeatPlayer();
+        sim.player.animate(frameDt);
       }
 
-      // ENEMY & PROJECTILE COLLISION with player
-      // (If player collides with any enemy or projectile, defeat)
-      let px = player.x, py = player.y, pw = 12, ph = 14;
-      if (!levelState.completed && !levelState.transitioning) {
-        for (let en of newEnemies) {
-          let ew = (en.type === "hopper") ? 12 : 14;
-          let eh = (en.type === "hopper") ? 13 : 12;
-          if (["walker", "hopper", "chaser"].includes(en.type)
-            && rectsOverlap(px, py, pw, ph, en.x, en.y, ew, eh)) {
-            defeatPlayer();
-            break;
-          }
-        }
-        for (let p of newProjectiles) {
-          if (rectsOverlap(px, py, pw, ph, p.x - 3, p.y - 3, 7, 7)) {
-            defeatPlayer();
-            break;
-          }
+      const simEvents = sim.drainEvents();
+      const snap = sim.snapshot();
+      const timerTenths = Math.floor(snap.time * 10);
+      if (timerTenths !== lastTimerTenths) {
+        lastTimerTenths = timerTenths;
+        const ghost = ghostRef.current;
+        emit('levelTimer', {
+          time: snap.time,
+          par: curLevel.par ?? null,
+          ghostDelta: ghost ? ghostDelta(ghost, snap.tick, snap.player.x, snap.player.y) : null
+        });
+      }
+      for (let ev of simEvents) {
+        if (ev.type === 'gemCollected') handleGemCollected(ev, snap);
+        else if (ev.type === 'playerDefeated') handleDefeat(ev);
+        else if (ev.type === 'levelComplete') handleLevelComplete(ev, snap);
+        else {
+          // Actions (jump, dash, glide, glideEnded, enemySpawned, projectileFired) are published as-is
+          const { type, ...payload } = ev;
+          emit(type, payload);
         }
       }
 
       // --- RENDERING ---
       const ctx = canvasRef.current?.getContext();
       if (ctx) {
-        // defeat flash effect
-        if (defeatFlash) {
-          ctx.save();
-          ctx.globalAlpha = 0.45 + 0.35 * Math.abs(Math.sin(performance.now()*0.008));
-          ctx.fillStyle = "#e74c3ca9";
-          ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-          ctx.restore();
-        }
-
-        drawLevel(ctx, curLevel, levelState.gems, levelState.completed, newEnemies, newProjectiles);
+        const alpha = sim.alpha;
+        const completed = snap.status === 'complete';
+        const view = cameraView(snap, alpha);
+        drawBackground(ctx, curLevel, view, snap.time);
+        ctx.save();
+        ctx.translate(-view.x, -view.y);
+        // The ghost's frames are end-of-tick states, like the player's snapshot
+        drawLevel(ctx, curLevel, snap, alpha, completed, view, ghostPose(ghostRef.current, snap.tick - 1 + alpha));
 
         // Draw player (after enemies for "in front" effect)
-        player.draw(ctx);
+        const opts = settingsRef.current;
+        drawPlayer(ctx, sim.player, snap, alpha, { debug: opts.debugOverlay });
 
         // --- DEBUG: Draw platforms and gem hitboxes ---
-        const debug = true;
-        if (debug) {
+        if (opts.debugOverlay) {
           // Platform AABBs
           ctx.save();
           ctx.strokeStyle = "#2287d6";
@@ -652,7 +409,7 @@ const GameEngine = ({
 
           // Collectible (gem) bounding boxes
           ctx.save();
-          levelState.gems.forEach(gem => {
+          snap.gems.forEach(gem => {
             ctx.setLineDash([2,2]);
             ctx.strokeStyle = gem.collected ? "#e67e2299" : "#ff32d7";
             ctx.globalAlpha = 0.9;
@@ -660,6 +417,16 @@ const GameEngine = ({
           });
           ctx.restore();
         }
+        ctx.restore(); // camera
+
+        // defeat flash effect
+        if (snap.status === 'defeated') {
+          ctx.save();
+          ctx.globalAlpha = 0.45 + 0.35 * Math.abs(Math.sin(now * 0.008));
+          ctx.fillStyle = "#e74c3ca9";
+          ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+          ctx.restore();
+        }
 
         // Draw meta labels
         ctx.save();
@@ -674,59 +441,85 @@ const GameEngine = ({
         ctx.fillText(curLevel.objective || "", 17, 33);
         ctx.restore();
 
-        // Completion/transition message overlay
-        if (levelState.transitioning && levelState.message) {
-          ctx.save();
-          ctx.globalAlpha = 0.91;
-          ctx.fillStyle = "#181824e6";
-          ctx.fillRect(30, 60, 260, 50);
-          ctx.strokeStyle = "#fffd";
-          ctx.lineWidth = 3;
-          ctx.strokeRect(30, 60, 260, 50);
-          ctx.font = "20px 'Press Start 2P', monospace";
-          ctx.fillStyle = "#ffd700";
-          ctx.fillText(levelState.message, 52, 90);
-          ctx.restore();
-        }
-
-        // --- MODERN-RETRO FINAL: CRT/Scanline/Palette Postprocessing ---
-        // (Optional: toggle with future user settings)
-        if (typeof VisualEffects?.applyCRTPass === "function") {
-          VisualEffects.applyCRTPass(ctx.canvas, { strength: 0.23, scanlineOpacity: 0.19, bloom: 0.08 });
-        }
+        // --- MODERN-RETRO FINAL: CRT/Scanline/Palette Postprocessing (driven by settings) ---
+        const palette = VisualEffects.palettes[opts.palette];
+        if (palette) VisualEffects.applyPaletteShift(ctx, palette);
+        // WebGL CRT shader where supported, the canvas2d pass otherwise (see GameCanvas.present)
+        canvasRef.current.present(getCRTOptions(opts));
       }
 
       requestAnimationFrame(frame);
     }
     requestAnimationFrame(frame);
-    return () => { 
+    return () => {
       running = false;
       if (defeatTimeoutHandle) clearTimeout(defeatTimeoutHandle);
     };
     // eslint-disable-next-line
-  }, [levelIdx, levelState.transitioning]);
+  }, [levelIdx, attempt]);
+
+  // Explicit continue: a completed level moves on once the parent dismisses its results screen
+  useEffect(() => {
+    if (levelState.completed && !gameFlowOverlay && levelIdx + 1 < levels.length) {
+      setLevelIdx(levelIdx + 1);
+      setAttempt(0); // attempts count restarts of one level
+    }
+    // eslint-disable-next-line
+  }, [levelState.completed, gameFlowOverlay]);
 
   // Autofocus canvas for keyboard input (optional UX improvement)
   useEffect(() => {
     if (canvasRef.current?.getCanvas) canvasRef.current.getCanvas().focus();
   }, [levelIdx]);
 
+  // Pause/resume. Held inputs are dropped either way so no key sticks across the menu.
+  const setPause = next => {
+    if (next && (gameFlowOverlay || levelState.transitioning)) return;
+    if (pausedRef.current === next) return;
+    const controls = controlsRef.current;
+    Object.keys(controls).forEach(k => { controls[k] = false; });
+    pausedRef.current = next;
+    setPaused(next);
+    if (onPauseChange) onPauseChange(next);
+  };
+  togglePauseRef.current = () => setPause(!pausedRef.current);
+
   // Restart level logic
   const restartLevel = () => {
-    if (!gameFlowOverlay) setLevelIdx(lidx => lidx);
+    if (gameFlowOverlay || levelState.transitioning) return;
+    setPause(false);
+    checkpointRef.current = null; // a manual restart goes back to the level start
+    setAttempt(a => a + 1);
   };
+  restartRef.current = restartLevel;
+
+  // Control hint text from the current bindings, e.g. "←/A"
+  const keysFor = action => (settings.bindings[action] || []).map(keyLabel).join('/') || '—';
 
   // Render main engine UI + level transition info
-  const curLevel = LEVELS[levelIdx];
+  const curLevel = levels[levelIdx];
   return (
     <div className="game-engine" style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', position: 'relative' }}>
-      <GameCanvas
-        ref={canvasRef}
-        width={GAME_WIDTH}
-        height={GAME_HEIGHT}
-        scale={PIXEL_SCALE}
-        tabIndex={0}
-      />
+      <div className={`game-viewport${paused ? ' is-paused' : ''}`}>
+        <GameCanvas
+          ref={canvasRef}
+          width={GAME_WIDTH}
+          height={GAME_HEIGHT}
+          scale={settings.pixelScale}
+          tabIndex={0}
+        />
+        {!paused && (
+          <TouchControls controlsRef={controlsRef} mode={settings.touchControls} onPause={() => setPause(true)} />
+        )}
+        {paused && (
+          <PauseMenu
+            onResume={() => setPause(false)}
+            onRestart={restartLevel}
+            onSettings={onShowSettings}
+            onQuit={onQuit}
+          />
+        )}
+      </div>
       <div style={{
         marginTop: '8px',
         fontFamily: 'monospace',
@@ -735,17 +528,17 @@ const GameEngine = ({
         opacity: 0.7,
       }}>
         {curLevel.name} | <b>{(levelState.gems.filter(g => g.collected).length)} / {levelState.gems.length} Gems</b>
-        {" "} | Level {levelIdx + 1} of {LEVELS.length}
+        {" "} | Level {levelIdx + 1} of {levels.length}
         <br />
         {curLevel.objective && <span style={{ color: "#ddd" }}>{curLevel.objective}</span>}
         {!levelState.completed && <span>
-          {" "}Use ← → (A/D) to move, Space/W/↑ to jump, Shift to dash. <span role="img" aria-label="controller">🎮</span>
+          {" "}Use {keysFor('left')} {keysFor('right')} to move, {keysFor('jump')} to jump, {keysFor('dash')} to dash, {keysFor('glide')} to glide, {keysFor('pause')} to pause. <span role="img" aria-label="controller">🎮</span>
         </span>}
         {levelState.completed &&
           <div style={{
             color: "#ffd700", fontWeight: 700, marginTop: 8, fontSize: "1.1em"
           }}>
-            Level Complete! {levelIdx + 1 < LEVELS.length ? "Get ready for the next..." : "You win!"}
+            Level Complete! {levelIdx + 1 < levels.length ? "Get ready for the next..." : "You win!"}
           </div>
         }
       </div>
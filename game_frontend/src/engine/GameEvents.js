@@ -0,0 +1,133 @@
+//
+// GameEvents.js - Typed publish/subscribe bus between the game engine and the rest of the app.
+//
+// GameEngine is the publisher; App, the HUD, audio, stats (and anything else that
+// wants a hook into gameplay) subscribe. Listeners receive plain event objects,
+// { type, ...payload }, built when the event happens, so nobody has to read
+// React state that may be stale. Payloads are documented in GameEventMap below.
+// Emitting or subscribing to an unknown type throws, so typos fail loudly.
+//
+
+/**
+ * Payload of each event type (every event also carries `type`).
+ * `level` is always the index into the level list being played.
+ *
+ * @typedef {Object} GameEventMap
+ * @property {{level: number, name: string, attempt: number, checkpoint: number|null, score: number, lives: number,
+ *   gems: number, maxGems: number, par: number|null, ghostTime: number|null}} levelStarted
+ *   - a level (re)started; attempt counts restarts of the same level from 0. After a defeat
+ *     past a checkpoint, checkpoint is its index and gems counts those kept from before it.
+ *     ghostTime is the time of the personal-best ghost being raced, null when there is none.
+ * @property {{level: number, index: number, x: number, y: number, gems: number, maxGems: number, score: number}} gemCollected
+ *   - gems is the running count for this attempt, score the new total
+ * @property {{level: number, index: number, x: number, y: number}} checkpointReached
+ *   - the player touched a checkpoint for the first time; it is now the respawn point
+ * @property {{level: number, cause: 'enemy'|'projectile'|'fall', lives: number}} playerDefeated
+ *   - lives is what remains after this defeat
+ * @property {{level: number, name: string, time: number, par: number|null, gems: number, maxGems: number, deaths: number,
+ *   completionBonus: number, timeBonus: number, stars: number, medal: string,
+ *   score: number, lives: number, nextLevel: number|null, replay: object,
+ *   ghostTime: number|null, newGhost: boolean}} levelCompleted
+ *   - time in seconds of simulation time; deaths counts defeats on this level; score includes
+ *     both bonuses; stars/medal as in utils/scoring; nextLevel is null after the last level.
+ *     The game waits on the results screen until the parent clears its overlay.
+ *     replay is the attempt's recording (ReplayRecorder.finish(), see ./replay). ghostTime is the
+ *     raced ghost's time (or null); newGhost is true when this run became the stored best.
+ * @property {{level: number, time: number, par: number|null, ghostDelta: number|null}} levelTimer
+ *   - the level clock, published whenever its tenths of a second change (frozen while paused).
+ *     ghostDelta: seconds behind (+) or ahead (-) of the ghost (engine/ghost ghostDelta).
+ * @property {{level: number, score: number, replay: object}} gameOver
+ *   - replay records the final, losing attempt
+ * @property {{level: number, enemy: string, x: number, y: number}} enemySpawned
+ * @property {{level: number, x: number, y: number, vx: number, vy: number}} projectileFired
+ * @property {{level: number, kind: 'ground'|'air'|'wall', jumps: number}} jump
+ *   - jumps counts jumps since leaving the ground (3 = completing a triple jump)
+ * @property {{level: number}} dash
+ * @property {{level: number}} glide - started gliding
+ * @property {{level: number, duration: number}} glideEnded - seconds the glide lasted
+ */
+
+// PUBLIC_INTERFACE
+export const GAME_EVENT_TYPES = [
+  'levelStarted',
+  'gemCollected',
+  'checkpointReached',
+  'playerDefeated',
+  'levelCompleted',
+  'levelTimer',
+  'gameOver',
+  'enemySpawned',
+  'projectileFired',
+  'jump',
+  'dash',
+  'glide',
+  'glideEnded'
+];
+
+function assertType(type) {
+  if (!GAME_EVENT_TYPES.includes(type)) throw new Error(`Unknown game event type "${type}"`);
+}
+
+// PUBLIC_INTERFACE
+export class GameEventBus {
+  constructor() {
+    this.listeners = new Map(); // type -> Set of handlers
+    this.anyListeners = new Set();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Subscribe to one event type.
+   * @param {keyof GameEventMap} type
+   * @param {function(object): void} handler - receives { type, ...payload }
+   * @returns {function} unsubscribe
+   */
+  on(type, handler) {
+    assertType(type);
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.listeners.get(type).delete(handler);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Subscribe to a handler table, e.g. { gemCollected: ev => ..., levelCompleted: ev => ... }.
+   * @returns {function} unsubscribe from all of them
+   */
+  onMany(handlers) {
+    const offs = Object.entries(handlers).map(([type, handler]) => this.on(type, handler));
+    return () => offs.forEach(off => off());
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Subscribe to every event (after the type-specific listeners run).
+   * @returns {function} unsubscribe
+   */
+  onAny(handler) {
+    this.anyListeners.add(handler);
+    return () => this.anyListeners.delete(handler);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Deliver an event to its listeners synchronously. A throwing listener is
+   * reported and skipped, so one broken subscriber can't stall the game loop.
+   * @param {keyof GameEventMap} type
+   * @param {object} [payload]
+   */
+  emit(type, payload = {}) {
+    assertType(type);
+    const event = { ...payload, type };
+    const handlers = [...(this.listeners.get(type) || []), ...this.anyListeners];
+    for (let handler of handlers) {
+      try {
+        handler(event);
+      } catch (err) {
+        console.error(`Game event listener for "${type}" failed:`, err);
+      }
+    }
+  }
+}
+
+export default GameEventBus;
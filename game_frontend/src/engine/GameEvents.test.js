@@ -0,0 +1,34 @@
+import GameEventBus from './GameEvents';
+
+test('listeners get the event type with its payload and can unsubscribe', () => {
+  const bus = new GameEventBus();
+  const gems = [];
+  const all = [];
+  const off = bus.on('gemCollected', ev => gems.push(ev));
+  bus.onAny(ev => all.push(ev.type));
+  bus.emit('gemCollected', { level: 0, gems: 1, score: 250 });
+  off();
+  bus.emit('gemCollected', { level: 0, gems: 2, score: 500 });
+  bus.emit('jump', { level: 0, kind: 'air' });
+  expect(gems).toEqual([{ type: 'gemCollected', level: 0, gems: 1, score: 250 }]);
+  expect(all).toEqual(['gemCollected', 'gemCollected', 'jump']);
+});
+
+test('unknown event types are rejected and a failing listener does not stop the others', () => {
+  const bus = new GameEventBus();
+  expect(() => bus.emit('gemsCollected')).toThrow(/Unknown game event type "gemsCollected"/);
+  expect(() => bus.on('levelComplete', () => {})).toThrow(/Unknown game event type/);
+
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const seen = [];
+  bus.onMany({
+    gameOver: () => { throw new Error('broken'); },
+    levelCompleted: ev => seen.push(ev.nextLevel)
+  });
+  bus.on('gameOver', ev => seen.push(ev.score));
+  bus.emit('gameOver', { level: 2, score: 1200 });
+  bus.emit('levelCompleted', { level: 0, nextLevel: 1 });
+  expect(seen).toEqual([1200, 1]);
+  expect(errorSpy).toHaveBeenCalledTimes(1);
+  errorSpy.mockRestore();
+});
@@ -0,0 +1,114 @@
+//
+// GamepadInput.js - Gamepad API input source (polled once per frame).
+//
+// Reads every connected pad via navigator.getGamepads() (injectable for tests),
+// maps the "standard" layout's d-pad, left stick and face buttons to the same
+// actions the keyboard drives, and derives edge-triggered *Pressed flags by
+// comparing against the previous poll.
+//
+
+// PUBLIC_INTERFACE
+export const DEFAULT_DEADZONE = 0.25;
+// Stick deflection (after deadzone rescale) that counts as a digital direction
+const DIRECTION_THRESHOLD = 0.5;
+
+// PUBLIC_INTERFACE
+/**
+ * Button indices per action for the W3C "standard" gamepad mapping.
+ * (0 A/Cross, 1 B/Circle, 2 X/Square, 3 Y/Triangle, 4/5 bumpers, 6/7 triggers,
+ *  8 Select/Back, 9 Start, 12-15 d-pad up/down/left/right)
+ */
+export const PAD_BUTTONS = {
+  jump: [0],
+  dash: [2, 1],
+  glide: [3, 5, 7],
+  pause: [9],
+  restart: [8],
+  confirm: [0],
+  back: [1],
+  up: [12],
+  down: [13],
+  left: [14],
+  right: [15]
+};
+
+const ACTIONS = Object.keys(PAD_BUTTONS);
+
+// PUBLIC_INTERFACE
+/**
+ * Radial deadzone with rescale: inside the deadzone the stick reads 0, outside
+ * it ramps smoothly from 0 to 1 so small deflections aren't lost.
+ * @param {number} x - Raw axis -1..1
+ * @param {number} y - Raw axis -1..1
+ * @param {number} deadzone - 0..1
+ * @returns {{x: number, y: number}}
+ */
+export function applyDeadzone(x, y, deadzone = DEFAULT_DEADZONE) {
+  const mag = Math.hypot(x, y);
+  if (mag <= deadzone || mag === 0) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (mag - deadzone) / (1 - deadzone));
+  return { x: (x / mag) * scaled, y: (y / mag) * scaled };
+}
+
+function defaultGetGamepads() {
+  if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return [];
+  return Array.from(navigator.getGamepads() || []);
+}
+
+function isDown(button) {
+  if (!button) return false;
+  return typeof button === 'object' ? !!button.pressed || button.value > 0.5 : button === 1;
+}
+
+// PUBLIC_INTERFACE
+export class GamepadInput {
+  /**
+   * @param {object} [opts] - { getGamepads: () => Gamepad[], deadzone }
+   */
+  constructor(opts = {}) {
+    this.getGamepads = opts.getGamepads ?? defaultGetGamepads;
+    this.deadzone = opts.deadzone ?? DEFAULT_DEADZONE;
+    this.prev = {};
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Sample all connected pads.
+   * @returns {object} { connected, moveX, moveY, <action>: held, <action>Pressed: edge }
+   *   for actions jump, dash, glide, pause, restart, confirm, back, up, down, left, right
+   */
+  poll() {
+    const held = {};
+    ACTIONS.forEach(a => { held[a] = false; });
+    let moveX = 0, moveY = 0, connected = false;
+
+    for (let pad of this.getGamepads()) {
+      if (!pad || pad.connected === false) continue;
+      connected = true;
+      const buttons = pad.buttons || [];
+      for (let action of ACTIONS) {
+        if (PAD_BUTTONS[action].some(i => isDown(buttons[i]))) held[action] = true;
+      }
+      const axes = pad.axes || [];
+      const stick = applyDeadzone(axes[0] || 0, axes[1] || 0, this.deadzone);
+      if (Math.abs(stick.x) > Math.abs(moveX)) moveX = stick.x;
+      if (Math.abs(stick.y) > Math.abs(moveY)) moveY = stick.y;
+    }
+
+    // Left stick drives the same digital directions as the d-pad
+    if (moveX <= -DIRECTION_THRESHOLD) held.left = true;
+    if (moveX >= DIRECTION_THRESHOLD) held.right = true;
+    if (moveY <= -DIRECTION_THRESHOLD) held.up = true;
+    if (moveY >= DIRECTION_THRESHOLD) held.down = true;
+
+    const state = { connected, moveX, moveY };
+    for (let action of ACTIONS) {
+      state[action] = held[action];
+      state[action + 'Pressed'] = held[action] && !this.prev[action];
+    }
+    this.prev = held;
+    return state;
+  }
+}
+
+export default GamepadInput;
@@ -0,0 +1,34 @@
+import GamepadInput, { applyDeadzone } from './GamepadInput';
+
+const mockPad = ({ pressed = [], axes = [0, 0] } = {}) => ({
+  connected: true,
+  axes,
+  buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 }))
+});
+
+test('applyDeadzone zeroes small deflections and rescales the rest', () => {
+  expect(applyDeadzone(0.2, 0.1, 0.25)).toEqual({ x: 0, y: 0 });
+  expect(applyDeadzone(1, 0, 0.25).x).toBeCloseTo(1);
+  expect(applyDeadzone(0.625, 0, 0.25).x).toBeCloseTo(0.5);
+});
+
+test('face buttons are edge-triggered, d-pad and stick are held directions', () => {
+  let pads = [mockPad({ pressed: [0, 14] })];
+  const input = new GamepadInput({ getGamepads: () => pads });
+  let state = input.poll();
+  expect(state).toMatchObject({ connected: true, jump: true, jumpPressed: true, left: true });
+
+  state = input.poll();
+  expect(state.jump).toBe(true);
+  expect(state.jumpPressed).toBe(false);
+
+  pads = [mockPad({ pressed: [2], axes: [0.9, 0] })];
+  state = input.poll();
+  expect(state).toMatchObject({ jump: false, dashPressed: true, left: false, right: true });
+});
+
+test('stick noise inside the deadzone is ignored; missing pads read as idle', () => {
+  const input = new GamepadInput({ getGamepads: () => [null, mockPad({ axes: [0.2, -0.15] })], deadzone: 0.25 });
+  expect(input.poll()).toMatchObject({ left: false, right: false, moveX: 0, moveY: 0 });
+  expect(new GamepadInput({ getGamepads: () => [] }).poll().connected).toBe(false);
+});
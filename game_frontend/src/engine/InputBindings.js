@@ -0,0 +1,126 @@
+//
+// InputBindings.js - Named input actions and their (remappable) keyboard bindings.
+//
+// Bindings map each action to up to BINDING_SLOTS keys, using KeyboardEvent.key
+// values normalized by normalizeKey() (single letters are lower-cased so "A"
+// and "a" are the same binding). They are stored with the other player options
+// in settings (see utils/settings.js) and read live by GameEngine.
+//
+
+// PUBLIC_INTERFACE
+export const ACTIONS = [
+  { id: 'left', label: 'Move left' },
+  { id: 'right', label: 'Move right' },
+  { id: 'jump', label: 'Jump' },
+  { id: 'dash', label: 'Dash' },
+  { id: 'glide', label: 'Glide' },
+  { id: 'pause', label: 'Pause' },
+  { id: 'restart', label: 'Restart level' }
+];
+
+// PUBLIC_INTERFACE
+export const BINDING_SLOTS = 3;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_BINDINGS = {
+  left: ['ArrowLeft', 'a'],
+  right: ['ArrowRight', 'd'],
+  jump: [' ', 'w', 'ArrowUp'],
+  dash: ['Shift'],
+  glide: ['z'],
+  pause: ['Escape', 'p'],
+  restart: ['r']
+};
+
+const KEY_LABELS = {
+  ' ': 'Space',
+  Spacebar: 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize a KeyboardEvent.key for binding lookups.
+ * @param {string} key
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+  if (key === 'Spacebar') return ' ';
+  return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Human-readable key name for UI (e.g. " " -> "Space", "a" -> "A").
+ * @param {string} key
+ */
+export function keyLabel(key) {
+  if (!key) return '—';
+  return KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * All actions bound to a key.
+ * @param {object} bindings - { [action]: string[] }
+ * @param {string} key - Raw or normalized KeyboardEvent.key
+ * @returns {string[]} action ids
+ */
+export function getActionsForKey(bindings, key) {
+  const k = normalizeKey(key);
+  return ACTIONS.filter(a => (bindings[a.id] || []).includes(k)).map(a => a.id);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns new bindings with `key` placed in the given slot of `action`.
+ * Passing key = null clears the slot.
+ * @param {object} bindings
+ * @param {string} action
+ * @param {number} slot - 0..BINDING_SLOTS-1
+ * @param {string|null} key
+ */
+export function bindKey(bindings, action, slot, key) {
+  const keys = (bindings[action] || []).slice(0, BINDING_SLOTS);
+  while (keys.length <= slot) keys.push(null);
+  keys[slot] = key == null ? null : normalizeKey(key);
+  return { ...bindings, [action]: keys.filter((k, i) => k != null && keys.indexOf(k) === i) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Keys bound to more than one action.
+ * @param {object} bindings
+ * @returns {Array<{key: string, actions: string[]}>}
+ */
+export function findConflicts(bindings) {
+  const owners = {};
+  for (let { id } of ACTIONS) {
+    for (let key of bindings[id] || []) {
+      (owners[key] = owners[key] || []).push(id);
+    }
+  }
+  return Object.keys(owners)
+    .filter(key => owners[key].length > 1)
+    .map(key => ({ key, actions: owners[key] }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Coerce stored bindings into a valid map (unknown actions dropped, missing ones defaulted).
+ * @param {object} raw
+ */
+export function sanitizeBindings(raw) {
+  const out = {};
+  for (let { id } of ACTIONS) {
+    const keys = raw && Array.isArray(raw[id])
+      ? raw[id].filter(k => typeof k === 'string' && k).map(normalizeKey).slice(0, BINDING_SLOTS)
+      : DEFAULT_BINDINGS[id];
+    out[id] = [...keys];
+  }
+  return out;
+}
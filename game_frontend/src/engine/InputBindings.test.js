@@ -0,0 +1,26 @@
+import { DEFAULT_BINDINGS, bindKey, findConflicts, getActionsForKey, sanitizeBindings } from './InputBindings';
+
+test('keys resolve to actions case-insensitively', () => {
+  expect(getActionsForKey(DEFAULT_BINDINGS, 'A')).toEqual(['left']);
+  expect(getActionsForKey(DEFAULT_BINDINGS, 'Spacebar')).toEqual(['jump']);
+  expect(getActionsForKey(DEFAULT_BINDINGS, 'q')).toEqual([]);
+});
+
+test('rebinding a slot replaces only that key and reports conflicts', () => {
+  const rebound = bindKey(DEFAULT_BINDINGS, 'dash', 0, 'D');
+  expect(rebound.dash).toEqual(['d']);
+  expect(rebound.right).toEqual(['ArrowRight', 'd']);
+  expect(findConflicts(rebound)).toEqual([{ key: 'd', actions: ['right', 'dash'] }]);
+  expect(findConflicts(DEFAULT_BINDINGS)).toEqual([]);
+});
+
+test('clearing a slot drops the key', () => {
+  expect(bindKey(DEFAULT_BINDINGS, 'jump', 1, null).jump).toEqual([' ', 'ArrowUp']);
+});
+
+test('stored bindings are sanitized against the action list', () => {
+  const clean = sanitizeBindings({ left: ['J', 42], bogus: ['x'] });
+  expect(clean.left).toEqual(['j']);
+  expect(clean.jump).toEqual(DEFAULT_BINDINGS.jump);
+  expect(clean).not.toHaveProperty('bogus');
+});
@@ -0,0 +1,253 @@
+//
+// LevelRenderer.js - Canvas drawing of a level and its entities.
+//
+// Shared by the GameEngine render loop, the ReplayViewer and the LevelEditor, so a level looks the
+// same while editing as it does in play. Everything is drawn from plain data
+// (a Level and a Simulation-style snapshot); nothing here touches React state.
+//
+
+import { TICK_DT } from './Simulation';
+import { getLevelTilemap } from './Tilemap';
+import { ParallaxBackground } from './VisualEffects';
+import { CHECKPOINT_SIZE, GEM_RADIUS } from './levelGeometry';
+import { drawPlayerFigure, PLAYER_PHYSICS } from './Player';
+import { drawEnemySprite } from './sprites';
+import { getAsset, isPlaceholder } from './assets';
+import { getLayerImage, resolveBackgroundLayers } from './backgrounds';
+
+const GAME_WIDTH = 320;
+const GAME_HEIGHT = 180;
+
+const COLORS = {
+  fallbackSky: '#9ad0ec',
+  ground: '#3e4e3e',
+  block: '#66e67e',
+  exit: '#ef5bc2',
+  pole: '#d8d8e0',
+  flagIdle: '#c0504d',
+  flagReached: '#3fd26b',
+  ghostOutline: '#e8f4ff'
+};
+
+const GHOST_ALPHA = 0.38;
+
+// PUBLIC_INTERFACE
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Rect vs camera view (world coordinates), used to skip drawing off-screen entities
+function inView(view, x, y, w, h, margin = 0) {
+  return x + w > view.x - margin && x < view.x + view.w + margin &&
+    y + h > view.y - margin && y < view.y + view.h + margin;
+}
+
+// Each level's parallax background, built on first draw (levels are plain data, like Tilemap's cache)
+const backgroundCache = new WeakMap();
+function getLevelBackground(level) {
+  let bg = backgroundCache.get(level);
+  if (!bg) {
+    const layers = resolveBackgroundLayers(level).map(layer => ({ ...layer, img: () => getLayerImage(layer) }));
+    bg = new ParallaxBackground(layers, GAME_WIDTH, GAME_HEIGHT);
+    backgroundCache.set(level, bg);
+  }
+  return bg;
+}
+
+// Tile grid layers inside the view. Tileset images come from the asset cache by URL:
+// solid colours stand in until one loads, and a tileset that failed to load shows the
+// checkerboard placeholder so the broken map is easy to spot.
+function drawTiles(ctx, tilemap, view) {
+  const tw = tilemap.tileWidth, th = tilemap.tileHeight;
+  tilemap.forEachTileInView(view, (id, def, x, y) => {
+    const img = def.image && getAsset(def.image, { type: 'image', src: def.image });
+    if (isPlaceholder(img)) {
+      ctx.drawImage(img, x, y, tw, th);
+    } else if (img) {
+      ctx.drawImage(img, def.sx, def.sy, tw, th, x, y, tw, th);
+    } else {
+      ctx.fillStyle = def.color || '#88bc7f';
+      ctx.fillRect(x, y, tw, th);
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The interpolated camera view for a snapshot, snapped to whole pixels so tiles don't shimmer.
+ * @returns {{x:number, y:number, w:number, h:number}}
+ */
+export function cameraView(snap, alpha) {
+  return {
+    x: Math.round(lerp(snap.camera.prevX, snap.camera.x, alpha)),
+    y: Math.round(lerp(snap.camera.prevY, snap.camera.y, alpha)),
+    w: snap.camera.w,
+    h: snap.camera.h
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Draws the Simulation's player at its interpolated position (world coordinates).
+ * @param {import('./Player').default} player - Simulation.player
+ * @param {object} snap - Simulation.snapshot()
+ * @param {object} [opts] - passed to Player.draw, e.g. { debug }
+ */
+export function drawPlayer(ctx, player, snap, alpha, opts = {}) {
+  ctx.save();
+  ctx.translate(
+    lerp(snap.player.prevX, snap.player.x, alpha) - player.x,
+    lerp(snap.player.prevY, snap.player.y, alpha) - player.y
+  );
+  player.draw(ctx, opts);
+  ctx.restore();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Screen-space background: the level's bgColor under its parallax layers (see ./backgrounds),
+ * which scroll with the camera.
+ * @param {{x:number, y:number, w:number, h:number}} view - camera view (world pixels)
+ * @param {number} [time] - seconds (the level clock), for drifting layers such as clouds
+ */
+export function drawBackground(ctx, curLevel, view, time = 0) {
+  ctx.fillStyle = curLevel.bgColor || COLORS.fallbackSky;
+  ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+  getLevelBackground(curLevel).draw(ctx, view.x, time);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Draws tiles, platforms, checkpoints, exit, gems, enemies and projectiles from a simulation snapshot,
+ * in world coordinates (the caller has translated by the camera).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./levels').Level} curLevel
+ * @param {object} snap - Simulation.snapshot() (gems, checkpoints, enemies, projectiles are used)
+ * @param {number} alpha - interpolation between the previous and current tick
+ * @param {boolean} completed - exit drawn in its "open" colour
+ * @param {{x:number, y:number, w:number, h:number}} view - anything outside is skipped
+ * @param {{x:number, y:number, facing:number, pose:string}|null} [ghost] - personal-best ghost
+ *   (engine/ghost ghostPose), drawn as a translucent player behind the enemies
+ */
+export function drawLevel(ctx, curLevel, snap, alpha, completed, view, ghost = null) {
+  const tilemap = getLevelTilemap(curLevel);
+  if (tilemap) drawTiles(ctx, tilemap, view);
+
+  // Draw platforms
+  curLevel.platforms.forEach(pl => {
+    if (!inView(view, pl.x, pl.y, pl.w, pl.h, 1)) return;
+    ctx.fillStyle = '#88bc7f';
+    ctx.fillRect(pl.x, pl.y, pl.w, pl.h);
+    ctx.strokeStyle = '#fff880';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(pl.x, pl.y, pl.w, pl.h);
+  });
+
+  // Draw checkpoints: the flag hangs low until reached, then flies at the top in green
+  (snap.checkpoints || []).forEach(cp => {
+    const { w, h } = CHECKPOINT_SIZE;
+    if (!inView(view, cp.x, cp.y, w, h, 1)) return;
+    ctx.fillStyle = COLORS.pole;
+    ctx.fillRect(cp.x, cp.y, 2, h);
+    ctx.fillStyle = cp.reached ? COLORS.flagReached : COLORS.flagIdle;
+    const flagY = cp.reached ? cp.y : cp.y + h - 9;
+    ctx.beginPath();
+    ctx.moveTo(cp.x + 2, flagY);
+    ctx.lineTo(cp.x + w, flagY + 3);
+    ctx.lineTo(cp.x + 2, flagY + 6);
+    ctx.fill();
+  });
+
+  // Draw exit
+  ctx.fillStyle = completed ? '#cd7bff' : COLORS.exit;
+  ctx.fillRect(curLevel.exit.x, curLevel.exit.y, curLevel.exit.w, curLevel.exit.h);
+  ctx.strokeStyle = '#fffd';
+  ctx.strokeRect(curLevel.exit.x, curLevel.exit.y, curLevel.exit.w, curLevel.exit.h);
+
+  // Draw gems
+  snap.gems.forEach(gem => {
+    if (!inView(view, gem.x - 7, gem.y - 7, 14, 14)) return;
+    ctx.save();
+    ctx.globalAlpha = gem.collected ? 0.20 : 1.0;
+    ctx.fillStyle = gem.collected ? '#ddc97b' : '#ffd700';
+    ctx.beginPath();
+    ctx.arc(gem.x, gem.y, GEM_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#fff880';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.restore();
+  });
+
+  // Draw the ghost
+  if (ghost && inView(view, ghost.x, ghost.y, PLAYER_PHYSICS.width, PLAYER_PHYSICS.height, 1)) {
+    ctx.save();
+    ctx.globalAlpha = GHOST_ALPHA;
+    drawPlayerFigure(ctx, ghost.x, ghost.y, { ...ghost, time: snap.time ?? 0 });
+    ctx.strokeStyle = COLORS.ghostOutline;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(ghost.x + 0.5, ghost.y + 0.5, PLAYER_PHYSICS.width - 1, PLAYER_PHYSICS.height - 1);
+    ctx.restore();
+  }
+
+  // Draw enemies: per-type animated sprites (./sprites), clocked by the level time;
+  // the shapes below stand in until the sheet has loaded
+  snap.enemies.forEach(en => {
+    const x = lerp(en.prevX, en.x, alpha);
+    const y = lerp(en.prevY, en.y, alpha);
+    if (!inView(view, x, y, en.w ?? 14, en.h ?? 14, 2)) return;
+    if (drawEnemySprite(ctx, en, x, y, snap.time ?? 0)) return;
+    ctx.save();
+    if (en.type === "walker") {
+      ctx.fillStyle = "#f47350";
+      ctx.fillRect(x, y, 14, 12);
+    } else if (en.type === "hopper") {
+      ctx.fillStyle = "#53b0ef";
+      ctx.fillRect(x, y, 12, 13);
+      // simple frog eyes
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(x+2, y+2, 2, 2);
+      ctx.fillRect(x+8, y+2, 2, 2);
+      ctx.strokeStyle = "#fff";
+      ctx.strokeRect(x, y, 12, 13);
+    } else if (en.type === "chaser") {
+      ctx.fillStyle = "#b359fe";
+      ctx.fillRect(x, y, 14, 12);
+      ctx.fillStyle = "#222";
+      ctx.fillRect(x+6, y+4, 2, 2); // single pixel nose, "ghost"
+      ctx.strokeStyle = "#fff";
+      ctx.strokeRect(x, y, 14, 12);
+    } else if (en.type === "projectile") {
+      ctx.fillStyle = "#ff951d";
+      ctx.beginPath();
+      ctx.arc(x+7, y+7, 7, 0, 2*Math.PI); // round thrower
+      ctx.fill();
+      ctx.strokeStyle = "#fff";
+      ctx.stroke();
+    } else {
+      // Registered custom enemy types without bespoke art: draw their hitbox
+      ctx.fillStyle = "#e74c3c";
+      ctx.fillRect(x, y, en.w ?? 14, en.h ?? 12);
+      ctx.strokeStyle = "#fff";
+      ctx.strokeRect(x, y, en.w ?? 14, en.h ?? 12);
+    }
+    ctx.restore();
+  });
+
+  // Projectiles (round bullets, fireballs); they move in straight lines, so extrapolate back
+  snap.projectiles.forEach(proj => {
+    const back = (1 - alpha) * TICK_DT;
+    const px = proj.x - proj.vx * back;
+    const py = proj.y - (proj.vy ?? 0) * back;
+    if (!inView(view, px - 5, py - 5, 10, 10)) return;
+    ctx.save();
+    ctx.fillStyle = "#ffed33";
+    ctx.beginPath();
+    ctx.arc(px, py, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "#c88e25";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.restore();
+  });
+}
@@ -7,8 +7,13 @@
 //   - No sinking or hovering—player's bbox lands flat on surface
 //   - Correct AABB math for all collision, including collectibles
 //   - Debug: Bounding box render & collision console diagnostics
+//   - Animation: pose (the physics state) drives an AnimationStateMachine whose clips come
+//     from the player sprite sheet (./sprites); a plain block is drawn until it has loaded
 //
 
+import { AnimationStateMachine, drawAnimation } from './Animation';
+import { getPlayerAtlas, PLAYER_ANIMATIONS } from './sprites';
+
 const PLAYER_WIDTH = 12;
 const PLAYER_HEIGHT = 14;
 const MOVE_SPEED = 90;
@@ -22,12 +27,63 @@ const GAME_HEIGHT = 180;
 
 // Maximum number of jumps (triple jump: 3)
 const MAX_JUMPS = 3;
+const AIR_JUMP_FACTOR = 0.93; // Slightly less power for air jumps
 
 // Wall jump settings
 const WALL_JUMP_X_VELOCITY = 150;
 const WALL_JUMP_Y_VELOCITY = -170;
 const WALL_JUMP_BUFFER_TIME = 0.16; // seconds: leeway after leaving wall for jump
 
+// How long the dash pose shows after a dash (the dash impulse itself lasts one tick)
+const DASH_POSE_TIME = 0.15;
+
+// PUBLIC_INTERFACE
+/**
+ * Movement constants, for tools that reason about where the player can get to
+ * (e.g. the level validator's reachability check).
+ */
+export const PLAYER_PHYSICS = {
+  width: PLAYER_WIDTH,
+  height: PLAYER_HEIGHT,
+  moveSpeed: MOVE_SPEED,
+  jumpVelocity: JUMP_VELOCITY,
+  airJumpFactor: AIR_JUMP_FACTOR,
+  maxJumps: MAX_JUMPS,
+  gravity: GRAVITY,
+  glideGravity: GLIDE_GRAVITY,
+  maxGlideFallSpeed: MAX_GLIDE_FALL_SPEED
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Animation states the player is drawn in; the index is the compact id ghosts store,
+ * so new states are only ever appended.
+ */
+export const PLAYER_POSES = ['idle', 'run', 'jump', 'fall', 'glide', 'wall-slide', 'dash', 'hurt'];
+
+// PUBLIC_INTERFACE
+/**
+ * Draw the player's figure with its hitbox's top-left at (x, y): the sprite for the
+ * pose, flipped by facing, or a plain block while the sheet loads. Shared by
+ * Player.draw and anything that draws a player from recorded data (e.g. ghosts).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{facing?: number, pose?: string, time?: number}} [state] - time: seconds into the pose's clip
+ */
+export function drawPlayerFigure(ctx, x, y, { facing = 1, pose = 'idle', time = 0 } = {}) {
+  ctx.save();
+  // (Retro) shadow underneath
+  ctx.globalAlpha *= 0.18;
+  ctx.fillStyle = '#222';
+  ctx.fillRect(x + 1, y + PLAYER_HEIGHT, PLAYER_WIDTH - 2, 3);
+  ctx.restore();
+
+  const box = { x, y, w: PLAYER_WIDTH, h: PLAYER_HEIGHT };
+  if (drawAnimation(ctx, getPlayerAtlas(), PLAYER_ANIMATIONS, pose, time, box, { flip: facing < 0 })) return;
+  // Fallback: player main body
+  ctx.fillStyle = '#ffd700';
+  ctx.fillRect(x, y, PLAYER_WIDTH, PLAYER_HEIGHT);
+}
+
 // PUBLIC_INTERFACE
 export default class Player {
   /**
@@ -56,6 +112,16 @@ export default class Player {
     // Gliding state
     this.isGliding = false;
 
+    // Pose helpers: seconds of dash pose left, and set once defeated (Simulation)
+    this.dashTimer = 0;
+    this.hurt = false;
+    // Clip playback; advanced by animate() from the render loop, not by physics ticks
+    this.animation = new AnimationStateMachine(PLAYER_ANIMATIONS);
+
+    // Moves started during the last update(): 'jump' | 'airJump' | 'wallJump' | 'dash' | 'glide'
+    // (read by the Simulation to emit events for sound and effects)
+    this.actions = [];
+
     // Debug
     this._debugLastCollidePlatform = null;
   }
@@ -64,21 +130,17 @@ export default class Player {
   /**
    * Draw the player, bounding box, ground contact marker, and debug overlays for collision.
    * @param {CanvasRenderingContext2D} ctx
+   * @param {object} [opts] - { debug: draw AABB/contact/collision overlays }
    */
-  draw(ctx) {
+  draw(ctx, { debug = false } = {}) {
     ctx.save();
-    // Player main body
-    ctx.fillStyle = '#ffd700';
-    ctx.fillRect(this.x, this.y, PLAYER_WIDTH, PLAYER_HEIGHT);
-
-    // (Retro) shadow underneath
-    ctx.globalAlpha = 0.18;
-    ctx.fillStyle = '#222';
-    ctx.fillRect(this.x + 1, this.y + PLAYER_HEIGHT, PLAYER_WIDTH - 2, 3);
-    ctx.globalAlpha = 1;
+    drawPlayerFigure(ctx, this.x, this.y, {
+      facing: this.facing,
+      pose: this.animation.state,
+      time: this.animation.time
+    });
 
     // --- Debug overlays ---
-    const debug = true;
     if (debug) {
       // (1) Player AABB (green=grounded, red=air)
       ctx.save();
@@ -111,6 +173,29 @@ export default class Player {
     ctx.restore();
   }
 
+  // PUBLIC_INTERFACE
+  /** Current animation state from the physics state, one of PLAYER_POSES. */
+  get pose() {
+    if (this.hurt) return 'hurt';
+    if (this.dashTimer > 0) return 'dash';
+    if (this.isGliding) return 'glide';
+    if (!this.onGround) {
+      if (this.vy > 0 && (this.touchingWallLeft || this.touchingWallRight)) return 'wall-slide';
+      return this.vy < 0 ? 'jump' : 'fall';
+    }
+    return this.vx !== 0 ? 'run' : 'idle';
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Advance the animation by real (render) time, following the current pose.
+   * Kept out of update() so clips keep playing while the simulation is halted (e.g. hurt).
+   * @param {number} dt - seconds
+   */
+  animate(dt) {
+    this.animation.update(dt, this.pose);
+  }
+
   // PUBLIC_INTERFACE
   /**
    * Integrate player movement, flush snap, ground state, and jump/collision handling with strict AABB guarantees.
@@ -118,9 +203,14 @@ export default class Player {
    * @param {number} dt - Delta time (seconds)
    * @param {object} controls - { left, right, jumpPressed, dashPressed, glide }
    * @param {function} collisionTester - function (x, y, w, h) => boolean
+   * @param {object} [bounds] - { width, height } of the level (defaults to one screen)
    */
-  update(dt, controls, collisionTester) {
+  update(dt, controls, collisionTester, bounds = { width: GAME_WIDTH, height: GAME_HEIGHT }) {
+    const worldHeight = bounds.height;
     this.wasOnGround = this.onGround;
+    const wasGliding = this.isGliding;
+    this.actions = [];
+    this.dashTimer = Math.max(0, this.dashTimer - dt);
 
     // --- Wall contact detection for wall jump mechanic ---
     let leftWall = false, rightWall = false;
@@ -153,6 +243,7 @@ export default class Player {
     } else {
       this.isGliding = false;
     }
+    if (this.isGliding && !wasGliding) this.actions.push('glide');
 
     // --- 1. Handle horizontal movement & facing
     if (controls.left) {
@@ -169,6 +260,8 @@ export default class Player {
     if (controls.dashPressed && this.dashAvailable) {
       this.vx = this.facing * DASH_VELOCITY;
       this.dashAvailable = false;
+      this.dashTimer = DASH_POSE_TIME;
+      this.actions.push('dash');
     }
 
     // --- 3. Apply gravity, possibly reduced by gliding
@@ -258,6 +351,7 @@ export default class Player {
         didWallJump = true;
         this.facing = -this.lastWallDir;
         this.onGround = false;
+        this.actions.push('wallJump');
       }
       // Only do regular jump if not just wall-jumped
       if (
@@ -267,7 +361,8 @@ export default class Player {
           (!this.onGround && this.jumpCount > 0 && this.jumpCount < MAX_JUMPS)
         )
       ) {
-        this.vy = JUMP_VELOCITY * (this.jumpCount === 0 ? 1.0 : 0.93); // Slightly less power for air jumps
+        this.vy = JUMP_VELOCITY * (this.jumpCount === 0 ? 1.0 : AIR_JUMP_FACTOR);
+        this.actions.push(this.jumpCount === 0 ? 'jump' : 'airJump');
         this.jumpCount += 1;
         this.onGround = false;
       }
@@ -275,7 +370,7 @@ export default class Player {
 
     // Snap/jump reset for world ground edge-case (fallback)
     // Also, if grounded, wall-jump buffer is cancelled.
-    if (this.y >= GAME_HEIGHT - PLAYER_HEIGHT - 1) {
+    if (this.y >= worldHeight - PLAYER_HEIGHT - 1) {
       this.jumpCount = 0;
       this.wallJumpBufferTimer = 0;
       this.isGliding = false;
@@ -283,10 +378,10 @@ export default class Player {
 
     // --- 9. World bounds clamp (retro)
     if (this.x < 0) this.x = 0;
-    if (this.x > GAME_WIDTH - PLAYER_WIDTH) this.x = GAME_WIDTH - PLAYER_WIDTH;
+    if (this.x > bounds.width - PLAYER_WIDTH) this.x = bounds.width - PLAYER_WIDTH;
     if (this.y < 0) this.y = 0;
-    if (this.y > GAME_HEIGHT - PLAYER_HEIGHT - 1) {
-      this.y = GAME_HEIGHT - PLAYER_HEIGHT - 1;
+    if (this.y > worldHeight - PLAYER_HEIGHT - 1) {
+      this.y = worldHeight - PLAYER_HEIGHT - 1;
       this.vy = 0;
       this.onGround = true;
       this.jumpCount = 0;
@@ -0,0 +1,363 @@
+//
+// Simulation.js - Pure, React-free fixed-timestep game simulation.
+//
+// Responsibilities:
+//   - Owns the per-level world state (player, enemies, projectiles, gems, exit)
+//   - Advances the world in fixed ticks (TICK_DT) using an accumulator, so
+//     physics behave identically at 30Hz, 60Hz or 144Hz refresh rates
+//   - Exposes step(inputs) for a single tick and snapshot() for rendering/tests
+//   - Moves the Camera once per tick, so scrolling is as deterministic as physics
+//   - Owns the seeded random generator (world.random) and, when recording, hands
+//     every tick's inputs to a ReplayRecorder (./replay), so runs replay exactly
+//   - Hands the player's end-of-tick state to a GhostRecorder (./ghost), if given
+//   - Tracks checkpoints: respawnState() describes where a new Simulation of the
+//     same level should resume after a defeat (see the `checkpoint` option)
+//   - Queues gameplay events (enemy spawns, shots, jumps, dashes, glides, gem collected,
+//     checkpoint reached, defeat, level complete) for the host (GameEngine) to drain and publish on
+//     the game event bus, instead of calling React state setters or playing sounds
+//
+// No canvas, DOM or React access happens here: it can be driven from Jest.
+//
+
+import Player from './Player';
+import { rectsOverlap } from './Physics';
+import { createEnemyInstance, updateEnemies } from './Enemy';
+import Camera from './Camera';
+import { getLevelTilemap } from './Tilemap';
+import { CHECKPOINT_SIZE, DEFAULT_SPAWN, GEM_RADIUS, getLevelSize } from './levelGeometry';
+import { createRng } from './random';
+
+// PUBLIC_INTERFACE
+export const TICK_RATE = 120;
+// PUBLIC_INTERFACE
+export const TICK_DT = 1 / TICK_RATE;
+// Upper bound on real time consumed per advance() call (avoids the "spiral of death"
+// after a tab switch or breakpoint).
+const MAX_FRAME_DT = 0.25;
+
+const PLAYER_WIDTH = 12;
+const PLAYER_HEIGHT = 14;
+// Falling this far below the level's bottom edge counts as defeat
+const FALL_DEATH_MARGIN = 32;
+// Enemies this far outside the camera view are frozen; projectiles are removed
+const ENEMY_ACTIVE_MARGIN = 64;
+const PROJECTILE_MARGIN = 10;
+
+// Player.actions -> queued event
+const ACTION_EVENTS = {
+  jump: { type: 'jump', kind: 'ground' },
+  airJump: { type: 'jump', kind: 'air' },
+  wallJump: { type: 'jump', kind: 'wall' },
+  dash: { type: 'dash' },
+  glide: { type: 'glide' }
+};
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
+// PUBLIC_INTERFACE
+export class Simulation {
+  /**
+   * @param {import('./levels').Level} level - Level definition (not mutated)
+   * @param {object} [opts]
+   * @param {{x: number, y: number}} [opts.spawn] - defaults to the checkpoint's foot, else the level's spawn
+   * @param {object} [opts.checkpoint] - respawnState() of an earlier Simulation of this level:
+   *   starts at that checkpoint with its gems collected and the clock carried over
+   * @param {number} [opts.seed] - seed for world.random (default 1)
+   * @param {{record: function(object)}} [opts.recorder] - receives each tick's inputs (ReplayRecorder)
+   * @param {{record: function(number, Player)}} [opts.ghostRecorder] - receives the tick and the
+   *   player after each tick's movement (GhostRecorder)
+   */
+  constructor(level, opts = {}) {
+    this.level = level;
+    this.tilemap = getLevelTilemap(level);
+    const resume = opts.checkpoint ?? null;
+    const resumeAt = resume && (level.checkpoints || [])[resume.index];
+    this.spawn = opts.spawn
+      ?? (resumeAt ? { x: resumeAt.x, y: resumeAt.y + CHECKPOINT_SIZE.h - PLAYER_HEIGHT } : null)
+      ?? level.spawn
+      ?? DEFAULT_SPAWN;
+    this.tick = resumeAt ? resume.tick : 0;
+    this.accumulator = 0;
+    this.status = 'playing'; // 'playing' | 'defeated' | 'complete'
+    this.events = [];
+    this.glideTicks = 0; // length of the glide in progress
+    this.seed = opts.seed ?? 1;
+    this.random = createRng(this.seed);
+    this.recorder = opts.recorder ?? null;
+    this.ghostRecorder = opts.ghostRecorder ?? null;
+
+    this.player = new Player({ x: this.spawn.x, y: this.spawn.y });
+    this.prevPlayer = { x: this.player.x, y: this.player.y };
+    this.gems = level.gems.map((g, i) => ({ ...g, collected: !!resumeAt && resume.gems.includes(i) }));
+    this.checkpoints = (level.checkpoints || []).map((c, i) => ({
+      x: c.x, y: c.y, reached: !!resumeAt && resume.reached.includes(i)
+    }));
+    this.lastCheckpoint = resumeAt ? resume : null;
+    this.enemies = level.enemies.map(e => createEnemyInstance({ ...e }));
+    this.projectiles = [];
+    for (let en of this.enemies) this.events.push({ type: 'enemySpawned', enemy: en.type, x: en.x, y: en.y });
+
+    const { width, height } = getLevelSize(level);
+    this.bounds = { width, height };
+    this.camera = new Camera({ worldWidth: width, worldHeight: height });
+    this.camera.snapTo(this._playerRect());
+    this.prevCamera = { x: this.camera.x, y: this.camera.y };
+
+    this._collide = this._collide.bind(this);
+    this._world = {
+      player: this.player,
+      // Enemies only understand rectangles; tile levels hand them merged solid runs
+      platforms: this.tilemap ? level.platforms.concat(this.tilemap.toRects()) : level.platforms,
+      width,
+      height,
+      random: this.random,
+      spawnProjectile: p => {
+        this.projectiles.push(p);
+        this.events.push({ type: 'projectileFired', x: p.x, y: p.y, vx: p.vx, vy: p.vy ?? 0 });
+      }
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Consume real elapsed time and run as many fixed ticks as fit.
+   * Edge-triggered inputs (jumpPressed/dashPressed) are only applied to the
+   * first tick of the batch.
+   * @param {number} frameDt - Real elapsed time in seconds since last call
+   * @param {object} inputs - { left, right, jumpPressed, dashPressed, glide }
+   * @returns {number} Number of ticks executed (0 when the frame was shorter than a tick)
+   */
+  advance(frameDt, inputs) {
+    this.accumulator += clamp(frameDt, 0, MAX_FRAME_DT);
+    let steps = 0;
+    while (this.accumulator >= TICK_DT) {
+      this.step(steps === 0 ? inputs : { ...inputs, jumpPressed: false, dashPressed: false });
+      this.accumulator -= TICK_DT;
+      steps++;
+    }
+    return steps;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Interpolation factor (0..1) between the previous and current tick,
+   * for smooth rendering between fixed steps.
+   */
+  get alpha() {
+    return this.accumulator / TICK_DT;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Advance the world by exactly one fixed tick.
+   * @param {object} inputs - { left, right, jumpPressed, dashPressed, glide }
+   */
+  step(inputs = {}) {
+    if (this.status !== 'playing') return;
+    const dt = TICK_DT;
+    this.tick++;
+
+    const player = this.player;
+    this.prevPlayer = { x: player.x, y: player.y };
+    this.prevCamera = { x: this.camera.x, y: this.camera.y };
+    for (let en of this.enemies) {
+      en.prevX = en.x;
+      en.prevY = en.y;
+    }
+
+    this._updateEnemies(dt);
+    this._updateProjectiles(dt);
+
+    const controls = {
+      left: !!inputs.left,
+      right: !!inputs.right,
+      jumpPressed: !!inputs.jumpPressed,
+      dashPressed: !!inputs.dashPressed,
+      glide: !!inputs.glide
+    };
+    if (this.recorder) this.recorder.record(controls);
+    player.update(dt, controls, this._collide, this.bounds);
+    for (let action of player.actions) {
+      const ev = { ...ACTION_EVENTS[action] };
+      if (ev.type === 'jump') ev.jumps = player.jumpCount; // 3 = the third jump of a triple jump
+      this.events.push(ev);
+    }
+    if (player.isGliding) {
+      this.glideTicks++;
+    } else if (this.glideTicks) {
+      this.events.push({ type: 'glideEnded', duration: this.glideTicks * TICK_DT });
+      this.glideTicks = 0;
+    }
+    this.camera.follow(this._playerRect(), dt);
+    if (this.ghostRecorder) this.ghostRecorder.record(this.tick, player);
+
+    this._updateLevelLogic();
+    if (this.status !== 'playing') return;
+
+    // Falling off the map counts as defeat
+    if (player.y > this.bounds.height + FALL_DEATH_MARGIN) {
+      this._defeat('fall');
+      return;
+    }
+    this._checkHazards();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Returns and clears the queued gameplay events.
+   * @returns {Array<{type: string}>}
+   */
+  drainEvents() {
+    const out = this.events;
+    this.events = [];
+    return out;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Where to resume after a defeat: pass it as `opts.checkpoint` to a new Simulation
+   * of the same level. null if no checkpoint has been reached (restart from the spawn).
+   * @returns {{index: number, reached: number[], gems: number[], tick: number}|null}
+   */
+  respawnState() {
+    return this.lastCheckpoint && { ...this.lastCheckpoint, tick: this.tick };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Plain-data view of the world, safe to keep across ticks (for rendering and tests).
+   */
+  snapshot() {
+    const p = this.player;
+    return {
+      tick: this.tick,
+      time: this.tick * TICK_DT,
+      status: this.status,
+      player: {
+        x: p.x, y: p.y, vx: p.vx, vy: p.vy,
+        prevX: this.prevPlayer.x, prevY: this.prevPlayer.y,
+        onGround: p.onGround, facing: p.facing, isGliding: p.isGliding,
+        jumpCount: p.jumpCount, dashAvailable: p.dashAvailable
+      },
+      enemies: this.enemies.map(en => ({
+        type: en.type, pose: en.pose, x: en.x, y: en.y, w: en.w, h: en.h, dir: en.dir,
+        prevX: en.prevX ?? en.x, prevY: en.prevY ?? en.y
+      })),
+      projectiles: this.projectiles.map(pr => ({ ...pr })),
+      camera: {
+        x: this.camera.x, y: this.camera.y,
+        prevX: this.prevCamera.x, prevY: this.prevCamera.y,
+        w: this.camera.viewWidth, h: this.camera.viewHeight
+      },
+      gems: this.gems.map(g => ({ ...g })),
+      checkpoints: this.checkpoints.map(c => ({ ...c })),
+      gemsCollected: this.gems.filter(g => g.collected).length,
+      gemsTotal: this.gems.length
+    };
+  }
+
+  _playerRect() {
+    const p = this.player;
+    return { x: p.x, y: p.y, w: PLAYER_WIDTH, h: PLAYER_HEIGHT, vx: p.vx };
+  }
+
+  // Platform collision tester handed to Player.update: tile grid lookup first, then rectangles
+  _collide(x, y, w, h) {
+    const cell = this.tilemap && this.tilemap.overlapsSolid(x, y, w, h);
+    if (cell) {
+      this.player._debugLastCollidePlatform = cell;
+      return true;
+    }
+    for (let pl of this.level.platforms) {
+      if (rectsOverlap(x, y, w, h, pl.x, pl.y, pl.w, pl.h)) {
+        // For debugging, highlight which platform was touched
+        this.player._debugLastCollidePlatform = pl;
+        return true;
+      }
+    }
+    this.player._debugLastCollidePlatform = null;
+    return false;
+  }
+
+  // Enemy AI lives in the enemy classes; they only see this world context.
+  // Only enemies near the camera view run, so far-off turrets don't fill the level with shots.
+  _updateEnemies(dt) {
+    const cam = this.camera;
+    const active = this.enemies.filter(en => {
+      const hb = en.getHitbox();
+      return cam.isVisible(hb.x, hb.y, hb.w, hb.h, ENEMY_ACTIVE_MARGIN);
+    });
+    updateEnemies(active, dt, this._world);
+  }
+
+  // Move projectiles, remove those that left the camera view
+  _updateProjectiles(dt) {
+    for (let p of this.projectiles) {
+      p.x += p.vx * dt;
+      p.y += (p.vy ?? 0) * dt;
+    }
+    this.projectiles = this.projectiles.filter(p =>
+      this.camera.isVisible(p.x - 3, p.y - 3, 7, 7, PROJECTILE_MARGIN)
+    );
+  }
+
+  // Gem collection, checkpoints and exit check
+  _updateLevelLogic() {
+    const player = this.player;
+    this.gems.forEach((gem, index) => {
+      if (!gem.collected && player.overlapsRect(gem.x - GEM_RADIUS, gem.y - GEM_RADIUS, GEM_RADIUS * 2, GEM_RADIUS * 2)) {
+        gem.collected = true;
+        this.events.push({ type: 'gemCollected', index, x: gem.x, y: gem.y });
+      }
+    });
+
+    // Touching a new checkpoint makes it the respawn point, with the gems held at that moment
+    this.checkpoints.forEach((cp, index) => {
+      if (cp.reached || !player.overlapsRect(cp.x, cp.y, CHECKPOINT_SIZE.w, CHECKPOINT_SIZE.h)) return;
+      cp.reached = true;
+      this.lastCheckpoint = {
+        index,
+        reached: this.checkpoints.flatMap((c, i) => (c.reached ? [i] : [])),
+        gems: this.gems.flatMap((g, i) => (g.collected ? [i] : [])),
+        tick: this.tick
+      };
+      this.events.push({ type: 'checkpointReached', index, x: cp.x, y: cp.y });
+    });
+
+    // Exit completion if all gems collected and player overlaps exit
+    const exit = this.level.exit;
+    if (this.gems.every(g => g.collected) && player.overlapsRect(exit.x, exit.y, exit.w, exit.h)) {
+      this.status = 'complete';
+      this.events.push({ type: 'levelComplete', time: this.tick * TICK_DT });
+    }
+  }
+
+  // Enemy & projectile collision with player
+  _checkHazards() {
+    const { x: px, y: py } = this.player;
+    for (let en of this.enemies) {
+      if (!en.harmful) continue;
+      const hb = en.getHitbox();
+      if (rectsOverlap(px, py, PLAYER_WIDTH, PLAYER_HEIGHT, hb.x, hb.y, hb.w, hb.h)) {
+        this._defeat('enemy');
+        return;
+      }
+    }
+    for (let p of this.projectiles) {
+      if (rectsOverlap(px, py, PLAYER_WIDTH, PLAYER_HEIGHT, p.x - 3, p.y - 3, 7, 7)) {
+        this._defeat('projectile');
+        return;
+      }
+    }
+  }
+
+  _defeat(cause) {
+    this.status = 'defeated';
+    this.player.hurt = true;
+    this.events.push({ type: 'playerDefeated', cause });
+  }
+}
+
+export default Simulation;
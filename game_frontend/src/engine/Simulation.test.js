@@ -0,0 +1,110 @@
+import Simulation, { TICK_DT } from './Simulation';
+import LEVELS from './levels';
+
+const flatLevel = (overrides = {}) => ({
+  name: 'test',
+  bgColor: null,
+  platforms: [{ x: 0, y: 160, w: 320, h: 20 }],
+  gems: [],
+  exit: { x: 300, y: 140, w: 12, h: 20 },
+  enemies: [],
+  ...overrides
+});
+
+test('advance runs whole fixed ticks and keeps the remainder', () => {
+  const sim = new Simulation(flatLevel());
+  expect(sim.advance(1 / 60, {})).toBe(2);
+  expect(sim.advance(TICK_DT / 2, {})).toBe(0);
+  expect(sim.advance(TICK_DT / 2, {})).toBe(1);
+  expect(sim.tick).toBe(3);
+});
+
+test('same inputs give the same world regardless of frame rate', () => {
+  const a = new Simulation(LEVELS[1]);
+  const b = new Simulation(LEVELS[1]);
+  const inputs = { right: true };
+  // 60Hz vs 144Hz displays, same amount of game time
+  for (let i = 0; i < 60; i++) a.advance(1 / 60, inputs);
+  while (b.tick < a.tick) b.step(inputs);
+  expect(b.snapshot()).toEqual(a.snapshot());
+});
+
+test('jumpPressed is only applied on the first tick of a batch', () => {
+  const sim = new Simulation(flatLevel());
+  for (let i = 0; i < 60; i++) sim.step({});
+  expect(sim.player.onGround).toBe(true);
+  sim.advance(TICK_DT * 4, { jumpPressed: true });
+  expect(sim.player.jumpCount).toBe(1);
+});
+
+test('collecting every gem and touching the exit completes the level', () => {
+  const sim = new Simulation(flatLevel({
+    gems: [{ x: 60, y: 150 }],
+    exit: { x: 120, y: 140, w: 12, h: 20 }
+  }));
+  const events = [];
+  for (let i = 0; i < 240 && sim.status === 'playing'; i++) {
+    sim.step({ right: true });
+    events.push(...sim.drainEvents());
+  }
+  expect(events.map(e => e.type)).toEqual(['gemCollected', 'levelComplete']);
+  expect(sim.snapshot().status).toBe('complete');
+});
+
+test('touching an enemy defeats the player and halts the simulation', () => {
+  const sim = new Simulation(flatLevel({
+    enemies: [{ type: 'chaser', x: 40, y: 148, speed: 0, activeRange: 0 }]
+  }));
+  expect(sim.drainEvents()).toEqual([{ type: 'enemySpawned', enemy: 'chaser', x: 40, y: 148 }]);
+  for (let i = 0; i < 240 && sim.status === 'playing'; i++) sim.step({ right: true });
+  expect(sim.drainEvents()).toEqual([{ type: 'playerDefeated', cause: 'enemy' }]);
+  const tick = sim.tick;
+  sim.step({ right: true });
+  expect(sim.tick).toBe(tick);
+});
+
+test('after a defeat the player resumes at the last checkpoint with earlier gems kept', () => {
+  const level = flatLevel({
+    gems: [{ x: 60, y: 150 }, { x: 140, y: 150 }],
+    checkpoints: [{ x: 100, y: 136 }],
+    enemies: [{ type: 'chaser', x: 180, y: 148, speed: 0, activeRange: 0 }]
+  });
+  const sim = new Simulation(level);
+  sim.drainEvents();
+  for (let i = 0; i < 480 && sim.status === 'playing'; i++) sim.step({ right: true });
+  expect(sim.drainEvents().map(e => e.type)).toEqual(['gemCollected', 'checkpointReached', 'gemCollected', 'playerDefeated']);
+  expect(sim.snapshot().checkpoints).toEqual([{ x: 100, y: 136, reached: true }]);
+
+  const resume = sim.respawnState();
+  expect(resume).toMatchObject({ index: 0, reached: [0], gems: [0], tick: sim.tick });
+  const again = new Simulation(level, { checkpoint: resume });
+  const snap = again.snapshot();
+  expect(snap.player).toMatchObject({ x: 100, y: 146 });
+  expect(snap.gems.map(g => g.collected)).toEqual([true, false]); // the gem after the checkpoint is back
+  expect(snap.tick).toBe(sim.tick);
+  expect(new Simulation(level).respawnState()).toBeNull();
+});
+
+test('wide levels let the player walk past the first screen and the camera follows', () => {
+  const sim = new Simulation(flatLevel({
+    width: 640,
+    platforms: [{ x: 0, y: 160, w: 640, h: 20 }],
+    exit: { x: 620, y: 140, w: 12, h: 20 }
+  }));
+  for (let i = 0; i < 600; i++) sim.step({ right: true });
+  const snap = sim.snapshot();
+  expect(snap.player.x).toBeGreaterThan(320);
+  expect(snap.camera.x).toBe(320); // clamped at the right edge
+});
+
+test('jumps, dashes and glides are reported as events', () => {
+  const sim = new Simulation(flatLevel());
+  for (let i = 0; i < 60; i++) sim.step({});
+  expect(sim.drainEvents()).toEqual([]);
+  sim.step({ jumpPressed: true });
+  for (let i = 0; i < 10; i++) sim.step({});
+  sim.step({ jumpPressed: true, dashPressed: true });
+  for (let i = 0; i < 60; i++) sim.step({ glide: true });
+  const types = sim.drainEvents().map(ev => (ev.kind ? `${ev.type}:${ev.kind}` : ev.type));
+  expect(types).toEqual(['jump:ground', 'dash', 'jump:air', 'glide']);
+});
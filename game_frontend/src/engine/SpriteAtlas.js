@@ -0,0 +1,128 @@
+//
+// SpriteAtlas.js - Sprite sheets: an image plus Aseprite-style JSON frame data.
+//
+// Accepts Aseprite's "Array" and "Hash" JSON exports (File > Export Sprite Sheet,
+// with tags). Each frame tag becomes a named clip; its direction (forward, reverse,
+// pingpong) is honoured and every frame keeps its own duration. Trimmed frames
+// are placed using spriteSourceSize, so trimming on export doesn't shift sprites.
+//
+// Sprites are drawn bottom-centred on an entity's hitbox, so art can be larger
+// than the box (a 16x16 frame on a 12x14 player). Until the image has loaded,
+// draw() returns false and callers draw their rectangle fallback instead.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Parse Aseprite sprite sheet JSON.
+ * @param {object} data - { frames: Array|Object, meta: { frameTags? } }
+ * @returns {{frames: Array<{x, y, w, h, ox, oy, sw, sh, duration}>, clips: Object<string, {frames: number[]}>}}
+ *   frames in sheet order (durations in seconds); clips map a tag name to its frame sequence
+ * @throws {Error} if the data has no frames
+ */
+export function parseAsepriteData(data) {
+  const raw = Array.isArray(data?.frames) ? data.frames : Object.values(data?.frames || {});
+  if (!raw.length) throw new Error('Sprite sheet data has no frames');
+  const frames = raw.map(f => {
+    const src = f.spriteSourceSize || { x: 0, y: 0 };
+    const size = f.sourceSize || { w: f.frame.w, h: f.frame.h };
+    return {
+      x: f.frame.x, y: f.frame.y, w: f.frame.w, h: f.frame.h,
+      ox: src.x, oy: src.y, sw: size.w, sh: size.h,
+      duration: (f.duration ?? 100) / 1000
+    };
+  });
+
+  const clips = {};
+  for (let tag of data.meta?.frameTags || []) {
+    const forward = [];
+    for (let i = tag.from; i <= tag.to; i++) forward.push(i);
+    let sequence = forward;
+    if (tag.direction === 'reverse') sequence = forward.slice().reverse();
+    else if (tag.direction === 'pingpong') sequence = forward.concat(forward.slice(1, -1).reverse());
+    clips[tag.name] = { frames: sequence };
+  }
+  if (!Object.keys(clips).length) clips.default = { frames: frames.map((_, i) => i) };
+  return { frames, clips };
+}
+
+// PUBLIC_INTERFACE
+export class SpriteAtlas {
+  /**
+   * @param {object} data - Aseprite JSON (see parseAsepriteData)
+   * @param {string|CanvasImageSource} [image] - the sheet: an already loaded image
+   *   (e.g. from the asset cache, ./assets) or a URL, which starts loading immediately
+   */
+  constructor(data, image) {
+    const { frames, clips } = parseAsepriteData(data);
+    this.frames = frames;
+    this.clips = clips;
+    this.image = null;
+    this.ready = false;
+    if (image && typeof image !== 'string') {
+      this.image = image;
+      this.ready = true;
+    } else if (image && typeof Image !== 'undefined') {
+      const img = new Image();
+      img.onload = () => { this.ready = true; };
+      img.src = image;
+      this.image = img;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /** True if the sheet has a clip (frame tag) with this name. */
+  hasClip(name) {
+    return !!this.clips[name];
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * The frame of a clip shown `time` seconds after it started.
+   * @param {string} name - clip name
+   * @param {number} time - seconds
+   * @param {boolean} [loop] - false holds the last frame
+   * @returns {object|null} a frame (see parseAsepriteData), null for unknown clips
+   */
+  frameAt(name, time, loop = true) {
+    const clip = this.clips[name];
+    if (!clip) return null;
+    const seq = clip.frames;
+    const total = seq.reduce((sum, i) => sum + this.frames[i].duration, 0);
+    let t = loop && total > 0 ? time % total : time;
+    for (let i of seq) {
+      t -= this.frames[i].duration;
+      if (t < 0) return this.frames[i];
+    }
+    return this.frames[seq[seq.length - 1]];
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Draw a clip's current frame bottom-centred on a box (world or screen coordinates).
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {string} name - clip name
+   * @param {number} time - seconds since the clip started
+   * @param {{x:number, y:number, w:number, h:number}} box - e.g. the entity's hitbox
+   * @param {object} [opts] - { flip: mirror horizontally (art faces right), loop }
+   * @returns {boolean} false when nothing was drawn (image not loaded yet, or unknown clip)
+   */
+  draw(ctx, name, time, box, { flip = false, loop = true } = {}) {
+    if (!this.ready) return false;
+    const f = this.frameAt(name, time, loop);
+    if (!f) return false;
+    const cx = Math.round(box.x + box.w / 2);
+    const left = cx - Math.floor(f.sw / 2);
+    const top = Math.round(box.y + box.h) - f.sh;
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    if (flip) {
+      ctx.translate(cx * 2, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(this.image, f.x, f.y, f.w, f.h, left + f.ox, top + f.oy, f.w, f.h);
+    ctx.restore();
+    return true;
+  }
+}
+
+export default SpriteAtlas;
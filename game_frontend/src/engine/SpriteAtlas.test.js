@@ -0,0 +1,71 @@
+import SpriteAtlas, { parseAsepriteData } from './SpriteAtlas';
+import { AnimationStateMachine, resolveClip } from './Animation';
+import Player from './Player';
+import { PLAYER_ANIMATIONS } from './sprites';
+import playerData from '../assets/sprites/player.json';
+
+const frame = (x, duration) => ({ frame: { x, y: 0, w: 16, h: 16 }, duration });
+
+test('Aseprite data becomes frames and tagged clips', () => {
+  const { frames, clips } = parseAsepriteData({
+    frames: { 'a 0': frame(0, 100), 'a 1': frame(16, 50), 'a 2': frame(32, 100) },
+    meta: { frameTags: [
+      { name: 'walk', from: 0, to: 2, direction: 'pingpong' },
+      { name: 'back', from: 0, to: 1, direction: 'reverse' }
+    ] }
+  });
+  expect(frames[1]).toMatchObject({ x: 16, w: 16, sw: 16, duration: 0.05 });
+  expect(clips.walk.frames).toEqual([0, 1, 2, 1]);
+  expect(clips.back.frames).toEqual([1, 0]);
+  expect(() => parseAsepriteData({ frames: [] })).toThrow('Sprite sheet data has no frames');
+});
+
+test('clips advance by frame duration, looping or holding the last frame', () => {
+  const atlas = new SpriteAtlas({
+    frames: [frame(0, 100), frame(16, 200)],
+    meta: { frameTags: [{ name: 'run', from: 0, to: 1, direction: 'forward' }] }
+  });
+  expect(atlas.frameAt('run', 0.05).x).toBe(0);
+  expect(atlas.frameAt('run', 0.15).x).toBe(16);
+  expect(atlas.frameAt('run', 0.35).x).toBe(0); // looped
+  expect(atlas.frameAt('run', 0.35, false).x).toBe(16);
+  expect(atlas.frameAt('nope', 0)).toBeNull();
+  // Nothing is drawn until the image has loaded
+  expect(atlas.draw({}, 'run', 0, { x: 0, y: 0, w: 12, h: 14 })).toBe(false);
+});
+
+test('the player sheet has every state, and hurt holds until reset', () => {
+  const atlas = new SpriteAtlas(playerData);
+  for (let state of Object.keys(PLAYER_ANIMATIONS.states)) {
+    expect(resolveClip(atlas, PLAYER_ANIMATIONS, state)).toMatchObject({ clip: state });
+  }
+  const partial = new SpriteAtlas({ frames: [frame(0, 100)], meta: { frameTags: [{ name: 'fall', from: 0, to: 0 }] } });
+  expect(resolveClip(partial, PLAYER_ANIMATIONS, 'wall-slide')).toEqual({ clip: 'fall', loop: false });
+
+  const machine = new AnimationStateMachine(PLAYER_ANIMATIONS);
+  machine.update(0.1, 'run');
+  machine.update(0.1, 'run');
+  expect(machine).toMatchObject({ state: 'run', time: 0.1 });
+  machine.update(0.1, 'hurt');
+  machine.update(0.1, 'idle');
+  expect(machine.state).toBe('hurt');
+  machine.reset();
+  expect(machine.state).toBe('idle');
+});
+
+test('player pose follows its physics state', () => {
+  const player = new Player({ x: 0, y: 0 });
+  const floor = (x, y, w, h) => y + h > 100;
+  for (let i = 0; i < 240; i++) player.update(1 / 120, {}, floor);
+  expect(player.pose).toBe('idle');
+  player.update(1 / 120, { right: true }, floor);
+  expect(player.pose).toBe('run');
+  player.update(1 / 120, { right: true, dashPressed: true }, floor);
+  expect(player.pose).toBe('dash');
+  player.update(1 / 120, { jumpPressed: true }, floor);
+  for (let i = 0; i < 30; i++) player.update(1 / 120, {}, floor);
+  expect(player.pose).toBe('jump');
+  player.hurt = true;
+  player.animate(0.1);
+  expect(player.animation.state).toBe('hurt');
+});
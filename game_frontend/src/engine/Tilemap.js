@@ -0,0 +1,161 @@
+//
+// Tilemap.js - Tile grid levels: collision lookups and tile data for rendering.
+//
+// A level may carry a `tilemap` (plain JSON, see TilemapData below) instead of,
+// or in addition to, hand-placed `platforms`. Collision against the grid only
+// inspects the cells an AABB covers, so cost doesn't grow with level size.
+// Tiled maps are converted to this format by ./tiledImport.
+//
+
+/**
+ * @typedef {Object} TileDef
+ * @property {boolean} [solid] - blocks movement (overrides the layer's collision flag)
+ * @property {string} [color] - fill colour used when there is no image (or it hasn't loaded)
+ * @property {string} [image] - tileset image URL
+ * @property {number} [sx] - source x of this tile in the image
+ * @property {number} [sy] - source y of this tile in the image
+ *
+ * @typedef {Object} TilemapData
+ * @property {number} tileWidth - pixels
+ * @property {number} tileHeight - pixels
+ * @property {number} columns - grid width in tiles
+ * @property {number} rows - grid height in tiles
+ * @property {Array<{name: string, data: number[], collision?: boolean}>} layers -
+ *   row-major tile ids (0 = empty), drawn in order; tiles on `collision` layers are solid
+ * @property {Object<number, TileDef>} tiles - tile id -> definition
+ */
+
+const DEFAULT_TILE_COLOR = '#88bc7f';
+
+// PUBLIC_INTERFACE
+export class Tilemap {
+  /**
+   * @param {TilemapData} data - not mutated
+   */
+  constructor(data) {
+    this.tileWidth = data.tileWidth;
+    this.tileHeight = data.tileHeight;
+    this.columns = data.columns;
+    this.rows = data.rows;
+    this.layers = data.layers;
+    this.tiles = data.tiles || {};
+    this.width = this.columns * this.tileWidth;
+    this.height = this.rows * this.tileHeight;
+
+    // Flattened collision grid: 1 where any layer puts a solid tile
+    this.solid = new Uint8Array(this.columns * this.rows);
+    for (let layer of this.layers) {
+      layer.data.forEach((id, i) => {
+        if (id && this.isSolidTile(id, layer)) this.solid[i] = 1;
+      });
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Whether a tile id blocks movement when placed on `layer`.
+   */
+  isSolidTile(id, layer) {
+    const def = this.tiles[id];
+    if (def && typeof def.solid === 'boolean') return def.solid;
+    return !!layer.collision;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Solid test for one cell; cells outside the grid are empty.
+   */
+  isSolidCell(col, row) {
+    if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) return false;
+    return this.solid[row * this.columns + col] === 1;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * First solid cell overlapping the rectangle, or null.
+   * @returns {{x:number, y:number, w:number, h:number}|null} cell rect in pixels
+   */
+  overlapsSolid(x, y, w, h) {
+    const c0 = Math.floor(x / this.tileWidth);
+    const c1 = Math.ceil((x + w) / this.tileWidth) - 1;
+    const r0 = Math.floor(y / this.tileHeight);
+    const r1 = Math.ceil((y + h) / this.tileHeight) - 1;
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        if (this.isSolidCell(col, row)) {
+          return { x: col * this.tileWidth, y: row * this.tileHeight, w: this.tileWidth, h: this.tileHeight };
+        }
+      }
+    }
+    return null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Solid cells merged into horizontal runs, for code that needs platform
+   * rectangles (e.g. enemy landing checks).
+   * @returns {Array<{x:number, y:number, w:number, h:number}>}
+   */
+  toRects() {
+    const rects = [];
+    for (let row = 0; row < this.rows; row++) {
+      let start = -1;
+      for (let col = 0; col <= this.columns; col++) {
+        const solid = col < this.columns && this.isSolidCell(col, row);
+        if (solid && start < 0) start = col;
+        if (!solid && start >= 0) {
+          rects.push({
+            x: start * this.tileWidth,
+            y: row * this.tileHeight,
+            w: (col - start) * this.tileWidth,
+            h: this.tileHeight
+          });
+          start = -1;
+        }
+      }
+    }
+    return rects;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Calls fn(id, def, x, y) for every non-empty tile overlapping `view`, layer by layer.
+   * @param {{x:number, y:number, w:number, h:number}} view - pixels
+   */
+  forEachTileInView(view, fn) {
+    const c0 = Math.max(0, Math.floor(view.x / this.tileWidth));
+    const c1 = Math.min(this.columns - 1, Math.floor((view.x + view.w) / this.tileWidth));
+    const r0 = Math.max(0, Math.floor(view.y / this.tileHeight));
+    const r1 = Math.min(this.rows - 1, Math.floor((view.y + view.h) / this.tileHeight));
+    for (let layer of this.layers) {
+      for (let row = r0; row <= r1; row++) {
+        for (let col = c0; col <= c1; col++) {
+          const id = layer.data[row * this.columns + col];
+          if (!id) continue;
+          fn(id, this.tiles[id] || { color: DEFAULT_TILE_COLOR }, col * this.tileWidth, row * this.tileHeight);
+        }
+      }
+    }
+  }
+}
+
+// Level definitions are plain data; the Tilemap built from each one is cached
+const tilemapCache = new WeakMap();
+
+// PUBLIC_INTERFACE
+/**
+ * Tilemap for a level, or null when it has none (rectangle platforms only).
+ * @param {import('./levels').Level} level
+ * @returns {Tilemap|null}
+ */
+export function getLevelTilemap(level) {
+  if (!level.tilemap) return null;
+  let map = tilemapCache.get(level.tilemap);
+  if (!map) {
+    map = new Tilemap(level.tilemap);
+    tilemapCache.set(level.tilemap, map);
+  }
+  return map;
+}
+
+export default Tilemap;
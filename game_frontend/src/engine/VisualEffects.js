@@ -1,18 +1,23 @@
 /**
  * VisualEffects.js
  * Pixel-art retro visual shaders/postprocessing for GameCanvas.
- * - WebGL/canvas2d scanlines, CRT curves, palette shift, parallax, and bloom simulation.
+ * - canvas2d scanlines, vignette, palette shift, parallax, and bloom simulation
+ *   (the WebGL CRT shader lives in ./CRTPipeline; these are its fallback).
  * - Use as: VisualEffects.applyCRTPass(canvas), applyScanlines(ctx), etc.
  */
  
-// WebGL shader helper for CRT/scanline/bloom effects
+// Scratch canvas for applyBloom
+let bloomCanvas = null;
+
+// Canvas2d post-processing helpers: the CRT fallback and palettes
 export const VisualEffects = {
   /**
-   * Applies a CRT-style curved glass, scanlines, and bloom effect using a WebGL pass if supported.
-   * If not, fallback to canvas2d blending and scanlines post-process.
+   * Canvas2d CRT pass: scanlines, a vignette standing in for the curved glass, and bloom.
+   * This is the fallback for CRTPipeline (./CRTPipeline), the WebGL version with real
+   * curvature, chromatic aberration and a shadow mask; both take getCRTOptions() output.
    * @param {HTMLCanvasElement} canvas - The primary game canvas to process.
    * @param {Object} [options]
-   *    - strength: CRT curvature amount (default 0.18)
+   *    - strength: vignette amount (default 0.16)
    *    - scanlineOpacity: 0..1, default 0.23
    *    - bloom: 0..1, default 0.15
    */
@@ -20,12 +25,10 @@ export const VisualEffects = {
     const ctx = canvas.getContext('2d');
     if (!ctx) return;
 
-    // Fallback: 2d only, can't do actual curve, so fake with vignette and scanlines
     VisualEffects.applyScanlines(ctx, { opacity: options.scanlineOpacity ?? 0.23 });
     VisualEffects.applyVignette(ctx, { strength: options.strength ?? 0.16 });
     if (options.bloom)
       VisualEffects.applyBloom(ctx, { intensity: options.bloom ?? 0.11 });
-    // TODO: WebGL version for true CRT curvature, chromatic aberration, etc.
   },
 
   /**
@@ -77,10 +80,17 @@ export const VisualEffects = {
     try {
       const intensity = opts.intensity ?? 0.11;
       const w = ctx.canvas.width, h = ctx.canvas.height;
-      const tempCanvas = document.createElement('canvas');
-      tempCanvas.width = w;
-      tempCanvas.height = h;
+      // One scratch canvas, reused every frame
+      if (!bloomCanvas) bloomCanvas = document.createElement('canvas');
+      const tempCanvas = bloomCanvas;
+      if (tempCanvas.width !== w || tempCanvas.height !== h) {
+        tempCanvas.width = w;
+        tempCanvas.height = h;
+      }
       const tctx = tempCanvas.getContext('2d');
+      tctx.globalAlpha = 1;
+      tctx.filter = 'none';
+      tctx.clearRect(0, 0, w, h);
       
       // Copy, blur, and brighten
       tctx.drawImage(ctx.canvas, 0, 0, w, h);
@@ -147,31 +157,42 @@ export const VisualEffects = {
 
 /**
  * ParallaxBackground
- * Drawable helper for rich multi-layer backgrounds.
+ * Drawable helper for rich multi-layer backgrounds (one per level; see engine/backgrounds.js).
  */
 export class ParallaxBackground {
   /**
-   * @param {Array<{img:HTMLImageElement, speed:number, repeat?:'x'|'xy'}>} layers
-   *        Each should have img (HTMLImageElement), speed (0.6=slow, 1.1=fast, >1 foreground)
+   * @param {Array<{img:CanvasImageSource|function(): CanvasImageSource, speed:number, offsetY?:number,
+   *        repeat?:'x'|'xy'|'none', autoScroll?:number}>} layers
+   *        Each should have img (an image or canvas, or a function returning the one to draw this frame),
+   *        speed (0 fixed, 0.5 half the camera's speed, 1 moves with the level), offsetY (pixels down),
+   *        repeat (tile horizontally, both ways, or draw once) and autoScroll (drift in pixels/second)
    */
   constructor(layers, w, h) {
     this.layers = layers; // Sorted back->front
     this.w = w; this.h = h;
-    this.scrollX = 0;
   }
 
   /**
    * Call on every frame before drawing level.
    * @param {CanvasRenderingContext2D} ctx
    * @param {number} dx - camera/player global scroll (pixels)
+   * @param {number} [time] - seconds, for auto-scrolling layers
    */
-  draw(ctx, dx = 0) {
-    for (let { img, speed, repeat } of this.layers) {
-      if (!img.complete) continue;
-      const xShift = -dx * speed % img.width;
-      let drawCount = Math.ceil(this.w / img.width) + 2;
-      for (let i = -1; i < drawCount; i++) {
-        ctx.drawImage(img, Math.floor(xShift + i * img.width), 0, img.width, this.h);
+  draw(ctx, dx = 0, time = 0) {
+    for (let layer of this.layers) {
+      const img = typeof layer.img === 'function' ? layer.img() : layer.img;
+      if (!img || img.complete === false || !img.width) continue; // images still loading (canvases are always ready)
+      const { speed = 1, offsetY = 0, repeat = 'x', autoScroll = 0 } = layer;
+      const x = Math.floor(-(dx * speed + time * autoScroll));
+      if (repeat === 'none') {
+        ctx.drawImage(img, x, offsetY);
+        continue;
+      }
+      const startX = (x % img.width + img.width) % img.width - img.width;
+      const startY = repeat === 'xy' ? (offsetY % img.height + img.height) % img.height - img.height : offsetY;
+      for (let y = startY; y < this.h; y += img.height) {
+        for (let ix = startX; ix < this.w; ix += img.width) ctx.drawImage(img, ix, y);
+        if (repeat !== 'xy') break;
       }
     }
   }
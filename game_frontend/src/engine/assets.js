@@ -0,0 +1,244 @@
+//
+// assets.js - Asset manifest, preloader and the cache the game draws and plays from.
+//
+// Everything the game loads is listed in ASSET_MANIFEST under a key. preloadAssets()
+// loads the lot before the main menu (the LoadingScreen shows its progress), so
+// nothing pops in mid-level; the renderer, sprite sheets, level list and AudioEngine
+// then look assets up by key with getAsset().
+//
+// An asset that fails to load is replaced by a placeholder and listed in
+// assetErrors(): images become a magenta checkerboard, JSON becomes the entry's
+// `fallback`, and audio becomes null (the synthesized sound plays instead). A
+// missing file shows up on screen rather than stopping the game.
+//
+// JSON entries whose `src` is an object (a bundled import) are available at once,
+// so modules such as ./levels can read them at import time, before preloading.
+//
+
+import playerSheet from '../assets/sprites/player.png';
+import playerData from '../assets/sprites/player.json';
+import enemySheet from '../assets/sprites/enemies.png';
+import enemyData from '../assets/sprites/enemies.json';
+import terracesMap from '../assets/maps/terraces.json';
+
+// PUBLIC_INTERFACE
+/**
+ * @typedef {Object} AssetEntry
+ * @property {string} key - lookup key for getAsset()
+ * @property {'image'|'json'|'audio'|'canvas'} type
+ *   - image: an HTMLImageElement; json: parsed data; audio: encoded bytes (ArrayBuffer)
+ *     for AudioEngine to decode; canvas: an image generated by `draw`
+ * @property {string|object} [src] - URL (imported asset or public path); json may be the data itself
+ * @property {*} [fallback] - json only: used if loading fails
+ * @property {number} [width] - canvas only
+ * @property {number} [height] - canvas only
+ * @property {function(CanvasRenderingContext2D, HTMLCanvasElement): void} [draw] - canvas only
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Every asset the game preloads.
+ * Background layer images go here as { key: 'bg.<name>', type: 'image', src } and are
+ * named by a level's `background` layers (./backgrounds); layers without one are
+ * drawn procedurally.
+ * Audio files go here too ({ key: 'sfx.<name>', type: 'audio', src }): a loaded
+ * sample replaces the synthesized SFX of that name (see AudioEngine.playSfx).
+ * @type {AssetEntry[]}
+ */
+export const ASSET_MANIFEST = [
+  // Sprite sheets (./sprites)
+  { key: 'sprites.player', type: 'image', src: playerSheet },
+  { key: 'sprites.player.data', type: 'json', src: playerData },
+  { key: 'sprites.enemies', type: 'image', src: enemySheet },
+  { key: 'sprites.enemies.data', type: 'json', src: enemyData },
+  // Tiled maps (./levels)
+  { key: 'map.terraces', type: 'json', src: terracesMap }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * The "missing texture" image: a magenta and black checkerboard.
+ * @param {number} [size] - pixels per side
+ * @returns {HTMLCanvasElement|null} null where canvases can't be drawn (Jest)
+ */
+export function createPlaceholderImage(size = 16) {
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return null;
+  const half = size / 2;
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = '#ff00ff';
+  ctx.fillRect(0, 0, half, half);
+  ctx.fillRect(half, half, half, half);
+  canvas.placeholder = true;
+  return canvas;
+}
+
+// PUBLIC_INTERFACE
+/** True for images made by createPlaceholderImage (a failed load). */
+export function isPlaceholder(img) {
+  return !!img && img.placeholder === true;
+}
+
+// Browser loaders, one per entry type; each resolves to the cached value or rejects
+const defaultLoaders = {
+  image: entry => new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not load image ${entry.src}`));
+    img.src = entry.src;
+  }),
+  json: async entry => {
+    if (typeof entry.src !== 'string') return entry.src;
+    const res = await fetch(entry.src);
+    if (!res.ok) throw new Error(`Could not load ${entry.src} (HTTP ${res.status})`);
+    return res.json();
+  },
+  audio: async entry => {
+    const res = await fetch(entry.src);
+    if (!res.ok) throw new Error(`Could not load ${entry.src} (HTTP ${res.status})`);
+    return res.arrayBuffer();
+  },
+  canvas: async entry => {
+    const canvas = document.createElement('canvas');
+    canvas.width = entry.width;
+    canvas.height = entry.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas is not available');
+    entry.draw(ctx, canvas);
+    return canvas;
+  }
+};
+
+function placeholderFor(entry) {
+  if (entry.type === 'image' || entry.type === 'canvas') return createPlaceholderImage();
+  if (entry.type === 'json') return entry.fallback ?? null;
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export class AssetCache {
+  /**
+   * @param {object} [loaders] - per-type loaders ({ image(entry) => Promise, ... }),
+   *   merged over the browser ones (tests swap them out)
+   */
+  constructor(loaders = {}) {
+    this.loaders = { ...defaultLoaders, ...loaders };
+    this.values = new Map();
+    this.pending = new Map(); // key -> Promise of the value
+    this.errors = []; // { key, message } for every load that fell back to a placeholder
+  }
+
+  // PUBLIC_INTERFACE
+  /** True once the key has a value (loaded or placeholder). */
+  has(key) {
+    return this.values.has(key);
+  }
+
+  // PUBLIC_INTERFACE
+  /** The cached value for a key, or undefined if it hasn't loaded (yet). */
+  get(key) {
+    return this.values.get(key);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Load one entry into the cache (once; repeated calls share the same load).
+   * Failures resolve to the placeholder rather than rejecting.
+   * @param {AssetEntry} entry
+   * @returns {Promise<*>} the cached value
+   */
+  load(entry) {
+    if (this.values.has(entry.key)) return Promise.resolve(this.values.get(entry.key));
+    if (this.pending.has(entry.key)) return this.pending.get(entry.key);
+    const loader = this.loaders[entry.type];
+    const promise = Promise.resolve()
+      .then(() => {
+        if (!loader) throw new Error(`Unknown asset type "${entry.type}"`);
+        return loader(entry);
+      })
+      .catch(e => {
+        this.errors.push({ key: entry.key, message: e.message });
+        return placeholderFor(entry);
+      })
+      .then(value => {
+        this.values.set(entry.key, value);
+        this.pending.delete(entry.key);
+        return value;
+      });
+    this.pending.set(entry.key, promise);
+    return promise;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Load a manifest, reporting progress as each asset settles.
+   * @param {AssetEntry[]} manifest
+   * @param {function({loaded: number, total: number, key: string}): void} [onProgress]
+   * @returns {Promise<{loaded: number, total: number, errors: Array<{key, message}>}>}
+   */
+  async loadAll(manifest, onProgress) {
+    const total = manifest.length;
+    let loaded = 0;
+    await Promise.all(manifest.map(entry => this.load(entry).then(() => {
+      loaded++;
+      if (onProgress) onProgress({ loaded, total, key: entry.key });
+    })));
+    // In manifest order, however the loads happened to finish
+    const errors = manifest.map(entry => this.errors.find(e => e.key === entry.key)).filter(Boolean);
+    return { loaded, total, errors };
+  }
+
+  // PUBLIC_INTERFACE
+  /** Store a value directly (bundled data that needs no loading). */
+  set(key, value) {
+    this.values.set(key, value);
+  }
+}
+
+// The game's shared cache; bundled JSON is in it from the start
+const cache = new AssetCache();
+for (let entry of ASSET_MANIFEST) {
+  if (entry.type === 'json' && entry.src && typeof entry.src === 'object') cache.set(entry.key, entry.src);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Load everything in ASSET_MANIFEST into the shared cache.
+ * @param {function({loaded: number, total: number, key: string}): void} [onProgress]
+ * @returns {Promise<{loaded: number, total: number, errors: Array<{key, message}>}>}
+ */
+export function preloadAssets(onProgress) {
+  return cache.loadAll(ASSET_MANIFEST, onProgress);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Look up an asset by key. A manifest asset that hasn't been preloaded starts
+ * loading now (undefined is returned until it arrives); keys that aren't in the
+ * manifest, such as tileset image URLs, can pass their own entry.
+ * @param {string} key
+ * @param {Partial<AssetEntry>} [entry] - { type, src } for keys outside the manifest
+ * @returns {*} the asset, its placeholder if it failed, or undefined while loading
+ */
+export function getAsset(key, entry) {
+  if (cache.has(key)) return cache.get(key);
+  const def = entry ? { key, ...entry } : ASSET_MANIFEST.find(e => e.key === key);
+  if (def && typeof window !== 'undefined') cache.load(def);
+  return undefined;
+}
+
+// PUBLIC_INTERFACE
+/** Assets that failed to load and are standing in as placeholders. */
+export function assetErrors() {
+  return cache.errors.slice();
+}
+
+// PUBLIC_INTERFACE
+/** Keys of the loaded audio assets (AudioEngine decodes them once audio is unlocked). */
+export function audioAssetKeys() {
+  return ASSET_MANIFEST.filter(e => e.type === 'audio' && cache.get(e.key)).map(e => e.key);
+}
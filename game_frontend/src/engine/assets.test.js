@@ -0,0 +1,43 @@
+import { AssetCache, ASSET_MANIFEST, getAsset } from './assets';
+
+test('loadAll reports progress per asset and caches values by key', async () => {
+  const image = jest.fn(entry => Promise.resolve({ src: entry.src }));
+  const cache = new AssetCache({ image, json: entry => Promise.resolve({ from: entry.src }) });
+  const manifest = [
+    { key: 'a', type: 'image', src: 'a.png' },
+    { key: 'b', type: 'json', src: 'b.json' }
+  ];
+  const progress = [];
+  const result = await cache.loadAll(manifest, p => progress.push(p.loaded));
+  expect(result).toEqual({ loaded: 2, total: 2, errors: [] });
+  expect(progress).toEqual([1, 2]);
+  expect(cache.get('a')).toEqual({ src: 'a.png' });
+  expect(cache.get('b')).toEqual({ from: 'b.json' });
+
+  await cache.load(manifest[0]);
+  expect(image).toHaveBeenCalledTimes(1);
+});
+
+test('failed loads fall back to placeholders and are listed', async () => {
+  const cache = new AssetCache({
+    json: () => Promise.reject(new Error('HTTP 404')),
+    audio: () => Promise.reject(new Error('decode failed'))
+  });
+  const result = await cache.loadAll([
+    { key: 'map.missing', type: 'json', src: 'missing.json', fallback: { layers: [] } },
+    { key: 'sfx.gem', type: 'audio', src: 'gem.wav' },
+    { key: 'odd', type: 'video', src: 'x.mp4' }
+  ]);
+  expect(result.loaded).toBe(3);
+  expect(result.errors.map(e => e.key)).toEqual(['map.missing', 'sfx.gem', 'odd']);
+  expect(result.errors[2].message).toBe('Unknown asset type "video"');
+  expect(cache.get('map.missing')).toEqual({ layers: [] });
+  expect(cache.has('sfx.gem')).toBe(true);
+  expect(cache.get('sfx.gem')).toBeNull();
+});
+
+test('bundled JSON in the manifest is available before preloading', () => {
+  const map = ASSET_MANIFEST.find(e => e.key === 'map.terraces');
+  expect(getAsset('map.terraces')).toBe(map.src);
+  expect(new Set(ASSET_MANIFEST.map(e => e.key)).size).toBe(ASSET_MANIFEST.length);
+});
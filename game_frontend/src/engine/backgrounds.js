@@ -0,0 +1,246 @@
+//
+// backgrounds.js - Per-level parallax backgrounds: themes, layer definitions and the
+// procedural art drawn when a layer has no image.
+//
+// A level's `background` block picks a theme and/or lists its own layers, back to front:
+//
+//   background: { theme: 'ruins' }                  the theme's layers
+//   background: { layers: [{ image: 'bg.castle', speed: 0.3, procedural: 'ruins' }, ...] }
+//
+// Listed layers replace the theme's. A level without a block gets the default
+// theme with its sky painted in the level's bgColor, so bgColor still matters.
+//
+// Every layer is drawn from its `image` (an asset key, see ./assets) when that
+// has loaded, and otherwise from its `procedural` art - sky gradients, rolling
+// hills, ruin silhouettes or clouds - generated once per distinct layer from a
+// seed, so a level looks the same every time without shipping any images.
+//
+
+import { createRng } from './random';
+import { getAsset, isPlaceholder } from './assets';
+
+// PUBLIC_INTERFACE
+/**
+ * @typedef {Object} BackgroundLayer
+ * @property {string} [image] - asset key of the layer's image
+ * @property {'sky'|'hills'|'ruins'|'clouds'} [procedural] - art drawn without an image (default 'hills')
+ * @property {string} [color] - procedural fill colour (sky: the top of the gradient)
+ * @property {string} [horizon] - sky only: the bottom of the gradient (default: color)
+ * @property {number} [speed] - scroll relative to the camera: 0 fixed, 1 moves with the level (default 0.5)
+ * @property {number} [offsetY] - pixels the layer is drawn below the top of the screen
+ * @property {string} [tint] - colour laid over the layer's opaque pixels; give it alpha, e.g. "#40206080"
+ * @property {'x'|'xy'|'none'} [repeat] - tile horizontally (default), in both directions, or draw once
+ * @property {number} [autoScroll] - extra drift in pixels per second (clouds), regardless of the camera
+ * @property {number} [seed] - varies the procedural art between layers of the same kind
+ */
+
+// PUBLIC_INTERFACE
+/** Procedural layer kinds. */
+export const PROCEDURAL_LAYERS = ['sky', 'hills', 'ruins', 'clouds'];
+
+// PUBLIC_INTERFACE
+/**
+ * Built-in themes, named after the levels that use them.
+ * @type {Object<string, BackgroundLayer[]>}
+ */
+export const BACKGROUND_THEMES = {
+  garden: [
+    { procedural: 'sky', color: '#6fb8e6', horizon: '#d4f0fa', speed: 0 },
+    { procedural: 'clouds', color: '#ffffff', speed: 0.08, autoScroll: 5, offsetY: 6 },
+    { procedural: 'hills', color: '#93c9c2', speed: 0.2, offsetY: 26, seed: 1 },
+    { procedural: 'hills', color: '#62a86c', speed: 0.4, offsetY: 62, seed: 2 }
+  ],
+  ruins: [
+    { procedural: 'sky', color: '#7fb38a', horizon: '#e2edb6', speed: 0 },
+    { procedural: 'hills', color: '#8fba8c', speed: 0.15, offsetY: 34, seed: 3 },
+    { procedural: 'ruins', color: '#4d6b52', speed: 0.35, offsetY: 44, seed: 4 }
+  ],
+  walls: [
+    { procedural: 'sky', color: '#35344f', horizon: '#a497ad', speed: 0 },
+    { procedural: 'ruins', color: '#5d5a73', speed: 0.18, offsetY: 24, seed: 5 },
+    { procedural: 'ruins', color: '#393849', speed: 0.38, offsetY: 58, seed: 6, tint: '#1a183040' }
+  ],
+  meadow: [
+    { procedural: 'sky', color: '#79c3d6', horizon: '#e6f6da', speed: 0 },
+    { procedural: 'clouds', color: '#ffffff', speed: 0.06, autoScroll: 4, seed: 7 },
+    { procedural: 'hills', color: '#a9d8ba', speed: 0.15, offsetY: 36, seed: 8 },
+    { procedural: 'hills', color: '#6cb483', speed: 0.35, offsetY: 70, seed: 9 }
+  ]
+};
+
+// PUBLIC_INTERFACE
+/** Theme used by levels without a background block (sky in their bgColor). */
+export const DEFAULT_BACKGROUND_THEME = 'garden';
+
+const LAYER_DEFAULTS = { procedural: 'hills', speed: 0.5, offsetY: 0, repeat: 'x', autoScroll: 0, seed: 0 };
+
+// PUBLIC_INTERFACE
+/**
+ * A level's background layers, back to front, with defaults filled in.
+ * @param {import('./levels').Level} level
+ * @returns {BackgroundLayer[]}
+ */
+export function resolveBackgroundLayers(level) {
+  const bg = level.background;
+  let layers;
+  if (bg && Array.isArray(bg.layers) && bg.layers.length) {
+    layers = bg.layers;
+  } else if (bg && BACKGROUND_THEMES[bg.theme]) {
+    layers = BACKGROUND_THEMES[bg.theme];
+  } else {
+    // No (usable) block: the default theme under the level's own sky colour
+    layers = BACKGROUND_THEMES[DEFAULT_BACKGROUND_THEME].map(layer => (
+      layer.procedural === 'sky' && level.bgColor ? { ...layer, color: level.bgColor, horizon: undefined } : layer
+    ));
+  }
+  return layers.map(layer => ({ ...LAYER_DEFAULTS, ...layer }));
+}
+
+// Procedural art is this wide (and tiles seamlessly); 180 tall like the screen
+const ART_WIDTH = 640;
+const ART_HEIGHT = 180;
+
+// Random values for one layer's art; the same seed and kind always draw the same picture
+function layerRng(layer) {
+  const kind = PROCEDURAL_LAYERS.indexOf(layer.procedural) + 1;
+  return createRng((layer.seed ?? 0) * 7919 + kind * 104729);
+}
+
+function drawSky(ctx, layer) {
+  const g = ctx.createLinearGradient(0, 0, 0, ART_HEIGHT);
+  g.addColorStop(0, layer.color || '#9ad0ec');
+  g.addColorStop(1, layer.horizon || layer.color || '#9ad0ec');
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, 64, ART_HEIGHT);
+  // A soft haze towards the horizon, so a flat bgColor still reads as sky
+  const haze = ctx.createLinearGradient(0, ART_HEIGHT * 0.4, 0, ART_HEIGHT);
+  haze.addColorStop(0, 'rgba(255,255,255,0)');
+  haze.addColorStop(1, 'rgba(255,255,255,0.3)');
+  ctx.fillStyle = haze;
+  ctx.fillRect(0, 0, 64, ART_HEIGHT);
+}
+
+// Sum of sines with whole periods across the art, so the ridge line wraps around
+function drawHills(ctx, layer, rng) {
+  const waves = [1, 2, 3 + Math.floor(rng() * 3)].map((cycles, i) => ({
+    cycles, amp: (12 - i * 4) * (0.6 + rng() * 0.6), phase: rng() * Math.PI * 2
+  }));
+  ctx.fillStyle = layer.color || '#62a86c';
+  for (let x = 0; x < ART_WIDTH; x++) {
+    let y = 40;
+    for (let w of waves) y += w.amp * Math.sin((x / ART_WIDTH) * w.cycles * Math.PI * 2 + w.phase);
+    const top = Math.round(y);
+    ctx.fillRect(x, top, 1, ART_HEIGHT - top);
+  }
+}
+
+// Columns with broken tops, some joined by arches, on a rubble base
+function drawRuins(ctx, layer, rng) {
+  ctx.fillStyle = layer.color || '#4d6b52';
+  const base = 100;
+  ctx.fillRect(0, base, ART_WIDTH, ART_HEIGHT - base);
+  let prev = null;
+  for (let x = 12 + Math.floor(rng() * 20); x < ART_WIDTH - 30; x += 40 + Math.floor(rng() * 50)) {
+    const w = 10 + Math.floor(rng() * 8);
+    const h = 30 + Math.floor(rng() * 50);
+    ctx.fillRect(x, base - h, w, h);
+    // Broken top: a couple of stepped chunks missing from one side
+    const bite = Math.floor(rng() * 3);
+    for (let i = 0; i < bite; i++) ctx.clearRect(x + (i % 2 ? w - 4 : 0), base - h, 4, 4 + i * 4);
+    // Arch to the previous column when both are tall enough
+    if (prev && Math.min(prev.h, h) > 44 && rng() < 0.6) {
+      const left = prev.x + prev.w;
+      const span = x - left;
+      const top = base - Math.min(prev.h, h) + 6;
+      const depth = Math.min(span / 2, 24);
+      ctx.fillRect(left, top, span, 8 + depth);
+      // Cut the opening out of the wall under the lintel
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.beginPath();
+      ctx.ellipse(left + span / 2, top + 8 + depth, span / 2, depth, 0, Math.PI, 0);
+      ctx.fill();
+      ctx.restore();
+    }
+    prev = { x, w, h };
+  }
+}
+
+// Puffs of overlapping circles, kept clear of the edges so the art wraps cleanly
+function drawClouds(ctx, layer, rng) {
+  ctx.fillStyle = layer.color || '#ffffff';
+  ctx.globalAlpha = 0.85;
+  const count = 4 + Math.floor(rng() * 3);
+  for (let i = 0; i < count; i++) {
+    const cx = 40 + (i + rng() * 0.6) * ((ART_WIDTH - 80) / count);
+    const cy = 14 + rng() * 46;
+    const r = 6 + rng() * 6;
+    for (let p = 0; p < 4; p++) {
+      ctx.beginPath();
+      ctx.arc(cx + (p - 1.5) * r * 0.9, cy - (p % 3 ? r * 0.4 : 0), r * (p % 3 ? 1 : 0.75), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.globalAlpha = 1;
+}
+
+const PROCEDURAL_ART = { sky: drawSky, hills: drawHills, ruins: drawRuins, clouds: drawClouds };
+
+// PUBLIC_INTERFACE
+/**
+ * Draw a layer's procedural art onto a new canvas (sky art is 64px wide, the rest 640px).
+ * @param {BackgroundLayer} layer
+ * @returns {HTMLCanvasElement|null} null where canvases can't be drawn (Jest)
+ */
+export function renderProceduralLayer(layer) {
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = layer.procedural === 'sky' ? 64 : ART_WIDTH;
+  canvas.height = ART_HEIGHT;
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return null;
+  const draw = PROCEDURAL_ART[layer.procedural] || drawHills;
+  draw(ctx, layer, layerRng(layer));
+  return canvas;
+}
+
+// The layer's image with its tint laid over the opaque pixels
+function tinted(img, tint) {
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  ctx.globalCompositeOperation = 'source-atop';
+  ctx.fillStyle = tint;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Generated and tinted images, shared by every level whose layer looks the same
+const artCache = new Map();
+
+// PUBLIC_INTERFACE
+/**
+ * The image to draw for a layer right now: its asset if loaded, else its procedural art
+ * (also used while the asset loads, and for good if it failed), tinted if asked.
+ * @param {BackgroundLayer} layer - as returned by resolveBackgroundLayers
+ * @returns {CanvasImageSource|null}
+ */
+export function getLayerImage(layer) {
+  const asset = layer.image ? getAsset(layer.image) : undefined;
+  const useAsset = asset && !isPlaceholder(asset);
+  const key = JSON.stringify([
+    useAsset ? layer.image : null,
+    useAsset ? null : [layer.procedural, layer.color, layer.horizon, layer.seed],
+    layer.tint
+  ]);
+  if (!artCache.has(key)) {
+    let img = useAsset ? asset : renderProceduralLayer(layer);
+    if (img && layer.tint) img = tinted(img, layer.tint);
+    // Untinted assets aren't worth caching (and may still be loading: check again next frame)
+    if (!useAsset || layer.tint) artCache.set(key, img);
+    else return img;
+  }
+  return artCache.get(key);
+}
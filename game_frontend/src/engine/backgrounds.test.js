@@ -0,0 +1,22 @@
+import { BACKGROUND_THEMES, DEFAULT_BACKGROUND_THEME, resolveBackgroundLayers } from './backgrounds';
+
+test('a theme supplies the layers, with defaults filled in', () => {
+  const layers = resolveBackgroundLayers({ bgColor: '#000000', background: { theme: 'walls' } });
+  expect(layers).toHaveLength(BACKGROUND_THEMES.walls.length);
+  expect(layers[0]).toMatchObject({ procedural: 'sky', color: '#35344f', speed: 0, repeat: 'x', autoScroll: 0 });
+  expect(layers[2].tint).toBe('#1a183040');
+});
+
+test('listed layers replace the theme; no block means the default theme under bgColor', () => {
+  const own = resolveBackgroundLayers({
+    background: { theme: 'walls', layers: [{ image: 'bg.castle', speed: 0.3, repeat: 'none' }] }
+  });
+  expect(own).toEqual([
+    { image: 'bg.castle', procedural: 'hills', speed: 0.3, offsetY: 0, repeat: 'none', autoScroll: 0, seed: 0 }
+  ]);
+
+  const plain = resolveBackgroundLayers({ bgColor: '#123456' });
+  expect(plain).toHaveLength(BACKGROUND_THEMES[DEFAULT_BACKGROUND_THEME].length);
+  expect(plain[0]).toMatchObject({ procedural: 'sky', color: '#123456', horizon: undefined });
+  expect(resolveBackgroundLayers({ bgColor: '#123456', background: { theme: 'lava' } })).toEqual(plain);
+});
@@ -0,0 +1,129 @@
+//
+// ghost.js - Ghost runs: the player's path through a level, for racing a personal best.
+//
+// A GhostRecorder is handed to the Simulation (opts.ghostRecorder) and stores the
+// player's position and pose after every tick. Frames are indexed by simulation
+// tick, so an attempt resumed from a checkpoint keeps appending to the same
+// recording and the ghost stays in step with the level clock.
+//
+// Stored format (plain JSON, version GHOST_VERSION):
+//   { version, level, levelName, time, ticks, frames }
+// `frames` is flat, three numbers per tick: x, y (0.1px precision) and
+// state = pose index (PLAYER_POSES) * 2 + (1 when facing left).
+//
+
+import { TICK_RATE } from './Simulation';
+import { PLAYER_POSES } from './Player';
+
+// PUBLIC_INTERFACE
+export const GHOST_VERSION = 1;
+
+// How far (seconds) either side of the current time ghostDelta looks for the
+// ghost's closest approach to the player
+const DELTA_WINDOW = 4;
+
+const round1 = v => Math.round(v * 10) / 10;
+const lerp = (a, b, t) => a + (b - a) * t;
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+// PUBLIC_INTERFACE
+/**
+ * Records one run's player path. Keep the same recorder across the attempts of a
+ * level (checkpoint respawns); start a new one when the level restarts from scratch.
+ */
+export class GhostRecorder {
+  /**
+   * @param {{level: number, levelName: string}} info
+   */
+  constructor({ level, levelName }) {
+    this.info = { level, levelName };
+    this.frames = [];
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Store the player's state at the end of a tick (called by Simulation.step).
+   * @param {number} tick - Simulation.tick (1 for the first tick)
+   * @param {import('./Player').default} player
+   */
+  record(tick, player) {
+    const i = (tick - 1) * 3;
+    this.frames.length = i; // drops frames past a resumed checkpoint's tick, if any
+    this.frames.push(round1(player.x), round1(player.y),
+      PLAYER_POSES.indexOf(player.pose) * 2 + (player.facing < 0 ? 1 : 0));
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * The finished ghost.
+   * @param {number} time - the run's level time in seconds
+   */
+  finish(time) {
+    return {
+      version: GHOST_VERSION,
+      ...this.info,
+      time,
+      ticks: this.frames.length / 3,
+      frames: this.frames.slice()
+    };
+  }
+}
+
+// PUBLIC_INTERFACE
+/** True if `ghost` looks like a stored ghost for the given level. */
+export function isGhostFor(ghost, level, levelName) {
+  return !!ghost && ghost.version === GHOST_VERSION && ghost.level === level &&
+    ghost.levelName === levelName && Array.isArray(ghost.frames) &&
+    ghost.frames.length === ghost.ticks * 3 && typeof ghost.time === 'number';
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The ghost at a (fractional) tick, interpolated between recorded frames.
+ * @param {object} ghost
+ * @param {number} t - simulation tick; 3.5 = halfway between ticks 3 and 4
+ * @returns {{x: number, y: number, facing: number, pose: string}|null} null once the ghost has finished
+ */
+export function ghostPose(ghost, t) {
+  if (!ghost || t < 1 || t > ghost.ticks) return null;
+  const f = ghost.frames;
+  const a = (Math.floor(t) - 1) * 3;
+  const b = Math.min(a + 3, f.length - 3);
+  const k = t - Math.floor(t);
+  const state = f[a + 2];
+  return {
+    x: lerp(f[a], f[b], k),
+    y: lerp(f[a + 1], f[b + 1], k),
+    facing: state & 1 ? -1 : 1,
+    pose: PLAYER_POSES[state >> 1] ?? 'idle'
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * How far the player is behind (+) or ahead of (-) the ghost, in seconds: the
+ * time between the ghost passing closest to the player's current position and now.
+ * @param {object} ghost
+ * @param {number} tick - current simulation tick
+ * @param {number} x - player position
+ * @param {number} y
+ */
+export function ghostDelta(ghost, tick, x, y) {
+  const f = ghost.frames;
+  const window = DELTA_WINDOW * TICK_RATE;
+  // Past the ghost's finish the search still covers its last frames
+  const from = clamp(tick - window, 1, ghost.ticks);
+  const to = clamp(tick + window, 1, ghost.ticks);
+  let best = tick;
+  let bestDist = Infinity;
+  for (let t = from; t <= to; t++) {
+    const i = (t - 1) * 3;
+    const d = (f[i] - x) ** 2 + (f[i + 1] - y) ** 2;
+    // Ties (the ghost standing still) go to the frame nearest the current time
+    if (d < bestDist || (d === bestDist && Math.abs(t - tick) < Math.abs(best - tick))) {
+      best = t;
+      bestDist = d;
+    }
+  }
+  return (tick - best) / TICK_RATE;
+}
@@ -0,0 +1,51 @@
+import Simulation from './Simulation';
+import { GhostRecorder, ghostDelta, ghostPose, isGhostFor } from './ghost';
+import { createGhostStore } from '../utils/ghosts';
+import { createMemoryStorageAdapter } from '../utils/saveSystem';
+
+const level = {
+  name: 'flat',
+  platforms: [{ x: 0, y: 160, w: 320, h: 20 }],
+  gems: [],
+  exit: { x: 300, y: 140, w: 12, h: 20 },
+  enemies: []
+};
+
+function recordRun(ticks, inputs) {
+  const ghostRecorder = new GhostRecorder({ level: 1, levelName: level.name });
+  const sim = new Simulation(level, { ghostRecorder });
+  for (let i = 0; i < ticks; i++) sim.step(inputs);
+  return { sim, ghost: ghostRecorder.finish(sim.snapshot().time) };
+}
+
+test('a recorded ghost follows the player tick by tick', () => {
+  const { sim, ghost } = recordRun(60, { right: true });
+  expect(ghost.ticks).toBe(60);
+  expect(isGhostFor(JSON.parse(JSON.stringify(ghost)), 1, level.name)).toBe(true);
+
+  const pose = ghostPose(ghost, 60);
+  expect(pose.x).toBeCloseTo(sim.player.x, 1);
+  expect(pose.y).toBeCloseTo(sim.player.y, 1);
+  expect(pose).toMatchObject({ facing: 1, pose: sim.player.pose });
+  expect(ghostPose(ghost, 59.5).x).toBeCloseTo((ghostPose(ghost, 59).x + pose.x) / 2, 5);
+  expect(ghostPose(ghost, 61)).toBeNull();
+});
+
+test('ghostDelta is negative ahead of the ghost and positive behind it', () => {
+  const { ghost } = recordRun(240, { right: true });
+  const at = t => ghostPose(ghost, t);
+  // Where the ghost was at tick 100, reached at tick 80 (ahead) or 130 (behind)
+  expect(ghostDelta(ghost, 80, at(100).x, at(100).y)).toBeCloseTo(-20 / 120, 5);
+  expect(ghostDelta(ghost, 130, at(100).x, at(100).y)).toBeCloseTo(30 / 120, 5);
+});
+
+test('the ghost store keeps only the fastest run per level', () => {
+  const store = createGhostStore(createMemoryStorageAdapter());
+  const { ghost } = recordRun(30, { right: true });
+  expect(store.get(1, level.name)).toBeNull();
+  expect(store.offer(ghost)).toBe(true);
+  expect(store.offer({ ...ghost, time: ghost.time + 1 })).toBe(false);
+  expect(store.get(1, level.name).time).toBe(ghost.time);
+  // A renamed level doesn't get an unrelated ghost
+  expect(store.get(1, 'Something else')).toBeNull();
+});
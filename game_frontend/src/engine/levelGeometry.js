@@ -0,0 +1,35 @@
+//
+// levelGeometry.js - Sizes and defaults shared by everything that reads a Level:
+// the simulation, the renderer, the validator and the editor.
+//
+// Kept apart from ./levels (the level list), so importing a constant doesn't pull
+// in every level and the validator that checks them.
+//
+
+// PUBLIC_INTERFACE
+/** Bounds of a level without width/height: exactly one screen. */
+export const DEFAULT_LEVEL_WIDTH = 320;
+// PUBLIC_INTERFACE
+export const DEFAULT_LEVEL_HEIGHT = 180;
+
+// PUBLIC_INTERFACE
+/** Where the player starts in a level without a spawn point. */
+export const DEFAULT_SPAWN = { x: 16, y: 120 };
+
+// PUBLIC_INTERFACE
+/** Gems are circles of this radius around their x, y; the player collects them on overlap. */
+export const GEM_RADIUS = 6;
+
+// PUBLIC_INTERFACE
+/** Size of a checkpoint flag pole; the player respawns standing at its foot. */
+export const CHECKPOINT_SIZE = { w: 10, h: 24 };
+
+// PUBLIC_INTERFACE
+/**
+ * Level bounds in pixels; levels without width/height fill exactly one screen.
+ * @param {import('./levels').Level} level
+ * @returns {{width: number, height: number}}
+ */
+export function getLevelSize(level) {
+  return { width: level.width ?? DEFAULT_LEVEL_WIDTH, height: level.height ?? DEFAULT_LEVEL_HEIGHT };
+}
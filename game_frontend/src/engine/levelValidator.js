@@ -0,0 +1,345 @@
+//
+// levelValidator.js - Checks Level definitions (see ./levels) for authoring mistakes.
+//
+// validateLevel() returns a list of structured problems instead of throwing, so
+// the same checks serve the dev-build console report, the level editor and Jest:
+//   { severity: 'error' | 'warning', path: 'enemies[2].patrolMax', code, message }
+//
+// Errors are definite mistakes (missing exit, wrong types, unknown enemy type,
+// objects outside the level, gems and checkpoints inside platforms). Warnings cover an unknown
+// music track or background theme/image and the reachability estimate, which models running, the triple jump and gliding but
+// not wall jumps, so it can be pessimistic about wall-climbing sections.
+//
+
+import { getEnemyTypes } from './Enemy';
+import { PLAYER_PHYSICS } from './Player';
+import { rectsOverlap } from './Physics';
+import { Tilemap } from './Tilemap';
+import { MUSIC_TRACKS } from './sounds';
+import { BACKGROUND_THEMES, PROCEDURAL_LAYERS } from './backgrounds';
+import { ASSET_MANIFEST } from './assets';
+import { CHECKPOINT_SIZE, DEFAULT_LEVEL_HEIGHT, DEFAULT_LEVEL_WIDTH, DEFAULT_SPAWN, GEM_RADIUS } from './levelGeometry';
+
+const { width: PW, height: PH } = PLAYER_PHYSICS;
+
+// --- Player reach model -------------------------------------------------------
+
+// Height gained by chaining every jump at its apex, and the time that takes
+function jumpArc() {
+  const { jumpVelocity, airJumpFactor, maxJumps, gravity } = PLAYER_PHYSICS;
+  let height = 0, time = 0;
+  for (let i = 0; i < maxJumps; i++) {
+    const v = Math.abs(jumpVelocity) * (i === 0 ? 1 : airJumpFactor);
+    height += (v * v) / (2 * gravity);
+    time += v / gravity;
+  }
+  return { height, time };
+}
+
+const ARC = jumpArc();
+
+// PUBLIC_INTERFACE
+/** Highest a player can climb above the surface they stand on (pixels). */
+export const MAX_JUMP_RISE = ARC.height;
+
+// Seconds spent gliding down `drop` pixels (gravity ramps up to the glide speed cap)
+function glideTime(drop) {
+  const { glideGravity, maxGlideFallSpeed } = PLAYER_PHYSICS;
+  const rampTime = maxGlideFallSpeed / glideGravity;
+  const rampDist = 0.5 * glideGravity * rampTime * rampTime;
+  if (drop <= rampDist) return Math.sqrt((2 * drop) / glideGravity);
+  return rampTime + (drop - rampDist) / maxGlideFallSpeed;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Widest horizontal gap the player can clear when landing `rise` pixels higher
+ * (negative rise: lower) than where they took off; -1 when it's too high.
+ */
+export function horizontalReach(rise) {
+  if (rise > MAX_JUMP_RISE) return -1;
+  return PLAYER_PHYSICS.moveSpeed * (ARC.time + glideTime(MAX_JUMP_RISE - rise));
+}
+
+// --- Geometry helpers ---------------------------------------------------------
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+function inside(x, y, rect) {
+  return x > rect.x && x < rect.x + rect.w && y > rect.y && y < rect.y + rect.h;
+}
+
+// Every solid rectangle (platforms + merged tile runs)
+function solidRects(level, tilemap) {
+  const rects = (level.platforms || []).filter(p => p && isNum(p.x) && isNum(p.y) && isNum(p.w) && isNum(p.h));
+  return tilemap ? rects.concat(tilemap.toRects()) : rects;
+}
+
+function pointInSolid(x, y, rects) {
+  return rects.some(r => inside(x, y, r));
+}
+
+// Standing surfaces as { x0, x1, y }: x0..x1 is the range of the player's left
+// edge, y the player's bottom. The level's bottom edge is a floor (Player clamps to it).
+function surfaces(rects, width, height) {
+  const out = [{ x0: 0, x1: width - PW, y: height - 1 }];
+  for (let r of rects) {
+    // Skip tops buried under another solid
+    if (pointInSolid(r.x + r.w / 2, r.y - 1, rects)) continue;
+    out.push({ x0: r.x - PW + 1, x1: r.x + r.w - 1, y: r.y });
+  }
+  return out;
+}
+
+function gapBetween(a, b) {
+  if (a.x1 < b.x0) return b.x0 - a.x1;
+  if (b.x1 < a.x0) return a.x0 - b.x1;
+  return 0;
+}
+
+// Surfaces reachable from where the player lands after spawning (breadth-first)
+function reachableSurfaces(all, spawn) {
+  const below = all
+    .filter(s => s.y >= spawn.y + PH && spawn.x >= s.x0 && spawn.x <= s.x1)
+    .sort((a, b) => a.y - b.y);
+  if (!below.length) return [];
+  const seen = new Set([below[0]]);
+  const queue = [below[0]];
+  while (queue.length) {
+    const a = queue.shift();
+    for (let b of all) {
+      if (seen.has(b)) continue;
+      const reach = horizontalReach(a.y - b.y);
+      if (reach >= 0 && gapBetween(a, b) <= reach) {
+        seen.add(b);
+        queue.push(b);
+      }
+    }
+  }
+  return Array.from(seen);
+}
+
+// Can the player's box touch `rect` while standing on or jumping from surface s?
+function touchesFrom(s, rect) {
+  const hOverlap = rect.x < s.x1 + PW && rect.x + rect.w > s.x0;
+  const top = s.y - PH - MAX_JUMP_RISE;
+  return hOverlap && rect.y + rect.h > top && rect.y < s.y;
+}
+
+// --- Validation ---------------------------------------------------------------
+
+const REPEAT_MODES = ['x', 'xy', 'none'];
+
+// The background block (see ./backgrounds); unknown names only cost the level its intended look
+function checkBackground(bg, error, warn) {
+  if (!bg || typeof bg !== 'object') {
+    error('background', 'type', 'background must be an object { theme?, layers? }');
+    return;
+  }
+  if (bg.theme != null && !BACKGROUND_THEMES[bg.theme]) {
+    warn('background.theme', 'unknown-background-theme', `background theme "${bg.theme}" is not a known theme; the default is drawn`);
+  }
+  if (bg.layers === undefined) return;
+  if (!Array.isArray(bg.layers)) {
+    error('background.layers', 'type', 'background.layers must be an array');
+    return;
+  }
+  bg.layers.forEach((layer, i) => {
+    const path = `background.layers[${i}]`;
+    if (!layer || typeof layer !== 'object') {
+      error(path, 'type', `${path} must be an object`);
+      return;
+    }
+    for (let k of ['speed', 'offsetY', 'autoScroll']) {
+      if (layer[k] !== undefined && !isNum(layer[k])) error(`${path}.${k}`, 'type', `${path}.${k} must be a number`);
+    }
+    if (layer.repeat !== undefined && !REPEAT_MODES.includes(layer.repeat)) {
+      error(`${path}.repeat`, 'type', `${path}.repeat must be one of ${REPEAT_MODES.join(', ')}`);
+    }
+    if (layer.procedural !== undefined && !PROCEDURAL_LAYERS.includes(layer.procedural)) {
+      warn(`${path}.procedural`, 'unknown-procedural-layer', `"${layer.procedural}" is not a procedural layer (${PROCEDURAL_LAYERS.join(', ')}); hills are drawn`);
+    }
+    if (layer.image !== undefined && !ASSET_MANIFEST.some(e => e.key === layer.image)) {
+      warn(`${path}.image`, 'unknown-background-image', `image "${layer.image}" is not in the asset manifest; the procedural layer is drawn`);
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validate one level definition.
+ * @param {import('./levels').Level} level
+ * @returns {Array<{severity: 'error'|'warning', path: string, code: string, message: string}>}
+ */
+export function validateLevel(level) {
+  const problems = [];
+  const error = (path, code, message) => problems.push({ severity: 'error', path, code, message });
+  const warn = (path, code, message) => problems.push({ severity: 'warning', path, code, message });
+
+  if (!level || typeof level !== 'object') {
+    error('', 'not-an-object', 'Level must be an object');
+    return problems;
+  }
+
+  // Required fields and types
+  if (typeof level.name !== 'string' || !level.name) error('name', 'required', 'name must be a non-empty string');
+  for (let key of ['platforms', 'gems', 'enemies']) {
+    if (!Array.isArray(level[key])) error(key, 'required', `${key} must be an array`);
+  }
+  const checkRect = (rect, path) => {
+    if (!rect || typeof rect !== 'object') {
+      error(path, 'required', `${path} must be an object {x, y, w, h}`);
+      return false;
+    }
+    let ok = true;
+    for (let k of ['x', 'y', 'w', 'h']) {
+      if (!isNum(rect[k])) {
+        error(`${path}.${k}`, 'type', `${path}.${k} must be a number`);
+        ok = false;
+      }
+    }
+    if (ok && (rect.w <= 0 || rect.h <= 0)) {
+      error(path, 'size', `${path} must have a positive width and height`);
+      ok = false;
+    }
+    return ok;
+  };
+  for (let key of ['width', 'height']) {
+    if (level[key] !== undefined && (!isNum(level[key]) || level[key] <= 0)) {
+      error(key, 'type', `${key} must be a positive number`);
+    }
+  }
+  if (level.bgColor != null && typeof level.bgColor !== 'string') error('bgColor', 'type', 'bgColor must be a colour string or null');
+  if (level.objective != null && typeof level.objective !== 'string') error('objective', 'type', 'objective must be a string');
+  if (level.par !== undefined && (!isNum(level.par) || level.par <= 0)) error('par', 'type', 'par must be a positive number of seconds');
+  if (level.spawn !== undefined && (!level.spawn || !isNum(level.spawn.x) || !isNum(level.spawn.y))) {
+    error('spawn', 'type', 'spawn must be {x, y} numbers');
+  }
+  if (level.checkpoints !== undefined && !Array.isArray(level.checkpoints)) error('checkpoints', 'type', 'checkpoints must be an array');
+  if (problems.length) return problems; // the remaining checks rely on the basic shape
+
+  if (level.music && !MUSIC_TRACKS[level.music]) {
+    warn('music', 'unknown-music', `music "${level.music}" is not a known track; the level will be silent`);
+  }
+  if (level.background !== undefined) checkBackground(level.background, error, warn);
+
+  const width = isNum(level.width) ? level.width : DEFAULT_LEVEL_WIDTH;
+  const height = isNum(level.height) ? level.height : DEFAULT_LEVEL_HEIGHT;
+  const tilemap = level.tilemap ? new Tilemap(level.tilemap) : null;
+  const outside = (x, y, w = 0, h = 0) => x < 0 || y < 0 || x + w > width || y + h > height;
+
+  const platformsOk = level.platforms.map((pl, i) => checkRect(pl, `platforms[${i}]`));
+  level.platforms.forEach((pl, i) => {
+    if (platformsOk[i] && outside(pl.x, pl.y, pl.w, pl.h)) {
+      error(`platforms[${i}]`, 'out-of-bounds', `platforms[${i}] extends outside the ${width}x${height} level`);
+    }
+  });
+  const exitOk = checkRect(level.exit, 'exit');
+  const rects = solidRects(level, tilemap);
+
+  // Gems: inside the level and not buried in solid ground
+  level.gems.forEach((gem, i) => {
+    const path = `gems[${i}]`;
+    if (!gem || !isNum(gem.x) || !isNum(gem.y)) {
+      error(path, 'type', `${path} must have numeric x and y`);
+    } else if (outside(gem.x - GEM_RADIUS, gem.y - GEM_RADIUS, GEM_RADIUS * 2, GEM_RADIUS * 2)) {
+      error(path, 'out-of-bounds', `${path} at (${gem.x}, ${gem.y}) is outside the level`);
+    } else if (pointInSolid(gem.x, gem.y, rects)) {
+      error(path, 'gem-in-platform', `${path} at (${gem.x}, ${gem.y}) is embedded in a platform`);
+    }
+  });
+
+  // Checkpoints: inside the level, and the player must fit where they respawn
+  (level.checkpoints || []).forEach((cp, i) => {
+    const path = `checkpoints[${i}]`;
+    if (!cp || !isNum(cp.x) || !isNum(cp.y)) {
+      error(path, 'type', `${path} must have numeric x and y`);
+    } else if (outside(cp.x, cp.y, CHECKPOINT_SIZE.w, CHECKPOINT_SIZE.h)) {
+      error(path, 'out-of-bounds', `${path} at (${cp.x}, ${cp.y}) is outside the level`);
+    } else if (rects.some(r => rectsOverlap(cp.x, cp.y + CHECKPOINT_SIZE.h - PH, PW, PH, r.x, r.y, r.w, r.h))) {
+      error(path, 'checkpoint-in-platform', `${path} at (${cp.x}, ${cp.y}) would respawn the player inside a platform`);
+    }
+  });
+
+  if (exitOk) {
+    const ex = level.exit;
+    if (outside(ex.x, ex.y, ex.w, ex.h)) error('exit', 'out-of-bounds', 'exit is outside the level');
+    else if (pointInSolid(ex.x + ex.w / 2, ex.y + ex.h / 2, rects)) error('exit', 'exit-in-platform', 'exit is embedded in a platform');
+  }
+
+  // Enemies: known type, sane parameters, inside the level
+  const types = getEnemyTypes();
+  level.enemies.forEach((en, i) => {
+    const path = `enemies[${i}]`;
+    if (!en || !types.includes(en.type)) {
+      error(`${path}.type`, 'unknown-enemy', `${path} has unknown type "${en && en.type}" (known: ${types.join(', ')})`);
+      return;
+    }
+    if (!isNum(en.x) || !isNum(en.y)) {
+      error(path, 'type', `${path} must have numeric x and y`);
+      return;
+    }
+    if (outside(en.x, en.y)) error(path, 'out-of-bounds', `${path} (${en.type}) starts outside the level`);
+    for (let k of ['speed', 'patrolMin', 'patrolMax', 'jumpVy', 'jumpCooldown', 'jumpJitter', 'cooldown', 'activeRange', 'dir']) {
+      if (en[k] !== undefined && !isNum(en[k])) error(`${path}.${k}`, 'type', `${path}.${k} must be a number`);
+    }
+    if (isNum(en.patrolMin) && isNum(en.patrolMax) && en.patrolMin > en.patrolMax) {
+      error(`${path}.patrolMax`, 'patrol-range', `${path}: patrolMin (${en.patrolMin}) is greater than patrolMax (${en.patrolMax})`);
+    }
+    for (let k of ['cooldown', 'jumpCooldown']) {
+      if (isNum(en[k]) && en[k] <= 0) error(`${path}.${k}`, 'range', `${path}.${k} must be greater than 0`);
+    }
+    if (isNum(en.jumpJitter) && en.jumpJitter < 0) error(`${path}.jumpJitter`, 'range', `${path}.jumpJitter must not be negative`);
+  });
+
+  // Reachability of every gem and the exit from the spawn point
+  const spawn = level.spawn ?? DEFAULT_SPAWN;
+  if (outside(spawn.x, spawn.y, PW, PH)) {
+    error('spawn', 'out-of-bounds', 'spawn is outside the level');
+  } else if (exitOk && !problems.some(p => p.severity === 'error')) {
+    const reachable = reachableSurfaces(surfaces(rects, width, height), spawn);
+    const canTouch = rect => reachable.some(s => touchesFrom(s, rect));
+    level.gems.forEach((gem, i) => {
+      if (!canTouch({ x: gem.x - GEM_RADIUS, y: gem.y - GEM_RADIUS, w: GEM_RADIUS * 2, h: GEM_RADIUS * 2 })) {
+        warn(`gems[${i}]`, 'unreachable', `gems[${i}] at (${gem.x}, ${gem.y}) looks unreachable from the spawn`);
+      }
+    });
+    if (!canTouch(level.exit)) {
+      warn('exit', 'unreachable', `exit at (${level.exit.x}, ${level.exit.y}) looks unreachable from the spawn`);
+    }
+  }
+
+  return problems;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validate a list of levels.
+ * @returns {Array<{index: number, name: string, problems: Array}>} only levels with problems
+ */
+export function validateLevels(levels) {
+  return levels
+    .map((level, index) => ({ index, name: level?.name ?? `#${index + 1}`, problems: validateLevel(level) }))
+    .filter(r => r.problems.length > 0);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * One readable line per problem, e.g. `[error] 1-2 > enemies[0].patrolMax: ...`.
+ */
+export function formatLevelProblems(results) {
+  return results.flatMap(r => r.problems.map(p => `[${p.severity}] ${r.name} > ${p.message}`));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Log problems with the given levels to the console (used on load in development builds).
+ * @returns {boolean} true when no level has errors
+ */
+export function reportLevelProblems(levels) {
+  const results = validateLevels(levels);
+  if (results.length) {
+    console.warn(`Level validation found problems:\n${formatLevelProblems(results).join('\n')}`);
+  }
+  return !results.some(r => r.problems.some(p => p.severity === 'error'));
+}
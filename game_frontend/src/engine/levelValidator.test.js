@@ -0,0 +1,72 @@
+import LEVELS from './levels';
+import { validateLevel, validateLevels, formatLevelProblems, horizontalReach, MAX_JUMP_RISE } from './levelValidator';
+
+const baseLevel = (overrides = {}) => ({
+  name: 'test',
+  platforms: [{ x: 0, y: 160, w: 320, h: 20 }],
+  gems: [{ x: 60, y: 150 }],
+  exit: { x: 300, y: 140, w: 12, h: 20 },
+  enemies: [],
+  ...overrides
+});
+
+test.each(LEVELS.map(level => [level.name, level]))('built-in level "%s" passes validation', (name, level) => {
+  expect(formatLevelProblems(validateLevels([level]))).toEqual([]);
+});
+
+test('reports schema mistakes with paths', () => {
+  const codes = level => validateLevel(level).map(p => `${p.path}:${p.code}`);
+  expect(codes(baseLevel({ exit: undefined }))).toEqual(['exit:required']);
+  expect(codes(baseLevel({ name: '', gems: 'none' }))).toEqual(['name:required', 'gems:required']);
+  expect(codes(baseLevel({ platforms: [{ x: 0, y: 160, w: '320', h: 20 }] }))).toEqual(['platforms[0].w:type']);
+});
+
+test('reports gems in platforms, bad enemies and out-of-bounds objects', () => {
+  const problems = validateLevel(baseLevel({
+    gems: [{ x: 50, y: 170 }, { x: 400, y: 40 }],
+    checkpoints: [{ x: 100, y: 150 }],
+    enemies: [
+      { type: 'walker', x: 20, y: 148, patrolMin: 200, patrolMax: 100 },
+      { type: 'slimer', x: 40, y: 148 }
+    ]
+  }));
+  expect(problems.map(p => `${p.path}:${p.code}`)).toEqual([
+    'gems[0]:gem-in-platform',
+    'gems[1]:out-of-bounds',
+    'checkpoints[0]:checkpoint-in-platform',
+    'enemies[0].patrolMax:patrol-range',
+    'enemies[1].type:unknown-enemy'
+  ]);
+  expect(problems.every(p => p.severity === 'error')).toBe(true);
+});
+
+test('warns when the exit is out of jumping reach', () => {
+  expect(horizontalReach(MAX_JUMP_RISE + 1)).toBe(-1);
+  const high = baseLevel({ gems: [], exit: { x: 150, y: 40, w: 12, h: 20 }, platforms: [{ x: 0, y: 160, w: 320, h: 20 }, { x: 140, y: 60, w: 40, h: 10 }] });
+  expect(validateLevel(high)).toEqual([
+    expect.objectContaining({ severity: 'warning', path: 'exit', code: 'unreachable' })
+  ]);
+  // A staircase makes it reachable
+  high.platforms.push({ x: 100, y: 110, w: 30, h: 10 });
+  expect(validateLevel(high)).toEqual([]);
+});
+
+test('checks background blocks: bad fields are errors, unknown names warnings', () => {
+  const problems = validateLevel(baseLevel({
+    background: {
+      theme: 'lava',
+      layers: [
+        { image: 'bg.nowhere', speed: '0.5' },
+        { procedural: 'volcano', repeat: 'y' }
+      ]
+    }
+  }));
+  expect(problems.map(p => `${p.severity}:${p.path}:${p.code}`)).toEqual([
+    'warning:background.theme:unknown-background-theme',
+    'error:background.layers[0].speed:type',
+    'warning:background.layers[0].image:unknown-background-image',
+    'error:background.layers[1].repeat:type',
+    'warning:background.layers[1].procedural:unknown-procedural-layer'
+  ]);
+  expect(validateLevel(baseLevel({ background: { theme: 'ruins' } }))).toEqual([]);
+});
@@ -4,28 +4,44 @@
 // Each level contains: platforms, gem locations, exit, enemies, background info, and meta objectives.
 //
 
+import { importTiledMap } from './tiledImport';
+import { getAsset } from './assets';
+import { reportLevelProblems } from './levelValidator';
+
 /**
  * @typedef {Object} Level
  * @property {string} name - Level display label
+ * @property {number} [width] - level width in pixels (default 320, one screen); wider levels scroll
+ * @property {number} [height] - level height in pixels (default 180)
  * @property {Array} platforms - [{x, y, w, h}]
+ * @property {Object} [tilemap] - tile grid + tileset (see TilemapData in ./Tilemap); collides alongside platforms
+ * @property {Object} [spawn] - {x, y} player start (default {x: 16, y: 120})
+ * @property {Array} [checkpoints] - [{x, y}] flag poles (CHECKPOINT_SIZE in ./levelGeometry, top-left at x, y); touching one
+ *   makes it the respawn point, keeping the gems collected so far
  * @property {Array} gems - [{x, y, collected: false}]
  * @property {Object} exit - {x, y, w, h}
  * @property {Array} enemies - [{type, x, y, ...}]
  * @property {string} bgColor - background color hex or null
- * @property {string} [music] - music key/filename (optional)
+ * @property {Object} [background] - parallax layers: { theme?, layers? } (see ./backgrounds);
+ *   without one the default theme is drawn with its sky in bgColor
+ * @property {string} [music] - key of a track in MUSIC_TRACKS (./sounds); null for silence
+ * @property {number} [par] - target clear time in seconds; beating it earns a star and a time bonus
  * @property {string} [objective] - short description of win condition
  * @property {Object} [extra] - any extra per-level
  */
 
 // Sample level data array - grows as new levels/worlds are added
-// Positions are in virtual (320x180) pixel-art canvas units
+// Positions are in level pixel units; the camera shows a 320x180 window of them
 
 const LEVELS = [
   {
     name: "1-1: The Garden Gate",
     bgColor: "#9ad0ec",
-    music: null,
+    music: 'garden',
+    background: { theme: 'garden' },
+    par: 12,
     objective: "Collect all gems & reach the exit",
+    spawn: { x: 16, y: 120 },
     platforms: [
       { x: 0, y: 160, w: 320, h: 20 },
       { x: 100, y: 124, w: 32, h: 10 },
@@ -48,8 +64,11 @@ const LEVELS = [
   {
     name: "1-2: Overgrown Ruins",
     bgColor: "#88c070",
-    music: null,
+    music: 'ruins',
+    background: { theme: 'ruins' },
+    par: 18,
     objective: "Find all gems, dodge slimes and projectiles, reach the gold door",
+    spawn: { x: 16, y: 120 },
     platforms: [
       { x: 0, y: 160, w: 170, h: 20 },
       { x: 200, y: 145, w: 80, h: 10 },
@@ -79,8 +98,11 @@ const LEVELS = [
   {
     name: "1-3: The Old Walls",
     bgColor: "#707083",
-    music: null,
+    music: 'walls',
+    background: { theme: 'walls' },
+    par: 20,
     objective: "Beware: all four enemy types patrol these ruins.",
+    spawn: { x: 16, y: 120 },
     platforms: [
       { x: 0, y: 160, w: 320, h: 20 },
       { x: 60, y: 130, w: 38, h: 10 },
@@ -106,7 +128,55 @@ const LEVELS = [
       { type: "projectile", x: 240, y: 123, dir: -1, cooldown: 3.5, t: 0 }
     ],
     extra: {}
-  }
+  },
+  {
+    name: "1-4: The Long Meadow",
+    width: 800,
+    height: 240,
+    bgColor: "#8fcfb0",
+    music: 'meadow',
+    background: { theme: 'meadow' },
+    par: 30,
+    objective: "Follow the meadow east: the exit is off-screen",
+    spawn: { x: 16, y: 200 },
+    platforms: [
+      { x: 0, y: 220, w: 800, h: 20 },
+      { x: 90, y: 196, w: 40, h: 10 },
+      { x: 160, y: 176, w: 40, h: 10 },
+      { x: 230, y: 156, w: 50, h: 10 },
+      { x: 330, y: 180, w: 20, h: 40 }, // low wall: double jump over it
+      { x: 380, y: 150, w: 60, h: 10 },
+      { x: 470, y: 124, w: 40, h: 10 },
+      { x: 540, y: 100, w: 60, h: 10 },
+      { x: 640, y: 170, w: 50, h: 10 }
+    ],
+    gems: [
+      { x: 255, y: 144, collected: false },
+      { x: 410, y: 138, collected: false },
+      { x: 570, y: 88, collected: false },
+      { x: 700, y: 208, collected: false }
+    ],
+    checkpoints: [
+      { x: 384, y: 126 }, // past the low wall
+      { x: 586, y: 76 }
+    ],
+    exit: { x: 770, y: 200, w: 12, h: 20 },
+    enemies: [
+      // Patrols the stretch behind the wall
+      { type: "walker", x: 420, y: 211, dir: 1, patrolMin: 360, patrolMax: 520, speed: 40 },
+      // Turret on the low ledge, firing back along the meadow
+      { type: "projectile", x: 655, y: 156, dir: -1, cooldown: 3, t: 0 },
+      // Guards the exit
+      { type: "chaser", x: 730, y: 208, speed: 45, activeRange: 90 }
+    ],
+    extra: {}
+  },
+  // Authored in Tiled (mapeditor.org) and exported as JSON; see ./tiledImport and ./assets
+  importTiledMap(getAsset('map.terraces'))
 ];
 
+// Catch authoring mistakes early: problems are logged to the console in development builds
+// (Jest runs the same checks over every level in levelValidator.test.js)
+if (process.env.NODE_ENV === 'development') reportLevelProblems(LEVELS);
+
 export default LEVELS;
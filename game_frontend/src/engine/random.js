@@ -0,0 +1,32 @@
+//
+// random.js - Seeded random numbers for the Simulation.
+//
+// Gameplay randomness must come from the Simulation's generator (world.random
+// for enemies), never Math.random: a replay only records the seed, so every
+// random draw has to come out the same on playback.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * A fresh 32-bit seed (for a new level attempt).
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Deterministic generator (mulberry32): the same seed gives the same sequence.
+ * @param {number} seed - 32-bit integer
+ * @returns {function(): number} uniform floats in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,218 @@
+//
+// replay.js - Input recording and deterministic playback of level attempts.
+//
+// The Simulation is deterministic: the same level, seed, starting checkpoint and
+// per-tick inputs always give the same world. A replay therefore only stores
+// those, and playback re-runs a fresh Simulation (player physics and enemy AI
+// alike) with the recorded inputs.
+//
+// Serialized format (JSON, version REPLAY_VERSION):
+//   { version, level, levelName, seed, tickRate, ticks, checkpoint, outcome, inputs }
+// `level` is the index into the level list and `levelName` guards against
+// replaying on a different level. `inputs` is run-length encoded: runs joined
+// by ",", each a base-32 control mask character followed by the decimal number
+// of ticks it was held, e.g. "0120,235,43" (bits in INPUT_BITS order).
+//
+
+import Simulation, { TICK_RATE, TICK_DT } from './Simulation';
+
+// PUBLIC_INTERFACE
+export const REPLAY_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/** Control bits per tick; jumpPressed/dashPressed are the edges that tick. */
+export const INPUT_BITS = ['left', 'right', 'jumpPressed', 'dashPressed', 'glide'];
+
+// Same cap as Simulation.advance, so a stalled tab doesn't fast-forward the replay
+const MAX_FRAME_DT = 0.25;
+
+function inputsToMask(inputs) {
+  return INPUT_BITS.reduce((mask, key, bit) => (inputs[key] ? mask | (1 << bit) : mask), 0);
+}
+
+function maskToInputs(mask) {
+  const inputs = {};
+  INPUT_BITS.forEach((key, bit) => { inputs[key] = !!(mask & (1 << bit)); });
+  return inputs;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Run-length encode per-tick control masks (see the format above).
+ * @param {number[]} masks
+ * @returns {string}
+ */
+export function encodeInputs(masks) {
+  const runs = [];
+  for (let i = 0; i < masks.length;) {
+    let j = i + 1;
+    while (j < masks.length && masks[j] === masks[i]) j++;
+    runs.push(`${masks[i].toString(32)}${j - i}`);
+    i = j;
+  }
+  return runs.join(',');
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Inverse of encodeInputs.
+ * @returns {number[]} one control mask per tick
+ * @throws {Error} on malformed input strings
+ */
+export function decodeInputs(text) {
+  if (!text) return [];
+  const masks = [];
+  for (let run of text.split(',')) {
+    const mask = parseInt(run[0], 32);
+    const count = Number(run.slice(1));
+    if (!/^[0-9a-v]\d+$/.test(run) || mask >= 1 << INPUT_BITS.length || !(count > 0)) {
+      throw new Error(`Replay inputs are corrupt near "${run}"`);
+    }
+    for (let i = 0; i < count; i++) masks.push(mask);
+  }
+  return masks;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Collects the inputs of one level attempt. Pass it to the Simulation as
+ * `opts.recorder`; Simulation.step() calls record() once per tick.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {{level: number, levelName: string, seed: number, checkpoint?: object}} info
+   *   - checkpoint: the respawn state the attempt started from (Simulation opts.checkpoint), if any
+   */
+  constructor({ level, levelName, seed, checkpoint = null }) {
+    this.info = { level, levelName, seed, checkpoint };
+    this.masks = [];
+  }
+
+  // PUBLIC_INTERFACE
+  /** Record one tick's (already normalized) inputs. */
+  record(inputs) {
+    this.masks.push(inputsToMask(inputs));
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * The replay so far, as a plain object ready for serializeReplay().
+   * @param {'complete'|'defeated'|null} [outcome] - how the attempt ended
+   */
+  finish(outcome = null) {
+    return {
+      version: REPLAY_VERSION,
+      ...this.info,
+      tickRate: TICK_RATE,
+      ticks: this.masks.length,
+      outcome,
+      inputs: encodeInputs(this.masks)
+    };
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Replay -> JSON text (for files). */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse and check replay JSON.
+ * @returns {object} the replay
+ * @throws {Error} with a readable message if the text isn't a usable replay
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Replay file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || typeof data.inputs !== 'string') {
+    throw new Error('Not a replay file');
+  }
+  if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${data.version}`);
+  if (data.tickRate !== TICK_RATE) throw new Error(`Replay was recorded at ${data.tickRate}Hz; this build runs at ${TICK_RATE}Hz`);
+  if (!Number.isInteger(data.level) || typeof data.seed !== 'number') throw new Error('Replay has no level or seed');
+  if (decodeInputs(data.inputs).length !== data.ticks) throw new Error('Replay inputs are truncated');
+  return data;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Plays a replay back on its level: a Simulation driven by the recorded inputs,
+ * advanced in real time (optionally sped up) like the live game.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {import('./levels').Level} level - the level the replay was recorded on
+   * @param {object} replay - from ReplayRecorder.finish() or parseReplay()
+   * @throws {Error} if the level doesn't match the replay
+   */
+  constructor(level, replay) {
+    if (replay.levelName && level.name !== replay.levelName) {
+      throw new Error(`Replay is for "${replay.levelName}", not "${level.name}"`);
+    }
+    this.level = level;
+    this.replay = replay;
+    this.masks = decodeInputs(replay.inputs);
+    this.restart();
+  }
+
+  // PUBLIC_INTERFACE
+  /** Back to the first tick. */
+  restart() {
+    this.sim = new Simulation(this.level, { seed: this.replay.seed, checkpoint: this.replay.checkpoint });
+    this.cursor = 0;
+    this.accumulator = 0;
+  }
+
+  // PUBLIC_INTERFACE
+  /** True once every recorded tick has run (or the world stopped). */
+  get done() {
+    return this.cursor >= this.masks.length || this.sim.status !== 'playing';
+  }
+
+  // PUBLIC_INTERFACE
+  /** Interpolation factor between the last two ticks, as Simulation.alpha. */
+  get alpha() {
+    return this.done ? 1 : this.accumulator / TICK_DT;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Run exactly one recorded tick.
+   * @returns {boolean} false when there was nothing left to run
+   */
+  step() {
+    if (this.done) return false;
+    this.sim.step(maskToInputs(this.masks[this.cursor++]));
+    return true;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Consume real elapsed time and run as many recorded ticks as fit.
+   * @param {number} frameDt - seconds since the last call
+   * @param {number} [speed] - playback rate (2 = double speed)
+   * @returns {number} ticks run
+   */
+  advance(frameDt, speed = 1) {
+    this.accumulator += Math.min(Math.max(frameDt, 0), MAX_FRAME_DT) * speed;
+    let steps = 0;
+    while (this.accumulator >= TICK_DT && this.step()) {
+      this.accumulator -= TICK_DT;
+      steps++;
+    }
+    return steps;
+  }
+
+  // PUBLIC_INTERFACE
+  /** Run every remaining tick at once. @returns {object} the final snapshot */
+  runToEnd() {
+    while (this.step());
+    return this.sim.snapshot();
+  }
+}
@@ -0,0 +1,43 @@
+import Simulation from './Simulation';
+import LEVELS from './levels';
+import {
+  ReplayPlayer,
+  ReplayRecorder,
+  decodeInputs,
+  encodeInputs,
+  parseReplay,
+  serializeReplay
+} from './replay';
+
+test('inputs are run-length encoded and decode back', () => {
+  const masks = [0, 0, 0, 2, 2, 6, 17, 0];
+  const text = encodeInputs(masks);
+  expect(text).toBe('03,22,61,h1,01');
+  expect(decodeInputs(text)).toEqual(masks);
+  expect(() => decodeInputs('0x3')).toThrow('Replay inputs are corrupt near "0x3"');
+});
+
+test('a recorded attempt replays to the identical world', () => {
+  const level = LEVELS[1];
+  const recorder = new ReplayRecorder({ level: 1, levelName: level.name, seed: 1234 });
+  const sim = new Simulation(level, { seed: 1234, recorder });
+  for (let i = 0; i < 400 && sim.status === 'playing'; i++) {
+    sim.step({ right: i % 90 < 70, left: i % 90 >= 80, jumpPressed: i % 45 === 0, glide: i % 90 > 30 });
+  }
+
+  const replay = parseReplay(serializeReplay(recorder.finish(sim.status)));
+  expect(replay.ticks).toBe(sim.tick);
+  const playback = new ReplayPlayer(level, replay);
+  expect(playback.runToEnd()).toEqual(sim.snapshot());
+  expect(playback.done).toBe(true);
+
+  expect(() => new ReplayPlayer(LEVELS[0], replay)).toThrow(`Replay is for "${level.name}"`);
+});
+
+test('parseReplay rejects files that are not usable replays', () => {
+  const replay = new ReplayRecorder({ level: 0, levelName: 'x', seed: 1 }).finish();
+  expect(() => parseReplay('nope')).toThrow('Replay file is not valid JSON');
+  expect(() => parseReplay('{"name": "x"}')).toThrow('Not a replay file');
+  expect(() => parseReplay(serializeReplay({ ...replay, version: 99 }))).toThrow('Unsupported replay version 99');
+  expect(() => parseReplay(serializeReplay({ ...replay, ticks: 5 }))).toThrow('Replay inputs are truncated');
+});
@@ -0,0 +1,127 @@
+//
+// sounds.js - Chiptune sound data: SFX recipes and looping music tracks.
+//
+// Nothing here touches Web Audio; ./AudioEngine turns this data into sound.
+//
+// An SFX recipe is a list of tones played together (each may be delayed by `start`):
+//   { wave, freq, to?, start?, dur, gain? }  oscillator, optionally sweeping freq -> to
+//   { noise: true, highpass?, start?, dur, gain? }  white noise burst
+//
+// A music track loops three channels of equal length, one token per eighth note:
+//   lead (square) and bass (triangle) take note names ("C5", "F#2", "Bb3");
+//   drums take k (kick), s (snare) or h (hi-hat); "." is a rest.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Frequency in Hz of a note name such as "A4", "F#2" or "Bb3" (A4 = 440Hz).
+ * @returns {number|null} null for anything that isn't a note
+ */
+export function noteFrequency(name) {
+  const m = /^([A-G])(#|b)?(-?\d)$/.exec(name);
+  if (!m) return null;
+  const semitone = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 }[m[1]]
+    + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0)
+    + (Number(m[3]) - 4) * 12;
+  return 440 * Math.pow(2, semitone / 12);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split a pattern string into per-step tokens (null for rests).
+ */
+export function parsePattern(pattern) {
+  return pattern.trim().split(/\s+/).map(t => (t === '.' ? null : t));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Synthesized sound effects, keyed by name (see AudioEngine.playSfx).
+ */
+export const SFX = {
+  jump: [{ wave: 'square', freq: 300, to: 620, dur: 0.12, gain: 0.22 }],
+  multiJump: [
+    { wave: 'square', freq: 460, to: 920, dur: 0.1, gain: 0.18 },
+    { wave: 'triangle', freq: 920, start: 0.05, dur: 0.07, gain: 0.2 }
+  ],
+  wallJump: [
+    { wave: 'square', freq: 220, to: 540, dur: 0.1, gain: 0.2 },
+    { noise: true, highpass: 2500, dur: 0.05, gain: 0.12 }
+  ],
+  dash: [
+    { noise: true, highpass: 1200, dur: 0.18, gain: 0.2 },
+    { wave: 'sawtooth', freq: 640, to: 160, dur: 0.15, gain: 0.1 }
+  ],
+  glide: [{ wave: 'triangle', freq: 520, to: 380, dur: 0.25, gain: 0.14 }],
+  shoot: [{ wave: 'square', freq: 880, to: 330, dur: 0.08, gain: 0.08 }],
+  checkpoint: ['G4', 'C5', 'G5'].map((n, i) => ({
+    wave: 'triangle',
+    freq: noteFrequency(n),
+    start: i * 0.07,
+    dur: i === 2 ? 0.25 : 0.08,
+    gain: 0.22
+  })),
+  gem: [
+    { wave: 'square', freq: noteFrequency('B5'), dur: 0.07, gain: 0.18 },
+    { wave: 'square', freq: noteFrequency('E6'), start: 0.07, dur: 0.18, gain: 0.18 }
+  ],
+  defeat: [
+    { wave: 'square', freq: 440, to: 110, dur: 0.5, gain: 0.22 },
+    { wave: 'triangle', freq: 220, to: 55, start: 0.1, dur: 0.5, gain: 0.25 },
+    { noise: true, dur: 0.15, gain: 0.15 }
+  ],
+  levelComplete: ['C5', 'E5', 'G5', 'C6'].map((n, i) => ({
+    wave: 'square',
+    freq: noteFrequency(n),
+    start: i * 0.09,
+    dur: i === 3 ? 0.4 : 0.1,
+    gain: 0.18
+  }))
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Drum hits used by the music drum channel (same tone format as SFX).
+ */
+export const DRUMS = {
+  k: { wave: 'sine', freq: 150, to: 40, dur: 0.12, gain: 0.5 },
+  s: { noise: true, highpass: 1000, dur: 0.12, gain: 0.22 },
+  h: { noise: true, highpass: 6000, dur: 0.04, gain: 0.1 }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Looping music, keyed by the Level `music` field.
+ */
+export const MUSIC_TRACKS = {
+  garden: {
+    bpm: 140,
+    lead: 'C5 . E5 G5 . E5 C5 . D5 . F5 A5 . F5 D5 . E5 . G5 C6 . G5 E5 . D5 E5 F5 . E5 D5 C5 .',
+    bass: 'C3 . C3 . G2 . G2 . D3 . D3 . A2 . A2 . E3 . E3 . C3 . C3 . G2 . G2 . G2 . B2 .',
+    drums: 'k . h . s . h . k . h . s . h . k . h . s . h . k . h . s . h h'
+  },
+  ruins: {
+    bpm: 118,
+    lead: 'A4 . . C5 E5 . D5 C5 B4 . . G4 A4 . . . F4 . A4 C5 . B4 A4 G4 E4 . G4 B4 A4 . . .',
+    bass: 'A2 . A2 . A2 . A2 . G2 . G2 . G2 . G2 . F2 . F2 . F2 . F2 . E2 . E2 . E2 . G#2 .',
+    drums: 'k . . h s . h . k . k h s . h h k . . h s . h . k . k h s . h h'
+  },
+  walls: {
+    bpm: 150,
+    lead: 'D5 . D5 F5 . D5 A5 . G5 . F5 . E5 . C5 . D5 . D5 F5 . A5 C6 . B5 . A5 . G5 F5 E5 .',
+    bass: 'D3 D3 . D3 C3 C3 . C3 A#2 A#2 . A#2 C3 C3 . C3 D3 D3 . D3 C3 C3 . C3 A#2 A#2 . A#2 A2 A2 . A2',
+    drums: 'k h s h k k s h k h s h k k s h k h s h k k s h k h s h k k s s'
+  },
+  meadow: {
+    bpm: 126,
+    lead: 'G4 . B4 D5 . B4 G5 . F#5 . D5 . E5 . D5 . C5 . E5 G5 . E5 C5 . D5 . . B4 A4 . . .',
+    bass: 'G2 . D3 . G2 . D3 . B2 . D3 . B2 . D3 . C3 . G2 . C3 . G2 . D3 . A2 . D3 . F#2 .',
+    drums: 'k . h h s . h . k . h h s . h . k . h h s . h . k . h h s . h .'
+  },
+  terraces: {
+    bpm: 136,
+    lead: 'E5 . G5 . B5 . A5 G5 F#5 . . D5 E5 . . . C5 . E5 . G5 . F#5 E5 D#5 . . B4 E5 . . .',
+    bass: 'E2 . E3 . E2 . E3 . D2 . D3 . D2 . D3 . C2 . C3 . C2 . C3 . B1 . B2 . B1 . B2 .',
+    drums: 'k . h . s . h k . k h . s . h . k . h . s . h k . k h . s . h .'
+  }
+};
@@ -0,0 +1,94 @@
+//
+// sprites.js - The game's sprite sheets and the animations drawn from them.
+//
+// Sheets live in src/assets/sprites (generated by scripts/build-sprites.js, or
+// exported from Aseprite with the same tag names) and are loaded through the asset
+// cache (./assets) as "sprites.<sheet>" plus "sprites.<sheet>.data". Player clips
+// are named after the player's states; enemy clips are "<type>-<pose>", e.g.
+// "hopper-jump". Until a sheet has loaded (or if it failed to) there is no atlas,
+// and entities are drawn as their rectangle fallbacks.
+//
+
+import SpriteAtlas from './SpriteAtlas';
+import { drawAnimation } from './Animation';
+import { getAsset, isPlaceholder } from './assets';
+
+// PUBLIC_INTERFACE
+/** Player animation states (see Player.pose) -> clips; a missing clip falls back along the chain. */
+export const PLAYER_ANIMATIONS = {
+  states: {
+    idle: {},
+    run: { fallback: 'idle' },
+    jump: { loop: false, fallback: 'idle' },
+    fall: { loop: false, fallback: 'jump' },
+    'wall-slide': { loop: false, fallback: 'fall' },
+    glide: { fallback: 'fall' },
+    dash: { fallback: 'run' },
+    hurt: { fallback: 'idle' }
+  },
+  terminal: ['hurt']
+};
+
+// Enemy states -> "<type>-<state>" clips
+function enemyAnimation(type, states) {
+  const out = {};
+  for (let [state, def] of Object.entries(states)) out[state] = { clip: `${type}-${state}`, ...def };
+  return { states: out };
+}
+
+const enemyAnimations = {
+  walker: enemyAnimation('walker', { move: {}, idle: { fallback: 'move' } }),
+  hopper: enemyAnimation('hopper', { idle: {}, jump: { fallback: 'idle' } }),
+  chaser: enemyAnimation('chaser', { idle: {}, chase: { fallback: 'idle' } }),
+  projectile: enemyAnimation('projectile', { idle: {}, charge: { fallback: 'idle' } })
+};
+
+const atlases = {};
+function atlas(sheet) {
+  if (!atlases[sheet]) {
+    const image = getAsset(`sprites.${sheet}`);
+    const data = getAsset(`sprites.${sheet}.data`);
+    if (!image || !data || isPlaceholder(image)) return null;
+    atlases[sheet] = new SpriteAtlas(data, image);
+  }
+  return atlases[sheet];
+}
+
+// PUBLIC_INTERFACE
+/** The player's sprite sheet, or null until it has loaded. */
+export function getPlayerAtlas() {
+  return atlas('player');
+}
+
+// PUBLIC_INTERFACE
+/** The built-in enemies' sprite sheet, or null until it has loaded. */
+export function getEnemyAtlas() {
+  return atlas('enemies');
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Give an enemy type (e.g. one added with registerEnemyType) its animations.
+ * @param {string} type - level enemy `type`
+ * @param {import('./Animation').AnimationConfig} config - states of its `pose`
+ * @param {SpriteAtlas} [sheet] - defaults to the built-in enemy sheet
+ */
+export function registerEnemyAnimation(type, config, sheet) {
+  enemyAnimations[type] = { ...config, sheet };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Draw an enemy from a snapshot entry, facing its `dir` (art faces right).
+ * @param {object} en - snapshot enemy { type, pose, dir, w, h }
+ * @param {number} x - interpolated position
+ * @param {number} y
+ * @param {number} time - clip clock in seconds (the level clock keeps enemies in step)
+ * @returns {boolean} false when there is no sprite to draw yet (draw the fallback)
+ */
+export function drawEnemySprite(ctx, en, x, y, time) {
+  const config = enemyAnimations[en.type];
+  if (!config) return false;
+  const box = { x, y, w: en.w ?? 14, h: en.h ?? 14 };
+  return drawAnimation(ctx, config.sheet || getEnemyAtlas(), config, en.pose ?? 'idle', time, box, { flip: en.dir < 0 });
+}
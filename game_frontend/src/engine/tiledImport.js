@@ -0,0 +1,229 @@
+//
+// tiledImport.js - Converts Tiled (mapeditor.org) .tmj JSON maps into runtime levels.
+//
+// Supported: orthogonal, finite maps; tile layers as arrays or uncompressed base64;
+// group layers; embedded tilesets. Object layers place the level's entities:
+//
+//   class/type "gem"      -> gem at the object's centre
+//   class/type "exit"     -> exit rectangle (default 12x20)
+//   class/type "spawn"    -> player spawn point
+//   class/type "checkpoint" -> checkpoint flag (top-left at the object's position)
+//   class/type "platform" -> extra rectangle platform
+//   class/type "enemy"    -> enemy whose kind is the `enemyType` property
+//   class/type <enemy>    -> any registered enemy type, e.g. "walker"
+//
+// Custom properties on enemy objects become their options (speed, patrolMin...).
+// Tile layers collide when they have a `collision` property (or are named
+// "collision"); a tile's own `solid` property overrides that. If no layer is
+// marked, every tile layer collides. Map properties `name`, `objective`,
+// `music` and `par` fill the level meta fields; `background` names a background
+// theme (see ./backgrounds).
+//
+
+import { getEnemyTypes } from './Enemy';
+
+// Flip/rotation flags live in the top bits of every gid
+const GID_MASK = 0x0fffffff;
+const DEFAULT_EXIT_SIZE = { w: 12, h: 20 };
+
+// PUBLIC_INTERFACE
+/**
+ * Tiled custom properties -> plain object. Accepts the array form (Tiled 1.2+)
+ * and the older { name: value } map.
+ */
+export function parseTiledProperties(props) {
+  if (!props) return {};
+  if (!Array.isArray(props)) return { ...props };
+  const out = {};
+  for (let p of props) out[p.name] = p.value;
+  return out;
+}
+
+// Tiled writes colours as #AARRGGBB; CSS wants #RRGGBBAA
+function tiledColor(c) {
+  if (typeof c !== 'string') return null;
+  return c.length === 9 ? `#${c.slice(3)}${c.slice(1, 3)}` : c;
+}
+
+function decodeBase64Gids(str) {
+  const bin = typeof atob === 'function'
+    ? atob(str)
+    : Buffer.from(str, 'base64').toString('binary');
+  const gids = [];
+  for (let i = 0; i + 3 < bin.length; i += 4) {
+    gids.push(
+      (bin.charCodeAt(i) |
+        (bin.charCodeAt(i + 1) << 8) |
+        (bin.charCodeAt(i + 2) << 16) |
+        (bin.charCodeAt(i + 3) << 24)) >>> 0
+    );
+  }
+  return gids;
+}
+
+function layerGids(layer) {
+  if (Array.isArray(layer.data)) return layer.data;
+  if (layer.encoding === 'base64') {
+    if (layer.compression) {
+      throw new Error(`Tile layer "${layer.name}" uses ${layer.compression} compression; export with CSV or uncompressed base64`);
+    }
+    return decodeBase64Gids(layer.data);
+  }
+  throw new Error(`Tile layer "${layer.name}" has no readable data`);
+}
+
+// Group layers are flattened in draw order; hidden layers are skipped
+function flattenLayers(layers) {
+  const out = [];
+  for (let layer of layers || []) {
+    if (layer.visible === false) continue;
+    if (layer.type === 'group') out.push(...flattenLayers(layer.layers));
+    else out.push(layer);
+  }
+  return out;
+}
+
+// gid -> TileDef for every tile any tileset defines something for (or can draw from an image)
+function buildTileDefs(tilesets, tilesetImages) {
+  const tiles = {};
+  for (let ts of tilesets || []) {
+    if (ts.source) {
+      throw new Error(`External tileset "${ts.source}" is not supported; embed it in the map`);
+    }
+    const image = tilesetImages[ts.name] ?? null;
+    const margin = ts.margin ?? 0;
+    const spacing = ts.spacing ?? 0;
+    const defs = {};
+    for (let t of ts.tiles || []) defs[t.id] = parseTiledProperties(t.properties);
+    const last = Math.max(ts.tilecount ?? 0, ...Object.keys(defs).map(id => Number(id) + 1));
+    for (let id = 0; id < last; id++) {
+      const props = defs[id] || {};
+      const def = {};
+      if (typeof props.solid === 'boolean') def.solid = props.solid;
+      if (props.color) def.color = tiledColor(props.color);
+      if (image && ts.columns) {
+        def.image = image;
+        def.sx = margin + (id % ts.columns) * (ts.tilewidth + spacing);
+        def.sy = margin + Math.floor(id / ts.columns) * (ts.tileheight + spacing);
+      }
+      if (Object.keys(def).length) tiles[ts.firstgid + id] = def;
+    }
+  }
+  return tiles;
+}
+
+function objectKind(obj) {
+  return String(obj.class || obj.type || '').trim().toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Convert a Tiled .tmj map into a Level (see ./levels) with a `tilemap`.
+ * @param {object} map - parsed .tmj JSON
+ * @param {object} [opts] - { name: display name override,
+ *   tilesetImages: { [tilesetName]: imported image URL } (Tiled's relative paths can't be bundled) }
+ * @returns {import('./levels').Level}
+ * @throws {Error} with a readable message for unsupported or malformed maps
+ */
+export function importTiledMap(map, opts = {}) {
+  if (!map || typeof map !== 'object' || !Array.isArray(map.layers)) {
+    throw new Error('Not a Tiled map: expected a JSON object with "layers"');
+  }
+  if (map.orientation && map.orientation !== 'orthogonal') {
+    throw new Error(`Unsupported map orientation "${map.orientation}"`);
+  }
+  if (map.infinite) {
+    throw new Error('Infinite maps are not supported; disable "Infinite" in the map properties');
+  }
+
+  const props = parseTiledProperties(map.properties);
+  const columns = map.width;
+  const rows = map.height;
+  const tileWidth = map.tilewidth;
+  const tileHeight = map.tileheight;
+  const layers = flattenLayers(map.layers);
+
+  // --- Tile layers ---
+  const tileLayers = layers.filter(l => l.type === 'tilelayer');
+  const anyMarked = tileLayers.some(l => parseTiledProperties(l.properties).collision || /^collision$/i.test(l.name));
+  const tilemap = {
+    tileWidth,
+    tileHeight,
+    columns,
+    rows,
+    layers: tileLayers.map(l => {
+      const gids = layerGids(l);
+      if (gids.length !== columns * rows) {
+        throw new Error(`Tile layer "${l.name}" has ${gids.length} tiles, expected ${columns * rows}`);
+      }
+      const lp = parseTiledProperties(l.properties);
+      return {
+        name: l.name,
+        data: gids.map(g => g & GID_MASK),
+        collision: anyMarked ? !!lp.collision || /^collision$/i.test(l.name) : true
+      };
+    }),
+    tiles: buildTileDefs(map.tilesets, opts.tilesetImages || {})
+  };
+
+  // --- Object layers ---
+  const level = {
+    name: opts.name ?? props.name ?? 'Untitled',
+    width: columns * tileWidth,
+    height: rows * tileHeight,
+    bgColor: tiledColor(map.backgroundcolor),
+    music: props.music || null,
+    ...(props.background ? { background: { theme: props.background } } : {}),
+    par: props.par,
+    objective: props.objective ?? '',
+    platforms: [],
+    tilemap,
+    gems: [],
+    checkpoints: [],
+    exit: null,
+    enemies: [],
+    extra: {}
+  };
+  const enemyTypes = getEnemyTypes();
+
+  for (let layer of layers.filter(l => l.type === 'objectgroup')) {
+    for (let obj of layer.objects || []) {
+      const kind = objectKind(obj);
+      if (!kind) continue;
+      const w = obj.width || 0;
+      const h = obj.height || 0;
+      // Tile objects are anchored bottom-left, everything else top-left
+      const x = obj.x;
+      const y = obj.gid ? obj.y - h : obj.y;
+      const oProps = parseTiledProperties(obj.properties);
+
+      if (kind === 'gem') {
+        level.gems.push({ x: Math.round(x + w / 2), y: Math.round(y + h / 2), collected: false });
+      } else if (kind === 'exit') {
+        level.exit = { x, y, w: w || DEFAULT_EXIT_SIZE.w, h: h || DEFAULT_EXIT_SIZE.h };
+      } else if (kind === 'spawn') {
+        level.spawn = { x, y };
+      } else if (kind === 'checkpoint') {
+        level.checkpoints.push({ x, y });
+      } else if (kind === 'platform') {
+        level.platforms.push({ x, y, w, h });
+      } else if (kind === 'enemy' || enemyTypes.includes(kind)) {
+        const { enemyType, ...enemyOpts } = oProps;
+        const type = kind === 'enemy' ? enemyType : kind;
+        if (!enemyTypes.includes(type)) {
+          throw new Error(`Object ${obj.id} in "${layer.name}": unknown enemy type "${type}"`);
+        }
+        level.enemies.push({ ...enemyOpts, type, x, y });
+      } else {
+        throw new Error(`Object ${obj.id} in "${layer.name}": unknown object type "${kind}"`);
+      }
+    }
+  }
+
+  if (!level.exit) {
+    throw new Error('Map has no "exit" object');
+  }
+  return level;
+}
+
+export default importTiledMap;
@@ -0,0 +1,72 @@
+import { importTiledMap } from './tiledImport';
+import Tilemap from './Tilemap';
+import Simulation from './Simulation';
+import terracesMap from '../assets/maps/terraces.json';
+
+// 4x3 map: solid floor on the bottom row, a decorative tile above it
+const tinyMap = (overrides = {}) => ({
+  orientation: 'orthogonal',
+  width: 4,
+  height: 3,
+  tilewidth: 16,
+  tileheight: 16,
+  backgroundcolor: '#ff336699',
+  properties: [{ name: 'name', type: 'string', value: 'Tiny' }],
+  layers: [
+    { type: 'tilelayer', name: 'ground', data: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 0x80000001], properties: [{ name: 'collision', type: 'bool', value: true }] },
+    { type: 'tilelayer', name: 'decor', data: [0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0] },
+    {
+      type: 'objectgroup',
+      name: 'entities',
+      objects: [
+        { id: 1, type: 'spawn', x: 2, y: 10, point: true },
+        { id: 2, type: 'gem', x: 20, y: 4, width: 12, height: 12 },
+        { id: 3, class: 'exit', x: 50, y: 28, width: 12, height: 20 },
+        { id: 5, type: 'checkpoint', x: 36, y: 8, width: 10, height: 24 },
+        { id: 4, type: 'enemy', x: 30, y: 20, width: 14, height: 12, properties: [{ name: 'enemyType', value: 'walker' }, { name: 'speed', value: 20 }] }
+      ]
+    }
+  ],
+  tilesets: [{ firstgid: 1, name: 'terrain', tilewidth: 16, tileheight: 16, tilecount: 2, columns: 2, tiles: [{ id: 0, properties: [{ name: 'color', type: 'color', value: '#ff66c35a' }] }] }],
+  ...overrides
+});
+
+test('converts tile layers, objects and properties into a level', () => {
+  const level = importTiledMap(tinyMap());
+  expect(level).toMatchObject({
+    name: 'Tiny',
+    width: 64,
+    height: 48,
+    bgColor: '#336699ff',
+    spawn: { x: 2, y: 10 },
+    gems: [{ x: 26, y: 10, collected: false }],
+    checkpoints: [{ x: 36, y: 8 }],
+    exit: { x: 50, y: 28, w: 12, h: 20 },
+    enemies: [{ type: 'walker', x: 30, y: 20, speed: 20 }]
+  });
+  expect(level.tilemap.tiles[1]).toEqual({ color: '#66c35aff' });
+  // Flip flags are stripped from gids
+  expect(level.tilemap.layers[0].data[11]).toBe(1);
+
+  const map = new Tilemap(level.tilemap);
+  expect(map.isSolidCell(0, 2)).toBe(true);
+  expect(map.isSolidCell(1, 1)).toBe(false); // decor layer doesn't collide
+  expect(map.overlapsSolid(10, 20, 12, 12)).toBeNull();
+  expect(map.overlapsSolid(10, 30, 12, 12)).toEqual({ x: 0, y: 32, w: 16, h: 16 });
+  expect(map.toRects()).toEqual([{ x: 0, y: 32, w: 64, h: 16 }]);
+});
+
+test('reports unsupported maps and unknown objects readably', () => {
+  expect(() => importTiledMap({})).toThrow('Not a Tiled map');
+  expect(() => importTiledMap(tinyMap({ infinite: true }))).toThrow('Infinite maps are not supported');
+  const badObject = tinyMap();
+  badObject.layers[2].objects.push({ id: 9, type: 'walkr', x: 0, y: 0 });
+  expect(() => importTiledMap(badObject)).toThrow('Object 9 in "entities": unknown object type "walkr"');
+});
+
+test('the player stands on tile ground in an imported level', () => {
+  const sim = new Simulation(importTiledMap(terracesMap));
+  for (let i = 0; i < 120; i++) sim.step({});
+  expect(sim.player.onGround).toBe(true);
+  expect(sim.player.y).toBe(160 - 14);
+});
@@ -0,0 +1,170 @@
+//
+// achievements.js - Achievement definitions and the tracker that unlocks them.
+//
+// Achievements are declarative: each one reads a single counter and unlocks when
+// it reaches `goal`. The AchievementTracker keeps those counters up to date from
+// game events (engine/GameEvents), persists them with the unlock dates and
+// notifies listeners (the toast popups) when something unlocks.
+//
+// Storage goes through the same adapter as save slots (see saveSystem.js).
+//
+
+import { createLocalStorageAdapter } from './saveSystem';
+
+const STORAGE_KEY = 'nimblequest.achievements';
+
+// PUBLIC_INTERFACE
+/**
+ * Every achievement: `counter` names the value in the tracker's counters that
+ * is compared against `goal` (also used for the overlay's progress bar).
+ */
+export const ACHIEVEMENTS = [
+  { id: 'first-victory', name: 'First Victory', icon: '🏁', description: 'Complete a level', counter: 'levelsCompleted', goal: 1 },
+  { id: 'gem-collector', name: 'Gem Collector', icon: '💎', description: 'Collect 50 gems', counter: 'gems', goal: 50 },
+  { id: 'no-hit', name: 'Untouchable', icon: '🛡️', description: 'Clear a level without losing a life', counter: 'noHitLevels', goal: 1 },
+  { id: 'triple-jump-master', name: 'Triple Jump Master', icon: '🦘', description: 'Perform 25 triple jumps', counter: 'tripleJumps', goal: 25 },
+  { id: 'wall-runner', name: 'Wall Runner', icon: '🧗', description: 'Wall jump 20 times', counter: 'wallJumps', goal: 20 },
+  { id: 'glider', name: 'Glider', icon: '🪂', description: 'Glide for 5 seconds in one level', counter: 'bestGlideTime', goal: 5, unit: 's' },
+  { id: 'speedrunner', name: 'Speedrunner', icon: '⏱️', description: 'Complete a level in under 8 seconds', counter: 'fastClears', goal: 1 }
+];
+
+const SPEEDRUN_TIME = 8;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_COUNTERS = {
+  levelsCompleted: 0,
+  gems: 0,
+  noHitLevels: 0,
+  tripleJumps: 0,
+  wallJumps: 0,
+  bestGlideTime: 0,
+  fastClears: 0
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Counters after one game event. `level` is the per-level scratch state the
+ * tracker keeps between events: { level, defeats, glideTime }. Defeats add up
+ * over restarts of one level and start again on another level or a first attempt.
+ * @returns {{counters: object, level: object}}
+ */
+export function applyAchievementEvent(counters, level, ev) {
+  const bump = (key, by = 1) => ({ ...counters, [key]: counters[key] + by });
+  switch (ev.type) {
+    case 'levelStarted': {
+      const fresh = ev.attempt === 0 || ev.level !== level.level;
+      return { counters, level: { level: ev.level, defeats: fresh ? 0 : level.defeats, glideTime: 0 } };
+    }
+    case 'playerDefeated':
+      return { counters, level: { ...level, defeats: level.defeats + 1 } };
+    case 'gemCollected':
+      return { counters: bump('gems'), level };
+    case 'jump':
+      if (ev.kind === 'wall') return { counters: bump('wallJumps'), level };
+      if (ev.jumps === 3) return { counters: bump('tripleJumps'), level };
+      return { counters, level };
+    case 'glideEnded': {
+      const glideTime = level.glideTime + ev.duration;
+      return {
+        counters: { ...counters, bestGlideTime: Math.max(counters.bestGlideTime, glideTime) },
+        level: { ...level, glideTime }
+      };
+    }
+    case 'levelCompleted': {
+      let next = bump('levelsCompleted');
+      // No life lost on this level, whether or not it was restarted
+      if (level.defeats === 0) next = { ...next, noHitLevels: next.noHitLevels + 1 };
+      if (ev.time < SPEEDRUN_TIME) next = { ...next, fastClears: next.fastClears + 1 };
+      return { counters: next, level };
+    }
+    default:
+      return { counters, level };
+  }
+}
+
+// PUBLIC_INTERFACE
+export class AchievementTracker {
+  /**
+   * @param {{getItem, setItem, removeItem}} [storage] - defaults to localStorage
+   */
+  constructor(storage = createLocalStorageAdapter()) {
+    this.storage = storage;
+    this.enabled = true; // off while play-testing editor levels
+    this.listeners = new Set();
+    this.level = { level: null, defeats: 0, glideTime: 0 };
+    const saved = this._load();
+    this.counters = { ...DEFAULT_COUNTERS };
+    for (let key of Object.keys(DEFAULT_COUNTERS)) {
+      const v = saved.counters?.[key];
+      if (typeof v === 'number' && isFinite(v)) this.counters[key] = v;
+    }
+    this.unlocked = { ...saved.unlocked }; // id -> unlock timestamp (ms)
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Listen for game events on a GameEventBus.
+   * @returns {function} unsubscribe
+   */
+  subscribe(bus) {
+    return bus.onAny(ev => this.handleEvent(ev));
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Called with each newly unlocked achievement definition.
+   * @returns {function} unsubscribe
+   */
+  onUnlock(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update counters from one game event and unlock whatever reached its goal.
+   * @returns {Array<object>} achievements unlocked by this event
+   */
+  handleEvent(ev, now = Date.now()) {
+    if (!this.enabled) return [];
+    const { counters, level } = applyAchievementEvent(this.counters, this.level, ev);
+    this.level = level;
+    if (counters === this.counters) return [];
+    this.counters = counters;
+
+    const newlyUnlocked = ACHIEVEMENTS.filter(a => !this.unlocked[a.id] && counters[a.counter] >= a.goal);
+    for (let a of newlyUnlocked) this.unlocked[a.id] = now;
+    // Counters from frequent events are saved with the next level result or unlock
+    if (newlyUnlocked.length || ev.type === 'levelCompleted' || ev.type === 'gemCollected') this._save();
+    for (let a of newlyUnlocked) this.listeners.forEach(fn => fn(a));
+    return newlyUnlocked;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Every achievement with its progress, for display.
+   * @returns {Array<object>} definitions plus { progress (0..goal), unlockedAt (ms or null) }
+   */
+  list() {
+    return ACHIEVEMENTS.map(a => ({
+      ...a,
+      progress: Math.min(a.goal, this.counters[a.counter]),
+      unlockedAt: this.unlocked[a.id] ?? null
+    }));
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+      return data && typeof data === 'object' ? data : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _save() {
+    this.storage.setItem(STORAGE_KEY, JSON.stringify({ counters: this.counters, unlocked: this.unlocked }));
+  }
+}
+
+export default AchievementTracker;
@@ -0,0 +1,63 @@
+import AchievementTracker from './achievements';
+import { createMemoryStorageAdapter } from './saveSystem';
+
+const start = (attempt = 0, level = 0) => ({ type: 'levelStarted', level, attempt });
+
+test('a first-attempt clear under the speedrun time unlocks three achievements', () => {
+  const tracker = new AchievementTracker(createMemoryStorageAdapter());
+  const toasts = [];
+  tracker.onUnlock(a => toasts.push(a.id));
+  tracker.handleEvent(start(0));
+  tracker.handleEvent({ type: 'gemCollected', level: 0, gems: 1 });
+  const unlocked = tracker.handleEvent({ type: 'levelCompleted', level: 0, time: 6.2 }, 1700000000000);
+  expect(unlocked.map(a => a.id)).toEqual(['first-victory', 'no-hit', 'speedrunner']);
+  expect(toasts).toEqual(['first-victory', 'no-hit', 'speedrunner']);
+
+  // A clear after a defeat is not "no-hit", and already-unlocked ones don't fire again
+  tracker.handleEvent({ type: 'playerDefeated', level: 0, cause: 'fall', lives: 2 });
+  tracker.handleEvent(start(1));
+  expect(tracker.handleEvent({ type: 'levelCompleted', level: 0, time: 30 })).toEqual([]);
+  const byId = Object.fromEntries(tracker.list().map(a => [a.id, a]));
+  expect(byId['no-hit'].unlockedAt).toBe(1700000000000);
+  expect(byId['gem-collector']).toMatchObject({ progress: 1, goal: 50, unlockedAt: null });
+});
+
+test('glide time adds up within a level; triple jumps count only the third jump', () => {
+  const tracker = new AchievementTracker(createMemoryStorageAdapter());
+  tracker.handleEvent(start());
+  tracker.handleEvent({ type: 'glideEnded', duration: 3 });
+  tracker.handleEvent(start());
+  tracker.handleEvent({ type: 'glideEnded', duration: 2.5 });
+  expect(tracker.counters.bestGlideTime).toBe(3);
+  expect(tracker.handleEvent({ type: 'glideEnded', duration: 2.5 }).map(a => a.id)).toEqual(['glider']);
+
+  [1, 2, 3, 2, 3].forEach(jumps => tracker.handleEvent({ type: 'jump', kind: jumps === 1 ? 'ground' : 'air', jumps }));
+  expect(tracker.counters.tripleJumps).toBe(2);
+});
+
+test('progress and unlocks persist; disabled trackers ignore events', () => {
+  const storage = createMemoryStorageAdapter();
+  const first = new AchievementTracker(storage);
+  first.handleEvent(start());
+  first.handleEvent({ type: 'levelCompleted', level: 0, time: 20 });
+  const second = new AchievementTracker(storage);
+  expect(second.counters.levelsCompleted).toBe(1);
+  expect(second.list().find(a => a.id === 'first-victory').unlockedAt).not.toBeNull();
+
+  second.enabled = false;
+  second.handleEvent({ type: 'gemCollected', level: 0 });
+  expect(second.counters.gems).toBe(0);
+});
+
+test('a death on one level does not spoil a clean clear of the next', () => {
+  const tracker = new AchievementTracker(createMemoryStorageAdapter());
+  tracker.handleEvent(start(0, 0));
+  tracker.handleEvent({ type: 'playerDefeated', level: 0, cause: 'enemy', lives: 2 });
+  tracker.handleEvent(start(1, 0));
+  tracker.handleEvent({ type: 'levelCompleted', level: 0, time: 30 });
+  expect(tracker.counters.noHitLevels).toBe(0);
+
+  tracker.handleEvent(start(0, 1));
+  tracker.handleEvent({ type: 'levelCompleted', level: 1, time: 30 });
+  expect(tracker.counters.noHitLevels).toBe(1);
+});
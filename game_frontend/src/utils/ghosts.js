@@ -0,0 +1,37 @@
+//
+// ghosts.js - Personal-best ghost runs, one per level, kept in this browser.
+// Recording and playback live in engine/ghost.js; this only persists the fastest.
+//
+
+import { createLocalStorageAdapter } from './saveSystem';
+import { isGhostFor } from '../engine/ghost';
+
+const KEY_PREFIX = 'nimblequest.ghost.';
+
+// PUBLIC_INTERFACE
+/**
+ * Ghost storage via a storage adapter (saveSystem.js).
+ * @param {{getItem, setItem, removeItem}} [storage] - defaults to localStorage
+ * @returns {{get: function(number, string): object|null, offer: function(object): boolean}}
+ *   get(level, levelName) - the stored ghost, or null (also when the level has changed name)
+ *   offer(ghost) - keeps it if it beats the stored one; true when it did
+ */
+export function createGhostStore(storage = createLocalStorageAdapter()) {
+  const get = (level, levelName) => {
+    try {
+      const ghost = JSON.parse(storage.getItem(KEY_PREFIX + level));
+      return isGhostFor(ghost, level, levelName) ? ghost : null;
+    } catch (e) {
+      return null;
+    }
+  };
+  return {
+    get,
+    offer(ghost) {
+      const best = get(ghost.level, ghost.levelName);
+      if (best && best.time <= ghost.time) return false;
+      storage.setItem(KEY_PREFIX + ghost.level, JSON.stringify(ghost));
+      return true;
+    }
+  };
+}
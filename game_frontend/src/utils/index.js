@@ -1,3 +1,15 @@
-// Utilities for the game (stub)
+// Utilities for the game
 // Add helper functions, constants, etc. in this folder.
 
+// PUBLIC_INTERFACE
+/**
+ * Format seconds as m:ss.t (e.g. 83.42 -> "1:23.4"). Returns "--:--.-" for missing times.
+ * @param {number|null} seconds
+ */
+export function formatTime(seconds) {
+  if (seconds == null || !isFinite(seconds)) return '--:--.-';
+  const tenths = Math.floor(seconds * 10);
+  const m = Math.floor(tenths / 600);
+  const s = Math.floor((tenths % 600) / 10);
+  return `${m}:${String(s).padStart(2, '0')}.${tenths % 10}`;
+}
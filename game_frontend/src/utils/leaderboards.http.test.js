@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createHttpLeaderboard, HIGH_SCORE_BOARD, levelTimeBoard } from './leaderboards';
+import { createMockLeaderboardServer } from '../../scripts/mock-leaderboard-server';
+
+// Jest's node environment has no global fetch; this covers what the store uses
+function nodeFetch(url, init = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: init.method || 'GET', headers: init.headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        json: async () => JSON.parse(body)
+      }));
+    });
+    req.on('error', reject);
+    req.end(init.body);
+  });
+}
+
+let server;
+let store;
+
+beforeAll(done => {
+  server = createMockLeaderboardServer().listen(0, '127.0.0.1', () => {
+    store = createHttpLeaderboard(`http://127.0.0.1:${server.address().port}/`, { fetch: nodeFetch });
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+test('the HTTP store submits and reads boards from the score server', async () => {
+  await store.submit(HIGH_SCORE_BOARD, { initials: 'AAA', value: 100 });
+  const { rank, entry } = await store.submit(HIGH_SCORE_BOARD, { initials: 'bbb', value: 250 });
+  expect(rank).toBe(1);
+  expect(entry).toMatchObject({ initials: 'BBB', value: 250 });
+  expect((await store.getTop(HIGH_SCORE_BOARD, 1)).map(e => e.initials)).toEqual(['BBB']);
+
+  await store.submit(levelTimeBoard(0), { initials: 'AAA', value: 12.5 });
+  expect((await store.submit(levelTimeBoard(0), { initials: 'CC', value: 8 })).rank).toBe(1);
+});
+
+test('server and network failures become readable errors', async () => {
+  const bad = createHttpLeaderboard(`http://127.0.0.1:${server.address().port}/nope`, { fetch: nodeFetch });
+  await expect(bad.getTop(HIGH_SCORE_BOARD)).rejects.toThrow('Unknown board');
+
+  const offline = createHttpLeaderboard('http://127.0.0.1:1', { fetch: () => Promise.reject(new TypeError('ECONNREFUSED')) });
+  await expect(offline.getTop(HIGH_SCORE_BOARD)).rejects.toThrow("Couldn't reach the score server");
+});
@@ -0,0 +1,233 @@
+//
+// leaderboards.js - High-score and best-time tables behind a pluggable store.
+//
+// Boards are named strings: HIGH_SCORE_BOARD ranks whole runs by score (higher
+// is better); levelTimeBoard(i) ranks clear times of level i (lower is better).
+// Two stores implement the same async interface (LeaderboardStore):
+//   - createLocalLeaderboard: this browser only, via the storage adapter (saveSystem.js)
+//   - createHttpLeaderboard: a score server (see scripts/mock-leaderboard-server.js
+//     for the API, and a local server to develop against)
+// The app uses the HTTP store when REACT_APP_LEADERBOARD_URL is set.
+//
+
+import { createLocalStorageAdapter } from './saveSystem';
+
+/**
+ * @typedef {Object} LeaderboardEntry
+ * @property {string} id - unique per submission (used to highlight the player's own entries)
+ * @property {string} initials - 1-3 characters, A-Z / 0-9
+ * @property {number} value - score, or time in seconds on level boards
+ * @property {number} date - ms timestamp
+ *
+ * @typedef {Object} LeaderboardStore
+ * @property {function(string, number=): Promise<LeaderboardEntry[]>} getTop - best entries first
+ * @property {function(string, {initials: string, value: number}): Promise<{rank: number, entry: LeaderboardEntry}>} submit
+ *   - rank is 1-based
+ */
+
+// PUBLIC_INTERFACE
+export const HIGH_SCORE_BOARD = 'highscores';
+// PUBLIC_INTERFACE
+export const TOP_COUNT = 10;
+
+const KEY_PREFIX = 'nimblequest.leaderboard.';
+const MINE_KEY = 'nimblequest.leaderboard.mine';
+// Local boards keep a few more than are shown, so ranks just outside the top stay meaningful
+const MAX_LOCAL_ENTRIES = 50;
+
+// PUBLIC_INTERFACE
+/**
+ * Board name for a level's best clear times.
+ * @param {number} levelIndex
+ */
+export function levelTimeBoard(levelIndex) {
+  return `level-${levelIndex}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether lower values rank higher on a board (times) or not (scores).
+ */
+export function isLowerBetter(board) {
+  return board !== HIGH_SCORE_BOARD;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Sort comparator for a board: best value first, earlier submissions win ties.
+ */
+export function compareEntries(board) {
+  const dir = isLowerBetter(board) ? 1 : -1;
+  return (a, b) => (a.value - b.value) * dir || a.date - b.date;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Would `value` make it onto the shown part of a board?
+ * @param {LeaderboardEntry[]} entries - current top entries, best first
+ */
+export function qualifies(board, entries, value, limit = TOP_COUNT) {
+  if (entries.length < limit) return true;
+  const last = entries[limit - 1].value;
+  return isLowerBetter(board) ? value < last : value > last;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Upper-case, A-Z/0-9 only, at most 3 characters ("" if nothing usable).
+ */
+export function sanitizeInitials(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+}
+
+function makeId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function validateSubmission({ initials, value }) {
+  const clean = sanitizeInitials(initials);
+  if (!clean) throw new Error('Enter your initials (letters or digits)');
+  if (typeof value !== 'number' || !isFinite(value) || value < 0) throw new Error('Invalid score');
+  return clean;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Leaderboards kept in this browser.
+ * @param {{getItem, setItem, removeItem}} [storage]
+ * @returns {LeaderboardStore}
+ */
+export function createLocalLeaderboard(storage = createLocalStorageAdapter()) {
+  const read = board => {
+    try {
+      const data = JSON.parse(storage.getItem(KEY_PREFIX + board));
+      return Array.isArray(data) ? data : [];
+    } catch (e) {
+      return [];
+    }
+  };
+  return {
+    async getTop(board, limit = TOP_COUNT) {
+      return read(board).slice(0, limit);
+    },
+    async submit(board, submission) {
+      const entry = { id: makeId(), initials: validateSubmission(submission), value: submission.value, date: Date.now() };
+      const entries = [...read(board), entry].sort(compareEntries(board));
+      storage.setItem(KEY_PREFIX + board, JSON.stringify(entries.slice(0, MAX_LOCAL_ENTRIES)));
+      return { rank: entries.indexOf(entry) + 1, entry };
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Leaderboards on a score server:
+ *   GET  {baseUrl}/boards/{board}?limit=N  -> { entries: LeaderboardEntry[] }
+ *   POST {baseUrl}/boards/{board}  { initials, value }  -> { rank, entry }
+ * @param {string} baseUrl - e.g. "http://localhost:4010"
+ * @param {object} [opts] - { fetch: fetch implementation (defaults to the global one) }
+ * @returns {LeaderboardStore}
+ * @throws {Error} (from the returned promises) with a readable message when the server fails
+ */
+export function createHttpLeaderboard(baseUrl, opts = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const doFetch = opts.fetch ?? ((...args) => fetch(...args));
+  const request = async (path, init) => {
+    let res;
+    try {
+      res = await doFetch(`${root}${path}`, init);
+    } catch (e) {
+      throw new Error("Couldn't reach the score server");
+    }
+    if (!res.ok) {
+      let message = `Score server error (${res.status})`;
+      try {
+        const body = await res.json();
+        if (body && body.error) message = body.error;
+      } catch (e) {
+        // keep the status message
+      }
+      throw new Error(message);
+    }
+    return res.json();
+  };
+  return {
+    async getTop(board, limit = TOP_COUNT) {
+      const data = await request(`/boards/${encodeURIComponent(board)}?limit=${limit}`);
+      return Array.isArray(data.entries) ? data.entries : [];
+    },
+    async submit(board, submission) {
+      const initials = validateSubmission(submission);
+      return request(`/boards/${encodeURIComponent(board)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ initials, value: submission.value })
+      });
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The store the app should use: HTTP when REACT_APP_LEADERBOARD_URL is set, local otherwise.
+ * @returns {LeaderboardStore}
+ */
+export function createDefaultLeaderboard() {
+  const url = process.env.REACT_APP_LEADERBOARD_URL;
+  return url ? createHttpLeaderboard(url) : createLocalLeaderboard();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Ids of entries submitted from this browser (so the overlay can highlight them).
+ */
+export function loadOwnEntryIds(storage = createLocalStorageAdapter()) {
+  try {
+    const ids = JSON.parse(storage.getItem(MINE_KEY));
+    return Array.isArray(ids) ? ids : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Remember an entry as this player's own.
+ */
+export function rememberOwnEntry(id, storage = createLocalStorageAdapter()) {
+  const ids = loadOwnEntryIds(storage).filter(x => x !== id);
+  storage.setItem(MINE_KEY, JSON.stringify([id, ...ids].slice(0, 200)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Which of a finished run's results make a board: the run score and each level's clear time.
+ * @param {LeaderboardStore} store
+ * @param {{score: number, levelTimes: Array<{level: number, time: number}>}} run
+ * @returns {Promise<Array<{board: string, value: number}>>}
+ */
+export async function findQualifyingBoards(store, { score, levelTimes = [] }) {
+  const candidates = [
+    ...(score > 0 ? [{ board: HIGH_SCORE_BOARD, value: score }] : []),
+    ...levelTimes.map(({ level, time }) => ({ board: levelTimeBoard(level), value: time }))
+  ];
+  const checked = await Promise.all(candidates.map(async c => (
+    qualifies(c.board, await store.getTop(c.board), c.value) ? c : null
+  )));
+  return checked.filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Submit results under one set of initials and remember them as the player's own.
+ * @returns {Promise<Array<{board: string, value: number, rank: number}>>}
+ */
+export async function submitScores(store, initials, results, ownStorage) {
+  const placed = [];
+  for (let result of results) {
+    const { rank, entry } = await store.submit(result.board, { initials, value: result.value });
+    rememberOwnEntry(entry.id, ownStorage);
+    placed.push({ ...result, rank });
+  }
+  return placed;
+}
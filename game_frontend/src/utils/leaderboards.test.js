@@ -0,0 +1,40 @@
+import {
+  createLocalLeaderboard, findQualifyingBoards, submitScores, loadOwnEntryIds,
+  qualifies, sanitizeInitials, levelTimeBoard, HIGH_SCORE_BOARD
+} from './leaderboards';
+import { createMemoryStorageAdapter } from './saveSystem';
+
+test('local boards rank scores high-first and times low-first', async () => {
+  const store = createLocalLeaderboard(createMemoryStorageAdapter());
+  await store.submit(HIGH_SCORE_BOARD, { initials: 'aaa', value: 300 });
+  expect((await store.submit(HIGH_SCORE_BOARD, { initials: 'b.b', value: 500 })).rank).toBe(1);
+  expect((await store.submit(HIGH_SCORE_BOARD, { initials: 'CCC', value: 300 })).rank).toBe(3); // ties: earlier wins
+  expect((await store.getTop(HIGH_SCORE_BOARD)).map(e => e.initials)).toEqual(['BB', 'AAA', 'CCC']);
+
+  const board = levelTimeBoard(2);
+  await store.submit(board, { initials: 'AAA', value: 21.4 });
+  expect((await store.submit(board, { initials: 'ZZ', value: 9.8 })).rank).toBe(1);
+  await expect(store.submit(board, { initials: '!!', value: 5 })).rejects.toThrow(/initials/);
+});
+
+test('qualifying checks the shown top entries', async () => {
+  expect(sanitizeInitials(' j-k l ')).toBe('JKL');
+  const full = Array.from({ length: 10 }, (_, i) => ({ value: (i + 1) * 10 }));
+  expect(qualifies(HIGH_SCORE_BOARD, full, 20)).toBe(false);
+  expect(qualifies(HIGH_SCORE_BOARD, full, 20, 11)).toBe(true);
+  expect(qualifies(levelTimeBoard(0), full, 99)).toBe(true);
+  expect(qualifies(levelTimeBoard(0), full, 100)).toBe(false);
+
+  const storage = createMemoryStorageAdapter();
+  const store = createLocalLeaderboard(storage);
+  for (let i = 0; i < 10; i++) await store.submit(levelTimeBoard(1), { initials: 'AAA', value: 10 + i });
+  const results = await findQualifyingBoards(store, {
+    score: 1200,
+    levelTimes: [{ level: 0, time: 30 }, { level: 1, time: 25 }]
+  });
+  expect(results).toEqual([{ board: HIGH_SCORE_BOARD, value: 1200 }, { board: 'level-0', value: 30 }]);
+
+  const placed = await submitScores(store, 'ME', results, storage);
+  expect(placed.map(p => p.rank)).toEqual([1, 1]);
+  expect(loadOwnEntryIds(storage)).toHaveLength(2);
+});
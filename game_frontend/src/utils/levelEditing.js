@@ -0,0 +1,264 @@
+//
+// levelEditing.js - Pure level-editing operations used by the LevelEditor screen.
+//
+// Levels are edited immutably: every operation returns a new Level object, so
+// React state updates (and undo, later) stay trivial. A selection is
+// { kind: 'platform' | 'gem' | 'checkpoint' | 'enemy' | 'exit' | 'spawn', index }.
+// The exit and spawn are single and always present; the other kinds are lists.
+//
+
+import { createEnemyInstance, getEnemyTypes } from '../engine/Enemy';
+import { CHECKPOINT_SIZE, DEFAULT_SPAWN, GEM_RADIUS } from '../engine/levelGeometry';
+import { validateLevel } from '../engine/levelValidator';
+
+const GAME_WIDTH = 320;
+const GAME_HEIGHT = 180;
+const MIN_PLATFORM_SIZE = 4;
+const PLAYER_SIZE = { w: 12, h: 14 };
+
+// Level array holding each list kind
+const LIST_KEYS = { platform: 'platforms', gem: 'gems', checkpoint: 'checkpoints', enemy: 'enemies' };
+
+// PUBLIC_INTERFACE
+/**
+ * Editable parameters (beyond x/y) and placement defaults for each built-in enemy type.
+ * Types registered later without an entry here are placed with no extra options.
+ */
+export const ENEMY_PARAMS = {
+  walker: { params: ['dir', 'patrolMin', 'patrolMax', 'speed'], defaults: { dir: 1, speed: 36 } },
+  hopper: { params: ['dir', 'jumpVy', 'jumpCooldown', 'jumpJitter'], defaults: { dir: 1, jumpVy: -110, jumpCooldown: 1.3, jumpJitter: 0, jumpTimer: 0 } },
+  chaser: { params: ['speed', 'activeRange'], defaults: { speed: 42, activeRange: 80 } },
+  projectile: { params: ['dir', 'cooldown'], defaults: { dir: -1, cooldown: 2.5, t: 0 } }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * A one-screen level with a floor and an exit, ready to decorate.
+ * @returns {import('../engine/levels').Level}
+ */
+export function createBlankLevel() {
+  return {
+    name: 'Custom Level',
+    width: GAME_WIDTH,
+    height: GAME_HEIGHT,
+    bgColor: '#9ad0ec',
+    music: null,
+    par: 20,
+    objective: 'Collect all gems & reach the exit',
+    spawn: { ...DEFAULT_SPAWN },
+    platforms: [{ x: 0, y: 160, w: GAME_WIDTH, h: 20 }],
+    gems: [],
+    checkpoints: [],
+    exit: { x: 292, y: 140, w: 12, h: 20 },
+    enemies: [],
+    extra: {}
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Deep, editable copy of an existing level (width/height made explicit).
+ */
+export function cloneLevel(level) {
+  const copy = JSON.parse(JSON.stringify(level));
+  copy.width = level.width ?? GAME_WIDTH;
+  copy.height = level.height ?? GAME_HEIGHT;
+  return copy;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The level data behind a selection (null if it no longer exists).
+ */
+export function getEntity(level, sel) {
+  if (!sel) return null;
+  if (sel.kind === 'exit') return level.exit;
+  if (sel.kind === 'spawn') return level.spawn ?? DEFAULT_SPAWN;
+  return (level[LIST_KEYS[sel.kind]] || [])[sel.index] ?? null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Bounding rectangle of a selected entity, in level pixels.
+ * @returns {{x:number, y:number, w:number, h:number}|null}
+ */
+export function getEntityRect(level, sel) {
+  if (!sel) return null;
+  if (sel.kind === 'platform') return level.platforms[sel.index] ?? null;
+  if (sel.kind === 'exit') return level.exit;
+  if (sel.kind === 'spawn') {
+    const s = getEntity(level, sel);
+    return { x: s.x, y: s.y, ...PLAYER_SIZE };
+  }
+  if (sel.kind === 'checkpoint') {
+    const c = (level.checkpoints || [])[sel.index];
+    return c ? { x: c.x, y: c.y, ...CHECKPOINT_SIZE } : null;
+  }
+  if (sel.kind === 'gem') {
+    const g = level.gems[sel.index];
+    return g ? { x: g.x - GEM_RADIUS, y: g.y - GEM_RADIUS, w: GEM_RADIUS * 2, h: GEM_RADIUS * 2 } : null;
+  }
+  if (sel.kind === 'enemy') {
+    const e = level.enemies[sel.index];
+    return e ? createEnemyInstance({ ...e }).getHitbox() : null;
+  }
+  return null;
+}
+
+function contains(rect, x, y) {
+  return rect && x >= rect.x && x < rect.x + rect.w && y >= rect.y && y < rect.y + rect.h;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Topmost entity under a point (enemies, then gems, checkpoints, spawn, exit, platforms -
+ * the draw order reversed).
+ * @returns {{kind: string, index: number}|null}
+ */
+export function hitTest(level, x, y) {
+  for (let kind of ['enemy', 'gem', 'checkpoint']) {
+    for (let i = (level[LIST_KEYS[kind]] || []).length - 1; i >= 0; i--) {
+      if (contains(getEntityRect(level, { kind, index: i }), x, y)) return { kind, index: i };
+    }
+  }
+  if (contains(getEntityRect(level, { kind: 'spawn', index: 0 }), x, y)) return { kind: 'spawn', index: 0 };
+  if (contains(level.exit, x, y)) return { kind: 'exit', index: 0 };
+  for (let i = level.platforms.length - 1; i >= 0; i--) {
+    if (contains(level.platforms[i], x, y)) return { kind: 'platform', index: i };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Add an entity at (x, y). Platforms take their size from opts ({w, h});
+ * enemies take `opts.type`. Placing an exit or spawn moves the (single) one.
+ * @returns {{level: object, selection: object}} the new level and the new entity's selection
+ */
+export function addEntity(level, kind, x, y, opts = {}) {
+  const next = { ...level };
+  if (kind === 'platform') {
+    next.platforms = [...level.platforms, {
+      x, y,
+      w: Math.max(MIN_PLATFORM_SIZE, opts.w ?? 32),
+      h: Math.max(MIN_PLATFORM_SIZE, opts.h ?? 10)
+    }];
+    return { level: next, selection: { kind, index: next.platforms.length - 1 } };
+  }
+  if (kind === 'gem') {
+    next.gems = [...level.gems, { x, y, collected: false }];
+    return { level: next, selection: { kind, index: next.gems.length - 1 } };
+  }
+  if (kind === 'checkpoint') {
+    next.checkpoints = [...(level.checkpoints || []), { x, y }];
+    return { level: next, selection: { kind, index: next.checkpoints.length - 1 } };
+  }
+  if (kind === 'exit') {
+    next.exit = { ...level.exit, x, y };
+    return { level: next, selection: { kind, index: 0 } };
+  }
+  if (kind === 'spawn') {
+    next.spawn = { x, y };
+    return { level: next, selection: { kind, index: 0 } };
+  }
+  if (kind === 'enemy') {
+    const type = opts.type ?? 'walker';
+    if (!getEnemyTypes().includes(type)) throw new Error(`Unknown enemy type "${type}"`);
+    const enemy = { type, x, y, ...(ENEMY_PARAMS[type]?.defaults ?? {}) };
+    if (type === 'walker') {
+      enemy.patrolMin = Math.max(0, x - 40);
+      enemy.patrolMax = x + 40;
+    }
+    next.enemies = [...level.enemies, enemy];
+    return { level: next, selection: { kind, index: next.enemies.length - 1 } };
+  }
+  throw new Error(`Unknown entity kind "${kind}"`);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Merge fields into the selected entity (position, size or enemy parameters).
+ * Gems are positioned by their centre; everything else by its top-left corner.
+ */
+export function updateEntity(level, sel, patch) {
+  const next = { ...level };
+  if (sel.kind === 'exit' || sel.kind === 'spawn') {
+    next[sel.kind] = { ...getEntity(level, sel), ...patch };
+    return next;
+  }
+  const key = LIST_KEYS[sel.kind];
+  next[key] = level[key].map((item, i) => (i === sel.index ? { ...item, ...patch } : item));
+  return next;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move the selected entity by (dx, dy). Walker patrol ranges move with it.
+ */
+export function moveEntity(level, sel, dx, dy) {
+  const item = getEntity(level, sel);
+  const patch = { x: item.x + dx, y: item.y + dy };
+  if (sel.kind === 'enemy' && item.patrolMin != null) patch.patrolMin = item.patrolMin + dx;
+  if (sel.kind === 'enemy' && item.patrolMax != null) patch.patrolMax = item.patrolMax + dx;
+  return updateEntity(level, sel, patch);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Remove the selected entity. The exit and spawn can't be removed (every level needs them).
+ */
+export function removeEntity(level, sel) {
+  if (!sel || sel.kind === 'exit' || sel.kind === 'spawn') return level;
+  const key = LIST_KEYS[sel.kind];
+  return { ...level, [key]: level[key].filter((_, i) => i !== sel.index) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize a level as pretty JSON matching the Level typedef in engine/levels.js
+ * (gems reset to uncollected, coordinates rounded).
+ */
+export function exportLevelJSON(level) {
+  const round = obj => {
+    const out = { ...obj };
+    for (let k of ['x', 'y', 'w', 'h', 'patrolMin', 'patrolMax']) {
+      if (typeof out[k] === 'number') out[k] = Math.round(out[k]);
+    }
+    return out;
+  };
+  const clean = {
+    ...level,
+    platforms: level.platforms.map(round),
+    gems: level.gems.map(g => ({ ...round(g), collected: false })),
+    ...(level.checkpoints ? { checkpoints: level.checkpoints.map(round) } : {}),
+    ...(level.spawn ? { spawn: round(level.spawn) } : {}),
+    exit: round(level.exit),
+    enemies: level.enemies.map(round)
+  };
+  return JSON.stringify(clean, null, 2);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse an exported level JSON file back into an editable level.
+ * @throws {Error} if the text isn't a level, or the level has validator errors
+ *   (an unknown enemy type, say, which the editor could not even draw)
+ */
+export function importLevelJSON(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Level file is not valid JSON');
+  }
+  if (!data || !Array.isArray(data.platforms) || !Array.isArray(data.gems) || !data.exit || !Array.isArray(data.enemies)) {
+    throw new Error('Level file must have platforms, gems, exit and enemies');
+  }
+  const level = cloneLevel(data);
+  const errors = validateLevel(level).filter(p => p.severity === 'error');
+  if (errors.length) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    throw new Error(`Level file has errors: ${errors[0].message}${more}`);
+  }
+  return level;
+}
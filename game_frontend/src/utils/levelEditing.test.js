@@ -0,0 +1,45 @@
+import {
+  addEntity,
+  createBlankLevel,
+  exportLevelJSON,
+  hitTest,
+  importLevelJSON,
+  moveEntity,
+  removeEntity
+} from './levelEditing';
+
+test('placed entities can be hit-tested, moved and removed', () => {
+  let level = createBlankLevel();
+  let sel;
+  ({ level, selection: sel } = addEntity(level, 'enemy', 100, 148, { type: 'walker' }));
+  expect(level.enemies[0]).toMatchObject({ type: 'walker', x: 100, patrolMin: 60, patrolMax: 140 });
+  expect(hitTest(level, 105, 150)).toEqual(sel);
+  expect(hitTest(level, 5, 170)).toEqual({ kind: 'platform', index: 0 });
+
+  level = moveEntity(level, sel, 10, 0);
+  expect(level.enemies[0]).toMatchObject({ x: 110, patrolMin: 70, patrolMax: 150 });
+
+  level = removeEntity(level, sel);
+  expect(level.enemies).toEqual([]);
+  // The exit and spawn are mandatory
+  expect(removeEntity(level, { kind: 'exit', index: 0 })).toBe(level);
+  expect(removeEntity(level, { kind: 'spawn', index: 0 })).toBe(level);
+
+  level = addEntity(level, 'checkpoint', 150, 136).level;
+  expect(hitTest(level, 152, 150)).toEqual({ kind: 'checkpoint', index: 0 });
+  level = moveEntity(addEntity(level, 'spawn', 40, 146).level, { kind: 'spawn', index: 0 }, 4, 0);
+  expect(level.spawn).toEqual({ x: 44, y: 146 });
+  expect(hitTest(level, 46, 150)).toEqual({ kind: 'spawn', index: 0 });
+});
+
+test('exported JSON round-trips and rejects non-levels', () => {
+  const { level } = addEntity(createBlankLevel(), 'gem', 40.4, 100.6);
+  const restored = importLevelJSON(exportLevelJSON(level));
+  expect(restored.gems).toEqual([{ x: 40, y: 101, collected: false }]);
+  expect(restored.exit).toEqual(level.exit);
+  expect(() => importLevelJSON('{"name": "x"}')).toThrow('Level file must have platforms, gems, exit and enemies');
+  expect(() => importLevelJSON('nope')).toThrow('Level file is not valid JSON');
+  const typo = JSON.parse(exportLevelJSON(level));
+  typo.enemies.push({ type: 'dragon', x: 40, y: 100 });
+  expect(() => importLevelJSON(JSON.stringify(typo))).toThrow(/^Level file has errors: .*unknown type "dragon"/);
+});
@@ -0,0 +1,40 @@
+//
+// progress.js - Level unlock / best-result bookkeeping.
+// Progress is stored per save slot (see saveSystem.js).
+//
+// Shape: { levels: { [levelIndex]: { completed, bestTime, bestGems, bestStars } } }
+// Level 0 is always unlocked; every other level unlocks once the previous one is beaten.
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Returns a new progress object with a level completion merged in (best time / most gems / most stars kept).
+ * @param {object} progress
+ * @param {number} levelIndex
+ * @param {{time: number, gems: number, stars?: number}} result
+ */
+export function recordLevelResult(progress, levelIndex, { time, gems, stars = 0 }) {
+  const prev = progress.levels[levelIndex] || { completed: false, bestTime: null, bestGems: 0 };
+  return {
+    ...progress,
+    levels: {
+      ...progress.levels,
+      [levelIndex]: {
+        completed: true,
+        bestTime: prev.bestTime == null ? time : Math.min(prev.bestTime, time),
+        bestGems: Math.max(prev.bestGems || 0, gems),
+        bestStars: Math.max(prev.bestStars || 0, stars)
+      }
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * @param {object} progress
+ * @param {number} levelIndex
+ * @returns {boolean} true if the level may be played
+ */
+export function isLevelUnlocked(progress, levelIndex) {
+  return levelIndex === 0 || !!progress.levels[levelIndex - 1]?.completed;
+}
@@ -0,0 +1,286 @@
+//
+// saveSystem.js - Versioned save slots (score, lives, current level, level progress).
+//
+// Storage goes through a small adapter ({ getItem, setItem, removeItem }) so the
+// same SaveManager runs on localStorage in the browser and in memory under Jest.
+// Every save carries a schema `version`; older saves are upgraded step by step
+// through MIGRATIONS when they are loaded or imported.
+//
+
+// PUBLIC_INTERFACE
+export const SAVE_VERSION = 1;
+// PUBLIC_INTERFACE
+export const SLOT_COUNT = 3;
+
+const KEY_PREFIX = 'nimblequest.save.';
+const LAST_SLOT_KEY = 'nimblequest.lastSlot';
+// Pre-slot builds stored bare level progress here
+const LEGACY_PROGRESS_KEY = 'nimblequest.progress';
+
+/**
+ * MIGRATIONS[n] upgrades a version-n save to version n+1.
+ * Version 0 is the pre-slot format: bare progress `{ levels }` with no version field.
+ */
+const MIGRATIONS = {
+  0: data => {
+    const levels = data.levels || {};
+    const beaten = Object.keys(levels).filter(k => levels[k]?.completed).map(Number);
+    return {
+      version: 1,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      score: 0,
+      lives: 3,
+      level: beaten.length ? Math.max(...beaten) + 1 : 0,
+      progress: { levels }
+    };
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Storage adapter backed by window.localStorage (or any Storage-like object).
+ * Errors (quota exceeded, disabled storage) are swallowed so the game keeps running.
+ * @param {Storage} [storage]
+ */
+export function createLocalStorageAdapter(storage) {
+  const backend = () => storage ?? window.localStorage;
+  return {
+    getItem(key) {
+      try { return backend().getItem(key); } catch (e) { return null; }
+    },
+    setItem(key, value) {
+      try { backend().setItem(key, value); } catch (e) { /* not persisted */ }
+    },
+    removeItem(key) {
+      try { backend().removeItem(key); } catch (e) { /* ignore */ }
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * In-memory storage adapter (tests, or browsers with storage disabled).
+ * @param {Object<string,string>} [initial]
+ */
+export function createMemoryStorageAdapter(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    removeItem: key => { delete data[key]; }
+  };
+}
+
+const isNumber = v => typeof v === 'number' && isFinite(v);
+
+// A whole number >= min; fractions are rounded down, anything else is refused
+function wholeNumber(v, min, what) {
+  if (!isNumber(v) || v < min) throw new Error(`Save data has an invalid ${what}`);
+  return Math.floor(v);
+}
+
+// Checks a current-version save field by field, so a corrupt or hand-edited file
+// is refused here instead of crashing the slot list or the game later
+function checkSave(save) {
+  const levels = save.progress && save.progress.levels;
+  if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+    throw new Error('Save data has no level progress');
+  }
+  const checked = {};
+  for (let [key, entry] of Object.entries(levels)) {
+    if (!/^\d+$/.test(key) || !entry || typeof entry !== 'object') {
+      throw new Error(`Save data has invalid progress for level ${key}`);
+    }
+    if (entry.bestTime != null && (!isNumber(entry.bestTime) || entry.bestTime < 0)) {
+      throw new Error(`Save data has an invalid best time for level ${key}`);
+    }
+    checked[key] = {
+      completed: entry.completed === true,
+      bestTime: entry.bestTime ?? null,
+      bestGems: entry.bestGems == null ? 0 : wholeNumber(entry.bestGems, 0, `gem count for level ${key}`),
+      bestStars: entry.bestStars == null ? 0 : Math.min(3, wholeNumber(entry.bestStars, 0, `star rating for level ${key}`))
+    };
+  }
+  return {
+    ...save,
+    score: wholeNumber(save.score, 0, 'score'),
+    lives: wholeNumber(save.lives, 1, 'lives count'),
+    level: wholeNumber(save.level, 0, 'level'),
+    progress: { ...save.progress, levels: checked }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Bring any known save format up to SAVE_VERSION and check its fields
+ * (score, lives, level and every level's progress).
+ * @param {object} data - Parsed save data
+ * @returns {object} Migrated save data
+ * @throws {Error} if the data is not a save, is corrupt or comes from a newer version
+ */
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object') throw new Error('Save data is not an object');
+  let save = data;
+  let version = typeof save.version === 'number' ? save.version : 0;
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+  }
+  while (version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from save version ${version}`);
+    save = migrate(save);
+    version = save.version;
+  }
+  return checkSave(save);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A fresh save for a new game.
+ */
+export function createNewSave() {
+  return {
+    version: SAVE_VERSION,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    score: 0,
+    lives: 3,
+    level: 0,
+    progress: { levels: {} }
+  };
+}
+
+// PUBLIC_INTERFACE
+export class SaveManager {
+  /**
+   * @param {{getItem: function, setItem: function, removeItem: function}} adapter
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this._importLegacyProgress();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Load a slot, migrating it if needed. Returns null for empty or corrupt slots.
+   * @param {number} slot - 0..SLOT_COUNT-1
+   */
+  load(slot) {
+    const raw = this.adapter.getItem(KEY_PREFIX + slot);
+    if (!raw) return null;
+    try {
+      const parsed = JSON.parse(raw);
+      const save = migrateSave(parsed);
+      // Persist upgraded (or repaired) saves so migrations run only once
+      if (JSON.stringify(save) !== raw) this.adapter.setItem(KEY_PREFIX + slot, JSON.stringify(save));
+      return save;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Write a slot (stamps version and updatedAt) and mark it as the last used slot.
+   * @param {number} slot
+   * @param {object} data
+   * @returns {object} The stored save
+   */
+  save(slot, data) {
+    this._checkSlot(slot);
+    const save = { ...data, version: SAVE_VERSION, updatedAt: Date.now() };
+    this.adapter.setItem(KEY_PREFIX + slot, JSON.stringify(save));
+    this.adapter.setItem(LAST_SLOT_KEY, String(slot));
+    return save;
+  }
+
+  // PUBLIC_INTERFACE
+  /** Erase a slot. */
+  delete(slot) {
+    this._checkSlot(slot);
+    this.adapter.removeItem(KEY_PREFIX + slot);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * All slots in order; empty slots are null.
+   * @returns {Array<object|null>}
+   */
+  listSlots() {
+    return Array.from({ length: SLOT_COUNT }, (_, i) => this.load(i));
+  }
+
+  // PUBLIC_INTERFACE
+  /** Index of the most recently written slot (0 if none). */
+  getLastSlot() {
+    const n = parseInt(this.adapter.getItem(LAST_SLOT_KEY), 10);
+    return n >= 0 && n < SLOT_COUNT ? n : 0;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Serialize a slot for moving between browsers.
+   * @returns {string|null} Pretty JSON, or null for an empty slot
+   */
+  exportSlot(slot) {
+    const save = this.load(slot);
+    return save ? JSON.stringify(save, null, 2) : null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Store an exported save JSON into a slot (migrated to the current version).
+   * @param {number} slot
+   * @param {string} json
+   * @returns {object} The stored save
+   * @throws {Error} if the JSON is not a valid save
+   */
+  importSlot(slot, json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Save file is not valid JSON');
+    }
+    return this.save(slot, migrateSave(parsed));
+  }
+
+  _checkSlot(slot) {
+    if (!Number.isInteger(slot) || slot < 0 || slot >= SLOT_COUNT) {
+      throw new Error(`Invalid save slot ${slot}`);
+    }
+  }
+
+  // One-time upgrade: bare progress from pre-slot builds becomes slot 0
+  _importLegacyProgress() {
+    const legacy = this.adapter.getItem(LEGACY_PROGRESS_KEY);
+    if (!legacy) return;
+    if (!this.adapter.getItem(KEY_PREFIX + 0)) {
+      try {
+        this.save(0, migrateSave(JSON.parse(legacy)));
+      } catch (e) {
+        // Unreadable legacy data is dropped
+      }
+    }
+    this.adapter.removeItem(LEGACY_PROGRESS_KEY);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Offer a save JSON string as a file download.
+ * @param {string} json
+ * @param {string} filename
+ */
+export function downloadSaveFile(json, filename) {
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,57 @@
+import {
+  SaveManager,
+  SAVE_VERSION,
+  SLOT_COUNT,
+  createMemoryStorageAdapter,
+  createNewSave,
+  migrateSave
+} from './saveSystem';
+
+test('slots round-trip through the storage adapter', () => {
+  const saves = new SaveManager(createMemoryStorageAdapter());
+  expect(saves.listSlots()).toEqual(Array(SLOT_COUNT).fill(null));
+  saves.save(2, { ...createNewSave(), score: 1250, level: 1 });
+  expect(saves.load(2)).toMatchObject({ version: SAVE_VERSION, score: 1250, level: 1 });
+  expect(saves.getLastSlot()).toBe(2);
+  saves.delete(2);
+  expect(saves.load(2)).toBeNull();
+  expect(() => saves.save(SLOT_COUNT, createNewSave())).toThrow(/Invalid save slot/);
+});
+
+test('legacy unversioned progress is migrated into the first slot (index 0)', () => {
+  const adapter = createMemoryStorageAdapter({
+    'nimblequest.progress': JSON.stringify({ levels: { 0: { completed: true, bestTime: 12.5, bestGems: 2 } } })
+  });
+  const saves = new SaveManager(adapter);
+  expect(saves.load(0)).toMatchObject({
+    version: SAVE_VERSION,
+    level: 1,
+    progress: { levels: { 0: { completed: true, bestTime: 12.5 } } }
+  });
+  expect(adapter.getItem('nimblequest.progress')).toBeNull();
+});
+
+test('migrateSave rejects unknown and future saves', () => {
+  expect(() => migrateSave('nope')).toThrow();
+  expect(() => migrateSave({ version: SAVE_VERSION + 1 })).toThrow(/newer/);
+  expect(() => migrateSave({ version: SAVE_VERSION })).toThrow(/progress/);
+});
+
+test('exported saves import into another slot, bad files are refused', () => {
+  const saves = new SaveManager(createMemoryStorageAdapter());
+  saves.save(0, { ...createNewSave(), score: 4000 });
+  const json = saves.exportSlot(0);
+  const other = new SaveManager(createMemoryStorageAdapter());
+  expect(other.importSlot(1, json)).toMatchObject({ score: 4000 });
+  expect(() => other.importSlot(1, '{not json')).toThrow(/valid JSON/);
+  expect(other.load(1).score).toBe(4000);
+
+  const bad = patch => JSON.stringify({ ...createNewSave(), ...patch });
+  expect(() => other.importSlot(2, bad({ progress: { levels: null } }))).toThrow(/no level progress/);
+  expect(() => other.importSlot(2, bad({ level: -1 }))).toThrow('Save data has an invalid level');
+  expect(() => other.importSlot(2, bad({ lives: 'many' }))).toThrow(/lives/);
+  expect(() => other.importSlot(2, bad({ progress: { levels: { 0: 'done' } } }))).toThrow(/level 0/);
+  expect(other.load(2)).toBeNull();
+  expect(other.importSlot(2, bad({ level: 1.5, progress: { levels: { 0: { completed: true, bestTime: 9 } } } })))
+    .toMatchObject({ level: 1, progress: { levels: { 0: { completed: true, bestTime: 9, bestGems: 0 } } } });
+});
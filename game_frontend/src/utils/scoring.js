@@ -0,0 +1,35 @@
+//
+// scoring.js - End-of-level bonuses and the star/medal rating shown on the results screen.
+//
+// Stars: one for finishing, one for collecting every gem, one for beating the
+// level's par time. The medal follows the star count.
+//
+
+// PUBLIC_INTERFACE
+export const LEVEL_COMPLETE_BONUS = 1000;
+// PUBLIC_INTERFACE
+/** Points for every second (pro rata) finished under par. */
+export const TIME_BONUS_PER_SECOND = 50;
+
+// PUBLIC_INTERFACE
+export const MEDALS = [
+  null,
+  { id: 'bronze', name: 'Bronze', icon: '🥉' },
+  { id: 'silver', name: 'Silver', icon: '🥈' },
+  { id: 'gold', name: 'Gold', icon: '🥇' }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Bonuses and rating for a cleared level.
+ * @param {{time: number, par?: number, gems: number, maxGems: number}} result
+ *   - time and par in seconds; a level without a par gets no time bonus or time star
+ * @returns {{completionBonus: number, timeBonus: number, stars: number, medal: string}}
+ */
+export function scoreLevelResult({ time, par, gems, maxGems }) {
+  const hasPar = typeof par === 'number' && par > 0;
+  const underPar = hasPar && time <= par;
+  const timeBonus = underPar ? Math.round((par - time) * TIME_BONUS_PER_SECOND) : 0;
+  const stars = 1 + (gems >= maxGems ? 1 : 0) + (underPar ? 1 : 0);
+  return { completionBonus: LEVEL_COMPLETE_BONUS, timeBonus, stars, medal: MEDALS[stars].id };
+}
@@ -0,0 +1,11 @@
+import { scoreLevelResult, MEDALS, TIME_BONUS_PER_SECOND } from './scoring';
+
+test('stars for finishing, all gems and beating par; bonus for time under par', () => {
+  expect(scoreLevelResult({ time: 8, par: 12, gems: 3, maxGems: 3 }))
+    .toEqual({ completionBonus: 1000, timeBonus: 4 * TIME_BONUS_PER_SECOND, stars: 3, medal: 'gold' });
+  expect(scoreLevelResult({ time: 12.5, par: 12, gems: 3, maxGems: 3 })).toMatchObject({ timeBonus: 0, stars: 2, medal: 'silver' });
+  expect(scoreLevelResult({ time: 30, par: 12, gems: 1, maxGems: 3 })).toMatchObject({ stars: 1, medal: 'bronze' });
+  // Levels without a par (editor drafts) can't earn the time star
+  expect(scoreLevelResult({ time: 1, gems: 0, maxGems: 0 })).toMatchObject({ timeBonus: 0, stars: 2 });
+  expect(MEDALS[3].name).toBe('Gold');
+});
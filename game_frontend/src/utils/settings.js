@@ -0,0 +1,120 @@
+//
+// settings.js - Player options: defaults, validation and localStorage persistence.
+// The live values are shared through SettingsContext (components/SettingsContext.js).
+//
+
+import { VisualEffects } from '../engine/VisualEffects';
+import { DEFAULT_BINDINGS, sanitizeBindings } from '../engine/InputBindings';
+import { DEFAULT_DEADZONE } from '../engine/GamepadInput';
+
+const STORAGE_KEY = 'nimblequest.settings';
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SETTINGS = {
+  masterVolume: 0.8,
+  musicVolume: 0.6,
+  sfxVolume: 0.8,
+  crtIntensity: 1, // 0 = off, 1 = stock CRT look; scales every CRT parameter below
+  crtRenderer: 'auto', // 'auto' (WebGL where supported) | 'canvas' (2D pass only)
+  crtCurvature: 0.5, // 0..1 screen bulge (the 2D pass turns it into a vignette)
+  crtScanlines: 0.5,
+  crtShadowMask: 0.4, // WebGL only
+  crtAberration: 0.3, // WebGL only: colour fringing at the edges
+  crtBloom: 0.4,
+  palette: 'none', // 'none' or a key of VisualEffects.palettes
+  pixelScale: 2,
+  debugOverlay: false,
+  bindings: DEFAULT_BINDINGS, // see engine/InputBindings.js
+  padDeadzone: DEFAULT_DEADZONE,
+  touchControls: 'auto', // 'auto' (coarse pointers only) | 'on' | 'off'
+  ghostRacing: true // race the personal-best ghost on levels that have one
+};
+
+// PUBLIC_INTERFACE
+export const TOUCH_CONTROL_MODES = ['auto', 'on', 'off'];
+
+// PUBLIC_INTERFACE
+export const PIXEL_SCALES = [1, 2, 3, 4];
+
+// PUBLIC_INTERFACE
+export const CRT_RENDERERS = ['auto', 'canvas'];
+
+// CRT pass parameters with a setting at 1 (and crtIntensity 1); the defaults give the stock look
+const CRT_MAX = { strength: 0.46, scanlineOpacity: 0.38, bloom: 0.2, curvature: 0.24, aberration: 2, shadowMask: 0.5 };
+
+function clamp01(v, fallback) {
+  return typeof v === 'number' && isFinite(v) ? Math.max(0, Math.min(1, v)) : fallback;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Coerce arbitrary (possibly stale or hand-edited) data into a valid settings object.
+ * @param {object} raw
+ */
+export function sanitizeSettings(raw = {}) {
+  const d = DEFAULT_SETTINGS;
+  return {
+    masterVolume: clamp01(raw.masterVolume, d.masterVolume),
+    musicVolume: clamp01(raw.musicVolume, d.musicVolume),
+    sfxVolume: clamp01(raw.sfxVolume, d.sfxVolume),
+    crtIntensity: clamp01(raw.crtIntensity, d.crtIntensity),
+    crtRenderer: CRT_RENDERERS.includes(raw.crtRenderer) ? raw.crtRenderer : d.crtRenderer,
+    crtCurvature: clamp01(raw.crtCurvature, d.crtCurvature),
+    crtScanlines: clamp01(raw.crtScanlines, d.crtScanlines),
+    crtShadowMask: clamp01(raw.crtShadowMask, d.crtShadowMask),
+    crtAberration: clamp01(raw.crtAberration, d.crtAberration),
+    crtBloom: clamp01(raw.crtBloom, d.crtBloom),
+    palette: raw.palette === 'none' || VisualEffects.palettes[raw.palette] ? raw.palette : d.palette,
+    pixelScale: PIXEL_SCALES.includes(raw.pixelScale) ? raw.pixelScale : d.pixelScale,
+    debugOverlay: typeof raw.debugOverlay === 'boolean' ? raw.debugOverlay : d.debugOverlay,
+    bindings: sanitizeBindings(raw.bindings),
+    padDeadzone: Math.min(0.9, clamp01(raw.padDeadzone, d.padDeadzone)),
+    touchControls: TOUCH_CONTROL_MODES.includes(raw.touchControls) ? raw.touchControls : d.touchControls,
+    ghostRacing: typeof raw.ghostRacing === 'boolean' ? raw.ghostRacing : d.ghostRacing
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Read settings from localStorage (defaults if missing/unreadable). */
+export function loadSettings() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return sanitizeSettings(raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Persist settings; storage errors are ignored. */
+export function saveSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Settings simply won't survive a reload
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * CRT pass options for CRTPipeline.render (WebGL) and VisualEffects.applyCRTPass
+ * (canvas2d, which uses strength, scanlineOpacity and bloom), or null when the effect is off.
+ * @param {object} settings
+ * @returns {{renderer: string, strength: number, scanlineOpacity: number, bloom: number,
+ *   curvature: number, aberration: number, shadowMask: number}|null}
+ */
+export function getCRTOptions(settings) {
+  const k = settings.crtIntensity;
+  if (!k) return null;
+  const d = DEFAULT_SETTINGS;
+  const curvature = (settings.crtCurvature ?? d.crtCurvature) * k;
+  return {
+    renderer: settings.crtRenderer ?? d.crtRenderer,
+    strength: CRT_MAX.strength * curvature,
+    scanlineOpacity: CRT_MAX.scanlineOpacity * (settings.crtScanlines ?? d.crtScanlines) * k,
+    bloom: CRT_MAX.bloom * (settings.crtBloom ?? d.crtBloom) * k,
+    curvature: CRT_MAX.curvature * curvature,
+    aberration: CRT_MAX.aberration * (settings.crtAberration ?? d.crtAberration) * k,
+    shadowMask: CRT_MAX.shadowMask * (settings.crtShadowMask ?? d.crtShadowMask) * k
+  };
+}
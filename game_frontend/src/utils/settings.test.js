@@ -0,0 +1,21 @@
+import { DEFAULT_SETTINGS, getCRTOptions, sanitizeSettings } from './settings';
+import CRTPipeline from '../engine/CRTPipeline';
+
+test('default CRT settings reproduce the stock canvas pass', () => {
+  const crt = getCRTOptions(DEFAULT_SETTINGS);
+  expect(crt.renderer).toBe('auto');
+  expect(crt.strength).toBeCloseTo(0.23);
+  expect(crt.scanlineOpacity).toBeCloseTo(0.19);
+  expect(crt.bloom).toBeCloseTo(0.08);
+  expect(getCRTOptions({ ...DEFAULT_SETTINGS, crtIntensity: 0 })).toBeNull();
+  expect(getCRTOptions({ ...DEFAULT_SETTINGS, crtIntensity: 0.5 }).curvature).toBeCloseTo(crt.curvature / 2);
+});
+
+test('CRT settings are sanitized and WebGL is reported missing under jsdom', () => {
+  const s = sanitizeSettings({ crtRenderer: 'vulkan', crtCurvature: 3, crtBloom: 'lots', crtScanlines: 0.25 });
+  expect(s.crtRenderer).toBe('auto');
+  expect(s.crtCurvature).toBe(1);
+  expect(s.crtBloom).toBe(DEFAULT_SETTINGS.crtBloom);
+  expect(s.crtScanlines).toBe(0.25);
+  expect(CRTPipeline.isSupported()).toBe(false);
+});
@@ -0,0 +1,97 @@
+//
+// stats.js - Lifetime play statistics, counted from the game event bus.
+//
+// Stats are global (not per save slot) and persisted in localStorage. Counting
+// is a pure reducer over game events, so it can be tested without a running game.
+//
+
+const STORAGE_KEY = 'nimblequest.stats';
+
+// PUBLIC_INTERFACE
+export const DEFAULT_STATS = {
+  jumps: 0,
+  airJumps: 0,
+  wallJumps: 0,
+  dashes: 0,
+  glides: 0,
+  gems: 0,
+  defeats: 0,
+  levelsCompleted: 0,
+  gameOvers: 0,
+  playTime: 0 // seconds spent in completed levels
+};
+
+// Frequent events are only counted in memory; the next rare one saves them too
+const PERSIST_ON = ['gemCollected', 'playerDefeated', 'levelCompleted', 'gameOver'];
+
+// PUBLIC_INTERFACE
+/**
+ * Stats after one game event (returns the same object when the event doesn't count).
+ * @param {object} stats
+ * @param {{type: string}} ev - event from the GameEventBus
+ */
+export function recordStatEvent(stats, ev) {
+  const bump = (key, by = 1) => ({ ...stats, [key]: stats[key] + by });
+  switch (ev.type) {
+    case 'jump':
+      return bump({ ground: 'jumps', air: 'airJumps', wall: 'wallJumps' }[ev.kind] ?? 'jumps');
+    case 'dash': return bump('dashes');
+    case 'glide': return bump('glides');
+    case 'gemCollected': return bump('gems');
+    case 'playerDefeated': return bump('defeats');
+    case 'gameOver': return bump('gameOvers');
+    case 'levelCompleted':
+      return { ...bump('levelsCompleted'), playTime: stats.playTime + (ev.time || 0) };
+    default:
+      return stats;
+  }
+}
+
+// Unknown/missing counters fall back to 0, so older saved stats keep working
+function sanitizeStats(raw) {
+  const out = {};
+  for (let key of Object.keys(DEFAULT_STATS)) {
+    const v = raw && raw[key];
+    out[key] = typeof v === 'number' && isFinite(v) && v >= 0 ? v : 0;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/** Read stats from localStorage (zeros if missing/unreadable). */
+export function loadStats() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return sanitizeStats(raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    return { ...DEFAULT_STATS };
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Persist stats; storage errors are ignored. */
+export function saveStats(stats) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+  } catch (e) {
+    // Stats simply won't survive a reload
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Count every event published on a GameEventBus into the stored stats.
+ * @param {import('../engine/GameEvents').GameEventBus} bus
+ * @param {function(object): void} [onChange] - called with the updated stats
+ * @returns {function} unsubscribe
+ */
+export function trackStats(bus, onChange) {
+  let stats = loadStats();
+  return bus.onAny(ev => {
+    const next = recordStatEvent(stats, ev);
+    if (next === stats) return;
+    stats = next;
+    if (PERSIST_ON.includes(ev.type)) saveStats(stats);
+    if (onChange) onChange(stats);
+  });
+}
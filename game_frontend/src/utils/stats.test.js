@@ -0,0 +1,31 @@
+import { DEFAULT_STATS, recordStatEvent, trackStats } from './stats';
+import GameEventBus from '../engine/GameEvents';
+
+test('events are counted into the matching stats', () => {
+  const events = [
+    { type: 'jump', kind: 'ground' },
+    { type: 'jump', kind: 'air' },
+    { type: 'jump', kind: 'wall' },
+    { type: 'dash' },
+    { type: 'gemCollected' },
+    { type: 'levelCompleted', time: 12.5 },
+    { type: 'levelStarted' }
+  ];
+  const stats = events.reduce(recordStatEvent, DEFAULT_STATS);
+  expect(stats).toEqual({
+    ...DEFAULT_STATS,
+    jumps: 1, airJumps: 1, wallJumps: 1, dashes: 1, gems: 1, levelsCompleted: 1, playTime: 12.5
+  });
+});
+
+test('trackStats persists on level results and stops when unsubscribed', () => {
+  window.localStorage.clear();
+  const bus = new GameEventBus();
+  const off = trackStats(bus);
+  bus.emit('jump', { level: 0, kind: 'ground' });
+  bus.emit('playerDefeated', { level: 0, cause: 'fall', lives: 2 });
+  off();
+  bus.emit('playerDefeated', { level: 0, cause: 'fall', lives: 1 });
+  const saved = JSON.parse(window.localStorage.getItem('nimblequest.stats'));
+  expect(saved).toMatchObject({ jumps: 1, defeats: 1 });
+});